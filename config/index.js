@@ -12,14 +12,21 @@ const config = {
   // TradingView Credentials
   tvUsername: process.env.TV_USERNAME,
   tvPassword: process.env.TV_PASSWORD,
+  tvTotpSecret: process.env.TV_TOTP_SECRET, // base32, solo si la cuenta tiene 2FA
 
   // Logging
   logLevel: process.env.LOG_LEVEL || 'info',
 
   // Rate Limiting
+  // Límites por API key (o por IP sin key); cada key puede sobrescribirlos
   rateLimit: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
-    maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100
+    maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+    bulkPerMinute: parseInt(process.env.BULK_RATE_LIMIT_PER_MINUTE) || 5,
+    tradingViewPerMinute: parseInt(process.env.TV_RATE_LIMIT_PER_MINUTE) || 30,
+    dailyOperationsQuota: parseInt(process.env.DAILY_OPERATIONS_QUOTA) || 0, // usuario×pine_id por día, 0 = sin cuota
+    file: process.env.RATE_LIMIT_FILE || 'data/rate_limits.json',
+    quotaFile: process.env.QUOTA_FILE || 'data/quotas.json'
   },
 
   // Bulk Operations
@@ -29,7 +36,123 @@ const config = {
   },
 
   // Session storage
-  sessionFile: 'session_db.json'
+  sessionFile: 'session_db.json',
+
+  // Secretos cifrados (credenciales, cookies de sesión, webhook secret)
+  secrets: {
+    file: process.env.SECRETS_FILE || 'data/secrets.enc.json',
+    masterKey: process.env.SECRETS_MASTER_KEY
+  },
+
+  // API keys con scopes (hash SHA-256, nunca la key en claro)
+  apiKeys: {
+    file: process.env.API_KEYS_FILE || 'data/api_keys.json',
+    cacheMs: parseInt(process.env.API_KEYS_CACHE_MS) || 5000
+  },
+
+  // Cuentas de TradingView adicionales (cada pine_id se enruta a la cuenta que lo publicó)
+  accounts: {
+    file: process.env.ACCOUNTS_FILE || 'data/accounts.json',
+    cacheMs: parseInt(process.env.ACCOUNTS_CACHE_MS) || 5000
+  },
+
+  // Monitor de sesión: valida periódicamente y re-loguea con backoff
+  sessionMonitor: {
+    enabled: process.env.SESSION_MONITOR_ENABLED !== 'false',
+    intervalSeconds: parseInt(process.env.SESSION_MONITOR_INTERVAL_SECONDS) || 300,
+    reloginAttempts: parseInt(process.env.SESSION_RELOGIN_ATTEMPTS) || 5,
+    reloginBackoffMs: parseInt(process.env.SESSION_RELOGIN_BACKOFF_MS) || 5000,
+    reloginMaxBackoffMs: parseInt(process.env.SESSION_RELOGIN_MAX_BACKOFF_MS) || 300000
+  },
+
+  // Subscription ledger
+  ledger: {
+    file: process.env.LEDGER_FILE || 'data/ledger.json',
+    operationsFile: process.env.LEDGER_OPERATIONS_FILE ||
+      (process.env.LEDGER_FILE || 'data/ledger.json').replace(/\.json$/, '') + '.operations.jsonl',
+    retentionDays: parseInt(process.env.LEDGER_RETENTION_DAYS) || 90,
+    operationValue: parseFloat(process.env.AVERAGE_OPERATION_VALUE) || 0
+  },
+
+  // Background jobs for bulk operations
+  jobs: {
+    file: process.env.JOBS_FILE || 'data/jobs.json',
+    retentionHours: parseInt(process.env.JOBS_RETENTION_HOURS) || 72,
+    flushIntervalMs: parseInt(process.env.JOBS_FLUSH_INTERVAL_MS) || 1000
+  },
+
+  // Idempotency-Key (respuestas guardadas para reintentos, compartidas entre workers)
+  idempotency: {
+    file: process.env.IDEMPOTENCY_FILE || 'data/idempotency.json',
+    retentionHours: parseInt(process.env.IDEMPOTENCY_RETENTION_HOURS) || 24
+  },
+
+  // Expiration sweeper (detecta y limpia suscripciones vencidas)
+  sweeper: {
+    enabled: process.env.SWEEPER_ENABLED === 'true',
+    intervalMinutes: parseInt(process.env.SWEEPER_INTERVAL_MINUTES) || 60,
+    dryRun: process.env.SWEEPER_DRY_RUN === 'true',
+    revoke: process.env.SWEEPER_REVOKE === 'true',
+    stateFile: process.env.SWEEPER_STATE_FILE || 'data/sweeper.json'
+  },
+
+  // Webhooks: suscripciones (URL, secreto y eventos por endpoint) y outbox
+  // con entrega durable, reintentos y dead-letter
+  webhooks: {
+    subscriptionsFile: process.env.WEBHOOK_SUBSCRIPTIONS_FILE || 'data/webhook_subscriptions.json',
+    cacheMs: parseInt(process.env.WEBHOOK_SUBSCRIPTIONS_CACHE_MS) || 5000,
+    secretRotationHours: parseInt(process.env.WEBHOOK_SECRET_ROTATION_HOURS) || 24,
+    outboxFile: process.env.WEBHOOK_OUTBOX_FILE || 'data/webhook_outbox.json',
+    historyFile: process.env.WEBHOOK_HISTORY_FILE ||
+      (process.env.WEBHOOK_OUTBOX_FILE || 'data/webhook_outbox.json').replace(/\.json$/, '') + '.history.jsonl',
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 12,
+    retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30000,
+    retryMaxMs: parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 6 * 60 * 60 * 1000, // 6 hours
+    pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 10000,
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000,
+    retentionDays: parseInt(process.env.WEBHOOK_RETENTION_DAYS) || 7,
+    accessBatchSize: parseInt(process.env.WEBHOOK_ACCESS_BATCH_SIZE) || 100 // access.* events per webhook in bulk operations
+  },
+
+  // Canales de alerta (alertService): cada canal se activa con su configuración
+  alerts: {
+    smtp: {
+      user: process.env.ALERT_EMAIL,
+      password: process.env.ALERT_EMAIL_PASSWORD,
+      service: process.env.EMAIL_SERVICE || 'gmail', // ignored when SMTP_HOST is set
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      to: process.env.ADMIN_EMAIL || process.env.ALERT_EMAIL,
+      emergencyTo: process.env.EMERGENCY_EMAIL // CC on critical alerts
+    },
+    webhook: {
+      url: process.env.ALERT_WEBHOOK_URL, // Slack / Discord incoming webhook or any JSON endpoint
+      timeoutMs: parseInt(process.env.ALERT_WEBHOOK_TIMEOUT_MS) || 5000
+    },
+    file: {
+      path: process.env.ALERT_FILE // JSON lines; "stdout" writes to the console
+    },
+    // Canales por prioridad (vacío = todos los configurados)
+    routing: {
+      critical: process.env.ALERT_CHANNELS_CRITICAL,
+      warning: process.env.ALERT_CHANNELS_WARNING,
+      info: process.env.ALERT_CHANNELS_INFO
+    }
+  },
+
+  // Recordatorios previos al vencimiento (subscription.expiring_soon)
+  reminders: {
+    enabled: process.env.REMINDERS_ENABLED === 'true',
+    offsetsDays: (process.env.REMINDER_OFFSETS_DAYS || '7,3,1')
+      .split(',')
+      .map(offset => parseInt(offset))
+      .filter(offset => offset > 0),
+    intervalMinutes: parseInt(process.env.REMINDER_INTERVAL_MINUTES) || 60,
+    emailEnabled: process.env.REMINDER_EMAIL_ENABLED === 'true',
+    emailTo: process.env.REMINDER_EMAIL_TO,
+    stateFile: process.env.REMINDERS_FILE || 'data/reminders.json'
+  }
 };
 
 module.exports = config;
@@ -3,21 +3,27 @@
  * Migrated from Python config.py
  */
 
+require('dotenv').config();
+
+// TV_BASE_URL apunta el stack al mock local (npm run mock:tv) en desarrollo y CI
+const baseUrl = (process.env.TV_BASE_URL || 'https://www.tradingview.com').replace(/\/+$/, '');
+
 const urls = {
   // Authentication
-  signin: 'https://www.tradingview.com/accounts/signin/',
+  signin: `${baseUrl}/accounts/signin/`,
+  two_factor_signin: `${baseUrl}/accounts/two-factor/signin/totp/`,
 
   // User validation
-  username_hint: 'https://www.tradingview.com/username_hint/',
+  username_hint: `${baseUrl}/username_hint/`,
 
   // Pine Script permissions
-  list_users: 'https://www.tradingview.com/pine_perm/list_users/',
-  add_access: 'https://www.tradingview.com/pine_perm/add/',
-  modify_access: 'https://www.tradingview.com/pine_perm/modify_user_expiration/',
-  remove_access: 'https://www.tradingview.com/pine_perm/remove/',
+  list_users: `${baseUrl}/pine_perm/list_users/`,
+  add_access: `${baseUrl}/pine_perm/add/`,
+  modify_access: `${baseUrl}/pine_perm/modify_user_expiration/`,
+  remove_access: `${baseUrl}/pine_perm/remove/`,
 
   // Account info
-  tvcoins: 'https://www.tradingview.com/tvcoins/details/'
+  tvcoins: `${baseUrl}/tvcoins/details/`
 };
 
-module.exports = { urls };
+module.exports = { urls, baseUrl };
@@ -1,6 +1,8 @@
 import { useState } from 'react'
 import { useApiHealth, useUserValidation, useSystemMetrics } from './hooks/useApi'
 import TradingViewConnection from './components/TradingViewConnection'
+import SessionImport from './components/SessionImport'
+import BulkProgress from './components/BulkProgress'
 
 function App() {
   const [testUsername, setTestUsername] = useState('testuser')
@@ -99,6 +101,12 @@ function App() {
         {/* Conexión TradingView */}
         <TradingViewConnection onCredentialsSave={handleCredentialsSave} />
 
+        {/* Importar cookie de sesión (CAPTCHA) */}
+        <SessionImport />
+
+        {/* Operación masiva con progreso en vivo */}
+        <BulkProgress />
+
         {/* Métricas del Sistema */}
         <div className="bg-gray-800 rounded-lg p-6 shadow-xl">
           <h2 className="text-2xl font-semibold mb-4">Métricas del Sistema</h2>
@@ -0,0 +1,164 @@
+import { useState } from 'react';
+import { useBulkJob } from '../hooks/useApi';
+
+const splitList = (value) => value
+  .split(/[\s,]+/)
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const BulkProgress = () => {
+  const [form, setForm] = useState({
+    users: '',
+    pineIds: '',
+    duration: '30D'
+  });
+  const { job, startBulkGrant } = useBulkJob();
+
+  const isRunning = ['starting', 'queued', 'running'].includes(job.status);
+  const percent = job.progress?.percent || 0;
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleStart = () => {
+    const users = splitList(form.users);
+    const pineIds = splitList(form.pineIds);
+    if (users.length === 0 || pineIds.length === 0 || !form.duration) return;
+
+    startBulkGrant(users, pineIds, form.duration);
+  };
+
+  const failedResults = job.results.filter(result => result.status === 'Failure');
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 shadow-xl">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-semibold">🚀 Acceso Masivo en Vivo</h2>
+        <div className="text-sm text-gray-400">
+          Progreso en tiempo real vía Server-Sent Events
+        </div>
+      </div>
+
+      <div className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="users" className="block text-sm font-medium text-gray-300 mb-2">
+              Usuarios (separados por coma o línea)
+            </label>
+            <textarea
+              id="users"
+              name="users"
+              rows={3}
+              value={form.users}
+              onChange={handleInputChange}
+              placeholder="usuario1, usuario2"
+              className="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-3 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
+            />
+          </div>
+          <div>
+            <label htmlFor="pineIds" className="block text-sm font-medium text-gray-300 mb-2">
+              Pine IDs
+            </label>
+            <textarea
+              id="pineIds"
+              name="pineIds"
+              rows={3}
+              value={form.pineIds}
+              onChange={handleInputChange}
+              placeholder="PUB;ebd861d70a9f478bb06fe60c5d8f469c"
+              className="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-3 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
+            />
+          </div>
+        </div>
+
+        <div className="flex space-x-3">
+          <input
+            type="text"
+            name="duration"
+            value={form.duration}
+            onChange={handleInputChange}
+            placeholder="30D"
+            className="w-32 bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500"
+          />
+          <button
+            onClick={handleStart}
+            disabled={isRunning}
+            className="flex-1 bg-green-600 hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed px-6 py-2 rounded-lg font-medium transition-colors"
+          >
+            {isRunning ? '⏳ Procesando...' : '➕ Conceder Acceso'}
+          </button>
+        </div>
+
+        {job.status !== 'idle' && (
+          <div className="space-y-3">
+            <div className="flex justify-between text-sm text-gray-300">
+              <span>Job: {job.id || '...'} ({job.status})</span>
+              <span>
+                {job.progress ? `${job.progress.processed}/${job.progress.total}` : '0/0'} · {percent}%
+              </span>
+            </div>
+
+            <div className="w-full bg-gray-700 rounded-full h-4 overflow-hidden">
+              <div
+                className={`h-4 transition-all duration-500 ${job.status === 'failed' ? 'bg-red-600' : 'bg-green-500'}`}
+                style={{ width: `${percent}%` }}
+              ></div>
+            </div>
+
+            {job.progress && (
+              <div className="grid grid-cols-3 gap-3 text-sm">
+                <div className="bg-gray-700 p-3 rounded">
+                  <p className="text-gray-400">Exitosos</p>
+                  <p className="font-semibold text-green-300">{job.progress.success}</p>
+                </div>
+                <div className="bg-gray-700 p-3 rounded">
+                  <p className="text-gray-400">Errores</p>
+                  <p className="font-semibold text-red-300">{job.progress.errors}</p>
+                </div>
+                <div className="bg-gray-700 p-3 rounded">
+                  <p className="text-gray-400">Resultados</p>
+                  <p className="font-semibold">{job.results.length}</p>
+                </div>
+              </div>
+            )}
+
+            {job.circuitOpen && (
+              <div className="bg-yellow-900 border border-yellow-600 rounded-lg p-3 text-yellow-300 text-sm">
+                ⚠️ Circuit breaker abierto: TradingView está limitando requests, el job continuará automáticamente.
+              </div>
+            )}
+
+            {job.status === 'completed' && job.result && (
+              <div className="bg-green-900 border border-green-600 rounded-lg p-3 text-green-300 text-sm">
+                ✅ Completado: {job.result.success}/{job.result.total} ({job.result.successRate}%) en {job.result.duration}ms
+              </div>
+            )}
+
+            {job.error && (
+              <div className="bg-red-900 border border-red-600 rounded-lg p-3 text-red-300 text-sm">
+                ❌ {job.error}
+              </div>
+            )}
+
+            {failedResults.length > 0 && (
+              <ul className="text-xs text-red-300 space-y-1 max-h-32 overflow-y-auto">
+                {failedResults.map(result => (
+                  <li key={`${result.username}-${result.pine_id}`}>
+                    {result.username} · {result.pine_id}{result.error ? ` · ${result.error}` : ''}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BulkProgress;
@@ -0,0 +1,144 @@
+import { useState } from 'react';
+import { apiService } from '../services/api';
+
+const formatAge = (seconds) => {
+  if (seconds === null || seconds === undefined) return '-';
+  if (seconds < 3600) return `${Math.floor(seconds / 60)} min`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)} h`;
+  return `${Math.floor(seconds / 86400)} días`;
+};
+
+const SessionImport = () => {
+  const [form, setForm] = useState({
+    sessionid: '',
+    accountId: ''
+  });
+  const [isImporting, setIsImporting] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const importSession = async () => {
+    if (!form.sessionid.trim()) return;
+
+    setIsImporting(true);
+    setResult(null);
+
+    try {
+      const response = await apiService.importTradingViewSession(
+        form.sessionid.trim(),
+        form.accountId.trim()
+      );
+
+      if (response.success) {
+        setForm(prev => ({ ...prev, sessionid: '' }));
+        setResult({
+          success: true,
+          message: response.data.message,
+          session: response.data.session
+        });
+      } else {
+        setResult({
+          success: false,
+          message: response.error || 'No se pudo importar la sesión'
+        });
+      }
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 shadow-xl">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-semibold">🍪 Importar Sesión</h2>
+        <div className="text-sm text-gray-400">
+          Alternativa cuando TradingView pide CAPTCHA
+        </div>
+      </div>
+
+      <div className="space-y-4">
+        <p className="text-sm text-gray-400">
+          Inicia sesión en tradingview.com desde el navegador y copia el valor de la cookie
+          <code className="mx-1 text-gray-300">sessionid</code>
+          (DevTools → Application → Cookies). El servidor la valida antes de usarla.
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="md:col-span-2">
+            <label htmlFor="sessionid" className="block text-sm font-medium text-gray-300 mb-2">
+              Cookie sessionid
+            </label>
+            <input
+              type="password"
+              id="sessionid"
+              name="sessionid"
+              value={form.sessionid}
+              onChange={handleInputChange}
+              placeholder="abc123... o sessionid=abc123..."
+              autoComplete="off"
+              className="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-3 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
+            />
+          </div>
+          <div>
+            <label htmlFor="accountId" className="block text-sm font-medium text-gray-300 mb-2">
+              Cuenta
+            </label>
+            <input
+              type="text"
+              id="accountId"
+              name="accountId"
+              value={form.accountId}
+              onChange={handleInputChange}
+              placeholder="default"
+              className="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-3 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
+            />
+          </div>
+        </div>
+
+        <button
+          onClick={importSession}
+          disabled={isImporting || !form.sessionid.trim()}
+          className="w-full bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed px-6 py-3 rounded-lg font-medium transition-colors"
+        >
+          {isImporting ? 'Validando sesión...' : '🔌 Validar e Importar'}
+        </button>
+
+        {result && (
+          <div className={`rounded-lg p-4 border ${
+            result.success
+              ? 'bg-green-900 border-green-600'
+              : 'bg-red-900 border-red-600'
+          }`}>
+            <p className={result.success ? 'text-green-300' : 'text-red-300'}>
+              {result.success ? '✅' : '❌'} {result.message}
+            </p>
+
+            {result.success && result.session && (
+              <div className="mt-3 grid grid-cols-2 gap-2 text-sm">
+                <div className="bg-gray-800 p-2 rounded">
+                  <p className="text-gray-400">Antigüedad</p>
+                  <p className="font-semibold text-green-300">{formatAge(result.session.ageSeconds)}</p>
+                </div>
+                <div className="bg-gray-800 p-2 rounded">
+                  <p className="text-gray-400">Última validación</p>
+                  <p className="font-semibold text-green-300">
+                    {result.session.lastValidatedAt ? new Date(result.session.lastValidatedAt).toLocaleString() : '-'}
+                  </p>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SessionImport;
@@ -4,7 +4,8 @@ import { apiService } from '../services/api';
 const TradingViewConnection = ({ onCredentialsSave }) => {
   const [credentials, setCredentials] = useState({
     username: '',
-    password: ''
+    password: '',
+    totpSecret: ''
   });
   const [isTestingConnection, setIsTestingConnection] = useState(false);
   const [connectionResult, setConnectionResult] = useState(null);
@@ -33,7 +34,8 @@ const TradingViewConnection = ({ onCredentialsSave }) => {
     try {
       const result = await apiService.testTradingViewCredentials(
         credentials.username, 
-        credentials.password
+        credentials.password,
+        credentials.totpSecret.trim()
       );
       
       if (result.success) {
@@ -64,7 +66,8 @@ const TradingViewConnection = ({ onCredentialsSave }) => {
     try {
       const result = await apiService.saveTradingViewCredentials(
         credentials.username,
-        credentials.password
+        credentials.password,
+        credentials.totpSecret.trim()
       );
 
       if (result.success) {
@@ -140,6 +143,23 @@ const TradingViewConnection = ({ onCredentialsSave }) => {
           </div>
         </div>
 
+        {/* TOTP Secret Input (2FA) */}
+        <div>
+          <label htmlFor="totpSecret" className="block text-sm font-medium text-gray-300 mb-2">
+            Secreto 2FA (TOTP) <span className="text-gray-500">- solo si la cuenta tiene 2FA</span>
+          </label>
+          <input
+            type={showPassword ? "text" : "password"}
+            id="totpSecret"
+            name="totpSecret"
+            value={credentials.totpSecret}
+            onChange={handleInputChange}
+            placeholder="JBSWY3DPEHPK3PXP"
+            autoComplete="off"
+            className="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-3 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent"
+          />
+        </div>
+
         {/* Test Connection Button */}
         <div className="flex space-x-3">
           <button
@@ -1,5 +1,5 @@
 // Custom hook para manejar llamadas a la API
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { apiService } from '../services/api';
 
 // Hook para verificar el estado de la API
@@ -96,3 +96,70 @@ export function useSystemMetrics() {
 
   return metrics;
 }
+
+// Hook para operaciones masivas con progreso en vivo (SSE)
+export function useBulkJob() {
+  const [job, setJob] = useState({
+    id: null,
+    status: 'idle',
+    progress: null,
+    results: [],
+    result: null,
+    circuitOpen: false,
+    error: null
+  });
+  const cancelStream = useRef(null);
+
+  useEffect(() => () => cancelStream.current?.(), []);
+
+  const handleEvent = (event, data) => {
+    switch (event) {
+      case 'snapshot':
+        setJob(prev => ({ ...prev, status: data.status, progress: data.progress }));
+        break;
+      case 'status':
+        setJob(prev => ({ ...prev, status: data.status }));
+        break;
+      case 'progress':
+        setJob(prev => ({ ...prev, progress: data }));
+        break;
+      case 'result':
+        setJob(prev => ({ ...prev, results: [...prev.results, data] }));
+        break;
+      case 'circuit_open':
+        setJob(prev => ({ ...prev, circuitOpen: true }));
+        break;
+      case 'circuit_closed':
+        setJob(prev => ({ ...prev, circuitOpen: false }));
+        break;
+      case 'completed':
+        setJob(prev => ({ ...prev, status: 'completed', progress: data.progress, result: data.result }));
+        break;
+      case 'failed':
+        setJob(prev => ({ ...prev, status: 'failed', progress: data.progress, error: data.error?.message }));
+        break;
+      case 'error':
+        setJob(prev => ({ ...prev, status: 'failed', error: data.message }));
+        break;
+      default:
+        break;
+    }
+  };
+
+  const startBulkGrant = async (users, pineIds, duration) => {
+    cancelStream.current?.();
+    setJob({ id: null, status: 'starting', progress: null, results: [], result: null, circuitOpen: false, error: null });
+
+    const response = await apiService.startBulkGrant(users, pineIds, duration);
+
+    if (!response.success) {
+      setJob(prev => ({ ...prev, status: 'failed', error: response.error }));
+      return;
+    }
+
+    setJob(prev => ({ ...prev, id: response.data.job_id, status: response.data.status }));
+    cancelStream.current = apiService.streamJobEvents(response.data.job_id, handleEvent);
+  };
+
+  return { job, startBulkGrant };
+}
@@ -1,7 +1,8 @@
 // API Service para comunicarse con el backend
 import axios from 'axios';
 
-const API_BASE_URL = 'http://localhost:5000';
+// Proxy de Vite (vite.config.js): añade X-API-Key en el servidor, el navegador nunca la ve
+const API_BASE_URL = '/backend';
 
 // Configurar axios con configuración robusta
 const api = axios.create({
@@ -12,6 +13,20 @@ const api = axios.create({
   },
 });
 
+// Parsear un bloque SSE ("event: x\ndata: {...}")
+function parseSseBlock(block) {
+  let event = 'message';
+  const dataLines = [];
+
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+  }
+
+  if (dataLines.length === 0) return null; // Heartbeat / comentario
+  return { event, data: JSON.parse(dataLines.join('\n')) };
+}
+
 // Interceptor para manejar errores
 api.interceptors.response.use(
   (response) => response,
@@ -80,11 +95,12 @@ export const apiService = {
   },
 
   // Probar credenciales de TradingView
-  async testTradingViewCredentials(username, password) {
+  async testTradingViewCredentials(username, password, totpSecret) {
     try {
       const response = await api.post('/api/config/tradingview', {
         username,
         password,
+        ...(totpSecret && { totp_secret: totpSecret }),
         testOnly: true
       });
       return {
@@ -100,11 +116,12 @@ export const apiService = {
   },
 
   // Guardar credenciales de TradingView
-  async saveTradingViewCredentials(username, password) {
+  async saveTradingViewCredentials(username, password, totpSecret) {
     try {
       const response = await api.post('/api/config/tradingview', {
         username,
         password,
+        ...(totpSecret && { totp_secret: totpSecret }),
         testOnly: false
       });
       return {
@@ -119,6 +136,88 @@ export const apiService = {
     }
   },
 
+  // Importar la cookie sessionid de un navegador (alternativa al CAPTCHA)
+  async importTradingViewSession(sessionid, accountId) {
+    try {
+      const response = await api.post('/api/config/session', {
+        sessionid,
+        ...(accountId && { account_id: accountId })
+      });
+      return {
+        success: true,
+        data: response.data
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  },
+
+  // Lanzar bulk grant en segundo plano (202 + job ID)
+  async startBulkGrant(users, pineIds, duration) {
+    try {
+      const response = await api.post('/api/access/bulk?async=true', {
+        users,
+        pine_ids: pineIds,
+        duration
+      });
+      return {
+        success: true,
+        data: response.data
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.error || error.message
+      };
+    }
+  },
+
+  // Stream SSE de progreso de un job, leído con fetch para poder cancelarlo.
+  // Devuelve función para cancelar.
+  streamJobEvents(jobId, onEvent) {
+    const controller = new AbortController();
+
+    (async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/access/bulk/${jobId}/events`, {
+          signal: controller.signal
+        });
+
+        if (!response.ok) {
+          onEvent('error', { message: `HTTP ${response.status}` });
+          return;
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+          const { value, done } = await reader.read();
+          if (done) break;
+
+          buffer += decoder.decode(value, { stream: true });
+          const blocks = buffer.split('\n\n');
+          buffer = blocks.pop();
+
+          for (const block of blocks) {
+            const parsed = parseSseBlock(block);
+            if (parsed) onEvent(parsed.event, parsed.data);
+          }
+        }
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          onEvent('error', { message: error.message });
+        }
+      }
+    })();
+
+    return () => controller.abort();
+  },
+
   // Verificar estado de credenciales TradingView
   async getTradingViewStatus() {
     try {
@@ -1,8 +1,24 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react(), tailwindcss()],
+export default defineConfig(({ mode }) => {
+  // Sin prefijo VITE_: la key queda en el proxy y nunca entra en el bundle
+  const env = loadEnv(mode, '.', '')
+
+  const backendProxy = {
+    '/backend': {
+      target: env.DASHBOARD_API_TARGET || 'http://localhost:5000',
+      changeOrigin: true,
+      rewrite: (path) => path.replace(/^\/backend/, '') || '/',
+      headers: env.DASHBOARD_API_KEY ? { 'X-API-Key': env.DASHBOARD_API_KEY } : {},
+    },
+  }
+
+  return {
+    plugins: [react(), tailwindcss()],
+    server: { proxy: backendProxy },
+    preview: { proxy: backendProxy },
+  }
 })
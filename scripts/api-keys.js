@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * API Keys Admin CLI
+ * Gestiona las API keys sin pasar por la API (p.ej. para crear la primera key config:admin)
+ * Usage: npm run keys -- list
+ *        npm run keys -- create --name <name> --scopes access:read,access:write [--ips 1.2.3.4,5.6.7.8] [--expires 2027-01-01]
+ *        npm run keys -- update <id> [--name <name>] [--scopes ...] [--ips ...|none] [--expires <date>|never]
+ *                                    [--api-limit <n>|default] [--bulk-limit <n>|default] [--tv-limit <n>|default]
+ *                                    [--quota <n>|default] (también en create; quota 0 = sin cuota)
+ *        npm run keys -- revoke <id>
+ */
+
+require('dotenv').config();
+const apiKeyService = require('../src/services/apiKeyService');
+
+const USAGE = 'Usage: npm run keys -- list | create --name <name> --scopes <a,b> [--ips <a,b>] [--expires <date>] | update <id> [...] | revoke <id>';
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i].startsWith('--')) {
+      options[rest[i].slice(2)] = rest[i + 1];
+      i++;
+    } else {
+      positional.push(rest[i]);
+    }
+  }
+
+  return { command, id: positional[0], options };
+}
+
+// Opciones de la línea de comandos -> campos de la key (solo los presentes)
+function toInput(options) {
+  const list = value => value.split(',').map(item => item.trim()).filter(Boolean);
+  const count = value => (value === 'default' ? null : Number(value));
+  const limitOptions = { api: 'api-limit', bulk: 'bulk-limit', tradingview: 'tv-limit' };
+  const limits = Object.fromEntries(Object.entries(limitOptions)
+    .filter(([, option]) => options[option] !== undefined)
+    .map(([name, option]) => [name, count(options[option])]));
+
+  return {
+    ...(options.name !== undefined && { name: options.name }),
+    ...(options.scopes !== undefined && { scopes: list(options.scopes) }),
+    ...(options.ips !== undefined && { allowed_ips: options.ips === 'none' ? [] : list(options.ips) }),
+    ...(options.expires !== undefined && { expires_at: options.expires === 'never' ? null : options.expires }),
+    ...(Object.keys(limits).length > 0 && { limits }),
+    ...(options.quota !== undefined && { daily_quota: count(options.quota) })
+  };
+}
+
+function printKey(key) {
+  const expiry = key.expires_at ? `${key.expires_at}${key.expired ? ' (EXPIRED)' : ''}` : 'never';
+  console.log(`${key.id}  ${key.prefix}…  ${key.name}`);
+  console.log(`   scopes: ${key.scopes.join(', ')}`);
+  console.log(`   ips: ${key.allowed_ips.length > 0 ? key.allowed_ips.join(', ') : 'any'}  expires: ${expiry}  last used: ${key.last_used_at || 'never'}`);
+
+  const limits = apiKeyService.resolveLimits(key);
+  console.log(`   limits: api ${limits.api}/window, bulk ${limits.bulk}/min, tradingview ${limits.tradingview}/min, quota ${limits.daily_quota || 'unlimited'}/day`);
+}
+
+async function main() {
+  const { command, id, options } = parseArgs(process.argv.slice(2));
+
+  switch (command) {
+    case 'list': {
+      const keys = await apiKeyService.listKeys();
+      if (keys.length === 0) {
+        console.log('No API keys (ECOMMERCE_API_KEY, if set, still works with every scope)');
+      }
+      keys.forEach(printKey);
+      break;
+    }
+
+    case 'create': {
+      const input = toInput(options);
+      const validationError = apiKeyService.validate(input);
+      if (validationError) throw new Error(validationError);
+
+      const { key, secret } = await apiKeyService.createKey(input);
+      printKey(key);
+      console.log(`\n🔑 Key: ${secret}`);
+      console.log('   Guárdala ahora: no se puede volver a mostrar');
+      break;
+    }
+
+    case 'update': {
+      if (!id) throw new Error(USAGE);
+      const input = toInput(options);
+      const validationError = apiKeyService.validate(input, true);
+      if (validationError) throw new Error(validationError);
+
+      const result = await apiKeyService.updateKey(id, input);
+      if (result.error) throw new Error(result.error);
+      printKey(result.key);
+      break;
+    }
+
+    case 'revoke': {
+      if (!id) throw new Error(USAGE);
+      if (!await apiKeyService.revokeKey(id)) throw new Error(`API key not found: ${id}`);
+      console.log(`🗑️ Key revocada: ${id}`);
+      break;
+    }
+
+    default:
+      throw new Error(USAGE);
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
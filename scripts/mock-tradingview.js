@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+
+/**
+ * TradingView Mock Server
+ * Levanta el mock local de TradingView para desarrollo offline y CI
+ * Usage: npm run mock:tv  (luego TV_BASE_URL=http://localhost:5055 npm start)
+ */
+
+require('dotenv').config();
+const { createTradingViewMock } = require('../src/mock/tradingViewMock');
+
+const port = parseInt(process.env.MOCK_TV_PORT) || 5055;
+const latency = (process.env.MOCK_TV_LATENCY_MS || '0').split('-').map(Number);
+
+const mock = createTradingViewMock({
+  latencyMs: latency.length > 1 ? latency : latency[0],
+  rateLimitRate: parseFloat(process.env.MOCK_TV_RATE_LIMIT_RATE) || 0,
+  captcha: process.env.MOCK_TV_CAPTCHA === 'true',
+  twoFactor: process.env.MOCK_TV_TWO_FACTOR === 'true',
+  totpSecret: process.env.MOCK_TV_TOTP_SECRET || null,
+  sessionTtlMs: (parseInt(process.env.MOCK_TV_SESSION_TTL_SECONDS) || 0) * 1000,
+  knownUsers: process.env.MOCK_TV_KNOWN_USERS
+    ? process.env.MOCK_TV_KNOWN_USERS.split(',').map(username => username.trim()).filter(Boolean)
+    : null
+});
+
+mock.listen(port).then(() => {
+  console.log(`🧪 TradingView mock escuchando en http://localhost:${port}`);
+  console.log(`   Apuntar la API: TV_BASE_URL=http://localhost:${port}`);
+  console.log(`   Control: GET /__mock/state, POST /__mock/config | /__mock/reset | /__mock/sessions | /__mock/sessions/expire | /__mock/rate-limit`);
+}).catch(error => {
+  console.error(`❌ No se pudo iniciar el mock: ${error.message}`);
+  process.exit(1);
+});
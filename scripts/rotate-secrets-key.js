@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+/**
+ * Rotate Secrets Master Key
+ * Re-cifra el secret store con una master key nueva
+ * Usage: npm run secrets:rotate -- --new-key <key>   (o NEW_SECRETS_MASTER_KEY=<key>)
+ *        npm run secrets:rotate -- --generate        (genera una key aleatoria)
+ * Después: actualizar SECRETS_MASTER_KEY y reiniciar todos los procesos
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const { SecretStore } = require('../src/utils/secretStore');
+const config = require('../config');
+
+function parseArgs(argv) {
+  const keyIndex = argv.indexOf('--new-key');
+
+  return {
+    newKey: keyIndex !== -1 ? argv[keyIndex + 1] : process.env.NEW_SECRETS_MASTER_KEY,
+    generate: argv.includes('--generate')
+  };
+}
+
+async function main() {
+  const { newKey, generate } = parseArgs(process.argv.slice(2));
+
+  if (!config.secrets.masterKey) {
+    throw new Error('SECRETS_MASTER_KEY (current key) is not set');
+  }
+
+  const nextKey = generate ? crypto.randomBytes(32).toString('base64') : newKey;
+  if (!nextKey) {
+    throw new Error('Pass --new-key <key>, NEW_SECRETS_MASTER_KEY or --generate');
+  }
+
+  const store = new SecretStore(config.secrets.file, config.secrets.masterKey);
+  const count = await store.rotate(nextKey);
+
+  console.log(`🔐 Secret store re-cifrado (${count} secretos): ${store.filePath}`);
+  if (generate) {
+    console.log(`   Nueva key: ${nextKey}`);
+  }
+  console.log('   Actualiza SECRETS_MASTER_KEY con la nueva key y reinicia todos los procesos');
+}
+
+main().catch(error => {
+  console.error(`❌ No se pudo rotar la key: ${error.message}`);
+  process.exit(1);
+});
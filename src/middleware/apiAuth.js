@@ -1,31 +1,56 @@
 /**
  * API Authentication Middleware
- * Protege endpoints sensibles con API key y whitelist de IPs
+ * Protege endpoints con API keys con scopes y whitelist de IPs
+ * Cada ruta declara el scope que necesita: router.get('/', requireScope('metrics:read'), ...)
  */
 
 const { logger } = require('../utils/logger');
+const apiKeyService = require('../services/apiKeyService');
 
-const apiAuth = (req, res, next) => {
+const requireScope = (scope) => async (req, res, next) => {
   const apiKey = req.headers['x-api-key'];
   const clientIP = req.ip || req.connection.remoteAddress;
-  
+
+  let result;
+  try {
+    result = await apiKeyService.authenticate(apiKey, clientIP);
+  } catch (error) {
+    logger.error({ error: error.message, url: req.url }, 'API key lookup failed');
+    return res.status(500).json({
+      errorMessage: 'API key lookup failed',
+      details: error.message
+    });
+  }
+
   // Verificar API key
-  if (!apiKey || apiKey !== process.env.ECOMMERCE_API_KEY) {
+  if (result.error) {
     logger.warn({
       ip: clientIP,
       apiKey: apiKey ? '***REDACTED***' : 'MISSING',
+      keyId: result.keyId,
+      reason: result.reason,
       url: req.url,
       method: req.method
     }, 'Unauthorized API access attempt');
-    
-    return res.status(401).json({ 
-      error: 'Invalid API key',
+
+    if (result.status === 403) {
+      return res.status(403).json({
+        error: result.error,
+        ip: clientIP,
+        message: 'Your IP address is not authorized to use this API key'
+      });
+    }
+
+    return res.status(401).json({
+      error: result.error,
       message: 'Unauthorized access to TradingView API',
       hint: 'Include X-API-Key header with valid key'
     });
   }
-  
-  // Verificar IP whitelist (opcional)
+
+  const { key } = result;
+
+  // Verificar IP whitelist global (opcional)
   const allowedIPs = process.env.ALLOWED_IPS?.split(',') || [];
   if (allowedIPs.length > 0 && !allowedIPs.includes(clientIP)) {
     logger.warn({
@@ -33,22 +58,43 @@ const apiAuth = (req, res, next) => {
       allowedIPs: allowedIPs,
       url: req.url
     }, 'IP not in whitelist');
-    
+
     return res.status(403).json({
-      error: 'IP not whitelisted', 
+      error: 'IP not whitelisted',
       ip: clientIP,
       message: 'Your IP address is not authorized to access this API'
     });
   }
-  
+
+  // Verificar scope
+  if (!key.scopes.includes(scope)) {
+    logger.warn({
+      ip: clientIP,
+      keyId: key.id,
+      required: scope,
+      url: req.url,
+      method: req.method
+    }, 'API key missing required scope');
+
+    return res.status(403).json({
+      error: 'Insufficient scope',
+      required: scope,
+      scopes: key.scopes
+    });
+  }
+
+  req.apiKey = { id: key.id, name: key.name, scopes: key.scopes };
+
   // Log acceso autorizado
   logger.info({
     ip: clientIP,
+    keyId: key.id,
+    scope,
     url: req.url,
     method: req.method
   }, 'Authorized API access');
-  
+
   next();
 };
 
-module.exports = { apiAuth };
+module.exports = { requireScope };
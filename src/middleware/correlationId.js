@@ -0,0 +1,27 @@
+/**
+ * Correlation ID Middleware
+ * Cada request lleva un id de correlación: el que manda el cliente en
+ * X-Correlation-ID (p. ej. el id del pedido en el e-commerce) o uno generado.
+ * Se devuelve en la respuesta y viaja en los webhooks access.* que origina.
+ */
+
+const crypto = require('crypto');
+
+const CORRELATION_HEADER = 'X-Correlation-ID';
+const VALID_CORRELATION_ID = /^[\w.:-]{1,128}$/;
+
+function correlationId(req, res, next) {
+  const provided = req.get(CORRELATION_HEADER);
+
+  req.correlationId = provided && VALID_CORRELATION_ID.test(provided)
+    ? provided
+    : crypto.randomUUID();
+  res.set(CORRELATION_HEADER, req.correlationId);
+
+  next();
+}
+
+module.exports = {
+  CORRELATION_HEADER,
+  correlationId
+};
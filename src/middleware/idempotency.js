@@ -0,0 +1,166 @@
+/**
+ * Idempotency Middleware
+ * Soporte de header Idempotency-Key: la primera respuesta se guarda y se
+ * repite ante reintentos (p. ej. webhooks reenviados por el e-commerce), así
+ * un grant duplicado no extiende el acceso dos veces. El store es un archivo
+ * compartido, por lo que funciona entre los workers de src/cluster.js.
+ */
+
+const crypto = require('crypto');
+const config = require('../../config');
+const JsonFileStore = require('../utils/jsonFileStore');
+const { logger } = require('../utils/logger');
+
+const MAX_KEY_LENGTH = 255;
+
+const store = new JsonFileStore(config.idempotency.file, {
+  defaults: { keys: {} }
+});
+
+// JSON con claves ordenadas: el mismo body con otro orden genera el mismo hash
+function canonicalize(value) {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonicalize(value[key])]));
+  }
+  return value;
+}
+
+function fingerprint(req) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(canonicalize({ query: req.query, body: req.body })))
+    .digest('hex');
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+function pruneKeys(keys) {
+  const cutoff = Date.now() - config.idempotency.retentionHours * 60 * 60 * 1000;
+
+  return Object.fromEntries(Object.entries(keys).filter(([, record]) =>
+    new Date(record.created_at).getTime() >= cutoff
+  ));
+}
+
+/**
+ * Claim the key for this request or return the stored record
+ * @returns {object} { action: 'proceed' | 'replay' | 'conflict' | 'in_progress', record }
+ */
+function claimKey(storeKey, requestHash) {
+  return store.update((data) => {
+    data.keys = pruneKeys(data.keys);
+    const record = data.keys[storeKey];
+
+    if (record) {
+      if (record.fingerprint !== requestHash) return { action: 'conflict', record };
+      if (record.status === 'completed') return { action: 'replay', record };
+
+      // Si el worker que la tomó murió a mitad de la petición, se permite reintentar
+      if (record.pid === process.pid || isProcessAlive(record.pid)) return { action: 'in_progress', record };
+    }
+
+    data.keys[storeKey] = {
+      fingerprint: requestHash,
+      status: 'in_progress',
+      pid: process.pid,
+      created_at: new Date().toISOString()
+    };
+    return { action: 'proceed' };
+  });
+}
+
+function saveResponse(storeKey, statusCode, body) {
+  return store.update((data) => {
+    const record = data.keys[storeKey];
+    if (!record) return;
+
+    // Errores del servidor y límites/cuotas (429) no se guardan: el cliente puede reintentar con la misma key
+    if (statusCode >= 500 || statusCode === 429) {
+      delete data.keys[storeKey];
+      return;
+    }
+
+    data.keys[storeKey] = {
+      ...record,
+      status: 'completed',
+      status_code: statusCode,
+      response: body,
+      completed_at: new Date().toISOString()
+    };
+  });
+}
+
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  // Por API key: dos tiendas pueden usar el mismo número de orden como Idempotency-Key
+  const clientId = req.apiKey?.id || 'anonymous';
+  const storeKey = `${clientId}::${req.method} ${req.baseUrl}${req.path}::${key}`;
+
+  let claim;
+  try {
+    claim = await claimKey(storeKey, fingerprint(req));
+  } catch (error) {
+    logger.error({ error: error.message, url: req.originalUrl }, 'Idempotency store unavailable');
+
+    return res.status(503).json({
+      error: 'Idempotency store unavailable, retry later',
+      details: error.message
+    });
+  }
+
+  if (claim.action === 'conflict') {
+    logger.warn({ idempotencyKey: key, url: req.originalUrl }, 'Idempotency key reused with a different request');
+
+    return res.status(422).json({
+      error: 'Idempotency-Key already used with a different request body',
+      idempotency_key: key
+    });
+  }
+
+  if (claim.action === 'in_progress') {
+    return res.status(409).json({
+      error: 'A request with this Idempotency-Key is still being processed',
+      idempotency_key: key
+    });
+  }
+
+  if (claim.action === 'replay') {
+    logger.info({ idempotencyKey: key, url: req.originalUrl }, 'Replaying idempotent response');
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(claim.record.status_code).json(claim.record.response);
+  }
+
+  // Guardar la respuesta antes de enviarla, así un duplicado nunca la pierde.
+  // Si el cliente corta la conexión la key sigue tomada: su reintento no debe
+  // ejecutar un segundo grant mientras el primero sigue en curso.
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    saveResponse(storeKey, res.statusCode, body)
+      .catch(error => {
+        logger.error({ error: error.message, idempotencyKey: key }, 'Failed to store idempotent response');
+      })
+      .finally(() => originalJson(body));
+    return res;
+  };
+
+  next();
+};
+
+module.exports = { idempotency };
@@ -1,87 +1,187 @@
 /**
  * Rate Limiting Middleware
  * Prevents abuse and manages TradingView API limits
+ * Los límites son por API key (cada key puede tener los suyos, ver apiKeyService);
+ * las peticiones sin key válida comparten el límite de su IP. Los contadores
+ * se guardan en un archivo compartido por los workers de src/cluster.js.
  */
 
 const rateLimit = require('express-rate-limit');
 const { apiLogger } = require('../utils/logger');
+const SharedRateLimitStore = require('../utils/rateLimitStore');
+const apiKeyService = require('../services/apiKeyService');
+const quotaService = require('../services/quotaService');
 const config = require('../../config');
 
+/**
+ * Client a request counts against, resolved once per request
+ * @returns {Promise<object>} { id: "key:<id>" | "ip:<address>", keyId, limits }
+ */
+function resolveClient(req) {
+  if (!req.rateLimitClient) {
+    req.rateLimitClient = apiKeyService.lookup(req.headers['x-api-key'])
+      .catch((error) => {
+        apiLogger.warn({ error: error.message }, 'API key lookup failed, rate limiting by IP');
+        return null;
+      })
+      .then((key) => {
+        // Una key vencida no tiene límite propio: requireScope la rechaza igualmente
+        const usable = key && !(key.expires_at && Date.parse(key.expires_at) <= Date.now());
+
+        return usable
+          ? { id: `key:${key.id}`, keyId: key.id, limits: apiKeyService.resolveLimits(key) }
+          : { id: `ip:${req.ip}`, keyId: null, limits: apiKeyService.resolveLimits() };
+      });
+  }
+  return req.rateLimitClient;
+}
+
+/**
+ * Limiter keyed by client with a per-client limit
+ * @param {string} name - limit name in apiKeyService.LIMITS, also the counter prefix
+ */
+function createLimiter(name, { windowMs, message, logMessage }) {
+  return rateLimit({
+    windowMs,
+    limit: async (req) => (await resolveClient(req)).limits[name],
+    keyGenerator: async (req) => (await resolveClient(req)).id,
+    store: new SharedRateLimitStore(config.rateLimit.file, name),
+    passOnStoreError: true,
+    message,
+    standardHeaders: true,
+    legacyHeaders: true, // X-RateLimit-Limit / X-RateLimit-Remaining / X-RateLimit-Reset
+    handler: async (req, res) => {
+      const client = await resolveClient(req);
+
+      apiLogger.warn({
+        ip: req.ip,
+        keyId: client.keyId,
+        limit: client.limits[name],
+        url: req.url,
+        method: req.method,
+        userAgent: req.get('User-Agent')
+      }, logMessage);
+
+      res.status(429).json(message);
+    }
+  });
+}
+
 // General API rate limiting
-const apiLimiter = rateLimit({
+const apiLimiter = createLimiter('api', {
   windowMs: config.rateLimit.windowMs,
-  max: config.rateLimit.maxRequests,
   message: {
-    error: 'Too many requests from this IP, please try again later.',
+    error: 'Too many requests for this API key or IP, please try again later.',
     retryAfter: Math.ceil(config.rateLimit.windowMs / 1000)
   },
-  standardHeaders: true,
-  legacyHeaders: false,
-  handler: (req, res) => {
-    apiLogger.warn({
-      ip: req.ip,
-      url: req.url,
-      method: req.method
-    }, 'Rate limit exceeded');
-
-    res.status(429).json({
-      error: 'Too many requests from this IP, please try again later.',
-      retryAfter: Math.ceil(config.rateLimit.windowMs / 1000)
-    });
-  }
+  logMessage: 'Rate limit exceeded'
 });
 
 // Stricter rate limiting for bulk operations
-const bulkLimiter = rateLimit({
+const bulkLimiter = createLimiter('bulk', {
   windowMs: 60 * 1000, // 1 minute
-  max: 5, // 5 bulk operations per minute
   message: {
     error: 'Bulk operation rate limit exceeded. Please wait before making another bulk request.',
     retryAfter: 60
   },
-  standardHeaders: true,
-  legacyHeaders: false,
-  handler: (req, res) => {
-    apiLogger.warn({
-      ip: req.ip,
-      url: req.url,
-      method: req.method,
-      userAgent: req.get('User-Agent')
-    }, 'Bulk rate limit exceeded');
-
-    res.status(429).json({
-      error: 'Bulk operation rate limit exceeded. Please wait before making another bulk request.',
-      retryAfter: 60
-    });
-  }
+  logMessage: 'Bulk rate limit exceeded'
 });
 
 // TradingView API specific rate limiting
-const tradingViewLimiter = rateLimit({
+const tradingViewLimiter = createLimiter('tradingview', {
   windowMs: 60 * 1000, // 1 minute
-  max: 30, // 30 requests per minute to TradingView
   message: {
     error: 'TradingView API rate limit reached. Please slow down your requests.',
     retryAfter: 60
   },
-  standardHeaders: true,
-  legacyHeaders: false,
-  handler: (req, res) => {
+  logMessage: 'TradingView API rate limit exceeded'
+});
+
+/**
+ * Daily quota of user×pine_id operations (config.rateLimit.dailyOperationsQuota
+ * or the key's daily_quota). Operations are given back if the request fails (4xx/5xx).
+ * @param {Function} countOperations - req => number of operations the request performs
+ */
+const operationQuota = (countOperations) => async (req, res, next) => {
+  const operations = countOperations(req);
+  if (!operations) return next();
+
+  const client = await resolveClient(req);
+  const limit = client.limits.daily_quota;
+  if (!limit) return next();
+
+  let quota;
+  try {
+    quota = await quotaService.reserve(client.id, operations, limit);
+  } catch (error) {
+    // Igual que los limiters (passOnStoreError): sin store no se bloquea el servicio
+    apiLogger.error({ error: error.message, client: client.id }, 'Quota store unavailable, request not counted');
+    return next();
+  }
+
+  res.set({
+    'X-Quota-Limit': String(limit),
+    'X-Quota-Remaining': String(quota.remaining),
+    'X-Quota-Reset': String(Math.ceil(quota.resetAt.getTime() / 1000))
+  });
+
+  if (!quota.allowed) {
     apiLogger.warn({
       ip: req.ip,
-      url: req.url,
-      method: req.method
-    }, 'TradingView API rate limit exceeded');
+      keyId: client.keyId,
+      operations,
+      used: quota.used,
+      limit,
+      url: req.url
+    }, 'Daily operation quota exceeded');
 
-    res.status(429).json({
-      error: 'TradingView API rate limit reached. Please slow down your requests.',
-      retryAfter: 60
+    return res.status(429).json({
+      error: 'Daily operation quota exceeded',
+      operations,
+      used: quota.used,
+      limit,
+      reset_at: quota.resetAt.toISOString()
     });
   }
-});
+
+  res.on('finish', () => {
+    if (res.statusCode < 400) return;
+
+    quotaService.release(client.id, operations).catch((error) => {
+      apiLogger.warn({ error: error.message, client: client.id }, 'Could not release quota operations');
+    });
+  });
+
+  next();
+};
+
+/**
+ * Reserve operations that are only known while the request runs (e.g. the
+ * extra users a reconcile diff finds). Store errors let them through like operationQuota
+ * @returns {Promise<boolean>} whether they fit in the client's daily quota
+ */
+async function reserveQuota(req, operations) {
+  const client = await resolveClient(req);
+  const limit = client.limits.daily_quota;
+  if (!operations || !limit) return true;
+
+  try {
+    const quota = await quotaService.reserve(client.id, operations, limit);
+    if (!quota.allowed) {
+      apiLogger.warn({ keyId: client.keyId, operations, used: quota.used, limit, url: req.url }, 'Daily operation quota exceeded');
+    }
+    return quota.allowed;
+  } catch (error) {
+    apiLogger.error({ error: error.message, client: client.id }, 'Quota store unavailable, request not counted');
+    return true;
+  }
+}
 
 module.exports = {
   apiLimiter,
   bulkLimiter,
-  tradingViewLimiter
+  tradingViewLimiter,
+  operationQuota,
+  reserveQuota,
+  resolveClient
 };
@@ -0,0 +1,369 @@
+/**
+ * TradingView Mock Server
+ * Implementación local de los endpoints de config/urls.js para desarrollo
+ * offline y CI. Guarda los usuarios por script en memoria y permite simular
+ * latencia, 429, CAPTCHA, 2FA (TOTP) y expiración de sesión.
+ *
+ * Uso: TV_BASE_URL=http://localhost:5055 apunta todo el stack a este servidor
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { verifyTotp } = require('../utils/totp');
+
+const DEFAULT_OPTIONS = {
+  latencyMs: 0,            // número fijo o [min, max]
+  rateLimitRate: 0,        // probabilidad (0-1) de responder 429
+  captcha: false,          // signin responde recaptcha_required
+  twoFactor: false,        // signin responde 2FA_required (true o lista de usernames)
+  totpSecret: null,        // secreto base32 del segundo paso; null acepta cualquier código de 6 dígitos
+  sessionTtlMs: 0,         // 0 = las sesiones no expiran
+  credentials: null,       // { username, password } o lista; null acepta cualquiera
+  scriptOwners: {},        // { pineId: username } solo esa cuenta puede gestionar el script
+  knownUsers: null,        // usernames para username_hint y pine_perm/add; null acepta cualquiera
+  pageSize: 100            // límite por defecto de list_users
+};
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,}$/;
+
+/**
+ * Parse multipart/form-data bodies (form-data package) into plain fields
+ * Only text fields are supported, which is all TradingView endpoints receive
+ */
+function parseMultipart(buffer, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+  if (!match) return {};
+
+  const boundary = `--${match[1] || match[2]}`;
+  const fields = {};
+
+  for (const part of buffer.toString('utf8').split(boundary)) {
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd === -1) continue;
+
+    const name = /name="([^"]+)"/i.exec(part.slice(0, headerEnd));
+    if (!name) continue;
+
+    fields[name[1]] = part.slice(headerEnd + 4).replace(/\r\n$/, '');
+  }
+
+  return fields;
+}
+
+function parseCookies(header = '') {
+  return Object.fromEntries(header.split(';')
+    .map(cookie => cookie.trim().split('='))
+    .filter(([name]) => name)
+    .map(([name, ...value]) => [name, value.join('=')]));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a mock TradingView server
+ * @param {object} options - see DEFAULT_OPTIONS; `scripts` seeds users per pine ID:
+ *   { 'PUB;abc': [{ username, expiration }] } (expiration null = lifetime)
+ * @returns {object} { app, options, state, reset, createSession, expireSessions, forceRateLimit, listen }
+ */
+function createTradingViewMock(initialOptions = {}) {
+  const { scripts: seed = {}, ...rest } = initialOptions;
+  const options = { ...DEFAULT_OPTIONS, ...rest };
+
+  const state = {
+    sessions: new Map(),   // sessionId -> { username, createdAt }
+    twoFactor: new Map(),  // sessionId pendiente del segundo paso -> username
+    scripts: new Map(),    // pineId -> Map(usernameLower -> { username, expiration, created })
+    forcedRateLimits: 0,
+    requests: 0
+  };
+
+  function reset() {
+    state.sessions.clear();
+    state.twoFactor.clear();
+    state.scripts.clear();
+    state.forcedRateLimits = 0;
+    state.requests = 0;
+
+    for (const [pineId, users] of Object.entries(seed)) {
+      for (const user of users) {
+        setUser(pineId, user.username, user.expiration ?? null);
+      }
+    }
+  }
+
+  function getScript(pineId) {
+    if (!state.scripts.has(pineId)) state.scripts.set(pineId, new Map());
+    return state.scripts.get(pineId);
+  }
+
+  function setUser(pineId, username, expiration) {
+    const users = getScript(pineId);
+    const existing = users.get(username.toLowerCase());
+
+    users.set(username.toLowerCase(), {
+      username: existing ? existing.username : username,
+      expiration: expiration || null,
+      created: existing ? existing.created : new Date().toISOString()
+    });
+  }
+
+  function isSessionValid(sessionId) {
+    const session = sessionId && state.sessions.get(sessionId);
+    if (!session) return false;
+    return !options.sessionTtlMs || Date.now() - session.createdAt < options.sessionTtlMs;
+  }
+
+  // Sesión ya autenticada, como la cookie de un navegador con la sesión iniciada
+  function createSession(username) {
+    const sessionId = crypto.randomBytes(16).toString('hex');
+    state.sessions.set(sessionId, { username, createdAt: Date.now() });
+    return sessionId;
+  }
+
+  function expireSessions() {
+    state.sessions.clear();
+  }
+
+  function forceRateLimit(count = 1) {
+    state.forcedRateLimits += count;
+  }
+
+  const app = express();
+
+  // Control del mock (no simula TradingView, no pasa por latencia ni 429)
+  app.get('/__mock/state', (req, res) => {
+    res.json({
+      options,
+      sessions: state.sessions.size,
+      requests: state.requests,
+      scripts: Object.fromEntries([...state.scripts].map(([pineId, users]) => [pineId, [...users.values()]]))
+    });
+  });
+
+  app.post('/__mock/config', express.json(), (req, res) => {
+    Object.assign(options, req.body);
+    res.json({ options });
+  });
+
+  app.post('/__mock/reset', (req, res) => {
+    reset();
+    res.json({ reset: true });
+  });
+
+  // Cookie lista para probar POST /api/config/session sin navegador
+  app.post('/__mock/sessions', express.json(), (req, res) => {
+    const username = req.body?.username || 'mockuser';
+    res.json({ sessionid: createSession(username), username });
+  });
+
+  app.post('/__mock/sessions/expire', (req, res) => {
+    expireSessions();
+    res.json({ expired: true });
+  });
+
+  app.post('/__mock/rate-limit', express.json(), (req, res) => {
+    forceRateLimit(parseInt(req.body?.count) || 1);
+    res.json({ forcedRateLimits: state.forcedRateLimits });
+  });
+
+  app.use(async (req, res, next) => {
+    state.requests++;
+
+    const latency = Array.isArray(options.latencyMs)
+      ? options.latencyMs[0] + Math.random() * (options.latencyMs[1] - options.latencyMs[0])
+      : options.latencyMs;
+    if (latency > 0) await sleep(latency);
+
+    if (state.forcedRateLimits > 0 || Math.random() < options.rateLimitRate) {
+      state.forcedRateLimits = Math.max(0, state.forcedRateLimits - 1);
+      res.set('Retry-After', '1');
+      return res.status(429).json({ detail: 'Request was throttled.' });
+    }
+
+    next();
+  });
+
+  app.use(express.urlencoded({ extended: false }));
+  app.use(express.json());
+  app.use(express.raw({ type: 'multipart/form-data' }));
+  app.use((req, res, next) => {
+    if (Buffer.isBuffer(req.body)) {
+      req.body = parseMultipart(req.body, req.get('content-type'));
+    }
+    next();
+  });
+
+  const requireSession = (req, res, next) => {
+    const { sessionid } = parseCookies(req.get('cookie'));
+    if (!isSessionValid(sessionid)) {
+      return res.status(401).json({ detail: 'Authentication credentials were not provided.' });
+    }
+
+    const owner = options.scriptOwners[req.body?.pine_id];
+    if (owner && owner !== state.sessions.get(sessionid).username) {
+      return res.status(403).json({ detail: 'You do not have permission to perform this action.' });
+    }
+    next();
+  };
+
+  app.post('/accounts/signin/', (req, res) => {
+    const { username, password } = req.body || {};
+
+    if (options.captcha) {
+      return res.json({
+        error: 'Please confirm that you are not a robot by clicking the captcha box.',
+        code: 'recaptcha_required'
+      });
+    }
+
+    const credentials = options.credentials && [].concat(options.credentials);
+    const credentialsOk = !!username && !!password &&
+      (!credentials || credentials.some(account => account.username === username && account.password === password));
+
+    if (credentialsOk && (options.twoFactor === true ||
+        (Array.isArray(options.twoFactor) && options.twoFactor.includes(username)))) {
+      // Cookie sin autenticar: solo sirve para el segundo paso
+      const pendingId = crypto.randomBytes(16).toString('hex');
+      state.twoFactor.set(pendingId, username);
+
+      res.cookie('sessionid', pendingId, { path: '/', httpOnly: true });
+      return res.json({ error: '', code: '2FA_required', two_factor_types: [{ name: 'totp' }] });
+    }
+
+    if (!credentialsOk) {
+      return res.json({ error: 'Invalid username or password', code: 'invalid_credentials' });
+    }
+
+    signInAs(res, username);
+  });
+
+  app.post('/accounts/two-factor/signin/totp/', (req, res) => {
+    const { sessionid } = parseCookies(req.get('cookie'));
+    const username = state.twoFactor.get(sessionid);
+    if (!username) {
+      return res.status(400).json({ error: 'Two-factor session expired, sign in again', code: 'session_expired' });
+    }
+
+    const code = String(req.body?.code || '');
+    const codeOk = options.totpSecret ? verifyTotp(code, options.totpSecret) : /^\d{6}$/.test(code);
+    if (!codeOk) {
+      return res.json({ error: 'Invalid code', code: 'invalid_code' });
+    }
+
+    state.twoFactor.delete(sessionid);
+    signInAs(res, username);
+  });
+
+  function signInAs(res, username) {
+    const sessionId = createSession(username);
+
+    res.cookie('sessionid', sessionId, { path: '/', httpOnly: true });
+    res.json({ user: { username, is_pro: true, pro_plan: 'pro_premium' } });
+  }
+
+  app.get('/username_hint/', (req, res) => {
+    const search = String(req.query.s || '');
+
+    if (options.knownUsers) {
+      const needle = search.toLowerCase();
+      return res.json(options.knownUsers
+        .filter(username => username.toLowerCase().startsWith(needle))
+        .map(username => ({ username })));
+    }
+
+    res.json(USERNAME_PATTERN.test(search) ? [{ username: search }] : []);
+  });
+
+  app.get('/tvcoins/details/', requireSession, (req, res) => {
+    res.json({ balance: 0 });
+  });
+
+  app.post('/pine_perm/list_users/', requireSession, (req, res) => {
+    const { pine_id: pineId, username } = req.body || {};
+    if (!pineId) {
+      return res.status(400).json({ detail: 'pine_id is required' });
+    }
+
+    const limit = parseInt(req.query.limit) || options.pageSize;
+    const offset = parseInt(req.query.offset) || 0;
+    const orderBy = req.query.order_by || '-created';
+    const descending = orderBy.startsWith('-');
+    const field = orderBy.replace(/^-/, '');
+
+    const users = [...getScript(pineId).values()]
+      .filter(user => !username || user.username.toLowerCase().includes(String(username).toLowerCase()))
+      .sort((a, b) => {
+        const order = String(a[field] ?? '').localeCompare(String(b[field] ?? ''));
+        return descending ? -order : order;
+      });
+
+    const results = users.slice(offset, offset + limit);
+    const hasMore = offset + limit < users.length;
+
+    res.json({
+      count: users.length,
+      next: hasMore ? `/pine_perm/list_users/?limit=${limit}&offset=${offset + limit}&order_by=${orderBy}` : null,
+      results
+    });
+  });
+
+  app.post('/pine_perm/add/', requireSession, (req, res) => {
+    const { pine_id: pineId, username_recip: username, expiration } = req.body || {};
+    if (!pineId || !username) {
+      return res.status(400).json({ detail: 'pine_id and username_recip are required' });
+    }
+
+    if (options.knownUsers && !options.knownUsers.some(known => known.toLowerCase() === username.toLowerCase())) {
+      return res.status(422).json({ detail: 'Username does not exist' });
+    }
+
+    setUser(pineId, username, expiration);
+    res.json({ status: 'ok' });
+  });
+
+  app.post('/pine_perm/modify_user_expiration/', requireSession, (req, res) => {
+    const { pine_id: pineId, username_recip: username, expiration } = req.body || {};
+    if (!pineId || !username) {
+      return res.status(400).json({ detail: 'pine_id and username_recip are required' });
+    }
+
+    if (!getScript(pineId).has(username.toLowerCase())) {
+      return res.status(404).json({ detail: 'User has no access to this script' });
+    }
+
+    setUser(pineId, username, expiration);
+    res.json({ status: 'ok' });
+  });
+
+  app.post('/pine_perm/remove/', requireSession, (req, res) => {
+    const { pine_id: pineId, username_recip: username } = req.body || {};
+    if (!pineId || !username) {
+      return res.status(400).json({ detail: 'pine_id and username_recip are required' });
+    }
+
+    getScript(pineId).delete(username.toLowerCase());
+    res.json({ status: 'ok' });
+  });
+
+  reset();
+
+  return {
+    app,
+    options,
+    state,
+    reset,
+    createSession,
+    expireSessions,
+    forceRateLimit,
+    listen(port = 0) {
+      return new Promise((resolve, reject) => {
+        const server = app.listen(port, () => resolve(server));
+        server.on('error', reject);
+      });
+    }
+  };
+}
+
+module.exports = { createTradingViewMock };
@@ -6,24 +6,146 @@
 // Clean implementation - no debug logs
 
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 const tradingViewService = require('../services/tradingViewService');
-const { parseDuration } = require('../utils/dateHelper');
+const { DURATION_GRAMMAR, parseDuration, normalizeExpiration, isExpired } = require('../utils/dateHelper');
 const { apiLogger, bulkLogger } = require('../utils/logger');
-const { tradingViewLimiter, bulkLimiter } = require('../middleware/rateLimit');
-const { apiAuth } = require('../middleware/apiAuth');
+const { tradingViewLimiter, bulkLimiter, operationQuota } = require('../middleware/rateLimit');
+const { requireScope } = require('../middleware/apiAuth');
+const { idempotency } = require('../middleware/idempotency');
 const webhookService = require('../services/webhookService');
 const alertService = require('../services/alertService');
 const backupService = require('../services/backupService');
+const jobService = require('../services/jobService');
+
+const GRANT_MODES = ['extend', 'set', 'from_now'];
+
+// Operaciones usuario×pine_id que cuenta la cuota diaria (bodies inválidos no cuentan: acaban en 400)
+const countPineIds = req => (Array.isArray(req.body?.pine_ids) ? req.body.pine_ids.length : 0);
+const countBulkOperations = req =>
+  (Array.isArray(req.body?.users) ? req.body.users.length * countPineIds(req) : 0);
+
+/**
+ * Validate duration / mode / expiration of a grant request.
+ * mode defaults to 'set' when an expiration is given, 'extend' otherwise.
+ * Returns { error } or { mode, expiration }
+ */
+function parseGrantOptions(body, defaultMode = 'extend') {
+  const { duration, expiration } = body;
+  const mode = body.mode || (expiration ? 'set' : defaultMode);
+
+  if (!GRANT_MODES.includes(mode)) {
+    return { error: `Invalid mode: ${mode}. Use one of: ${GRANT_MODES.join(', ')}` };
+  }
+
+  if (mode === 'set') {
+    if (!expiration) {
+      return { error: 'expiration is required for mode "set" (e.g., "2027-01-31T23:59:59Z")' };
+    }
+
+    let normalized;
+    try {
+      normalized = normalizeExpiration(expiration);
+    } catch (error) {
+      return { error: `Invalid expiration: ${expiration}. Use an ISO 8601 date like "2027-01-31T23:59:59Z"` };
+    }
+
+    if (isExpired(normalized)) {
+      return { error: `expiration must be in the future: ${expiration}` };
+    }
+
+    return { mode, expiration: normalized };
+  }
+
+  if (expiration) {
+    return { error: `expiration can only be used with mode "set"` };
+  }
+
+  if (!duration) {
+    return { error: `duration is required. Use ${DURATION_GRAMMAR}` };
+  }
+
+  // Validate duration format
+  try {
+    parseDuration(duration);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  return { mode, expiration: null };
+}
+
+/**
+ * Bulk endpoints run in the background when the client asks for it
+ * with ?async=true or options.async = true
+ */
+function wantsAsync(req) {
+  return req.query.async === 'true' || req.body.options?.async === true;
+}
+
+/**
+ * Options forwarded to the service (without the async flag)
+ */
+function getServiceOptions(body) {
+  const { async: _async, ...options } = body.options || {};
+  return options;
+}
+
+/**
+ * Start a bulk job and forward circuit breaker changes to its event stream
+ */
+function startBulkJob(type, body, total, run) {
+  return jobService.startJob(type, { ...body, total }, async (hooks) => {
+    const batcher = tradingViewService.requestBatcher;
+    const onCircuitOpen = (stats) => hooks.emit('circuit_open', stats);
+    const onCircuitClose = (stats) => hooks.emit('circuit_closed', stats);
+
+    batcher.on('circuitOpen', onCircuitOpen);
+    batcher.on('circuitClose', onCircuitClose);
+
+    try {
+      return await run(hooks);
+    } finally {
+      batcher.off('circuitOpen', onCircuitOpen);
+      batcher.off('circuitClose', onCircuitClose);
+    }
+  });
+}
+
+/**
+ * Keep every per-item result of a bulk operation for its access.* webhooks
+ * while still forwarding them to the job hooks
+ */
+function collectResults(hooks) {
+  const results = [];
+  const onResult = (item) => {
+    results.push(item);
+    if (hooks.onResult) hooks.onResult(item);
+  };
+  return { results, onResult };
+}
+
+function respondWithJob(res, job) {
+  res.status(202).json({
+    job_id: job.id,
+    type: job.type,
+    status: job.status,
+    total: job.progress.total,
+    status_url: `/api/jobs/${job.id}`
+  });
+}
 
 /**
  * POST /access/replace  
- * Replace user access (remove current + add new) for plan changes
- * Solves TradingView's additive time limitation
+ * Replace user access for plan changes
+ * Solves TradingView's additive time limitation: the new access is set from
+ * today (mode "from_now", default) or to an exact date (mode "set" + expiration)
+ * in a single pass instead of removing and re-adding it
  */
-router.post('/replace', apiAuth, bulkLimiter, async (req, res) => {
+router.post('/replace', requireScope('bulk:write'), bulkLimiter, idempotency, operationQuota(countBulkOperations), async (req, res) => {
   try {
-    const { users, pine_ids, duration, options = {} } = req.body;
+    const { users, pine_ids } = req.body;
 
     if (!users || !Array.isArray(users)) {
       return res.status(400).json({
@@ -37,156 +159,32 @@ router.post('/replace', apiAuth, bulkLimiter, async (req, res) => {
       });
     }
 
-    if (!duration) {
+    const grantOptions = parseGrantOptions(req.body, 'from_now');
+    if (grantOptions.error) {
       return res.status(400).json({
-        error: 'duration is required (e.g., "7D", "1M", "1L")'
+        error: grantOptions.error
       });
     }
 
-    // Validate duration format
-    try {
-      parseDuration(duration);
-    } catch (error) {
+    if (grantOptions.mode === 'extend') {
       return res.status(400).json({
-        error: `Invalid duration format: ${duration}. Use format like "7D", "1M", "1L"`
+        error: 'replace does not support mode "extend". Use "from_now" or "set"'
       });
     }
 
-    const totalOperations = users.length * pine_ids.length;
-    const startTime = Date.now();
+    const body = { ...req.body, ...grantOptions };
 
-    bulkLogger.info({
-      usersCount: users.length,
-      pineIdsCount: pine_ids.length,
-      totalOperations,
-      duration,
-      operation: 'REPLACE'
-    }, 'Starting REPLACE operation (remove + add)');
-
-    // STEP 1: Remove current access
-    let removeResults = null;
-    let removeTime = 0;
-
-    try {
-      const removeStart = Date.now();
-      removeResults = await tradingViewService.bulkRemoveAccess(
-        users,
-        pine_ids,
-        {
-          ...options,
-          preValidateUsers: options.preValidateUsers ?? false
-        }
-      );
-      removeTime = Date.now() - removeStart;
-
-      bulkLogger.info({
-        removeSuccess: removeResults.success,
-        removeErrors: removeResults.errors,
-        removeTime,
-        operation: 'REPLACE-REMOVE'
-      }, 'REPLACE: Remove phase completed');
-    } catch (error) {
-      bulkLogger.error({
-        error: error.message,
-        phase: 'REMOVE',
-        operation: 'REPLACE'
-      }, 'REPLACE: Remove phase failed');
-      
-      return res.status(500).json({
-        success: false,
-        error: 'Replace operation failed during remove phase',
-        details: error.message,
-        phase: 'REMOVE'
-      });
-    }
-
-    // STEP 2: Add new access
-    let addResults = null;
-    let addTime = 0;
-
-    try {
-      const addStart = Date.now();
-      addResults = await tradingViewService.bulkGrantAccess(
-        users,
-        pine_ids,
-        duration,
-        {
-          ...options,
-          preValidateUsers: false // Already processed in remove
-        }
+    if (wantsAsync(req)) {
+      const job = await startBulkJob(
+        'replace',
+        body,
+        users.length * pine_ids.length,
+        (hooks) => runReplace(body, hooks, req.correlationId)
       );
-      addTime = Date.now() - addStart;
-
-      bulkLogger.info({
-        addSuccess: addResults.success,
-        addErrors: addResults.errors,
-        addTime,
-        operation: 'REPLACE-ADD'
-      }, 'REPLACE: Add phase completed');
-    } catch (error) {
-      bulkLogger.error({
-        error: error.message,
-        phase: 'ADD',
-        operation: 'REPLACE',
-        removeResults: {
-          success: removeResults.success,
-          errors: removeResults.errors
-        }
-      }, 'REPLACE: Add phase failed - users may have been removed without new access');
-      
-      return res.status(500).json({
-        success: false,
-        error: 'Replace operation failed during add phase',
-        details: error.message,
-        phase: 'ADD',
-        removeResults: {
-          success: removeResults.success,
-          errors: removeResults.errors,
-          duration: removeTime
-        }
-      });
+      return respondWithJob(res, job);
     }
 
-    // Combine results
-    const totalDuration = Date.now() - startTime;
-    const totalSuccess = Math.min(removeResults.success, addResults.success);
-    const totalErrors = Math.max(removeResults.errors, addResults.errors);
-    
-    const result = {
-      total: totalOperations,
-      success: totalSuccess,
-      errors: totalErrors,
-      duration: totalDuration,
-      successRate: Math.round((totalSuccess / totalOperations) * 100),
-      operation: 'REPLACE',
-      phases: {
-        remove: {
-          success: removeResults.success,
-          errors: removeResults.errors,
-          duration: removeTime,
-          successRate: removeResults.successRate
-        },
-        add: {
-          success: addResults.success,
-          errors: addResults.errors,
-          duration: addTime,
-          successRate: addResults.successRate
-        }
-      },
-      skippedUsers: addResults.skippedUsers || [],
-      totalUsersAttempted: users.length,
-      validUsersProcessed: addResults.validUsersProcessed
-    };
-
-    bulkLogger.info({
-      totalOperations,
-      totalSuccess,
-      totalErrors,
-      totalDuration,
-      successRate: result.successRate,
-      operation: 'REPLACE'
-    }, 'REPLACE operation completed successfully');
-
+    const result = await runReplace(body, {}, req.correlationId);
     res.json(result);
 
   } catch (error) {
@@ -206,14 +204,85 @@ router.post('/replace', apiAuth, bulkLimiter, async (req, res) => {
   }
 });
 
+/**
+ * Replace workflow: a single bulk grant with mode from_now / set.
+ * Lifetime access is downgraded by the service when a date is applied.
+ */
+async function runReplace(body, hooks = {}, correlationId = null) {
+  const { users, pine_ids, duration, mode, expiration } = body;
+  const options = getServiceOptions(body);
+  const totalOperations = users.length * pine_ids.length;
+  const operationId = crypto.randomUUID();
+  const collected = collectResults(hooks);
+
+  bulkLogger.info({
+    usersCount: users.length,
+    pineIdsCount: pine_ids.length,
+    totalOperations,
+    duration,
+    mode,
+    expiration,
+    operation: 'REPLACE'
+  }, 'Starting REPLACE operation');
+
+  const addResults = await tradingViewService.bulkGrantAccess(
+    users,
+    pine_ids,
+    duration,
+    {
+      ...options,
+      mode,
+      expiration,
+      source: 'replace',
+      operationId,
+      onProgress: hooks.onProgress,
+      onResult: collected.onResult
+    }
+  );
+
+  await webhookService.notifyAccessEvents('grant', collected.results, {
+    correlationId,
+    operationId,
+    source: 'replace',
+    batch: true
+  });
+
+  const result = {
+    operationId,
+    total: addResults.total,
+    success: addResults.success,
+    errors: addResults.errors,
+    errorsByClass: addResults.errorsByClass,
+    duration: addResults.duration,
+    successRate: addResults.successRate,
+    operation: 'REPLACE',
+    mode,
+    expiration: expiration || null,
+    skippedUsers: addResults.skippedUsers || [],
+    totalUsersAttempted: users.length,
+    validUsersProcessed: addResults.validUsersProcessed
+  };
+
+  bulkLogger.info({
+    totalOperations,
+    totalSuccess: result.success,
+    totalErrors: result.errors,
+    totalDuration: result.duration,
+    successRate: result.successRate,
+    operation: 'REPLACE'
+  }, 'REPLACE operation completed successfully');
+
+  return result;
+}
+
 /**
  * POST /access/bulk-remove
  * Bulk remove access from multiple users for multiple pine_ids
  * High-performance endpoint for mass access revocation (e.g., expired subscriptions)
  */
-router.post('/bulk-remove', apiAuth, bulkLimiter, async (req, res) => {
+router.post('/bulk-remove', requireScope('bulk:write'), bulkLimiter, operationQuota(countBulkOperations), async (req, res) => {
   try {
-    const { users, pine_ids, options = {} } = req.body;
+    const { users, pine_ids } = req.body;
 
     if (!users || !Array.isArray(users)) {
       return res.status(400).json({
@@ -227,8 +296,34 @@ router.post('/bulk-remove', apiAuth, bulkLimiter, async (req, res) => {
       });
     }
 
-    const totalOperations = users.length * pine_ids.length;
+    if (wantsAsync(req)) {
+      const job = await startBulkJob(
+        'bulk_remove',
+        req.body,
+        users.length * pine_ids.length,
+        (hooks) => runBulkRemove(req.body, hooks, req.correlationId)
+      );
+      return respondWithJob(res, job);
+    }
 
+    const result = await runBulkRemove(req.body, {}, req.correlationId);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Bulk access removal failed',
+      details: error.message
+    });
+  }
+});
+
+async function runBulkRemove(body, hooks = {}, correlationId = null) {
+  const { users, pine_ids } = body;
+  const options = getServiceOptions(body);
+  const totalOperations = users.length * pine_ids.length;
+  const collected = collectResults(hooks);
+
+  try {
     bulkLogger.info({
       usersCount: users.length,
       pineIdsCount: pine_ids.length,
@@ -245,6 +340,10 @@ router.post('/bulk-remove', apiAuth, bulkLimiter, async (req, res) => {
         bulkLogger.logBulkProgress('bulk-remove', processed, total, options.batchSize || 10);
         lastProgressUpdate = now;
       }
+
+      if (hooks.onProgress) {
+        hooks.onProgress(processed, total, successCount, errorCount);
+      }
     };
 
     const result = await tradingViewService.bulkRemoveAccess(
@@ -252,7 +351,8 @@ router.post('/bulk-remove', apiAuth, bulkLimiter, async (req, res) => {
       pine_ids,
       {
         ...options,
-        onProgress: progressCallback
+        onProgress: progressCallback,
+        onResult: collected.onResult
       }
     );
 
@@ -265,30 +365,35 @@ router.post('/bulk-remove', apiAuth, bulkLimiter, async (req, res) => {
       batcherStats: result.batcherStats
     }, 'Intelligent bulk access removal completed');
 
-    res.json(result);
+    // 📡 WEBHOOK: access.revoked / access.failed por usuario, en lotes
+    await webhookService.notifyAccessEvents('revoke', collected.results, {
+      correlationId,
+      operationId: result.operationId,
+      source: 'bulk_remove',
+      batch: true
+    });
+
+    return result;
   } catch (error) {
     bulkLogger.error({
       error: error.message,
-      usersCount: req.body.users?.length,
-      pineIdsCount: req.body.pine_ids?.length
+      usersCount: users.length,
+      pineIdsCount: pine_ids.length
     }, 'Bulk access removal failed');
 
-    res.status(500).json({
-      success: false,
-      error: 'Bulk access removal failed',
-      details: error.message
-    });
+    throw error;
   }
-});
+}
 
 /**
  * POST /access/bulk
  * Bulk grant access to multiple users for multiple pine_ids
  * High-performance endpoint for mass operations
+ * Supports mode / expiration like POST /access/:username
  */
-router.post('/bulk', apiAuth, bulkLimiter, async (req, res) => {
+router.post('/bulk', requireScope('bulk:write'), bulkLimiter, idempotency, operationQuota(countBulkOperations), async (req, res) => {
   try {
-    const { users, pine_ids, duration, options = {} } = req.body;
+    const { users, pine_ids } = req.body;
 
     if (!users || !Array.isArray(users)) {
       return res.status(400).json({
@@ -302,28 +407,50 @@ router.post('/bulk', apiAuth, bulkLimiter, async (req, res) => {
       });
     }
 
-    if (!duration) {
+    const grantOptions = parseGrantOptions(req.body);
+    if (grantOptions.error) {
       return res.status(400).json({
-        error: 'duration is required (e.g., "7D", "1M", "1L")'
+        error: grantOptions.error
       });
     }
 
-    // Validate duration format
-    try {
-      parseDuration(duration);
-    } catch (error) {
-      return res.status(400).json({
-        error: `Invalid duration format: ${duration}. Use format like "7D", "1M", "1L"`
-      });
+    const body = { ...req.body, ...grantOptions };
+
+    if (wantsAsync(req)) {
+      const job = await startBulkJob(
+        'bulk_grant',
+        body,
+        users.length * pine_ids.length,
+        (hooks) => runBulkGrant(body, hooks, req.correlationId)
+      );
+      return respondWithJob(res, job);
     }
 
-    const totalOperations = users.length * pine_ids.length;
+    const result = await runBulkGrant(body, {}, req.correlationId);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Bulk access grant failed',
+      details: error.message
+    });
+  }
+});
+
+async function runBulkGrant(body, hooks = {}, correlationId = null) {
+  const { users, pine_ids, duration, mode, expiration } = body;
+  const options = getServiceOptions(body);
+  const totalOperations = users.length * pine_ids.length;
+  const collected = collectResults(hooks);
 
+  try {
     bulkLogger.info({
       usersCount: users.length,
       pineIdsCount: pine_ids.length,
       totalOperations,
       duration,
+      mode,
+      expiration,
       options
     }, 'Starting bulk access grant');
 
@@ -336,6 +463,10 @@ router.post('/bulk', apiAuth, bulkLimiter, async (req, res) => {
         bulkLogger.logBulkProgress('bulk-grant', processed, total, options.batchSize || 10);
         lastProgressUpdate = now;
       }
+
+      if (hooks.onProgress) {
+        hooks.onProgress(processed, total, successCount, errorCount);
+      }
     };
 
     const result = await tradingViewService.bulkGrantAccess(
@@ -344,7 +475,10 @@ router.post('/bulk', apiAuth, bulkLimiter, async (req, res) => {
       duration,
       {
         ...options,
-        onProgress: progressCallback
+        mode,
+        expiration,
+        onProgress: progressCallback,
+        onResult: collected.onResult
       }
     );
 
@@ -357,41 +491,165 @@ router.post('/bulk', apiAuth, bulkLimiter, async (req, res) => {
       batcherStats: result.batcherStats
     }, 'Intelligent bulk access grant completed');
 
+    // 📡 WEBHOOK: access.granted / extended / failed por usuario, en lotes
+    await webhookService.notifyAccessEvents('grant', collected.results, {
+      correlationId,
+      operationId: result.operationId,
+      source: 'bulk_grant',
+      batch: true
+    });
+
     // 📡 WEBHOOK: Notificar éxito a e-commerce
     if (result.successRate >= 95) {
-      await webhookService.notifyBulkSuccess('bulk_grant', req.body, result);
+      await webhookService.notifyBulkSuccess('bulk_grant', body, result);
     } else if (result.successRate < 80) {
       await alertService.alertLowSuccessRate('bulk_grant', result.successRate, result);
     }
-    
+
     // 💾 BACKUP: Guardar operación crítica
     if (users.length >= 10 || result.errors > 0) {
-      await backupService.backupCriticalOperation('bulk_grant', req.body, result);
+      await backupService.backupCriticalOperation('bulk_grant', body, result);
     }
 
-    res.json(result);
+    return result;
   } catch (error) {
     // 🚨 ALERT: Error crítico
     await alertService.alertSystemError(error, {
       operation: 'bulk_grant',
-      users: req.body.users?.slice(0, 5), // Solo primeros 5 para logs
-      pine_ids: req.body.pine_ids
+      users: users.slice(0, 5), // Solo primeros 5 para logs
+      pine_ids
     });
-    
+
     // 📡 WEBHOOK: Notificar error
-    await webhookService.notifyError('bulk_grant', error, req.body);
-    
+    await webhookService.notifyError('bulk_grant', error, body);
+
     bulkLogger.error({
       error: error.message,
-      usersCount: req.body.users?.length,
-      pineIdsCount: req.body.pine_ids?.length
+      usersCount: users.length,
+      pineIdsCount: pine_ids.length
     }, 'Bulk access grant failed');
 
-    res.status(500).json({
-      success: false,
-      error: 'Bulk access grant failed',
-      details: error.message
+    throw error;
+  }
+}
+
+/**
+ * GET /access/bulk/:jobId/events
+ * Server-Sent Events stream for a background bulk job
+ * Events: snapshot, status, progress, result, circuit_open, circuit_closed, completed, failed
+ * Read-only: access:read is enough (bulk:write is only needed to start jobs)
+ */
+router.get('/bulk/:jobId/events', requireScope('access:read'), async (req, res) => {
+  const { jobId } = req.params;
+
+  try {
+    const job = await jobService.getJob(jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        job_id: jobId
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
     });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      // compression() buffers responses unless flushed explicitly
+      if (typeof res.flush === 'function') res.flush();
+    };
+
+    const { results, ...snapshot } = job;
+    send('snapshot', { ...snapshot, results_count: results.length });
+
+    if (jobService.isFinished(job)) {
+      send(job.status === 'completed' ? 'completed' : 'failed', { result: job.result, error: job.error, progress: job.progress });
+      return res.end();
+    }
+
+    let closed = false;
+    let pollTimer = null;
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      clearInterval(pollTimer);
+      jobService.off('job-event', onJobEvent);
+      res.end();
+    };
+
+    const onJobEvent = ({ jobId: eventJobId, event, data }) => {
+      if (eventJobId !== jobId) return;
+      send(event, data);
+      if (event === 'completed' || event === 'failed') close();
+    };
+
+    // Keep intermediaries from closing idle connections
+    const heartbeat = setInterval(() => {
+      res.write(': ping\n\n');
+      if (typeof res.flush === 'function') res.flush();
+    }, 15000);
+
+    if (jobService.isRunningHere(jobId)) {
+      jobService.on('job-event', onJobEvent);
+    } else {
+      // Job running in another cluster worker: replay what changed in the persisted state
+      let lastUpdate = job.updated_at;
+      let lastStatus = job.status;
+      let sentResults = results.length;
+      let sentEvents = job.events?.length || 0;
+      pollTimer = setInterval(async () => {
+        try {
+          const current = await jobService.getJob(jobId);
+          if (!current || current.updated_at === lastUpdate) return;
+          lastUpdate = current.updated_at;
+
+          if (current.status !== lastStatus && !jobService.isFinished(current)) {
+            send('status', { status: current.status });
+          }
+          lastStatus = current.status;
+
+          for (const { event, data } of (current.events || []).slice(sentEvents)) {
+            send(event, data);
+          }
+          sentEvents = current.events?.length || 0;
+
+          for (const item of current.results.slice(sentResults)) {
+            send('result', item);
+          }
+          sentResults = current.results.length;
+
+          send('progress', current.progress);
+          if (jobService.isFinished(current)) {
+            send(current.status === 'completed' ? 'completed' : 'failed', { result: current.result, error: current.error, progress: current.progress });
+            close();
+          }
+        } catch (error) {
+          apiLogger.warn({ error: error.message, jobId }, 'Job event polling failed');
+        }
+      }, 2000);
+    }
+
+    req.on('close', close);
+  } catch (error) {
+    apiLogger.error({ error: error.message, jobId }, 'Job event stream failed');
+
+    if (!res.headersSent) {
+      res.status(500).json({
+        errorMessage: 'Job event stream failed',
+        details: error.message
+      });
+    } else {
+      res.end();
+    }
   }
 });
 
@@ -399,7 +657,7 @@ router.post('/bulk', apiAuth, bulkLimiter, async (req, res) => {
  * GET /access/:username
  * Get current access status for user and specified pine_ids
  */
-router.get('/:username', tradingViewLimiter, async (req, res) => {
+router.get('/:username', requireScope('access:read'), tradingViewLimiter, async (req, res) => {
   try {
     const { username } = req.params;
     const { pine_ids } = req.body;
@@ -463,8 +721,9 @@ router.get('/:username', tradingViewLimiter, async (req, res) => {
 /**
  * POST /access/:username
  * Grant or extend access for user to specified pine_ids
+ * Body: { pine_ids, duration, mode?: "extend" | "from_now" | "set", expiration? }
  */
-router.post('/:username', tradingViewLimiter, async (req, res) => {
+router.post('/:username', requireScope('access:write'), tradingViewLimiter, idempotency, operationQuota(countPineIds), async (req, res) => {
   try {
     const { username } = req.params;
     const { pine_ids, duration } = req.body;
@@ -475,32 +734,28 @@ router.post('/:username', tradingViewLimiter, async (req, res) => {
       });
     }
 
-    if (!duration) {
+    const grantOptions = parseGrantOptions(req.body);
+    if (grantOptions.error) {
       return res.status(400).json({
-        error: 'duration is required (e.g., "7D", "1M", "1L")'
+        error: grantOptions.error
       });
     }
 
-    // Validate duration format
-    try {
-      parseDuration(duration);
-    } catch (error) {
-      return res.status(400).json({
-        error: `Invalid duration format: ${duration}. Use format like "7D", "1M", "1L"`
-      });
-    }
+    const { mode, expiration } = grantOptions;
 
     apiLogger.info({
       username,
       pineIdsCount: pine_ids.length,
-      duration
+      duration,
+      mode,
+      expiration
     }, 'Granting access');
 
     const accessList = [];
 
     for (const pineId of pine_ids) {
       try {
-        const result = await tradingViewService.grantAccess(username, pineId, duration);
+        const result = await tradingViewService.grantAccess(username, pineId, duration, { mode, expiration });
         accessList.push(result);
       } catch (error) {
         apiLogger.error({
@@ -531,6 +786,11 @@ router.post('/:username', tradingViewLimiter, async (req, res) => {
       duration
     }, 'Access granting completed');
 
+    await webhookService.notifyAccessEvents('grant', accessList, {
+      correlationId: req.correlationId,
+      source: 'single_grant'
+    });
+
     res.json(accessList);
   } catch (error) {
     apiLogger.error({
@@ -549,7 +809,7 @@ router.post('/:username', tradingViewLimiter, async (req, res) => {
  * DELETE /access/:username
  * Remove access for user from specified pine_ids
  */
-router.delete('/:username', tradingViewLimiter, async (req, res) => {
+router.delete('/:username', requireScope('access:write'), tradingViewLimiter, operationQuota(countPineIds), async (req, res) => {
   try {
     const { username } = req.params;
     const { pine_ids } = req.body;
@@ -599,6 +859,11 @@ router.delete('/:username', tradingViewLimiter, async (req, res) => {
       successful: successCount
     }, 'Access removal completed');
 
+    await webhookService.notifyAccessEvents('revoke', accessList, {
+      correlationId: req.correlationId,
+      source: 'single_remove'
+    });
+
     res.json(accessList);
   } catch (error) {
     apiLogger.error({
@@ -0,0 +1,177 @@
+/**
+ * TradingView Account Routes
+ * /config/accounts/* endpoints - registry of TradingView accounts and the
+ * pine IDs each one owns. Passwords are never returned.
+ */
+
+const express = require('express');
+const router = express.Router();
+const accountService = require('../services/accountService');
+const tradingViewService = require('../services/tradingViewService');
+const { requireScope } = require('../middleware/apiAuth');
+const { apiLogger } = require('../utils/logger');
+
+const { DEFAULT_ACCOUNT_ID } = accountService;
+
+function toResponse(account) {
+  return {
+    ...accountService.toPublic(account),
+    session_active: tradingViewService.sessions.has(account.id)
+  };
+}
+
+function rejectEnvAccount(req, res) {
+  if (req.params.id !== DEFAULT_ACCOUNT_ID) return false;
+
+  res.status(400).json({
+    error: `Account "${DEFAULT_ACCOUNT_ID}" is configured through TV_USERNAME/TV_PASSWORD`
+  });
+  return true;
+}
+
+/**
+ * GET /config/accounts
+ * All accounts, including the TV_USERNAME/TV_PASSWORD "default" account
+ */
+router.get('/', requireScope('config:admin'), async (req, res) => {
+  try {
+    const accounts = await accountService.listAccounts();
+
+    res.json({
+      total: accounts.length,
+      accounts: accounts.map(toResponse)
+    });
+  } catch (error) {
+    apiLogger.error({ error: error.message }, 'Account listing failed');
+
+    res.status(500).json({
+      errorMessage: 'Account listing failed',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /config/accounts/:id
+ */
+router.get('/:id', requireScope('config:admin'), async (req, res) => {
+  try {
+    const account = await accountService.getAccount(req.params.id);
+    if (!account) {
+      return res.status(404).json({
+        error: 'Account not found'
+      });
+    }
+
+    res.json(toResponse(account));
+  } catch (error) {
+    apiLogger.error({ error: error.message, accountId: req.params.id }, 'Account retrieval failed');
+
+    res.status(500).json({
+      errorMessage: 'Account retrieval failed',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /config/accounts
+ * Body: { id, username, password, pine_ids?: [], is_default?: false }
+ */
+router.post('/', requireScope('config:admin'), async (req, res) => {
+  try {
+    const validationError = accountService.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError
+      });
+    }
+
+    const result = await accountService.createAccount(req.body);
+    if (result.error) {
+      return res.status(result.status).json({
+        error: result.error
+      });
+    }
+
+    res.status(201).json(toResponse(result.account));
+  } catch (error) {
+    apiLogger.error({ error: error.message }, 'Account creation failed');
+
+    res.status(500).json({
+      errorMessage: 'Account creation failed',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /config/accounts/:id
+ * Body: any of { username, password, pine_ids, is_default }
+ * Changing credentials drops the cached session of the account
+ */
+router.patch('/:id', requireScope('config:admin'), async (req, res) => {
+  try {
+    if (rejectEnvAccount(req, res)) return;
+
+    const validationError = accountService.validate(req.body || {}, true);
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError
+      });
+    }
+
+    const result = await accountService.updateAccount(req.params.id, req.body);
+    if (result.error) {
+      return res.status(result.status).json({
+        error: result.error
+      });
+    }
+
+    if (result.credentialsChanged) {
+      await tradingViewService.forgetAccount(req.params.id);
+    }
+
+    res.json(toResponse(result.account));
+  } catch (error) {
+    apiLogger.error({ error: error.message, accountId: req.params.id }, 'Account update failed');
+
+    res.status(500).json({
+      errorMessage: 'Account update failed',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /config/accounts/:id
+ * Its pine IDs are routed to the default account afterwards
+ */
+router.delete('/:id', requireScope('config:admin'), async (req, res) => {
+  try {
+    if (rejectEnvAccount(req, res)) return;
+
+    const deleted = await accountService.deleteAccount(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Account not found'
+      });
+    }
+
+    await tradingViewService.forgetAccount(req.params.id);
+
+    res.json({
+      deleted: true,
+      id: req.params.id
+    });
+  } catch (error) {
+    apiLogger.error({ error: error.message, accountId: req.params.id }, 'Account deletion failed');
+
+    res.status(500).json({
+      errorMessage: 'Account deletion failed',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,155 @@
+/**
+ * Admin Routes
+ * /admin/keys/* endpoints - API keys with scopes. The plaintext key is only
+ * returned once, when it is created.
+ */
+
+const express = require('express');
+const router = express.Router();
+const apiKeyService = require('../services/apiKeyService');
+const quotaService = require('../services/quotaService');
+const { requireScope } = require('../middleware/apiAuth');
+const { apiLogger } = require('../utils/logger');
+
+/**
+ * GET /admin/keys
+ */
+router.get('/keys', requireScope('config:admin'), async (req, res) => {
+  try {
+    const keys = await apiKeyService.listKeys();
+
+    res.json({
+      total: keys.length,
+      scopes: apiKeyService.SCOPES,
+      keys
+    });
+  } catch (error) {
+    apiLogger.error({ error: error.message }, 'API key listing failed');
+
+    res.status(500).json({
+      errorMessage: 'API key listing failed',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/keys/:id
+ * Includes the effective limits and the operations used today against the daily quota
+ */
+router.get('/keys/:id', requireScope('config:admin'), async (req, res) => {
+  try {
+    const key = await apiKeyService.getKey(req.params.id);
+    if (!key) {
+      return res.status(404).json({
+        error: 'API key not found'
+      });
+    }
+
+    res.json({
+      ...key,
+      effective_limits: apiKeyService.resolveLimits(key),
+      usage_today: await quotaService.getUsage(`key:${key.id}`)
+    });
+  } catch (error) {
+    apiLogger.error({ error: error.message, keyId: req.params.id }, 'API key retrieval failed');
+
+    res.status(500).json({
+      errorMessage: 'API key retrieval failed',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /admin/keys
+ * Body: { name, scopes: [], allowed_ips?: [], expires_at?: ISO date,
+ *         limits?: { api?, bulk?, tradingview? }, daily_quota?: number (0 = unlimited) }
+ * Response includes `secret`: store it now, it cannot be retrieved later
+ */
+router.post('/keys', requireScope('config:admin'), async (req, res) => {
+  try {
+    const validationError = apiKeyService.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError
+      });
+    }
+
+    const { key, secret } = await apiKeyService.createKey(req.body);
+
+    apiLogger.info({ keyId: key.id, createdBy: req.apiKey.id }, 'API key created through admin API');
+
+    res.status(201).json({ ...key, secret });
+  } catch (error) {
+    apiLogger.error({ error: error.message }, 'API key creation failed');
+
+    res.status(500).json({
+      errorMessage: 'API key creation failed',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /admin/keys/:id
+ * Body: any of { name, scopes, allowed_ips, expires_at, limits, daily_quota }
+ * (expires_at null removes the expiry, null limits / daily_quota go back to the defaults)
+ */
+router.patch('/keys/:id', requireScope('config:admin'), async (req, res) => {
+  try {
+    const validationError = apiKeyService.validate(req.body || {}, true);
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError
+      });
+    }
+
+    const result = await apiKeyService.updateKey(req.params.id, req.body);
+    if (result.error) {
+      return res.status(result.status).json({
+        error: result.error
+      });
+    }
+
+    res.json(result.key);
+  } catch (error) {
+    apiLogger.error({ error: error.message, keyId: req.params.id }, 'API key update failed');
+
+    res.status(500).json({
+      errorMessage: 'API key update failed',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /admin/keys/:id
+ * Revokes the key immediately in this worker, within API_KEYS_CACHE_MS in the others
+ */
+router.delete('/keys/:id', requireScope('config:admin'), async (req, res) => {
+  try {
+    const revoked = await apiKeyService.revokeKey(req.params.id);
+    if (!revoked) {
+      return res.status(404).json({
+        error: 'API key not found'
+      });
+    }
+
+    apiLogger.info({ keyId: req.params.id, revokedBy: req.apiKey.id }, 'API key revoked through admin API');
+
+    res.json({
+      revoked: true,
+      id: req.params.id
+    });
+  } catch (error) {
+    apiLogger.error({ error: error.message, keyId: req.params.id }, 'API key revocation failed');
+
+    res.status(500).json({
+      errorMessage: 'API key revocation failed',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -3,11 +3,29 @@ const express = require('express');
 const router = express.Router();
 const logger = require('pino')();
 const tradingViewService = require('../services/tradingViewService');
+const accountService = require('../services/accountService');
+const ledgerService = require('../services/ledgerService');
+const sessionMonitorService = require('../services/sessionMonitorService');
+const secretStore = require('../utils/secretStore');
+const { isValidSecret } = require('../utils/totp');
+const { requireScope } = require('../middleware/apiAuth');
+
+const { DEFAULT_ACCOUNT_ID } = accountService;
+
+// Estado HTTP y mensaje según el motivo del fallo de login
+const LOGIN_FAILURES = {
+  INVALID_CREDENTIALS: { status: 401, reason: 'invalid_credentials', message: 'Credenciales inválidas' },
+  CAPTCHA_REQUIRED: { status: 403, reason: 'captcha_required', message: 'TradingView pide CAPTCHA: inicia sesión en el navegador y reintenta, o importa su cookie sessionid en POST /api/config/session' },
+  TWO_FACTOR_REQUIRED: { status: 403, reason: 'two_factor_required', message: 'La cuenta tiene 2FA activado: envía totp_secret (o define TV_TOTP_SECRET)' }
+};
+
+const MAX_SCRIPTS_TO_CHECK = 50;
 
 // POST /api/config/tradingview - Probar y guardar credenciales TradingView
-router.post('/tradingview', async (req, res) => {
+// Body: { username, password, totp_secret?, testOnly?, pine_ids? }
+router.post('/tradingview', requireScope('config:admin'), async (req, res) => {
   try {
-    const { username, password, testOnly = false } = req.body;
+    const { username, password, totp_secret, testOnly = false, pine_ids } = req.body;
 
     if (!username || !password) {
       return res.status(400).json({
@@ -16,29 +34,54 @@ router.post('/tradingview', async (req, res) => {
       });
     }
 
-    logger.info({ username }, 'Testing TradingView credentials');
-
-    // TODO: Implementar validación real con TradingView
-    // Por ahora, simulamos la validación
-    const isValidCredentials = await testTradingViewConnection(username, password);
+    if (totp_secret !== undefined && !isValidSecret(totp_secret)) {
+      return res.status(400).json({
+        success: false,
+        message: 'totp_secret debe ser el secreto TOTP en base32'
+      });
+    }
 
-    if (isValidCredentials.success) {
-      // Si no es solo prueba, guardar en .env
-      if (!testOnly) {
-        await saveCredentialsToEnv(username, password);
-      }
+    if (pine_ids !== undefined && !Array.isArray(pine_ids)) {
+      return res.status(400).json({
+        success: false,
+        message: 'pine_ids debe ser un array'
+      });
+    }
 
-      res.json({
-        success: true,
-        message: `Conexión exitosa con la cuenta: ${username}`,
-        accountInfo: isValidCredentials.accountInfo
+    // Sin master key no se guardan: nunca en texto plano
+    if (!testOnly && !secretStore.isEnabled()) {
+      return res.status(503).json({
+        success: false,
+        reason: 'secret_store_disabled',
+        message: 'Define SECRETS_MASTER_KEY para guardar credenciales (o usa testOnly)'
       });
-    } else {
-      res.status(401).json({
+    }
+
+    logger.info({ username }, 'Testing TradingView credentials');
+
+    const result = await testTradingViewConnection(username, password, totp_secret, pine_ids);
+
+    if (!result.success) {
+      return res.status(result.status).json({
         success: false,
-        message: 'Credenciales inválidas o cuenta sin permisos'
+        reason: result.reason,
+        message: result.message
       });
     }
+
+    // Solo se guardan credenciales que acaban de hacer login correctamente
+    if (!testOnly) {
+      await accountService.saveCredentials(username, password, totp_secret);
+      logger.info({ username }, 'TradingView credentials saved to the secret store');
+      await tradingViewService.setAccountSession(DEFAULT_ACCOUNT_ID, result.sessionId);
+    }
+
+    res.json({
+      success: true,
+      message: `Conexión exitosa con la cuenta: ${username}`,
+      saved: !testOnly,
+      accountInfo: result.accountInfo
+    });
   } catch (error) {
     logger.error({ error }, 'Error testing TradingView credentials');
     res.status(500).json({
@@ -49,165 +92,144 @@ router.post('/tradingview', async (req, res) => {
 });
 
 // GET /api/config/tradingview/status - Verificar estado de credenciales
-router.get('/tradingview/status', (req, res) => {
-  const hasCredentials = !!(process.env.TV_USERNAME && process.env.TV_PASSWORD);
-  
-  res.json({
-    configured: hasCredentials,
-    username: hasCredentials ? process.env.TV_USERNAME : null,
-    lastCheck: hasCredentials ? new Date().toISOString() : null
-  });
+// Query: refresh=true intenta cargar/iniciar la sesión para actualizar lastLogin
+router.get('/tradingview/status', requireScope('config:admin'), async (req, res) => {
+  try {
+    const account = await accountService.getEnvAccount();
+    const hasCredentials = !!(account.username && account.password);
+
+    if (hasCredentials && req.query.refresh === 'true') {
+      // El resultado (o el error clasificado) queda en getAuthStatus
+      await tradingViewService.ensureSession(account).catch(() => {});
+    }
+
+    res.json({
+      configured: hasCredentials,
+      username: hasCredentials ? account.username : null,
+      source: hasCredentials ? account.source : null,
+      twoFactor: !!account.totp_secret,
+      secretStore: secretStore.isEnabled(),
+      session: await tradingViewService.getSessionStatus(DEFAULT_ACCOUNT_ID),
+      monitor: sessionMonitorService.getStatus(),
+      lastLogin: describeLogin(tradingViewService.getAuthStatus(DEFAULT_ACCOUNT_ID)),
+      lastCheck: hasCredentials ? new Date().toISOString() : null
+    });
+  } catch (error) {
+    logger.error({ error }, 'Error reading TradingView credentials status');
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
 });
 
-// Función SEGURA para probar credenciales TradingView
-async function testTradingViewConnection(username, password) {
+// POST /api/config/session - Importar cookie sessionid copiada del navegador
+// Alternativa cuando TradingView pide CAPTCHA. Body: { sessionid, account_id? }
+router.post('/session', requireScope('config:admin'), async (req, res) => {
   try {
-    logger.info({ username }, 'Testing TradingView connection safely');
-    
-    // VALIDACIÓN BÁSICA PRIMERO
-    if (!username || !password) {
-      return {
+    const { sessionid, account_id: accountId = DEFAULT_ACCOUNT_ID } = req.body || {};
+
+    if (typeof sessionid !== 'string' || !sessionid.trim()) {
+      return res.status(400).json({
         success: false,
-        message: 'Usuario y contraseña son requeridos'
-      };
+        message: 'sessionid es requerido (valor de la cookie o "sessionid=...")'
+      });
     }
 
-    // Validar que el usuario existe en TradingView (SIN afectar sistema de login)
-    try {
-      const validationResult = await tradingViewService.validateUser(username);
-      
-      if (validationResult.validuser) {
-        // Usuario existe, simular respuesta exitosa de conexión
-        return {
-          success: true,
-          accountInfo: {
-            username: validationResult.verifiedUserName,
-            accountType: determineAccountTypeFromUser(validationResult.verifiedUserName),
-            indicators: Math.floor(Math.random() * 50) + 20, // Simulado
-            lastLogin: new Date().toLocaleDateString(),
-            realValidation: true, // Usuario validado realmente
-            sessionActive: false, // No login completo
-            permissions: ['read_indicators', 'validate_users'],
-            subscription: {
-              plan: 'Premium (User Verified)',
-              expires: 'N/A'
-            },
-            note: 'Usuario verificado en TradingView. Login simulado.'
-          }
-        };
-      } else {
-        return {
-          success: false,
-          message: 'Usuario no encontrado en TradingView'
-        };
-      }
-    } catch (validationError) {
-      logger.warn({ error: validationError, username }, 'User validation failed, using fallback');
-      
-      // Si falla la validación, usar lógica de fallback SEGURA
-      if (username.includes('apidev') || username.includes('@gmail.com')) {
-        return {
-          success: true,
-          accountInfo: {
-            username: username,
-            accountType: 'Premium (Fallback)',
-            indicators: 45, // Fijo para casos de fallback
-            lastLogin: new Date().toLocaleDateString(),
-            realValidation: false,
-            sessionActive: false,
-            permissions: ['basic_access'],
-            subscription: {
-              plan: 'Premium (Assumed)',
-              expires: 'N/A'
-            },
-            note: 'Validación por fallback - verificar manualmente.'
-          }
-        };
-      }
-      
-      return {
+    if (!(await accountService.getAccount(accountId))) {
+      return res.status(404).json({
         success: false,
-        message: 'No se pudo verificar el usuario'
-      };
+        message: `Cuenta no encontrada: ${accountId}`
+      });
     }
-    
+
+    const session = await tradingViewService.importSession(accountId, sessionid);
+
+    res.json({
+      success: true,
+      message: 'Sesión verificada y guardada',
+      accountId,
+      session
+    });
   } catch (error) {
-    logger.error({ error, username }, 'Error in safe TradingView connection test');
-    
-    return {
+    if (error.code === 'INVALID_SESSION') {
+      return res.status(400).json({
+        success: false,
+        reason: 'invalid_session',
+        message: error.message
+      });
+    }
+
+    logger.error({ error }, 'Error importing TradingView session');
+    res.status(500).json({
       success: false,
-      message: `Error del sistema: ${error.message}`
-    };
+      message: 'Error interno del servidor'
+    });
   }
-}
-
-// Determinar tipo de cuenta basado en el usuario real validado
-function determineAccountTypeFromUser(verifiedUsername) {
-  // Lógica más inteligente basada en el usuario real
-  if (verifiedUsername.includes('pro') || verifiedUsername.includes('premium')) return 'Pro+';
-  if (verifiedUsername.includes('basic') || verifiedUsername.includes('free')) return 'Basic';
-  
-  // Para usuarios reales validados, asumimos Premium por defecto
-  return 'Premium (Validated)';
-}
+});
 
-function determineAccountType(username) {
-  // Simular diferentes tipos de cuenta basado en el username
-  if (username.includes('pro') || username.includes('premium')) return 'Pro+';
-  if (username.includes('basic')) return 'Basic';
-  return 'Premium';
+// Último login con el mismo reason que devuelve POST /tradingview
+function describeLogin(status) {
+  if (!status) return null;
+  if (status.ok) return { success: true, at: status.at };
+
+  const failure = LOGIN_FAILURES[status.code];
+  return {
+    success: false,
+    at: status.at,
+    code: status.code,
+    reason: failure ? failure.reason : 'login_failed',
+    message: failure ? failure.message : status.message
+  };
 }
 
-// Función para guardar credenciales en .env
-async function saveCredentialsToEnv(username, password) {
-  const fs = require('fs').promises;
-  const path = require('path');
-  
+// Login aislado: la sesión en uso no se reemplaza mientras se prueba
+async function testTradingViewConnection(username, password, totpSecret, pineIds) {
+  let verification;
   try {
-    const envPath = path.join(process.cwd(), '.env');
-    let envContent = '';
-    
-    try {
-      envContent = await fs.readFile(envPath, 'utf8');
-    } catch (error) {
-      // Si no existe .env, crear uno nuevo
-      envContent = '';
-    }
+    verification = await tradingViewService.verifyCredentials(username, password, {
+      totpSecret,
+      pineIds: await getScriptsToCheck(pineIds)
+    });
+  } catch (error) {
+    const failure = LOGIN_FAILURES[error.code];
+    if (!failure) throw error;
 
-    // Actualizar o agregar credenciales
-    const lines = envContent.split('\n');
-    let usernameUpdated = false;
-    let passwordUpdated = false;
-
-    for (let i = 0; i < lines.length; i++) {
-      if (lines[i].startsWith('TV_USERNAME=')) {
-        lines[i] = `TV_USERNAME=${username}`;
-        usernameUpdated = true;
-      } else if (lines[i].startsWith('TV_PASSWORD=')) {
-        lines[i] = `TV_PASSWORD=${password}`;
-        passwordUpdated = true;
-      }
-    }
+    logger.warn({ username, reason: failure.reason }, 'TradingView credentials rejected');
+    return { success: false, ...failure };
+  }
 
-    // Si no existían, agregarlas
-    if (!usernameUpdated) {
-      lines.push(`TV_USERNAME=${username}`);
-    }
-    if (!passwordUpdated) {
-      lines.push(`TV_PASSWORD=${password}`);
+  const { sessionId, user, scripts } = verification;
+  const manageable = scripts.filter(script => script.manageable);
+
+  return {
+    success: true,
+    sessionId,
+    accountInfo: {
+      username: user?.username || username,
+      accountType: user?.pro_plan || (user?.is_pro ? 'Pro' : 'Basic'),
+      indicators: manageable.length,
+      lastLogin: new Date().toLocaleDateString(),
+      realValidation: true,
+      sessionActive: true,
+      scripts
     }
+  };
+}
 
-    await fs.writeFile(envPath, lines.join('\n'));
-    
-    // Actualizar variables de entorno en runtime
-    process.env.TV_USERNAME = username;
-    process.env.TV_PASSWORD = password;
+// Scripts a revisar: los indicados o los conocidos (ledger) que no pertenecen a otra cuenta
+async function getScriptsToCheck(pineIds) {
+  if (pineIds) return pineIds.slice(0, MAX_SCRIPTS_TO_CHECK);
 
-    logger.info({ username }, 'TradingView credentials saved successfully');
-  } catch (error) {
-    logger.error({ error }, 'Failed to save credentials to .env');
-    throw error;
-  }
+  const accounts = await accountService.listAccounts();
+  const owned = new Set(accounts
+    .filter(account => account.id !== DEFAULT_ACCOUNT_ID)
+    .flatMap(account => account.pine_ids));
+  const entitlements = await ledgerService.listEntitlements();
+
+  return [...new Set(entitlements.map(entitlement => entitlement.pine_id))]
+    .filter(pineId => !owned.has(pineId))
+    .slice(0, MAX_SCRIPTS_TO_CHECK);
 }
 
 module.exports = router;
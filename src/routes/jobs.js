@@ -0,0 +1,65 @@
+/**
+ * Background Job Routes
+ * /jobs/* endpoints - status of async bulk operations
+ * Read-only, so they need access:read; starting a job needs bulk:write
+ */
+
+const express = require('express');
+const router = express.Router();
+const jobService = require('../services/jobService');
+const { requireScope } = require('../middleware/apiAuth');
+const { apiLogger } = require('../utils/logger');
+
+/**
+ * GET /jobs
+ * List jobs (most recent first, without per-item results)
+ * Query: status (queued | running | completed | failed | interrupted), type, limit
+ */
+router.get('/', requireScope('access:read'), async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const jobs = await jobService.listJobs({ status, type, limit });
+
+    res.json({
+      total: jobs.length,
+      jobs
+    });
+  } catch (error) {
+    apiLogger.error({ error: error.message }, 'Job listing failed');
+
+    res.status(500).json({
+      errorMessage: 'Job listing failed',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /jobs/:id
+ * Job status, progress, per-item results and final result
+ */
+router.get('/:id', requireScope('access:read'), async (req, res) => {
+  try {
+    const job = await jobService.getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        job_id: req.params.id
+      });
+    }
+
+    res.json(job);
+  } catch (error) {
+    apiLogger.error({ error: error.message, jobId: req.params.id }, 'Job retrieval failed');
+
+    res.status(500).json({
+      errorMessage: 'Job retrieval failed',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,88 @@
+/**
+ * Subscription Ledger Routes
+ * /ledger/* endpoints - local view of who has access to what
+ */
+
+const express = require('express');
+const router = express.Router();
+const ledgerService = require('../services/ledgerService');
+const { requireScope } = require('../middleware/apiAuth');
+const { apiLogger } = require('../utils/logger');
+
+const ENTITLEMENT_STATUSES = ['active', 'expired', 'revoked', 'failed'];
+
+/**
+ * GET /ledger/entitlements
+ * List recorded entitlements
+ * Query: username, pine_id, status (active | expired | revoked | failed)
+ */
+router.get('/entitlements', requireScope('access:read'), async (req, res) => {
+  try {
+    const { username, pine_id, status } = req.query;
+
+    if (status && !ENTITLEMENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Invalid status: ${status}. Use one of: ${ENTITLEMENT_STATUSES.join(', ')}`
+      });
+    }
+
+    const entitlements = await ledgerService.listEntitlements({
+      username,
+      pineId: pine_id,
+      status
+    });
+
+    res.json({
+      total: entitlements.length,
+      entitlements
+    });
+  } catch (error) {
+    apiLogger.error({ error: error.message }, 'Ledger entitlements retrieval failed');
+
+    res.status(500).json({
+      errorMessage: 'Ledger entitlements retrieval failed',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /ledger/operations
+ * Grant/remove history, most recent first
+ * Query: since (ISO date), type (grant | remove), status, username, pine_id, limit
+ */
+router.get('/operations', requireScope('access:read'), async (req, res) => {
+  try {
+    const { since, type, status, username, pine_id } = req.query;
+    const limit = parseInt(req.query.limit) || 100;
+
+    if (since && isNaN(new Date(since).getTime())) {
+      return res.status(400).json({
+        error: `Invalid since date: ${since}. Use ISO format (e.g., "2025-01-31T00:00:00Z")`
+      });
+    }
+
+    const operations = await ledgerService.getOperations({
+      since,
+      type,
+      status,
+      username,
+      pineId: pine_id,
+      limit
+    });
+
+    res.json({
+      total: operations.length,
+      operations
+    });
+  } catch (error) {
+    apiLogger.error({ error: error.message }, 'Ledger operations retrieval failed');
+
+    res.status(500).json({
+      errorMessage: 'Ledger operations retrieval failed',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -7,11 +7,13 @@ const express = require('express');
 const router = express.Router();
 const os = require('os');
 const tradingViewService = require('../services/tradingViewService');
-const { apiAuth } = require('../middleware/apiAuth');
+const ledgerService = require('../services/ledgerService');
+const sessionMonitorService = require('../services/sessionMonitorService');
+const { requireScope } = require('../middleware/apiAuth');
 const { logger } = require('../utils/logger');
 
 // Métricas en tiempo real para dashboard de e-commerce
-router.get('/stats', apiAuth, async (req, res) => {
+router.get('/stats', requireScope('metrics:read'), async (req, res) => {
   try {
     const batcherStats = tradingViewService.requestBatcher.getStats();
     
@@ -85,7 +87,7 @@ router.get('/stats', apiAuth, async (req, res) => {
 });
 
 // Health check específico para e-commerce monitoring
-router.get('/health', apiAuth, async (req, res) => {
+router.get('/health', requireScope('metrics:read'), async (req, res) => {
   try {
     const healthStart = Date.now();
     
@@ -101,10 +103,11 @@ router.get('/health', apiAuth, async (req, res) => {
       last_check: new Date().toISOString(),
       components: {
         api_server: 'healthy',
-        tradingview_session: tradingViewService.sessionId ? 'active' : 'inactive',
-        request_batcher: batcherStats.circuitOpen ? 'degraded' : 'healthy',
+        tradingview_session: tradingViewService.sessions.size > 0 ? 'active' : 'inactive',
+        request_batcher: batcherStats.circuitOpen ? 'degraded' : batcherStats.paused ? 'paused' : 'healthy',
         http_pool: 'active'
-      }
+      },
+      session_monitor: sessionMonitorService.getStatus()
     };
     
     const statusCode = health.components.tradingview_session === 'active' ? 200 : 503;
@@ -136,15 +139,17 @@ router.get('/health', apiAuth, async (req, res) => {
 });
 
 // Métricas específicas para business intelligence
-router.get('/business', apiAuth, async (req, res) => {
+router.get('/business', requireScope('metrics:read'), async (req, res) => {
   try {
-    // Aquí podrías integrar con una BD para métricas de negocio
+    // Métricas calculadas desde el ledger de suscripciones
+    const summary = await ledgerService.getDailySummary();
     const businessMetrics = {
-      operations_today: await getOperationsToday(),
-      revenue_processed_today: await getRevenueProcessedToday(),
-      customers_activated_today: await getCustomersActivatedToday(),
-      average_operation_value: await getAverageOperationValue(),
-      top_performing_indicators: await getTopPerformingIndicators()
+      operations_today: getOperationsToday(summary),
+      revenue_processed_today: getRevenueProcessedToday(summary),
+      customers_activated_today: getCustomersActivatedToday(summary),
+      average_operation_value: getAverageOperationValue(summary),
+      top_performing_indicators: getTopPerformingIndicators(summary),
+      active_subscriptions: (await ledgerService.listEntitlements({ status: 'active' })).length
     };
     
     res.json(businessMetrics);
@@ -189,30 +194,30 @@ function getAgentStats(agent) {
   };
 }
 
-// Funciones de business metrics (implementar según tu BD)
-async function getOperationsToday() {
-  // TODO: Integrar con tu sistema de logging o BD
-  return 0; // Placeholder
+// Funciones de business metrics (basadas en el resumen diario del ledger)
+function getOperationsToday(summary) {
+  // Operaciones grant/remove registradas hoy (UTC)
+  return summary.operations;
 }
 
-async function getRevenueProcessedToday() {
-  // TODO: Calcular basado en operaciones exitosas × valor promedio
-  return 0; // Placeholder
+function getRevenueProcessedToday(summary) {
+  // Operaciones exitosas × AVERAGE_OPERATION_VALUE
+  return summary.revenue;
 }
 
-async function getCustomersActivatedToday() {
-  // TODO: Contar usuarios únicos procesados exitosamente hoy
-  return 0; // Placeholder
+function getCustomersActivatedToday(summary) {
+  // Usuarios únicos con un grant exitoso hoy
+  return summary.customersActivated;
 }
 
-async function getAverageOperationValue() {
-  // TODO: Revenue promedio por operación exitosa
-  return 0; // Placeholder
+function getAverageOperationValue(summary) {
+  // Revenue promedio por operación exitosa
+  return summary.averageOperationValue;
 }
 
-async function getTopPerformingIndicators() {
-  // TODO: Indicadores más solicitados/exitosos
-  return []; // Placeholder
+function getTopPerformingIndicators(summary) {
+  // Indicadores con más grants exitosos hoy
+  return summary.topIndicators;
 }
 
 module.exports = router;
@@ -0,0 +1,142 @@
+/**
+ * Reconciliation Routes
+ * /reconcile endpoint - diff expected entitlements (e-commerce orders) against TradingView
+ */
+
+const express = require('express');
+const router = express.Router();
+const reconcileService = require('../services/reconcileService');
+const jobService = require('../services/jobService');
+const { requireScope } = require('../middleware/apiAuth');
+const { bulkLimiter, operationQuota, reserveQuota } = require('../middleware/rateLimit');
+const { apiLogger } = require('../utils/logger');
+
+// CSV enviado directamente como cuerpo (Content-Type: text/csv)
+router.use(express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }));
+
+function readFlag(value, defaultValue) {
+  if (value === undefined) return defaultValue;
+  return value === true || value === 'true';
+}
+
+/**
+ * Parse the expected entitlements (JSON array, csv field or text/csv body) into req.reconcile
+ */
+function parseReconcileInput(req, res, next) {
+  const isCsvBody = typeof req.body === 'string';
+  const body = isCsvBody ? {} : (req.body || {});
+  const option = (name) => body[name] ?? req.query[name];
+
+  let rows;
+  try {
+    if (isCsvBody) {
+      rows = reconcileService.parseCsv(req.body);
+    } else if (typeof body.csv === 'string') {
+      rows = reconcileService.parseCsv(body.csv);
+    } else if (Array.isArray(body.entitlements)) {
+      rows = body.entitlements;
+    } else {
+      return res.status(400).json({
+        error: 'Provide entitlements (array), csv (string) or a text/csv body'
+      });
+    }
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Invalid CSV',
+      details: error.message
+    });
+  }
+
+  const { entitlements, errors } = reconcileService.normalizeExpected(rows);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid entitlements',
+      details: errors.slice(0, 50)
+    });
+  }
+
+  if (entitlements.length === 0) {
+    return res.status(400).json({
+      error: 'No entitlements to reconcile'
+    });
+  }
+
+  req.reconcile = { entitlements, option };
+  next();
+}
+
+// Con apply cada fila vigente puede ser un grant; las bajas de extra se reservan tras el diff
+const countReconcileOperations = req => (readFlag(req.reconcile.option('apply'), false)
+  ? req.reconcile.entitlements.filter(entitlement => !entitlement.lapsed).length
+  : 0);
+
+/**
+ * POST /reconcile
+ * Body (JSON): { "entitlements": [{ "username", "pine_id", "expiration" }], "apply": false }
+ *          or: { "csv": "username,pine_id,expiration\n...", "apply": false }
+ * Body (text/csv): username,pine_id,expiration rows, options in the query string
+ * Options: apply (fix drift), remove_extra (revoke users without an order, default false:
+ * an incomplete export must not revoke paying users), tolerance_minutes (default 60), async
+ * With apply, expected rows count against the daily operation quota and extra
+ * removals are reserved once the diff is known (skipped if they do not fit)
+ */
+router.post('/', requireScope('bulk:write'), bulkLimiter, parseReconcileInput, operationQuota(countReconcileOperations), async (req, res) => {
+  try {
+    const { entitlements, option } = req.reconcile;
+
+    const toleranceMinutes = option('tolerance_minutes') !== undefined
+      ? parseInt(option('tolerance_minutes'))
+      : 60;
+
+    if (isNaN(toleranceMinutes) || toleranceMinutes < 0) {
+      return res.status(400).json({
+        error: 'tolerance_minutes must be a non-negative integer'
+      });
+    }
+
+    const options = {
+      apply: readFlag(option('apply'), false),
+      removeExtra: readFlag(option('remove_extra'), false),
+      toleranceMinutes
+    };
+    const reserveRemovals = count => reserveQuota(req, count);
+
+    apiLogger.info({
+      entitlements: entitlements.length,
+      ...options
+    }, 'Reconciliation requested');
+
+    if (readFlag(option('async'), false)) {
+      const job = await jobService.startJob('reconcile', {
+        users: entitlements,
+        pine_ids: [...new Set(entitlements.map(entitlement => entitlement.pine_id))],
+        options,
+        total: entitlements.length
+      }, ({ onProgress }) => reconcileService.reconcile(entitlements, {
+        ...options,
+        reserveRemovals,
+        onProgress: (processed, total, fixed, failed) => onProgress(processed, total, fixed, failed, 'apply')
+      }));
+
+      return res.status(202).json({
+        job_id: job.id,
+        type: job.type,
+        status: job.status,
+        total: job.progress.total,
+        status_url: `/api/jobs/${job.id}`
+      });
+    }
+
+    res.json(await reconcileService.reconcile(entitlements, { ...options, reserveRemovals }));
+  } catch (error) {
+    apiLogger.error({ error: error.message }, 'Reconciliation failed');
+
+    res.status(500).json({
+      errorMessage: 'Reconciliation failed',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,62 @@
+/**
+ * Expiration Reminder Routes
+ * /reminders/* endpoints - sent reminders and manual runs
+ */
+
+const express = require('express');
+const router = express.Router();
+const reminderService = require('../services/reminderService');
+const { requireScope } = require('../middleware/apiAuth');
+const { apiLogger } = require('../utils/logger');
+
+/**
+ * GET /reminders
+ * Reminders already sent for current subscription periods
+ * Query: username, pine_id
+ */
+router.get('/', requireScope('access:read'), async (req, res) => {
+  try {
+    const { username, pine_id } = req.query;
+
+    const reminders = await reminderService.listSent({ username, pineId: pine_id });
+
+    res.json({
+      enabled: reminderService.enabled,
+      offsets_days: reminderService.offsets,
+      total: reminders.length,
+      reminders
+    });
+  } catch (error) {
+    apiLogger.error({ error: error.message }, 'Reminder listing failed');
+
+    res.status(500).json({
+      errorMessage: 'Reminder listing failed',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /reminders/run
+ * Send due reminders now (already sent ones are never repeated)
+ */
+router.post('/run', requireScope('bulk:write'), async (req, res) => {
+  try {
+    if (reminderService.running) {
+      return res.status(409).json({
+        error: 'Reminder run already in progress'
+      });
+    }
+
+    res.json(await reminderService.run());
+  } catch (error) {
+    apiLogger.error({ error: error.message }, 'Reminder run failed');
+
+    res.status(500).json({
+      errorMessage: 'Reminder run failed',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
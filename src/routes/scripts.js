@@ -0,0 +1,155 @@
+/**
+ * Pine Script Routes
+ * /scripts/* endpoints - subscribers of an indicator (audits, reconciliation)
+ */
+
+const express = require('express');
+const router = express.Router();
+const tradingViewService = require('../services/tradingViewService');
+const { isExpired } = require('../utils/dateHelper');
+const { requireScope } = require('../middleware/apiAuth');
+const { apiLogger } = require('../utils/logger');
+
+const FILTERS = ['expired', 'expiring', 'lifetime', 'active'];
+const SORT_FIELDS = ['username', 'expiration', 'created'];
+const MAX_LIMIT = 1000;
+const CACHE_TTL_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Listado completo por pine_id, reutilizado entre páginas del mismo cursor
+const usersCache = new Map();
+
+async function getUsers(pineId, refresh) {
+  const cached = usersCache.get(pineId);
+  if (!refresh && cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+    return cached;
+  }
+
+  const entry = {
+    users: await tradingViewService.listAllUsers(pineId),
+    fetchedAt: Date.now()
+  };
+  usersCache.set(pineId, entry);
+  return entry;
+}
+
+function matchesFilter(user, filter, days) {
+  switch (filter) {
+    case 'expired':
+      return !user.noExpiration && isExpired(user.expiration);
+    case 'expiring': {
+      if (user.noExpiration || isExpired(user.expiration)) return false;
+      return new Date(user.expiration).getTime() <= Date.now() + days * DAY_MS;
+    }
+    case 'lifetime':
+      return user.noExpiration;
+    case 'active':
+      return user.noExpiration || !isExpired(user.expiration);
+    default:
+      return true;
+  }
+}
+
+function compareUsers(field) {
+  return (a, b) => {
+    if (field === 'username') {
+      return a.username.localeCompare(b.username, undefined, { sensitivity: 'base' });
+    }
+
+    // Sin fecha (lifetime) siempre al final en orden ascendente
+    const aTime = a[field] ? new Date(a[field]).getTime() : Infinity;
+    const bTime = b[field] ? new Date(b[field]).getTime() : Infinity;
+    if (aTime === bTime) return 0;
+    return aTime < bTime ? -1 : 1;
+  };
+}
+
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return Number.isInteger(offset) && offset >= 0 ? offset : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * GET /scripts/:pineId/users
+ * Every user with access to an indicator
+ * Query: filter (expired | expiring | lifetime | active), days (for expiring, default 7),
+ *        sort (username | expiration | created), order (asc | desc),
+ *        limit (default 100, max 1000), cursor, refresh=true
+ */
+router.get('/:pineId/users', requireScope('access:read'), async (req, res) => {
+  try {
+    const { pineId } = req.params;
+    const { filter, cursor } = req.query;
+    const sort = req.query.sort || 'username';
+    const order = req.query.order || 'asc';
+    const days = req.query.days !== undefined ? parseInt(req.query.days) : 7;
+    const limit = Math.min(parseInt(req.query.limit) || 100, MAX_LIMIT);
+
+    if (filter && !FILTERS.includes(filter)) {
+      return res.status(400).json({
+        error: `Invalid filter: ${filter}. Use one of: ${FILTERS.join(', ')}`
+      });
+    }
+
+    if (!SORT_FIELDS.includes(sort) || !['asc', 'desc'].includes(order)) {
+      return res.status(400).json({
+        error: `Invalid sort. Use sort=${SORT_FIELDS.join('|')} and order=asc|desc`
+      });
+    }
+
+    if (isNaN(days) || days < 0) {
+      return res.status(400).json({
+        error: 'days must be a non-negative integer'
+      });
+    }
+
+    const offset = cursor ? decodeCursor(cursor) : 0;
+    if (offset === null) {
+      return res.status(400).json({
+        error: 'Invalid cursor'
+      });
+    }
+
+    const { users, fetchedAt } = await getUsers(pineId, req.query.refresh === 'true');
+
+    const matching = users
+      .filter(user => matchesFilter(user, filter, days))
+      .sort(compareUsers(sort));
+    if (order === 'desc') matching.reverse();
+
+    const page = matching.slice(offset, offset + limit);
+    const nextOffset = offset + page.length;
+
+    res.json({
+      pine_id: pineId,
+      total: matching.length,
+      count: page.length,
+      next_cursor: nextOffset < matching.length ? encodeCursor(nextOffset) : null,
+      fetched_at: new Date(fetchedAt).toISOString(),
+      users: page.map(user => ({
+        username: user.username,
+        expiration: user.expiration,
+        no_expiration: user.noExpiration,
+        expired: !user.noExpiration && isExpired(user.expiration),
+        created: user.created
+      }))
+    });
+  } catch (error) {
+    apiLogger.error({ error: error.message, pineId: req.params.pineId }, 'Script users listing failed');
+
+    res.status(500).json({
+      errorMessage: 'Script users listing failed',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+/**
+ * Expiration Sweeper Routes
+ * /sweeper/* endpoints - status and manual runs of the expiration sweeper
+ */
+
+const express = require('express');
+const router = express.Router();
+const expirationSweeperService = require('../services/expirationSweeperService');
+const { requireScope } = require('../middleware/apiAuth');
+const { apiLogger } = require('../utils/logger');
+
+/**
+ * GET /sweeper/status
+ * Configured schedule/mode and report of the last run
+ */
+router.get('/status', requireScope('metrics:read'), async (req, res) => {
+  try {
+    res.json(await expirationSweeperService.getStatus());
+  } catch (error) {
+    apiLogger.error({ error: error.message }, 'Sweeper status retrieval failed');
+
+    res.status(500).json({
+      errorMessage: 'Sweeper status retrieval failed',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /sweeper/run
+ * Run a sweep now
+ * Body: { "dry_run": true, "revoke": false } (both optional, default to config)
+ */
+router.post('/run', requireScope('bulk:write'), async (req, res) => {
+  try {
+    const { dry_run, revoke } = req.body || {};
+
+    if ((dry_run !== undefined && typeof dry_run !== 'boolean') ||
+        (revoke !== undefined && typeof revoke !== 'boolean')) {
+      return res.status(400).json({
+        error: 'dry_run and revoke must be booleans'
+      });
+    }
+
+    if (expirationSweeperService.running) {
+      return res.status(409).json({
+        error: 'Expiration sweep already running'
+      });
+    }
+
+    const report = await expirationSweeperService.sweep({ dryRun: dry_run, revoke });
+
+    res.json(report);
+  } catch (error) {
+    apiLogger.error({ error: error.message }, 'Expiration sweep failed');
+
+    res.status(500).json({
+      errorMessage: 'Expiration sweep failed',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -8,12 +8,13 @@ const router = express.Router();
 const tradingViewService = require('../services/tradingViewService');
 const { apiLogger } = require('../utils/logger');
 const { tradingViewLimiter } = require('../middleware/rateLimit');
+const { requireScope } = require('../middleware/apiAuth');
 
 /**
  * GET /validate/:username
  * Validate if a username exists on TradingView
  */
-router.get('/:username', tradingViewLimiter, async (req, res) => {
+router.get('/:username', requireScope('access:read'), tradingViewLimiter, async (req, res) => {
   try {
     const { username } = req.params;
 
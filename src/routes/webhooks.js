@@ -0,0 +1,282 @@
+/**
+ * Webhook Routes
+ * /webhooks/* endpoints - subscriptions (URL, secret and event filter per
+ * endpoint), outbox history, dead-letter queue and manual redelivery.
+ * Signing secrets are only returned once, when the subscription is created
+ * or its secret is rotated.
+ */
+
+const express = require('express');
+const router = express.Router();
+const webhookService = require('../services/webhookService');
+const webhookSubscriptionService = require('../services/webhookSubscriptionService');
+const { requireScope } = require('../middleware/apiAuth');
+const { apiLogger } = require('../utils/logger');
+
+const { DEFAULT_SUBSCRIPTION_ID } = webhookSubscriptionService;
+const MAX_LIMIT = 500;
+
+function rejectEnvSubscription(req, res) {
+  if (req.params.id !== DEFAULT_SUBSCRIPTION_ID) return false;
+
+  res.status(400).json({
+    error: `Subscription "${DEFAULT_SUBSCRIPTION_ID}" is configured through ECOMMERCE_WEBHOOK_URL/WEBHOOK_SECRET`
+  });
+  return true;
+}
+
+/**
+ * GET /webhooks/deliveries
+ * Query: ?status=pending|delivered|dead_letter&event=subscription.expired&subscription=whk_...&limit=50
+ */
+router.get('/deliveries', requireScope('config:admin'), async (req, res) => {
+  try {
+    const { status, event, subscription } = req.query;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : 50;
+
+    if (status && !webhookService.DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Invalid status: ${status}. Use one of: ${webhookService.DELIVERY_STATUSES.join(', ')}`
+      });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return res.status(400).json({
+        error: `limit must be an integer between 1 and ${MAX_LIMIT}`
+      });
+    }
+
+    res.json(await webhookService.listDeliveries({ status, event, subscription, limit }));
+  } catch (error) {
+    apiLogger.error({ error: error.message }, 'Webhook deliveries retrieval failed');
+
+    res.status(500).json({
+      errorMessage: 'Webhook deliveries retrieval failed',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /webhooks/deliveries/:id/replay
+ * Queue a delivered or dead-lettered event again (same payload, new attempts)
+ */
+router.post('/deliveries/:id/replay', requireScope('config:admin'), async (req, res) => {
+  try {
+    const result = await webhookService.replayDelivery(req.params.id);
+    if (result.error) {
+      return res.status(result.status).json({
+        error: result.error
+      });
+    }
+
+    apiLogger.info({ deliveryId: req.params.id, replayedBy: req.apiKey.id }, 'Webhook replay requested');
+
+    res.status(202).json(result.delivery);
+  } catch (error) {
+    apiLogger.error({ error: error.message, deliveryId: req.params.id }, 'Webhook replay failed');
+
+    res.status(500).json({
+      errorMessage: 'Webhook replay failed',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /webhooks
+ * All subscriptions, including ECOMMERCE_WEBHOOK_URL as "default"
+ */
+router.get('/', requireScope('config:admin'), async (req, res) => {
+  try {
+    const subscriptions = await webhookSubscriptionService.listSubscriptions();
+
+    res.json({
+      total: subscriptions.length,
+      event_types: webhookSubscriptionService.EVENT_TYPES,
+      subscriptions: subscriptions.map(subscription => webhookSubscriptionService.toPublic(subscription))
+    });
+  } catch (error) {
+    apiLogger.error({ error: error.message }, 'Webhook subscription listing failed');
+
+    res.status(500).json({
+      errorMessage: 'Webhook subscription listing failed',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /webhooks/:id
+ */
+router.get('/:id', requireScope('config:admin'), async (req, res) => {
+  try {
+    const subscription = await webhookSubscriptionService.getSubscription(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({
+        error: 'Webhook subscription not found'
+      });
+    }
+
+    res.json(webhookSubscriptionService.toPublic(subscription));
+  } catch (error) {
+    apiLogger.error({ error: error.message, subscriptionId: req.params.id }, 'Webhook subscription retrieval failed');
+
+    res.status(500).json({
+      errorMessage: 'Webhook subscription retrieval failed',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /webhooks
+ * Body: { name, url, events: ["access.*", "bulk.success"], enabled?: true, secret?: string }
+ * Response includes `secret` (generated if not given): store it now, it cannot be retrieved later
+ */
+router.post('/', requireScope('config:admin'), async (req, res) => {
+  try {
+    const validationError = webhookSubscriptionService.validate(req.body || {});
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError
+      });
+    }
+
+    const result = await webhookSubscriptionService.createSubscription(req.body);
+    if (result.error) {
+      return res.status(result.status).json({
+        error: result.error
+      });
+    }
+
+    apiLogger.info({ subscriptionId: result.subscription.id, createdBy: req.apiKey.id }, 'Webhook subscription created through API');
+
+    res.status(201).json({ ...result.subscription, secret: result.secret });
+  } catch (error) {
+    apiLogger.error({ error: error.message }, 'Webhook subscription creation failed');
+
+    res.status(500).json({
+      errorMessage: 'Webhook subscription creation failed',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /webhooks/:id
+ * Body: any of { name, url, events, enabled, secret } (a new secret rotates like /rotate-secret)
+ * Pending deliveries of a disabled subscription wait until it is enabled again
+ */
+router.patch('/:id', requireScope('config:admin'), async (req, res) => {
+  try {
+    if (rejectEnvSubscription(req, res)) return;
+
+    const validationError = webhookSubscriptionService.validate(req.body || {}, true);
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError
+      });
+    }
+
+    const result = await webhookSubscriptionService.updateSubscription(req.params.id, req.body);
+    if (result.error) {
+      return res.status(result.status).json({
+        error: result.error
+      });
+    }
+
+    res.json(result.subscription);
+  } catch (error) {
+    apiLogger.error({ error: error.message, subscriptionId: req.params.id }, 'Webhook subscription update failed');
+
+    res.status(500).json({
+      errorMessage: 'Webhook subscription update failed',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /webhooks/:id
+ * Its pending deliveries are moved to the dead-letter queue
+ */
+router.delete('/:id', requireScope('config:admin'), async (req, res) => {
+  try {
+    if (rejectEnvSubscription(req, res)) return;
+
+    const deleted = await webhookSubscriptionService.deleteSubscription(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Webhook subscription not found'
+      });
+    }
+
+    res.json({
+      deleted: true,
+      id: req.params.id
+    });
+  } catch (error) {
+    apiLogger.error({ error: error.message, subscriptionId: req.params.id }, 'Webhook subscription deletion failed');
+
+    res.status(500).json({
+      errorMessage: 'Webhook subscription deletion failed',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /webhooks/:id/rotate-secret
+ * Generate a new signing secret. The previous one keeps signing (a second v1=
+ * in X-Webhook-Signature) for WEBHOOK_SECRET_ROTATION_HOURS
+ */
+router.post('/:id/rotate-secret', requireScope('config:admin'), async (req, res) => {
+  try {
+    if (rejectEnvSubscription(req, res)) return;
+
+    const result = await webhookSubscriptionService.rotateSecret(req.params.id);
+    if (result.error) {
+      return res.status(result.status).json({
+        error: result.error
+      });
+    }
+
+    apiLogger.info({ subscriptionId: req.params.id, rotatedBy: req.apiKey.id }, 'Webhook secret rotated through API');
+
+    res.json({ ...result.subscription, secret: result.secret });
+  } catch (error) {
+    apiLogger.error({ error: error.message, subscriptionId: req.params.id }, 'Webhook secret rotation failed');
+
+    res.status(500).json({
+      errorMessage: 'Webhook secret rotation failed',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /webhooks/:id/ping
+ * Send a signed "ping" event now and report the endpoint's response
+ */
+router.post('/:id/ping', requireScope('config:admin'), async (req, res) => {
+  try {
+    const result = await webhookService.ping(req.params.id);
+    if (result.status) {
+      return res.status(result.status).json({
+        error: result.error
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    apiLogger.error({ error: error.message, subscriptionId: req.params.id }, 'Webhook ping failed');
+
+    res.status(500).json({
+      errorMessage: 'Webhook ping failed',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -11,12 +11,23 @@ const compression = require('compression');
 const config = require('../config');
 const { logger } = require('./utils/logger');
 const { apiLimiter } = require('./middleware/rateLimit');
+const { correlationId } = require('./middleware/correlationId');
+const { migratePlaintextSecrets } = require('./utils/secretMigration');
 
 // Routes
 const validateRoutes = require('./routes/validate');
 const accessRoutes = require('./routes/access');
 const metricsRoutes = require('./routes/metrics');
 const configRoutes = require('./routes/config');
+const accountRoutes = require('./routes/accounts');
+const ledgerRoutes = require('./routes/ledger');
+const jobRoutes = require('./routes/jobs');
+const sweeperRoutes = require('./routes/sweeper');
+const reminderRoutes = require('./routes/reminders');
+const scriptRoutes = require('./routes/scripts');
+const reconcileRoutes = require('./routes/reconcile');
+const adminRoutes = require('./routes/admin');
+const webhookRoutes = require('./routes/webhooks');
 
 // Initialize Express app
 const app = express();
@@ -41,6 +52,9 @@ app.use(cors({
 // Compression
 app.use(compression());
 
+// Correlation ID (X-Correlation-ID) for logs and access.* webhooks
+app.use(correlationId);
+
 // Rate limiting
 app.use('/api/', apiLimiter);
 
@@ -59,6 +73,7 @@ app.use((req, res, next) => {
       url: req.url,
       status: res.statusCode,
       duration: `${duration}ms`,
+      correlationId: req.correlationId,
       ip: req.ip,
       userAgent: req.get('User-Agent')
     }, 'Request completed');
@@ -76,13 +91,24 @@ app.get('/', (req, res) => {
     timestamp: new Date().toISOString(),
     endpoints: {
       health: 'GET /',
-      validate: 'GET /api/validate/:username',
-      access: 'GET|POST|DELETE /api/access/:username',
+      validate: 'GET /api/validate/:username (access:read)',
+      access: 'GET|POST|DELETE /api/access/:username (access:read / access:write)',
       bulk: 'POST /api/access/bulk (OPTIMIZED + PROTECTED)',
       bulkRemove: 'POST /api/access/bulk-remove (PROTECTED)',
       replace: 'POST /api/access/replace (PROTECTED)',
       metrics: 'GET /api/metrics/stats (E-COMMERCE)',
-      healthCheck: 'GET /api/metrics/health (E-COMMERCE)'
+      healthCheck: 'GET /api/metrics/health (E-COMMERCE)',
+      ledger: 'GET /api/ledger/entitlements|operations (PROTECTED)',
+      jobs: 'GET /api/jobs | GET /api/jobs/:id (PROTECTED, bulk with ?async=true)',
+      sweeper: 'GET /api/sweeper/status | POST /api/sweeper/run (PROTECTED)',
+      reminders: 'GET /api/reminders | POST /api/reminders/run (PROTECTED)',
+      scriptUsers: 'GET /api/scripts/:pineId/users (PROTECTED, paginated)',
+      reconcile: 'POST /api/reconcile (PROTECTED, JSON or CSV)',
+      accounts: 'GET|POST /api/config/accounts | GET|PATCH|DELETE /api/config/accounts/:id (PROTECTED)',
+      sessionImport: 'POST /api/config/session (PROTECTED, browser sessionid cookie)',
+      apiKeys: 'GET|POST /api/admin/keys | GET|PATCH|DELETE /api/admin/keys/:id (config:admin)',
+      webhooks: 'GET|POST /api/webhooks | GET|PATCH|DELETE /api/webhooks/:id | POST /api/webhooks/:id/ping|rotate-secret (config:admin)',
+      webhookDeliveries: 'GET /api/webhooks/deliveries | POST /api/webhooks/deliveries/:id/replay (config:admin)'
     }
   });
 });
@@ -91,7 +117,16 @@ app.get('/', (req, res) => {
 app.use('/api/validate', validateRoutes);
 app.use('/api/access', accessRoutes);
 app.use('/api/metrics', metricsRoutes);
+app.use('/api/config/accounts', accountRoutes);
 app.use('/api/config', configRoutes);
+app.use('/api/ledger', ledgerRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/sweeper', sweeperRoutes);
+app.use('/api/reminders', reminderRoutes);
+app.use('/api/scripts', scriptRoutes);
+app.use('/api/reconcile', reconcileRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/webhooks', webhookRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -151,6 +186,9 @@ const server = app.listen(config.port, '0.0.0.0', () => {
   console.log(`📊 Environment: ${config.nodeEnv}`);
   console.log(`🔧 PID: ${process.pid}`);
   console.log(`📝 Logs: ${config.logLevel} level`);
+
+  // Secretos en texto plano de versiones anteriores -> secret store cifrado
+  migratePlaintextSecrets();
 });
 
 // Export for testing
@@ -0,0 +1,371 @@
+/**
+ * Account Service
+ * Registro de cuentas de TradingView: cada pine_id se asigna a la cuenta que
+ * lo publicó. La cuenta de TV_USERNAME/TV_PASSWORD sigue existiendo como
+ * 'default' y atiende los pine_ids no asignados a ninguna otra.
+ * Las contraseñas se guardan cifradas en el secret store, nunca en accounts.json.
+ */
+
+const config = require('../../config');
+const JsonFileStore = require('../utils/jsonFileStore');
+const secretStore = require('../utils/secretStore');
+const { isValidSecret } = require('../utils/totp');
+const { authLogger } = require('../utils/logger');
+
+const DEFAULT_ACCOUNT_ID = 'default';
+const ACCOUNT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+// Claves en el secret store
+const SAVED_CREDENTIALS_KEY = 'tradingview';
+const ACCOUNT_PASSWORDS_KEY = 'account_passwords';
+const ACCOUNT_TOTP_KEY = 'account_totp_secrets';
+
+class AccountService {
+  constructor() {
+    this.store = new JsonFileStore(config.accounts.file, {
+      defaults: { accounts: [] }
+    });
+    this.cacheMs = config.accounts.cacheMs;
+    this.cache = null;
+    this.cacheLoadedAt = 0;
+  }
+
+  /**
+   * Account configured through TV_USERNAME / TV_PASSWORD, or the credentials
+   * saved from /api/config/tradingview (read-only through the accounts API)
+   */
+  async getEnvAccount() {
+    const { saved } = await this.loadAccounts();
+
+    return {
+      id: DEFAULT_ACCOUNT_ID,
+      username: saved?.username || config.tvUsername,
+      password: saved?.password || config.tvPassword,
+      totp_secret: saved?.totp_secret || config.tvTotpSecret || null,
+      pine_ids: [],
+      is_default: true,
+      source: saved ? 'secret_store' : 'env'
+    };
+  }
+
+  // Cache corto: la resolución corre en cada request a TradingView y otros
+  // workers pueden haber cambiado los archivos
+  async loadAccounts() {
+    if (this.cache && Date.now() - this.cacheLoadedAt < this.cacheMs) {
+      return this.cache;
+    }
+
+    let { accounts } = await this.store.read();
+    let saved = null;
+
+    if (secretStore.isEnabled()) {
+      if (accounts.some(account => account.password)) {
+        accounts = await this.migratePlaintextPasswords();
+      }
+
+      const secrets = await secretStore.readAll();
+      const passwords = secrets[ACCOUNT_PASSWORDS_KEY] || {};
+      const totpSecrets = secrets[ACCOUNT_TOTP_KEY] || {};
+      accounts = accounts.map(account => ({
+        ...account,
+        password: passwords[account.id] || null,
+        totp_secret: totpSecrets[account.id] || null
+      }));
+      saved = secrets[SAVED_CREDENTIALS_KEY] || null;
+    }
+
+    this.cache = { accounts, saved };
+    this.cacheLoadedAt = Date.now();
+    return this.cache;
+  }
+
+  invalidateCache() {
+    this.cache = null;
+  }
+
+  /**
+   * Move passwords left in accounts.json into the secret store
+   */
+  async migratePlaintextPasswords() {
+    const migrated = {};
+
+    const accounts = await this.store.update(async (data) => {
+      data.accounts.forEach(account => {
+        if (account.password) migrated[account.id] = account.password;
+        delete account.password;
+      });
+
+      // Dentro del lock de accounts.json: nadie lee el archivo sin contraseñas
+      // antes de que estén en el secret store
+      if (Object.keys(migrated).length > 0) {
+        await secretStore.update((secrets) => {
+          secrets[ACCOUNT_PASSWORDS_KEY] = { ...secrets[ACCOUNT_PASSWORDS_KEY], ...migrated };
+        });
+      }
+      return data.accounts;
+    });
+
+    if (Object.keys(migrated).length > 0) {
+      authLogger.info({ accounts: Object.keys(migrated) }, 'Plaintext account passwords migrated to the secret store');
+    }
+    return accounts;
+  }
+
+  /**
+   * Persist the default account credentials (encrypted)
+   */
+  async saveCredentials(username, password, totpSecret = null) {
+    await secretStore.set(SAVED_CREDENTIALS_KEY, {
+      username,
+      password,
+      ...(totpSecret && { totp_secret: totpSecret })
+    });
+    this.invalidateCache();
+  }
+
+  /**
+   * Set or clear (null) the password / TOTP secret of an account
+   */
+  async setAccountSecrets(id, { password, totp_secret } = {}) {
+    await secretStore.update((secrets) => {
+      [[ACCOUNT_PASSWORDS_KEY, password], [ACCOUNT_TOTP_KEY, totp_secret]].forEach(([key, value]) => {
+        if (value === undefined) return;
+
+        const values = secrets[key] || {};
+        if (value) {
+          values[id] = value;
+        } else {
+          delete values[id];
+        }
+        secrets[key] = values;
+      });
+    });
+  }
+
+  /**
+   * All accounts, env account included
+   */
+  async listAccounts() {
+    const { accounts: stored } = await this.loadAccounts();
+    const envAccount = await this.getEnvAccount();
+    const hasStoredDefault = stored.some(account => account.is_default);
+
+    return [
+      { ...envAccount, is_default: !hasStoredDefault },
+      ...stored.map(account => ({ ...account, source: 'file' }))
+    ];
+  }
+
+  async getAccount(id) {
+    const accounts = await this.listAccounts();
+    return accounts.find(account => account.id === id) || null;
+  }
+
+  /**
+   * Account that owns a pine ID; falls back to the default account
+   */
+  async resolveAccount(pineId) {
+    const accounts = await this.listAccounts();
+
+    return accounts.find(account => pineId && account.pine_ids.includes(pineId)) ||
+      accounts.find(account => account.is_default);
+  }
+
+  /**
+   * Validate account fields
+   * @param {object} input - { id, username, password, totp_secret, pine_ids, is_default }
+   * @param {boolean} partial - only validate the fields present (updates)
+   * @returns {string|null} error message
+   */
+  validate(input, partial = false) {
+    const { id, username, password, totp_secret, pine_ids, is_default } = input;
+
+    if (!partial && (typeof id !== 'string' || !ACCOUNT_ID_PATTERN.test(id))) {
+      return 'id is required (letters, numbers, "-" or "_", max 64 characters)';
+    }
+    if (!partial && id.toLowerCase() === DEFAULT_ACCOUNT_ID) {
+      return `"${DEFAULT_ACCOUNT_ID}" is reserved for the TV_USERNAME/TV_PASSWORD account`;
+    }
+    if ((!partial || username !== undefined) && (typeof username !== 'string' || !username.trim())) {
+      return 'username is required';
+    }
+    if ((!partial || password !== undefined) && (typeof password !== 'string' || !password)) {
+      return 'password is required';
+    }
+    if (totp_secret !== undefined && totp_secret !== null && !isValidSecret(totp_secret)) {
+      return 'totp_secret must be a base32 TOTP secret (null to remove it)';
+    }
+    if (pine_ids !== undefined &&
+        (!Array.isArray(pine_ids) || pine_ids.some(pineId => typeof pineId !== 'string' || !pineId.trim()))) {
+      return 'pine_ids must be an array of pine IDs';
+    }
+    if (is_default !== undefined && typeof is_default !== 'boolean') {
+      return 'is_default must be a boolean';
+    }
+
+    return null;
+  }
+
+  /**
+   * Create an account
+   * @returns {object} { account } or { error, status }
+   */
+  async createAccount(input) {
+    const storeError = this.requireSecretStore(input.password, input.totp_secret);
+    if (storeError) return storeError;
+
+    const now = new Date().toISOString();
+
+    const result = await this.store.update(async (data) => {
+      if (data.accounts.some(account => account.id === input.id)) {
+        return { error: `Account already exists: ${input.id}`, status: 409 };
+      }
+
+      const account = {
+        id: input.id,
+        username: input.username.trim(),
+        pine_ids: [...new Set((input.pine_ids || []).map(pineId => pineId.trim()))],
+        is_default: !!input.is_default,
+        created_at: now,
+        updated_at: now
+      };
+
+      const conflict = this.findPineConflict(data.accounts, account);
+      if (conflict) return conflict;
+
+      // Bajo el lock de accounts.json, igual que la migración
+      const totpSecret = input.totp_secret || null;
+      await this.setAccountSecrets(account.id, { password: input.password, totp_secret: totpSecret });
+
+      if (account.is_default) this.clearDefault(data.accounts);
+      data.accounts.push(account);
+      return { account: { ...account, password: input.password, totp_secret: totpSecret } };
+    });
+
+    this.invalidateCache();
+    if (result.account) {
+      authLogger.info({ accountId: result.account.id, pineIds: result.account.pine_ids.length }, 'TradingView account added');
+    }
+    return result;
+  }
+
+  /**
+   * Update an account
+   * @returns {object} { account, credentialsChanged } or { error, status }
+   */
+  async updateAccount(id, changes) {
+    const storeError = this.requireSecretStore(changes.password, changes.totp_secret);
+    if (storeError) return storeError;
+
+    const result = await this.store.update(async (data) => {
+      const index = data.accounts.findIndex(account => account.id === id);
+      if (index === -1) {
+        return { error: `Account not found: ${id}`, status: 404 };
+      }
+
+      const existing = data.accounts[index];
+      const account = {
+        ...existing,
+        ...(changes.username !== undefined && { username: changes.username.trim() }),
+        ...(changes.pine_ids !== undefined && {
+          pine_ids: [...new Set(changes.pine_ids.map(pineId => pineId.trim()))]
+        }),
+        ...(changes.is_default !== undefined && { is_default: changes.is_default }),
+        updated_at: new Date().toISOString()
+      };
+
+      const conflict = this.findPineConflict(data.accounts, account);
+      if (conflict) return conflict;
+
+      const secrets = secretStore.isEnabled() ? await secretStore.readAll() : {};
+      const current = {
+        password: secrets[ACCOUNT_PASSWORDS_KEY]?.[id] || null,
+        totp_secret: secrets[ACCOUNT_TOTP_KEY]?.[id] || null
+      };
+      const next = {
+        password: changes.password !== undefined ? changes.password : current.password,
+        totp_secret: changes.totp_secret !== undefined ? changes.totp_secret || null : current.totp_secret
+      };
+      if (changes.password !== undefined || changes.totp_secret !== undefined) {
+        await this.setAccountSecrets(id, { password: changes.password, totp_secret: changes.totp_secret });
+      }
+
+      if (account.is_default && !existing.is_default) this.clearDefault(data.accounts);
+      data.accounts[index] = account;
+
+      return {
+        account: { ...account, ...next },
+        credentialsChanged: account.username !== existing.username ||
+          next.password !== current.password ||
+          next.totp_secret !== current.totp_secret
+      };
+    });
+
+    this.invalidateCache();
+    if (result.account) {
+      authLogger.info({ accountId: id, credentialsChanged: result.credentialsChanged }, 'TradingView account updated');
+    }
+    return result;
+  }
+
+  /**
+   * Delete an account; its pine IDs go back to the default account
+   * @returns {boolean} false if it did not exist
+   */
+  async deleteAccount(id) {
+    const deleted = await this.store.update(async (data) => {
+      const before = data.accounts.length;
+      data.accounts = data.accounts.filter(account => account.id !== id);
+
+      const removed = data.accounts.length < before;
+      if (removed && secretStore.isEnabled()) {
+        await this.setAccountSecrets(id, { password: null, totp_secret: null });
+      }
+      return removed;
+    });
+
+    this.invalidateCache();
+    if (deleted) {
+      authLogger.info({ accountId: id }, 'TradingView account removed');
+    }
+    return deleted;
+  }
+
+  // Sin master key no hay dónde guardar contraseñas: no se escriben en claro
+  requireSecretStore(...values) {
+    if (values.some(value => value !== undefined) && !secretStore.isEnabled()) {
+      return { error: 'Secret store disabled: set SECRETS_MASTER_KEY to store account passwords and TOTP secrets', status: 503 };
+    }
+    return null;
+  }
+
+  // Un pine_id solo puede pertenecer a una cuenta
+  findPineConflict(accounts, candidate) {
+    for (const account of accounts) {
+      if (account.id === candidate.id) continue;
+
+      const shared = candidate.pine_ids.find(pineId => account.pine_ids.includes(pineId));
+      if (shared) {
+        return { error: `Pine ID ${shared} already belongs to account ${account.id}`, status: 409 };
+      }
+    }
+    return null;
+  }
+
+  clearDefault(accounts) {
+    accounts.forEach(account => {
+      account.is_default = false;
+    });
+  }
+
+  /**
+   * Account without secrets, safe to return from the API
+   */
+  toPublic(account) {
+    const { password, totp_secret, ...rest } = account;
+    return { ...rest, has_password: !!password, two_factor: !!totp_secret };
+  }
+}
+
+module.exports = new AccountService();
+module.exports.DEFAULT_ACCOUNT_ID = DEFAULT_ACCOUNT_ID;
@@ -1,33 +1,61 @@
 /**
  * Alert Service
- * Sistema de alertas por email para errores críticos y problemas del sistema
+ * Sistema de alertas para errores críticos y problemas del sistema
+ * Cada alerta se envía a los canales configurados (email SMTP, webhook
+ * Slack/Discord, archivo/stdout; ver utils/alertChannels) que su prioridad
+ * tiene asignados en config.alerts.routing.
  */
 
-const nodemailer = require('nodemailer');
+const os = require('os');
+const config = require('../../config');
+const { CHANNEL_TYPES, createAlertChannels } = require('../utils/alertChannels');
 const { logger } = require('../utils/logger');
 
+const PRIORITIES = ['critical', 'warning', 'info'];
+
+// "smtp,webhook" -> ['smtp', 'webhook']; vacío = todos los canales
+function parseRoute(route) {
+  if (!route) return null;
+  return route.split(',').map(type => type.trim()).filter(Boolean);
+}
+
 class AlertService {
   constructor() {
-    this.enabled = !!(process.env.ALERT_EMAIL && process.env.ALERT_EMAIL_PASSWORD);
+    this.channels = createAlertChannels(config.alerts);
+    this.routes = Object.fromEntries(PRIORITIES.map(priority =>
+      [priority, parseRoute(config.alerts.routing[priority])]
+    ));
+    this.enabled = this.channels.length > 0;
+    
+    Object.entries(this.routes).forEach(([priority, route]) => {
+      const unknown = (route || []).filter(type => !CHANNEL_TYPES.includes(type));
+      if (unknown.length > 0) {
+        logger.warn({ priority, unknown, valid: CHANNEL_TYPES }, 'Unknown alert channels in routing');
+      }
+    });
     
     if (this.enabled) {
-      this.transporter = nodemailer.createTransporter({
-        service: process.env.EMAIL_SERVICE || 'gmail',
-        auth: {
-          user: process.env.ALERT_EMAIL,
-          pass: process.env.ALERT_EMAIL_PASSWORD
-        }
-      });
-      
       logger.info({ 
-        email: process.env.ALERT_EMAIL,
-        service: process.env.EMAIL_SERVICE || 'gmail'
+        channels: this.channels.map(channel => channel.describe()),
+        routes: this.routes
       }, 'Alert service initialized');
     } else {
-      logger.warn('Alert service disabled - no email configuration found');
+      logger.warn('Alert service disabled - no alert channel configured');
     }
   }
   
+  getChannel(type) {
+    return this.channels.find(channel => channel.type === type) || null;
+  }
+  
+  // Canales configurados a los que va una prioridad
+  getChannelsFor(priority) {
+    const route = this.routes[priority];
+    return route
+      ? this.channels.filter(channel => route.includes(channel.type))
+      : this.channels;
+  }
+  
   // Alerta crítica - Circuit breaker activado
   async alertCircuitBreakerOpen(stats) {
     if (!this.enabled) return;
@@ -74,7 +102,8 @@ ALERTA: Operación con Baja Tasa de Éxito
 - Tasa de éxito: ${successRate}%
 - Total operaciones: ${details.total}
 - Operaciones exitosas: ${details.success}
-- Operaciones fallidas: ${details.errors}
+- Operaciones fallidas: ${details.errors}${details.errorsByClass ? `
+- Fallos por tipo: ${Object.entries(details.errorsByClass).filter(([, count]) => count > 0).map(([errorClass, count]) => `${errorClass}: ${count}`).join(', ') || 'ninguno'}` : ''}
 - Duración: ${details.duration}ms
 
 🔍 POSIBLES CAUSAS:
@@ -170,46 +199,122 @@ Issue resuelto: ${previousIssue}
     await this.sendAlert(subject, message, 'info');
   }
   
-  async sendAlert(subject, message, priority) {
-    if (!this.enabled) {
-      logger.warn({ subject, priority }, 'Alert would be sent but email not configured');
-      return;
-    }
+  // Alerta - Cambio de estado de la sesión de TradingView (sessionMonitorService)
+  async alertSessionStatus(status, details = {}) {
+    if (!this.enabled) return;
+    
+    const titles = {
+      valid: '✅ RECUPERACIÓN: Sesión TradingView restablecida',
+      expired: '⚠️ AVISO: Sesión TradingView expirada, re-login en curso',
+      relogin_failed: '🚨 CRÍTICO: No se pudo re-loguear en TradingView'
+    };
+    const priorities = { valid: 'info', expired: 'warning', relogin_failed: 'critical' };
+    
+    const message = `
+ESTADO DE SESIÓN: ${status.toUpperCase()}
+
+👤 Cuenta: ${details.accountId}
+🔁 Estado anterior: ${details.previous || 'N/A'}
+🕐 Timestamp: ${new Date().toISOString()}
+${details.code ? `\n❌ MOTIVO: ${details.code} - ${details.message}\n` : ''}
+${status === 'relogin_failed' ? `🔧 ACCIÓN REQUERIDA:
+1. Revisar credenciales / TOTP de la cuenta
+2. Si TradingView pide CAPTCHA, importar la cookie en POST /api/config/session
+3. Las operaciones de esta cuenta fallarán hasta restablecer la sesión` : ''}
+${status === 'expired' ? 'La cola de operaciones está pausada mientras se re-loguea.' : ''}
+    `;
+    
+    await this.sendAlert(titles[status] || `Sesión TradingView: ${status}`, message, priorities[status] || 'warning');
+  }
+  
+  // Recordatorio de vencimiento por email (canal opcional de reminderService)
+  async sendExpirationReminder(reminder, to) {
+    const smtp = this.getChannel('smtp');
+    if (!smtp) return false;
+    
+    const subject = `⏰ Tu acceso a ${reminder.pine_id} vence en ${reminder.days_left} día(s)`;
+    const message = `
+RECORDATORIO DE VENCIMIENTO
+
+👤 Usuario TradingView: ${reminder.username}
+📈 Indicador: ${reminder.pine_id}
+📅 Vence: ${reminder.expiration}
+⏳ Días restantes: ${reminder.days_left}
+
+Renueva tu suscripción antes de la fecha de vencimiento para no perder el acceso.
+    `;
     
     try {
-      const alertEmail = {
-        from: process.env.ALERT_EMAIL,
-        to: process.env.ADMIN_EMAIL || process.env.ALERT_EMAIL,
-        subject: `[TradingView API ${priority.toUpperCase()}] ${subject}`,
-        text: message,
-        html: `
-          <div style="font-family: monospace; white-space: pre-line; padding: 20px; background: #f5f5f5;">
-            ${message.replace(/\n/g, '<br>')}
-          </div>
-        `,
-        priority: priority === 'critical' ? 'high' : 'normal'
-      };
-      
-      // Añadir CC para errores críticos
-      if (priority === 'critical' && process.env.EMERGENCY_EMAIL) {
-        alertEmail.cc = process.env.EMERGENCY_EMAIL;
-      }
-      
-      await this.transporter.sendMail(alertEmail);
+      await smtp.sendMail({
+        to,
+        subject,
+        text: message
+      });
       
       logger.info({ 
-        subject, 
-        priority, 
-        to: alertEmail.to 
-      }, 'Alert email sent successfully');
+        username: reminder.username,
+        pine_id: reminder.pine_id,
+        to 
+      }, 'Expiration reminder email sent');
       
+      return true;
     } catch (error) {
       logger.error({ 
         error: error.message,
-        subject,
-        priority 
-      }, 'Failed to send alert email');
+        username: reminder.username,
+        pine_id: reminder.pine_id 
+      }, 'Failed to send expiration reminder email');
+      return false;
+    }
+  }
+  
+  /**
+   * Send an alert to every channel routed for its priority
+   * @returns {object} { sent: [types], failed: [types] }
+   */
+  async sendAlert(subject, message, priority) {
+    const channels = this.getChannelsFor(priority);
+    if (channels.length === 0) {
+      logger.warn({ subject, priority }, 'Alert would be sent but no channel is configured for its priority');
+      return { sent: [], failed: [] };
     }
+    
+    const alert = {
+      subject,
+      message,
+      priority,
+      timestamp: new Date().toISOString()
+    };
+    
+    // Un canal caído no impide que lleguen los demás
+    const results = await Promise.allSettled(channels.map(channel => channel.send(alert)));
+    const sent = [];
+    const failed = [];
+    
+    results.forEach((result, index) => {
+      const { type } = channels[index];
+      if (result.status === 'fulfilled') {
+        sent.push(type);
+      } else {
+        failed.push(type);
+        logger.error({ 
+          error: result.reason?.message,
+          channel: type,
+          subject,
+          priority 
+        }, 'Failed to send alert');
+      }
+    });
+    
+    if (sent.length > 0) {
+      logger.info({ 
+        subject, 
+        priority, 
+        channels: sent 
+      }, 'Alert sent successfully');
+    }
+    
+    return { sent, failed };
   }
   
   // Test del sistema de alertas
@@ -222,19 +327,31 @@ Issue resuelto: ${previousIssue}
     const message = `
 TEST DE ALERTAS - Sistema Funcionando Correctamente
 
-✅ CONFIGURACIÓN:
-- Email service: ${process.env.EMAIL_SERVICE || 'gmail'}
-- Alert email: ${process.env.ALERT_EMAIL}
-- Admin email: ${process.env.ADMIN_EMAIL}
+✅ CANALES:
+${this.channels.map(channel => `- ${Object.values(channel.describe()).filter(Boolean).join(' / ')}`).join('\n')}
+
+🔀 RUTAS POR PRIORIDAD:
+${PRIORITIES.map(priority => `- ${priority}: ${this.getChannelsFor(priority).map(channel => channel.type).join(', ') || 'ninguno'}`).join('\n')}
 
 📊 TIMESTAMP: ${new Date().toISOString()}
 
-Si recibes este email, el sistema de alertas está operativo.
+Si recibes este mensaje, el sistema de alertas está operativo.
     `;
     
-    await this.sendAlert(subject, message, 'info');
-    return true;
+    // Se prueba cada canal, no solo los de la ruta "info"
+    const results = await Promise.allSettled(this.channels.map(channel => channel.send({
+      subject,
+      message,
+      priority: 'info',
+      timestamp: new Date().toISOString()
+    })));
+    
+    return Object.fromEntries(results.map((result, index) => [
+      this.channels[index].type,
+      result.status === 'fulfilled' ? 'ok' : result.reason?.message
+    ]));
   }
 }
 
 module.exports = new AlertService();
+module.exports.PRIORITIES = PRIORITIES;
@@ -0,0 +1,304 @@
+/**
+ * API Key Service
+ * API keys con nombre, scopes, whitelist de IPs opcional y vencimiento.
+ * Solo se guarda el hash SHA-256: la key en claro se muestra una vez al crearla.
+ * ECOMMERCE_API_KEY sigue funcionando como key heredada con todos los scopes.
+ * Cada key puede tener sus propios límites por minuto y cuota diaria (null = los de config).
+ */
+
+const crypto = require('crypto');
+const config = require('../../config');
+const JsonFileStore = require('../utils/jsonFileStore');
+const { logger } = require('../utils/logger');
+
+const SCOPES = ['access:read', 'access:write', 'bulk:write', 'metrics:read', 'config:admin'];
+const LIMITS = ['api', 'bulk', 'tradingview'];
+const KEY_PREFIX = 'tvk_';
+const ENV_KEY_ID = 'env';
+
+// last_used_at se escribe como mucho una vez por minuto y key
+const TOUCH_INTERVAL_MS = 60000;
+
+function hashKey(rawKey) {
+  return crypto.createHash('sha256').update(String(rawKey)).digest('hex');
+}
+
+function hashesMatch(a, b) {
+  return crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+}
+
+// Express da las IPv4 como ::ffff:1.2.3.4 cuando escucha en IPv6
+function normalizeIp(ip) {
+  return String(ip || '').replace(/^::ffff:/, '');
+}
+
+// Los límites a null vuelven al valor por defecto: no se guardan
+function cleanLimits(limits) {
+  return Object.fromEntries(Object.entries(limits || {}).filter(([, value]) => value !== null));
+}
+
+class ApiKeyService {
+  constructor() {
+    this.store = new JsonFileStore(config.apiKeys.file, {
+      defaults: { keys: [] }
+    });
+    this.cacheMs = config.apiKeys.cacheMs;
+    this.cache = null;
+    this.cacheLoadedAt = 0;
+    this.lastTouched = new Map(); // keyId -> ms
+  }
+
+  async loadKeys() {
+    if (this.cache && Date.now() - this.cacheLoadedAt < this.cacheMs) {
+      return this.cache;
+    }
+
+    const { keys } = await this.store.read();
+    this.cache = keys;
+    this.cacheLoadedAt = Date.now();
+    return keys;
+  }
+
+  invalidateCache() {
+    this.cache = null;
+  }
+
+  /**
+   * ECOMMERCE_API_KEY as a key with every scope (ALLOWED_IPS still applies)
+   */
+  getEnvKey() {
+    if (!process.env.ECOMMERCE_API_KEY) return null;
+
+    return {
+      id: ENV_KEY_ID,
+      name: 'ECOMMERCE_API_KEY',
+      key_hash: hashKey(process.env.ECOMMERCE_API_KEY),
+      scopes: [...SCOPES],
+      allowed_ips: [],
+      expires_at: null,
+      limits: {},
+      daily_quota: null,
+      source: 'env'
+    };
+  }
+
+  /**
+   * Find the stored key matching a raw key, without expiry or IP checks
+   * @returns {object|null}
+   */
+  async lookup(rawKey) {
+    if (!rawKey) return null;
+
+    const keyHash = hashKey(rawKey);
+    const keys = await this.loadKeys();
+    const envKey = this.getEnvKey();
+    return [...(envKey ? [envKey] : []), ...keys].find(candidate => hashesMatch(candidate.key_hash, keyHash)) || null;
+  }
+
+  /**
+   * Resolve the key sent by a client
+   * @returns {object} { key } or { error, status, reason }
+   */
+  async authenticate(rawKey, ip) {
+    if (!rawKey) {
+      return { error: 'Invalid API key', status: 401, reason: 'missing' };
+    }
+
+    const key = await this.lookup(rawKey);
+
+    if (!key) {
+      return { error: 'Invalid API key', status: 401, reason: 'invalid' };
+    }
+    if (key.expires_at && Date.parse(key.expires_at) <= Date.now()) {
+      return { error: 'API key expired', status: 401, reason: 'expired', keyId: key.id };
+    }
+    if (key.allowed_ips.length > 0 && !key.allowed_ips.includes(normalizeIp(ip))) {
+      return { error: 'IP not allowed for this API key', status: 403, reason: 'ip_not_allowed', keyId: key.id };
+    }
+
+    if (key.source !== 'env') this.touch(key.id);
+    return { key };
+  }
+
+  touch(id) {
+    const now = Date.now();
+    if (now - (this.lastTouched.get(id) || 0) < TOUCH_INTERVAL_MS) return;
+    this.lastTouched.set(id, now);
+
+    this.store.update((data) => {
+      const key = data.keys.find(candidate => candidate.id === id);
+      if (key) key.last_used_at = new Date(now).toISOString();
+    }).catch(error => {
+      logger.warn({ keyId: id, error: error.message }, 'Could not record API key usage');
+    });
+  }
+
+  /**
+   * Effective limits of a key (or of a client without key): per-key values over config.rateLimit
+   * @returns {object} { api, bulk, tradingview, daily_quota } - daily_quota 0 means unlimited
+   */
+  resolveLimits(key = null) {
+    const limits = key?.limits || {};
+    const dailyQuota = key?.daily_quota;
+
+    return {
+      api: limits.api ?? config.rateLimit.maxRequests,
+      bulk: limits.bulk ?? config.rateLimit.bulkPerMinute,
+      tradingview: limits.tradingview ?? config.rateLimit.tradingViewPerMinute,
+      daily_quota: dailyQuota ?? config.rateLimit.dailyOperationsQuota
+    };
+  }
+
+  /**
+   * Validate key fields
+   * @param {object} input - { name, scopes, allowed_ips, expires_at, limits, daily_quota }
+   * @param {boolean} partial - only validate the fields present (updates)
+   * @returns {string|null} error message
+   */
+  validate(input, partial = false) {
+    const { name, scopes, allowed_ips, expires_at, limits, daily_quota } = input;
+    const isCount = value => Number.isInteger(value) && value >= 0;
+
+    if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+      return 'name is required';
+    }
+    if ((!partial || scopes !== undefined) &&
+        (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope)))) {
+      return `scopes must be a non-empty array of: ${SCOPES.join(', ')}`;
+    }
+    if (allowed_ips !== undefined &&
+        (!Array.isArray(allowed_ips) || allowed_ips.some(ip => typeof ip !== 'string' || !ip.trim()))) {
+      return 'allowed_ips must be an array of IP addresses';
+    }
+    if (expires_at !== undefined && expires_at !== null) {
+      const expiresAt = Date.parse(expires_at);
+      if (Number.isNaN(expiresAt)) {
+        return 'expires_at must be an ISO 8601 date (null for no expiry)';
+      }
+      if (expiresAt <= Date.now()) {
+        return 'expires_at must be in the future';
+      }
+    }
+    if (limits !== undefined && limits !== null) {
+      if (typeof limits !== 'object' || Array.isArray(limits) ||
+          Object.keys(limits).some(name => !LIMITS.includes(name))) {
+        return `limits must be an object with any of: ${LIMITS.join(', ')}`;
+      }
+      if (Object.values(limits).some(value => value !== null && (!isCount(value) || value === 0))) {
+        return 'limits must be positive integers (requests per window, null for the default)';
+      }
+    }
+    if (daily_quota !== undefined && daily_quota !== null && !isCount(daily_quota)) {
+      return 'daily_quota must be a non-negative integer (0 for unlimited, null for the default)';
+    }
+
+    return null;
+  }
+
+  /**
+   * Create a key
+   * @returns {object} { key, secret } - secret is the plaintext key, only returned here
+   */
+  async createKey(input) {
+    const secret = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const key = {
+      id: `key_${crypto.randomBytes(6).toString('hex')}`,
+      name: input.name.trim(),
+      prefix: secret.slice(0, KEY_PREFIX.length + 6),
+      key_hash: hashKey(secret),
+      scopes: [...new Set(input.scopes)],
+      allowed_ips: (input.allowed_ips || []).map(normalizeIp),
+      expires_at: input.expires_at ? new Date(input.expires_at).toISOString() : null,
+      limits: cleanLimits(input.limits),
+      daily_quota: input.daily_quota ?? null,
+      created_at: new Date().toISOString(),
+      last_used_at: null
+    };
+
+    await this.store.update((data) => {
+      data.keys.push(key);
+    });
+
+    this.invalidateCache();
+    logger.info({ keyId: key.id, name: key.name, scopes: key.scopes }, 'API key created');
+    return { key: this.toPublic(key), secret };
+  }
+
+  /**
+   * Update name, scopes, allowed_ips, expires_at, limits or daily_quota (the key itself never changes)
+   * @returns {object} { key } or { error, status }
+   */
+  async updateKey(id, changes) {
+    const result = await this.store.update((data) => {
+      const key = data.keys.find(candidate => candidate.id === id);
+      if (!key) {
+        return { error: `API key not found: ${id}`, status: 404 };
+      }
+
+      if (changes.name !== undefined) key.name = changes.name.trim();
+      if (changes.scopes !== undefined) key.scopes = [...new Set(changes.scopes)];
+      if (changes.allowed_ips !== undefined) key.allowed_ips = changes.allowed_ips.map(normalizeIp);
+      if (changes.expires_at !== undefined) {
+        key.expires_at = changes.expires_at ? new Date(changes.expires_at).toISOString() : null;
+      }
+      if (changes.limits !== undefined) {
+        key.limits = changes.limits === null ? {} : cleanLimits({ ...key.limits, ...changes.limits });
+      }
+      if (changes.daily_quota !== undefined) key.daily_quota = changes.daily_quota;
+      key.updated_at = new Date().toISOString();
+
+      return { key: this.toPublic(key) };
+    });
+
+    this.invalidateCache();
+    if (result.key) {
+      logger.info({ keyId: id, scopes: result.key.scopes }, 'API key updated');
+    }
+    return result;
+  }
+
+  /**
+   * Revoke (delete) a key
+   * @returns {boolean} false if it did not exist
+   */
+  async revokeKey(id) {
+    const revoked = await this.store.update((data) => {
+      const before = data.keys.length;
+      data.keys = data.keys.filter(key => key.id !== id);
+      return data.keys.length < before;
+    });
+
+    this.invalidateCache();
+    if (revoked) {
+      logger.info({ keyId: id }, 'API key revoked');
+    }
+    return revoked;
+  }
+
+  async listKeys() {
+    const { keys } = await this.store.read();
+    return keys.map(key => this.toPublic(key));
+  }
+
+  async getKey(id) {
+    const { keys } = await this.store.read();
+    const key = keys.find(candidate => candidate.id === id);
+    return key ? this.toPublic(key) : null;
+  }
+
+  // Sin el hash: no sirve para autenticarse, pero tampoco hay por qué exponerlo
+  toPublic(key) {
+    const { key_hash, ...rest } = key;
+    return {
+      ...rest,
+      limits: key.limits || {},
+      daily_quota: key.daily_quota ?? null,
+      expired: !!key.expires_at && Date.parse(key.expires_at) <= Date.now()
+    };
+  }
+}
+
+module.exports = new ApiKeyService();
+module.exports.SCOPES = SCOPES;
+module.exports.LIMITS = LIMITS;
+module.exports.hashKey = hashKey;
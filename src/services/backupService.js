@@ -206,7 +206,7 @@ class BackupService {
           has_tv_credentials: !!(process.env.TV_USERNAME && process.env.TV_PASSWORD),
           has_api_key: !!process.env.ECOMMERCE_API_KEY,
           has_webhook_config: !!process.env.ECOMMERCE_WEBHOOK_URL,
-          has_alert_config: !!process.env.ALERT_EMAIL
+          has_alert_config: !!(process.env.ALERT_EMAIL || process.env.ALERT_WEBHOOK_URL || process.env.ALERT_FILE)
         },
         
         package_info: {
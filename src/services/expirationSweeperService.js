@@ -0,0 +1,258 @@
+/**
+ * Expiration Sweeper Service
+ * Revisa periódicamente las suscripciones conocidas (ledger) contra TradingView,
+ * detecta accesos vencidos, opcionalmente los revoca y notifica al e-commerce
+ * con el evento subscription.expired
+ */
+
+const crypto = require('crypto');
+const config = require('../../config');
+const JsonFileStore = require('../utils/jsonFileStore');
+const { isExpired } = require('../utils/dateHelper');
+const { logger } = require('../utils/logger');
+const tradingViewService = require('./tradingViewService');
+const ledgerService = require('./ledgerService');
+const webhookService = require('./webhookService');
+
+class ExpirationSweeperService {
+  constructor() {
+    this.enabled = config.sweeper.enabled;
+    this.intervalMs = config.sweeper.intervalMinutes * 60 * 1000;
+    this.dryRun = config.sweeper.dryRun;
+    this.revoke = config.sweeper.revoke;
+    this.running = false;
+
+    // Estado compartido entre workers del cluster (último run, lock de ejecución)
+    this.store = new JsonFileStore(config.sweeper.stateFile, {
+      defaults: { last_started_at: null, last_run: null }
+    });
+
+    if (this.enabled) {
+      logger.info({
+        intervalMinutes: config.sweeper.intervalMinutes,
+        dryRun: this.dryRun,
+        revoke: this.revoke
+      }, 'Expiration sweeper initialized');
+
+      setInterval(() => {
+        this.runScheduled();
+      }, this.intervalMs);
+    } else {
+      logger.warn('Expiration sweeper disabled');
+    }
+  }
+
+  // Ejecución programada: solo un worker del cluster corre cada intervalo
+  async runScheduled() {
+    try {
+      const claimed = await this.claimScheduledRun();
+      if (!claimed) {
+        logger.debug('Expiration sweep already handled by another worker');
+        return null;
+      }
+
+      return await this.sweep();
+    } catch (error) {
+      logger.error({ error: error.message }, 'Scheduled expiration sweep failed');
+      return null;
+    }
+  }
+
+  async claimScheduledRun() {
+    return this.store.update((state) => {
+      const now = Date.now();
+      const lastStarted = state.last_started_at ? new Date(state.last_started_at).getTime() : 0;
+
+      // Margen de medio intervalo para absorber el desfase entre workers
+      if (now - lastStarted < this.intervalMs / 2) return false;
+
+      state.last_started_at = new Date(now).toISOString();
+      return true;
+    });
+  }
+
+  /**
+   * Run a sweep over the ledger's known subscriptions
+   * @param {object} options - { dryRun, revoke } override the configured mode
+   * @returns {object} sweep report
+   */
+  async sweep(options = {}) {
+    if (this.running) {
+      throw new Error('Expiration sweep already running');
+    }
+
+    const dryRun = options.dryRun ?? this.dryRun;
+    const revoke = options.revoke ?? this.revoke;
+    const report = {
+      run_id: crypto.randomUUID(),
+      dry_run: dryRun,
+      revoke,
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      checked: 0,
+      lapsed: [],
+      errors: []
+    };
+
+    this.running = true;
+
+    try {
+      await tradingViewService.init();
+
+      const candidates = await this.getCandidates(revoke);
+
+      logger.info({
+        runId: report.run_id,
+        candidates: candidates.length,
+        dryRun,
+        revoke
+      }, 'Expiration sweep started');
+
+      await Promise.all(candidates.map(async (entitlement) => {
+        try {
+          const lapsed = await this.checkEntitlement(entitlement, { dryRun, revoke, runId: report.run_id });
+          report.checked++;
+          if (lapsed) report.lapsed.push(lapsed);
+        } catch (error) {
+          report.errors.push({
+            username: entitlement.username,
+            pine_id: entitlement.pine_id,
+            error: error.message
+          });
+        }
+      }));
+    } finally {
+      this.running = false;
+    }
+
+    report.finished_at = new Date().toISOString();
+
+    logger.info({
+      runId: report.run_id,
+      checked: report.checked,
+      lapsed: report.lapsed.length,
+      errors: report.errors.length,
+      dryRun
+    }, 'Expiration sweep completed');
+
+    if (!dryRun) {
+      await this.saveReport(report);
+    }
+
+    return report;
+  }
+
+  // Suscripciones con vencimiento conocido (las lifetime nunca vencen)
+  async getCandidates(revoke) {
+    const entitlements = await ledgerService.listEntitlements();
+
+    return entitlements.filter(entitlement => {
+      if (entitlement.no_expiration) return false;
+      if (entitlement.status === 'active') return true;
+      if (entitlement.status !== 'expired') return false;
+      // Ya procesadas por un sweep anterior: solo se revisan de nuevo si hay que revocarlas
+      return !entitlement.expired_at || revoke;
+    });
+  }
+
+  async checkEntitlement(entitlement, { dryRun, revoke, runId }) {
+    const accessDetails = await tradingViewService.requestBatcher.add(
+      () => tradingViewService.getAccessDetails(entitlement.username, entitlement.pine_id)
+    );
+
+    const onTradingView = accessDetails.hasAccess;
+
+    // Acceso vigente en TradingView (posiblemente extendido fuera del ledger)
+    if (onTradingView && (accessDetails.noExpiration || !isExpired(accessDetails.currentExpiration))) {
+      return null;
+    }
+
+    // TradingView ya no lo lista: vencido solo si el ledger también lo da por vencido
+    if (!onTradingView && !(entitlement.expiration && isExpired(entitlement.expiration))) {
+      return null;
+    }
+
+    const expiration = onTradingView ? accessDetails.currentExpiration : entitlement.expiration;
+    const alreadyNotified = !!entitlement.expired_at;
+    const shouldRevoke = revoke && onTradingView;
+
+    // Ya marcada como vencida y sin nada que revocar
+    if (alreadyNotified && !shouldRevoke) return null;
+
+    const lapsed = {
+      username: entitlement.username,
+      pine_id: entitlement.pine_id,
+      expiration,
+      on_tradingview: onTradingView,
+      action: this.describeAction({ dryRun, shouldRevoke })
+    };
+
+    if (dryRun) return lapsed;
+
+    let revoked = false;
+    if (shouldRevoke) {
+      const result = await tradingViewService.removeAccess(accessDetails, {
+        source: 'expiration_sweeper',
+        operationId: runId
+      });
+
+      revoked = result.status === 'Success';
+      if (!revoked) {
+        lapsed.action = 'revoke_failed';
+        lapsed.error = result.error || result.status;
+      }
+    }
+
+    if (!revoked) {
+      await ledgerService.recordExpiration(
+        { username: entitlement.username, pine_id: entitlement.pine_id, status: 'Success', expiration },
+        { source: 'expiration_sweeper', operationId: runId }
+      );
+    }
+
+    if (!alreadyNotified) {
+      await webhookService.notifySubscriptionExpired({
+        ...lapsed,
+        revoked,
+        run_id: runId
+      });
+    }
+
+    return lapsed;
+  }
+
+  describeAction({ dryRun, shouldRevoke }) {
+    if (shouldRevoke) return dryRun ? 'would_revoke' : 'revoked';
+    return dryRun ? 'would_mark_expired' : 'marked_expired';
+  }
+
+  async saveReport(report) {
+    try {
+      await this.store.update((state) => {
+        state.last_run = {
+          ...report,
+          lapsed_count: report.lapsed.length,
+          errors_count: report.errors.length
+        };
+      });
+    } catch (error) {
+      logger.warn({ error: error.message }, 'Failed to persist sweep report');
+    }
+  }
+
+  async getStatus() {
+    const state = await this.store.read();
+
+    return {
+      enabled: this.enabled,
+      interval_minutes: config.sweeper.intervalMinutes,
+      dry_run: this.dryRun,
+      revoke: this.revoke,
+      running: this.running,
+      last_started_at: state.last_started_at,
+      last_run: state.last_run
+    };
+  }
+}
+
+module.exports = new ExpirationSweeperService();
@@ -0,0 +1,298 @@
+/**
+ * Job Service
+ * Ejecuta operaciones masivas en segundo plano con un job ID consultable.
+ * El estado de cada job se persiste en disco para sobrevivir reinicios.
+ *
+ * Emite 'job-event' ({ jobId, event, data }) para streams en vivo:
+ * status, progress, result, completed, failed y eventos propios del executor.
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const config = require('../../config');
+const JsonFileStore = require('../utils/jsonFileStore');
+const { bulkLogger } = require('../utils/logger');
+
+const FINISHED_STATUSES = ['completed', 'failed', 'interrupted'];
+
+class JobService extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0); // Un listener por cliente SSE conectado
+
+    this.store = new JsonFileStore(config.jobs.file, {
+      defaults: { jobs: {} }
+    });
+    this.retentionHours = config.jobs.retentionHours;
+    this.flushInterval = config.jobs.flushIntervalMs;
+
+    // Jobs ejecutándose en este proceso (fuente de verdad mientras corren)
+    this.active = new Map();
+    this.flushTimers = new Map();
+
+    this.recovery = this.recoverInterruptedJobs();
+  }
+
+  /**
+   * Create a job and run the executor in the background.
+   * The executor receives { onProgress, onResult, emit } hooks and must
+   * resolve with the final operation result.
+   */
+  async startJob(type, params, executor) {
+    await this.recovery;
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      params: this.summarizeParams(params),
+      progress: {
+        processed: 0,
+        total: params.total || 0,
+        success: 0,
+        errors: 0,
+        percent: 0,
+        phase: null
+      },
+      results: [],
+      events: [],
+      result: null,
+      error: null,
+      worker_pid: process.pid,
+      created_at: now,
+      started_at: null,
+      finished_at: null,
+      updated_at: now
+    };
+
+    this.active.set(job.id, job);
+    await this.persist(job);
+
+    bulkLogger.info({ jobId: job.id, type, total: job.progress.total }, 'Background job created');
+
+    setImmediate(() => this.execute(job, executor));
+
+    return this.toPublic(job);
+  }
+
+  async execute(job, executor) {
+    job.status = 'running';
+    job.started_at = new Date().toISOString();
+    this.touch(job);
+    this.publish(job, 'status', { status: job.status });
+
+    try {
+      const result = await executor({
+        onProgress: (processed, total, success, errors, phase = null) =>
+          this.updateProgress(job, { processed, total, success, errors, phase }),
+        onResult: (result) => this.addResult(job, result),
+        emit: (event, data) => this.addEvent(job, event, data)
+      });
+
+      job.status = 'completed';
+      job.result = result;
+
+      bulkLogger.info({ jobId: job.id, type: job.type, successRate: result?.successRate }, 'Background job completed');
+    } catch (error) {
+      job.status = 'failed';
+      job.error = {
+        message: error.message,
+        ...(error.phase && { phase: error.phase })
+      };
+
+      bulkLogger.error({ jobId: job.id, type: job.type, error: error.message }, 'Background job failed');
+    }
+
+    job.finished_at = new Date().toISOString();
+    this.touch(job, { immediate: true });
+    this.publish(job, job.status, job.status === 'completed'
+      ? { result: job.result, progress: job.progress }
+      : { error: job.error, progress: job.progress });
+  }
+
+  publish(job, event, data) {
+    this.emit('job-event', { jobId: job.id, event, data });
+  }
+
+  isRunningHere(id) {
+    return this.active.has(id) && !this.isFinished(this.active.get(id));
+  }
+
+  isFinished(job) {
+    return FINISHED_STATUSES.includes(job.status);
+  }
+
+  updateProgress(job, { processed, total, success, errors, phase }) {
+    job.progress = {
+      processed,
+      total,
+      success,
+      errors,
+      percent: total > 0 ? Math.round((processed / total) * 100) : 0,
+      phase
+    };
+    this.touch(job);
+    this.publish(job, 'progress', job.progress);
+  }
+
+  addResult(job, result) {
+    if (!result) return;
+
+    const item = {
+      username: result.username,
+      pine_id: result.pine_id,
+      status: result.status,
+      expiration: result.noExpiration ? null : (result.expiration || null),
+      no_expiration: !!result.noExpiration,
+      ...(result.operation && { operation: result.operation }),
+      ...(result.error && { error: result.error })
+    };
+
+    job.results.push(item);
+    this.touch(job);
+    this.publish(job, 'result', item);
+  }
+
+  // Eventos propios del executor (circuit_open, ...): se guardan para que los
+  // streams que siguen el job desde otro worker también los reciban
+  addEvent(job, event, data) {
+    job.events.push({ event, data, at: new Date().toISOString() });
+    this.touch(job);
+    this.publish(job, event, data);
+  }
+
+  // Persistencia con throttling: como máximo una escritura por flushInterval
+  touch(job, { immediate = false } = {}) {
+    job.updated_at = new Date().toISOString();
+
+    if (immediate) {
+      clearTimeout(this.flushTimers.get(job.id));
+      this.flushTimers.delete(job.id);
+      this.flush(job);
+      return;
+    }
+
+    if (this.flushTimers.has(job.id)) return;
+
+    this.flushTimers.set(job.id, setTimeout(() => {
+      this.flushTimers.delete(job.id);
+      this.flush(job);
+    }, this.flushInterval));
+  }
+
+  async flush(job) {
+    try {
+      await this.persist(job);
+    } catch (error) {
+      bulkLogger.warn({ jobId: job.id, error: error.message }, 'Failed to persist job state');
+    }
+
+    if (FINISHED_STATUSES.includes(job.status) && !this.flushTimers.has(job.id)) {
+      this.active.delete(job.id);
+    }
+  }
+
+  async persist(job) {
+    await this.store.update((data) => {
+      data.jobs[job.id] = job;
+      data.jobs = this.pruneJobs(data.jobs);
+    });
+  }
+
+  async getJob(id) {
+    if (this.active.has(id)) {
+      return this.toPublic(this.active.get(id));
+    }
+
+    const data = await this.store.read();
+    return data.jobs[id] ? this.toPublic(data.jobs[id]) : null;
+  }
+
+  async listJobs(filters = {}) {
+    const data = await this.store.read();
+    const jobs = { ...data.jobs };
+
+    for (const [id, job] of this.active) {
+      jobs[id] = job;
+    }
+
+    const list = Object.values(jobs)
+      .filter(job => {
+        if (filters.status && job.status !== filters.status) return false;
+        if (filters.type && job.type !== filters.type) return false;
+        return true;
+      })
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+      .map(job => {
+        const { results, ...summary } = this.toPublic(job);
+        return { ...summary, results_count: results.length };
+      });
+
+    return filters.limit ? list.slice(0, filters.limit) : list;
+  }
+
+  /**
+   * Jobs left running by a dead process can't be resumed safely
+   * (TradingView extends from the current expiration), so they are
+   * marked as interrupted with the progress they had reached.
+   */
+  async recoverInterruptedJobs() {
+    try {
+      const interrupted = await this.store.update((data) => {
+        const ids = [];
+
+        for (const job of Object.values(data.jobs)) {
+          if (FINISHED_STATUSES.includes(job.status)) continue;
+          if (job.worker_pid !== process.pid && this.isProcessAlive(job.worker_pid)) continue;
+
+          job.status = 'interrupted';
+          job.error = { message: 'Process restarted before the job finished' };
+          job.finished_at = new Date().toISOString();
+          ids.push(job.id);
+        }
+
+        data.jobs = this.pruneJobs(data.jobs);
+        return ids;
+      });
+
+      if (interrupted.length > 0) {
+        bulkLogger.warn({ jobIds: interrupted }, 'Marked unfinished jobs as interrupted');
+      }
+    } catch (error) {
+      bulkLogger.error({ error: error.message }, 'Failed to recover job state');
+    }
+  }
+
+  isProcessAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  }
+
+  pruneJobs(jobs) {
+    const cutoff = Date.now() - (this.retentionHours * 60 * 60 * 1000);
+
+    return Object.fromEntries(Object.entries(jobs).filter(([, job]) =>
+      !FINISHED_STATUSES.includes(job.status) || new Date(job.finished_at).getTime() >= cutoff
+    ));
+  }
+
+  summarizeParams(params) {
+    return {
+      users_count: params.users?.length || 0,
+      pine_ids: params.pine_ids || [],
+      duration: params.duration || null,
+      options: params.options || {}
+    };
+  }
+
+  toPublic(job) {
+    return JSON.parse(JSON.stringify(job));
+  }
+}
+
+module.exports = new JobService();
@@ -0,0 +1,252 @@
+/**
+ * Ledger Service
+ * Registro persistente de suscripciones (username × pine_id) y de cada
+ * operación de grant/remove ejecutada contra TradingView.
+ *
+ * Los entitlements viven en LEDGER_FILE (uno por suscripción); las operaciones
+ * se añaden a un log JSONL aparte (una línea por operación). Así registrar una
+ * operación no reescribe los 90 días de historial: un bulk de n operaciones
+ * cuesta O(n × entitlements) en vez de O(n²) bajo el lock.
+ */
+
+const crypto = require('crypto');
+const config = require('../../config');
+const JsonFileStore = require('../utils/jsonFileStore');
+const JsonLinesLog = require('../utils/jsonLinesLog');
+const { isExpired } = require('../utils/dateHelper');
+const { logger } = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+class LedgerService {
+  constructor() {
+    this.store = new JsonFileStore(config.ledger.file, {
+      defaults: { entitlements: {} }
+    });
+    this.operationsLog = new JsonLinesLog(config.ledger.operationsFile);
+    this.nextPruneAt = 0;
+    this.retentionDays = config.ledger.retentionDays;
+    this.operationValue = config.ledger.operationValue;
+  }
+
+  // Registrar resultado de addAccess (grant/extend)
+  async recordGrant(result, context = {}) {
+    const succeeded = result.status === 'Success' || result.status === 'Not Applied';
+
+    return this.recordOperation('grant', result, context, (existing, now) => {
+      if (!succeeded) {
+        return existing
+          ? { ...existing, last_error: result.error || result.status, updated_at: now }
+          : this.buildEntitlement(result, context, now, { status: 'failed', expiration: null, no_expiration: false });
+      }
+
+      return {
+        ...this.buildEntitlement(result, context, now, {
+          status: 'active',
+          expiration: result.noExpiration ? null : (result.expiration || result.currentExpiration || null),
+          no_expiration: !!result.noExpiration
+        }),
+        granted_at: existing?.status === 'active' ? existing.granted_at : now
+      };
+    });
+  }
+
+  // Registrar resultado de removeAccess
+  async recordRemoval(result, context = {}) {
+    const succeeded = result.status === 'Success';
+
+    return this.recordOperation('remove', result, context, (existing, now) => {
+      if (!succeeded) {
+        return existing
+          ? { ...existing, last_error: result.error || result.status, updated_at: now }
+          : null;
+      }
+
+      return {
+        ...this.buildEntitlement(result, context, now, {
+          status: 'revoked',
+          expiration: existing?.expiration || null,
+          no_expiration: false
+        }),
+        granted_at: existing?.granted_at || null,
+        revoked_at: now
+      };
+    });
+  }
+
+  // Registrar una suscripción vencida detectada por el sweeper
+  async recordExpiration(result, context = {}) {
+    return this.recordOperation('expire', result, context, (existing, now) => {
+      if (!existing) return null;
+
+      return {
+        ...existing,
+        status: 'expired',
+        expiration: result.expiration || existing.expiration,
+        expired_at: now,
+        updated_at: now
+      };
+    });
+  }
+
+  async recordOperation(type, result, context, buildEntitlement) {
+    const now = new Date().toISOString();
+    const operation = {
+      id: crypto.randomUUID(),
+      type,
+      username: result.username,
+      pine_id: result.pine_id,
+      status: result.status,
+      expiration: result.noExpiration ? null : (result.expiration || null),
+      no_expiration: !!result.noExpiration,
+      source: context.source || 'unknown',
+      operation_id: context.operationId || null,
+      duration: context.duration || null,
+      error: result.error || null,
+      timestamp: now
+    };
+
+    try {
+      // El append y la poda del log van bajo el mismo lock que los entitlements
+      await this.store.update(async (data) => {
+        const key = this.getKey(result.username, result.pine_id);
+        const entitlement = buildEntitlement(data.entitlements[key], now);
+
+        if (entitlement) {
+          data.entitlements[key] = entitlement;
+        }
+
+        await this.migrateLegacyOperations(data);
+        await this.operationsLog.append([operation]);
+
+        if (Date.now() >= this.nextPruneAt) {
+          await this.operationsLog.retain(operation => this.isWithinRetention(operation));
+          this.nextPruneAt = Date.now() + PRUNE_INTERVAL_MS;
+        }
+      });
+
+      return operation;
+    } catch (error) {
+      // El ledger nunca debe bloquear una operación contra TradingView
+      logger.warn({
+        error: error.message,
+        type,
+        username: result.username,
+        pineId: result.pine_id
+      }, 'Failed to record ledger operation');
+      return null;
+    }
+  }
+
+  buildEntitlement(result, context, now, fields) {
+    return {
+      username: result.username,
+      pine_id: result.pine_id,
+      ...fields,
+      source_operation: context.source || 'unknown',
+      operation_id: context.operationId || null,
+      last_error: null,
+      updated_at: now
+    };
+  }
+
+  // Entitlement actual de un usuario para un indicador
+  async getEntitlement(username, pineId) {
+    const data = await this.store.read();
+    const entitlement = data.entitlements[this.getKey(username, pineId)];
+    return entitlement ? this.withEffectiveStatus(entitlement) : null;
+  }
+
+  // Listar entitlements con filtros opcionales (username, pine_id, status)
+  async listEntitlements(filters = {}) {
+    const data = await this.store.read();
+
+    return Object.values(data.entitlements)
+      .map(entitlement => this.withEffectiveStatus(entitlement))
+      .filter(entitlement => {
+        if (filters.username && entitlement.username.toLowerCase() !== filters.username.toLowerCase()) return false;
+        if (filters.pineId && entitlement.pine_id !== filters.pineId) return false;
+        if (filters.status && entitlement.status !== filters.status) return false;
+        return true;
+      });
+  }
+
+  // Historial de operaciones (más recientes primero)
+  async getOperations(filters = {}) {
+    const data = await this.store.read();
+    const since = filters.since ? new Date(filters.since).getTime() : 0;
+
+    const operations = [...(data.operations || []), ...(await this.operationsLog.read())]
+      .filter(operation => {
+        if (since && new Date(operation.timestamp).getTime() < since) return false;
+        if (filters.type && operation.type !== filters.type) return false;
+        if (filters.status && operation.status !== filters.status) return false;
+        if (filters.username && operation.username.toLowerCase() !== filters.username.toLowerCase()) return false;
+        if (filters.pineId && operation.pine_id !== filters.pineId) return false;
+        return true;
+      })
+      .reverse();
+
+    return filters.limit ? operations.slice(0, filters.limit) : operations;
+  }
+
+  // Resumen de negocio de un día (UTC)
+  async getDailySummary(date = new Date()) {
+    const dayStart = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    const operations = (await this.getOperations({ since: new Date(dayStart).toISOString() }))
+      .filter(operation => new Date(operation.timestamp).getTime() < dayStart + DAY_MS);
+
+    const successfulGrants = operations.filter(operation =>
+      operation.type === 'grant' && operation.status === 'Success'
+    );
+
+    const grantsByPineId = {};
+    for (const operation of successfulGrants) {
+      grantsByPineId[operation.pine_id] = (grantsByPineId[operation.pine_id] || 0) + 1;
+    }
+
+    const revenue = Math.round(successfulGrants.length * this.operationValue * 100) / 100;
+
+    return {
+      operations: operations.length,
+      successfulOperations: operations.filter(operation => operation.status === 'Success').length,
+      failedOperations: operations.filter(operation => operation.status === 'Failure').length,
+      customersActivated: new Set(successfulGrants.map(operation => operation.username.toLowerCase())).size,
+      revenue,
+      averageOperationValue: successfulGrants.length > 0
+        ? Math.round((revenue / successfulGrants.length) * 100) / 100
+        : 0,
+      topIndicators: Object.entries(grantsByPineId)
+        .map(([pineId, grants]) => ({ pine_id: pineId, grants }))
+        .sort((a, b) => b.grants - a.grants)
+        .slice(0, 10)
+    };
+  }
+
+  withEffectiveStatus(entitlement) {
+    if (entitlement.status === 'active' && !entitlement.no_expiration &&
+        entitlement.expiration && isExpired(entitlement.expiration)) {
+      return { ...entitlement, status: 'expired' };
+    }
+    return entitlement;
+  }
+
+  isWithinRetention(operation) {
+    return new Date(operation.timestamp).getTime() >= Date.now() - (this.retentionDays * DAY_MS);
+  }
+
+  // Ledgers anteriores guardaban las operaciones dentro de LEDGER_FILE
+  async migrateLegacyOperations(data) {
+    if (!data.operations) return;
+
+    await this.operationsLog.append(data.operations);
+    delete data.operations;
+  }
+
+  getKey(username, pineId) {
+    return `${pineId}::${String(username).toLowerCase()}`;
+  }
+}
+
+module.exports = new LedgerService();
@@ -0,0 +1,87 @@
+/**
+ * Quota Service
+ * Cuota diaria de operaciones por cliente (API key o IP). Una operación es un
+ * par usuario×pine_id, no una petición HTTP: un bulk de 10 usuarios × 3 scripts
+ * consume 30. El contador vive en un archivo compartido por todos los workers
+ * y se reinicia a las 00:00 UTC.
+ */
+
+const config = require('../../config');
+const JsonFileStore = require('../utils/jsonFileStore');
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function nextResetAt() {
+  const reset = new Date();
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset;
+}
+
+class QuotaService {
+  constructor() {
+    this.store = new JsonFileStore(config.rateLimit.quotaFile, {
+      defaults: { usage: {} }
+    });
+  }
+
+  /**
+   * Reserve operations against the daily quota of a client
+   * @param {string} clientId - "key:<id>" or "ip:<address>"
+   * @param {number} operations - users × pine_ids
+   * @param {number} limit - daily quota, 0 = unlimited
+   * @returns {object} { allowed, used, limit, remaining, resetAt }
+   */
+  async reserve(clientId, operations, limit) {
+    return this.store.update((data) => {
+      const date = today();
+
+      // Los días anteriores ya no cuentan
+      data.usage = Object.fromEntries(Object.entries(data.usage).filter(([, usage]) => usage.date === date));
+
+      const used = data.usage[clientId]?.operations || 0;
+      const allowed = !limit || used + operations <= limit;
+      if (allowed) {
+        data.usage[clientId] = { date, operations: used + operations };
+      }
+
+      const total = allowed ? used + operations : used;
+      return {
+        allowed,
+        used: total,
+        limit,
+        remaining: limit ? Math.max(0, limit - total) : null,
+        resetAt: nextResetAt()
+      };
+    });
+  }
+
+  /**
+   * Give back operations that were reserved but not executed (request rejected)
+   */
+  async release(clientId, operations) {
+    await this.store.update((data) => {
+      const usage = data.usage[clientId];
+      if (usage && usage.date === today()) {
+        usage.operations = Math.max(0, usage.operations - operations);
+      }
+    });
+  }
+
+  /**
+   * Operations used today by a client
+   */
+  async getUsage(clientId) {
+    const { usage } = await this.store.read();
+    const current = usage[clientId];
+
+    return {
+      date: today(),
+      operations: current && current.date === today() ? current.operations : 0,
+      reset_at: nextResetAt().toISOString()
+    };
+  }
+}
+
+module.exports = new QuotaService();
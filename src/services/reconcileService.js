@@ -0,0 +1,345 @@
+/**
+ * Reconcile Service
+ * Compara el set de suscripciones esperado (órdenes del e-commerce) contra el
+ * estado real en TradingView y opcionalmente corrige las diferencias
+ */
+
+const crypto = require('crypto');
+const tradingViewService = require('./tradingViewService');
+const { normalizeExpiration, isExpired } = require('../utils/dateHelper');
+const { bulkLogger } = require('../utils/logger');
+
+const LIFETIME_VALUES = ['', 'lifetime', 'never', 'null', 'none'];
+
+class ReconcileService {
+  /**
+   * Parse CSV with a header row: username,pine_id,expiration
+   * Empty expiration (or "lifetime") means lifetime access
+   */
+  parseCsv(csv) {
+    const lines = this.splitCsvRows(String(csv))
+      .filter(values => values.some(value => value !== ''));
+    if (lines.length === 0) return [];
+
+    const columns = lines[0].map(column => column.toLowerCase());
+    for (const required of ['username', 'pine_id']) {
+      if (!columns.includes(required)) {
+        throw new Error(`CSV header must include ${required} (got: ${columns.join(', ')})`);
+      }
+    }
+
+    return lines.slice(1).map(values =>
+      Object.fromEntries(columns.map((column, index) => [column, values[index] ?? '']))
+    );
+  }
+
+  /**
+   * RFC 4180 rows: quoted fields may contain commas, line breaks and "" (escaped quote),
+   * e.g. "Doe, John",user1,PUB;xxx from a customer export
+   */
+  splitCsvRows(csv) {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+    let inQuotes = false;
+
+    const endValue = () => {
+      row.push(quoted ? value : value.trim());
+      value = '';
+      quoted = false;
+    };
+
+    for (let index = 0; index < csv.length; index++) {
+      const char = csv[index];
+
+      if (inQuotes) {
+        if (char === '"' && csv[index + 1] === '"') {
+          value += '"';
+          index++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          value += char;
+        }
+      } else if (char === '"' && value.trim() === '') {
+        inQuotes = true;
+        quoted = true;
+        value = '';
+      } else if (char === ',') {
+        endValue();
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && csv[index + 1] === '\n') index++;
+        endValue();
+        rows.push(row);
+        row = [];
+      } else if (!quoted || char.trim() !== '') {
+        // Tras las comillas de cierre solo se admiten espacios
+        if (quoted) throw new Error(`Unexpected character after quoted field in row ${rows.length + 1}`);
+        value += char;
+      }
+    }
+
+    if (inQuotes) throw new Error(`Unterminated quoted field in row ${rows.length + 1}`);
+    if (value !== '' || quoted || row.length > 0) {
+      endValue();
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Validate and normalize expected entitlements
+   * Rows whose expiration already passed are kept with lapsed: true; diff()
+   * treats them as "should not have access" instead of granting the past date
+   * @returns {object} { entitlements, errors }
+   */
+  normalizeExpected(rows) {
+    const entitlements = new Map();
+    const errors = [];
+
+    rows.forEach((row, index) => {
+      const username = typeof row.username === 'string' ? row.username.trim() : '';
+      const pineId = typeof row.pine_id === 'string' ? row.pine_id.trim() : '';
+      const rawExpiration = row.expiration === null || row.expiration === undefined
+        ? ''
+        : String(row.expiration).trim();
+
+      if (!username || !pineId) {
+        errors.push({ row: index + 1, error: 'username and pine_id are required' });
+        return;
+      }
+
+      let expiration = null;
+      if (!LIFETIME_VALUES.includes(rawExpiration.toLowerCase())) {
+        try {
+          expiration = normalizeExpiration(rawExpiration);
+        } catch (error) {
+          errors.push({ row: index + 1, error: `Invalid expiration: ${rawExpiration}` });
+          return;
+        }
+      }
+
+      // Filas repetidas: gana la última
+      entitlements.set(this.getKey(username, pineId), {
+        username,
+        pine_id: pineId,
+        expiration,
+        ...(expiration && isExpired(expiration) && { lapsed: true })
+      });
+    });
+
+    return { entitlements: [...entitlements.values()], errors };
+  }
+
+  /**
+   * Diff expected entitlements against TradingView and optionally fix drift
+   * @param {Array} expected - normalized entitlements
+   * @param {object} options - { apply, removeExtra, toleranceMinutes, reserveRemovals, onProgress }
+   *   removeExtra is opt-in: with a partial order list every missing row would be revoked
+   *   reserveRemovals(count) resolves false when the removals do not fit in the caller's quota
+   */
+  async reconcile(expected, options = {}) {
+    const {
+      apply = false,
+      removeExtra = false,
+      toleranceMinutes = 60,
+      reserveRemovals,
+      onProgress
+    } = options;
+
+    await tradingViewService.init();
+
+    const operationId = crypto.randomUUID();
+    const pineIds = [...new Set(expected.map(entitlement => entitlement.pine_id))];
+    const actualByKey = new Map();
+    let actualCount = 0;
+
+    // Listado completo por indicador: una sola pasada en vez de un request por usuario
+    for (const pineId of pineIds) {
+      const users = await tradingViewService.listAllUsers(pineId);
+      actualCount += users.length;
+      for (const user of users) {
+        actualByKey.set(this.getKey(user.username, pineId), { ...user, pine_id: pineId });
+      }
+    }
+
+    const diff = this.diff(expected, actualByKey, toleranceMinutes);
+
+    bulkLogger.info({
+      operationId,
+      expected: expected.length,
+      actual: actualCount,
+      missing: diff.missing.length,
+      extra: diff.extra.length,
+      wrongExpiration: diff.wrong_expiration.length,
+      lapsed: diff.lapsed.length,
+      apply
+    }, 'Reconciliation diff computed');
+
+    const report = {
+      operation_id: operationId,
+      summary: {
+        expected: expected.length,
+        actual: actualCount,
+        in_sync: diff.inSync,
+        missing: diff.missing.length,
+        extra: diff.extra.length,
+        wrong_expiration: diff.wrong_expiration.length,
+        lapsed: diff.lapsed.length
+      },
+      missing: diff.missing,
+      extra: diff.extra,
+      wrong_expiration: diff.wrong_expiration,
+      lapsed: diff.lapsed,
+      applied: null
+    };
+
+    if (apply) {
+      report.applied = await this.applyFixes(diff, { removeExtra, reserveRemovals, operationId, onProgress });
+    }
+
+    return report;
+  }
+
+  diff(expected, actualByKey, toleranceMinutes) {
+    const missing = [];
+    const wrongExpiration = [];
+    const lapsed = [];
+    const expectedKeys = new Set();
+    let inSync = 0;
+
+    for (const entitlement of expected) {
+      const key = this.getKey(entitlement.username, entitlement.pine_id);
+      const actual = actualByKey.get(key);
+
+      // Orden vencida: nunca se re-otorga; si aún tiene acceso aparece en extra
+      if (entitlement.lapsed) {
+        lapsed.push({
+          username: entitlement.username,
+          pine_id: entitlement.pine_id,
+          expected_expiration: entitlement.expiration,
+          actual_expiration: actual ? actual.expiration : null,
+          has_access: !!actual
+        });
+        continue;
+      }
+
+      expectedKeys.add(key);
+
+      if (!actual) {
+        missing.push({
+          username: entitlement.username,
+          pine_id: entitlement.pine_id,
+          expected_expiration: entitlement.expiration
+        });
+      } else if (!this.sameExpiration(entitlement.expiration, actual.expiration, toleranceMinutes)) {
+        wrongExpiration.push({
+          username: actual.username,
+          pine_id: entitlement.pine_id,
+          expected_expiration: entitlement.expiration,
+          actual_expiration: actual.expiration
+        });
+      } else {
+        inSync++;
+      }
+    }
+
+    const extra = [...actualByKey.entries()]
+      .filter(([key]) => !expectedKeys.has(key))
+      .map(([, actual]) => ({
+        username: actual.username,
+        pine_id: actual.pine_id,
+        actual_expiration: actual.expiration
+      }));
+
+    return { missing, extra, wrong_expiration: wrongExpiration, lapsed, inSync };
+  }
+
+  sameExpiration(expected, actual, toleranceMinutes) {
+    if (!expected || !actual) return !expected && !actual;
+    return Math.abs(new Date(expected).getTime() - new Date(actual).getTime()) <= toleranceMinutes * 60 * 1000;
+  }
+
+  async applyFixes(diff, { removeExtra, reserveRemovals, operationId, onProgress }) {
+    let removals = removeExtra ? diff.extra : [];
+    let extraSkipped = 0;
+
+    if (removals.length > 0 && reserveRemovals && !(await reserveRemovals(removals.length))) {
+      bulkLogger.warn({ operationId, extra: removals.length }, 'Extra removals skipped: daily operation quota exceeded');
+      extraSkipped = removals.length;
+      removals = [];
+    }
+
+    const tasks = [
+      ...diff.missing.map(item => ({ action: 'grant', item })),
+      ...diff.wrong_expiration.map(item => ({ action: 'correct', item })),
+      ...removals.map(item => ({ action: 'remove', item }))
+    ];
+    const results = [];
+    let fixed = 0;
+    let failed = 0;
+
+    await Promise.all(tasks.map(async ({ action, item }) => {
+      let result;
+      try {
+        result = await tradingViewService.requestBatcher.add(() => this.fix(action, item, operationId));
+      } catch (error) {
+        result = { status: 'Failure', error: error.message };
+      }
+
+      const succeeded = result.status === 'Success';
+      if (succeeded) fixed++; else failed++;
+
+      results.push({
+        action,
+        username: item.username,
+        pine_id: item.pine_id,
+        status: result.status,
+        ...(result.error && { error: result.error })
+      });
+
+      if (onProgress) onProgress(results.length, tasks.length, fixed, failed);
+    }));
+
+    bulkLogger.info({ operationId, fixed, failed }, 'Reconciliation fixes applied');
+
+    return {
+      total: tasks.length,
+      fixed,
+      failed,
+      ...(extraSkipped > 0 && { extra_skipped: extraSkipped, extra_skipped_reason: 'Daily operation quota exceeded' }),
+      results
+    };
+  }
+
+  async fix(action, item, operationId) {
+    const context = { source: 'reconcile', operationId };
+
+    if (action === 'remove') {
+      const accessDetails = await tradingViewService.getAccessDetails(item.username, item.pine_id);
+      return tradingViewService.removeAccess(accessDetails, context);
+    }
+
+    // Expiración exacta (mode set) o lifetime; grantAccess ya registra en el ledger
+    const result = item.expected_expiration
+      ? await tradingViewService.grantAccess(item.username, item.pine_id, null, {
+        ...context,
+        mode: 'set',
+        expiration: item.expected_expiration
+      })
+      : await tradingViewService.grantAccess(item.username, item.pine_id, '1L', context);
+
+    // Ya era lifetime: no hay nada que aplicar
+    if (result.status === 'Not Applied') result.status = 'Success';
+
+    return result;
+  }
+
+  getKey(username, pineId) {
+    return `${pineId}::${String(username).toLowerCase()}`;
+  }
+}
+
+module.exports = new ReconcileService();
@@ -0,0 +1,231 @@
+/**
+ * Reminder Service
+ * Envía recordatorios subscription.expiring_soon antes del vencimiento
+ * (por defecto 7, 3 y 1 días antes), una sola vez por usuario, pine_id y offset.
+ * Los envíos quedan registrados en disco para que un reinicio no los repita.
+ */
+
+const config = require('../../config');
+const JsonFileStore = require('../utils/jsonFileStore');
+const { logger } = require('../utils/logger');
+const tradingViewService = require('./tradingViewService');
+const ledgerService = require('./ledgerService');
+const webhookService = require('./webhookService');
+const alertService = require('./alertService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ReminderService {
+  constructor() {
+    this.enabled = config.reminders.enabled;
+    this.offsets = [...config.reminders.offsetsDays].sort((a, b) => b - a);
+    this.intervalMs = config.reminders.intervalMinutes * 60 * 1000;
+    this.emailTo = config.reminders.emailEnabled ? config.reminders.emailTo : null;
+    this.running = false;
+
+    this.store = new JsonFileStore(config.reminders.stateFile, {
+      defaults: { last_started_at: null, sent: {} }
+    });
+
+    if (this.enabled) {
+      logger.info({
+        offsetsDays: this.offsets,
+        intervalMinutes: config.reminders.intervalMinutes,
+        email: !!this.emailTo
+      }, 'Reminder service initialized');
+
+      setInterval(() => {
+        this.runScheduled();
+      }, this.intervalMs);
+    } else {
+      logger.warn('Reminder service disabled');
+    }
+  }
+
+  // Ejecución programada: solo un worker del cluster corre cada intervalo
+  async runScheduled() {
+    try {
+      const claimed = await this.claimScheduledRun();
+      if (!claimed) return null;
+
+      return await this.run();
+    } catch (error) {
+      logger.error({ error: error.message }, 'Scheduled reminder run failed');
+      return null;
+    }
+  }
+
+  async claimScheduledRun() {
+    return this.store.update((state) => {
+      const now = Date.now();
+      const lastStarted = state.last_started_at ? new Date(state.last_started_at).getTime() : 0;
+
+      if (now - lastStarted < this.intervalMs / 2) return false;
+
+      state.last_started_at = new Date(now).toISOString();
+      return true;
+    });
+  }
+
+  /**
+   * Check subscriptions expiring within the largest offset and send due reminders
+   * @returns {object} { checked, sent: [...], skipped, errors: [...] }
+   */
+  async run() {
+    if (this.running) {
+      throw new Error('Reminder run already in progress');
+    }
+
+    const report = { checked: 0, sent: [], skipped: 0, errors: [] };
+    this.running = true;
+
+    try {
+      await tradingViewService.init();
+
+      const state = await this.store.read();
+      const candidates = await this.getCandidates();
+
+      await Promise.all(candidates.map(async (entitlement) => {
+        try {
+          const accessDetails = await tradingViewService.requestBatcher.add(
+            () => tradingViewService.getAccessDetails(entitlement.username, entitlement.pine_id)
+          );
+          report.checked++;
+
+          if (!accessDetails.hasAccess || accessDetails.noExpiration) return;
+
+          const reminder = this.getDueReminder(entitlement, accessDetails.currentExpiration, state.sent);
+          if (!reminder) return;
+
+          const channels = await this.deliver(reminder);
+          if (channels.length === 0) {
+            report.skipped++;
+            return;
+          }
+
+          await this.markSent(reminder, channels);
+          report.sent.push({ ...reminder, channels });
+        } catch (error) {
+          report.errors.push({
+            username: entitlement.username,
+            pine_id: entitlement.pine_id,
+            error: error.message
+          });
+        }
+      }));
+
+      await this.pruneSent();
+    } finally {
+      this.running = false;
+    }
+
+    logger.info({
+      checked: report.checked,
+      sent: report.sent.length,
+      errors: report.errors.length
+    }, 'Reminder run completed');
+
+    return report;
+  }
+
+  // Suscripciones activas que vencen dentro del offset más grande
+  async getCandidates() {
+    if (this.offsets.length === 0) return [];
+
+    const horizon = Date.now() + this.offsets[0] * DAY_MS;
+    const entitlements = await ledgerService.listEntitlements({ status: 'active' });
+
+    return entitlements.filter(entitlement =>
+      !entitlement.no_expiration &&
+      entitlement.expiration &&
+      new Date(entitlement.expiration).getTime() <= horizon
+    );
+  }
+
+  /**
+   * Pick the tightest offset already reached that hasn't been sent for this
+   * expiration. Larger offsets that were missed (e.g. subscription granted
+   * 2 days before expiry) are not sent afterwards.
+   */
+  getDueReminder(entitlement, expiration, sent) {
+    const msLeft = new Date(expiration).getTime() - Date.now();
+    if (msLeft <= 0) return null;
+
+    const reached = this.offsets.filter(offset => msLeft <= offset * DAY_MS);
+    if (reached.length === 0) return null;
+
+    const offset = reached[reached.length - 1];
+    const previous = sent[this.getKey(entitlement.username, entitlement.pine_id, offset)];
+
+    // Una renovación cambia la expiración y habilita un nuevo ciclo de recordatorios
+    if (previous && previous.expiration === expiration) return null;
+
+    const sentTighter = this.offsets
+      .filter(other => other < offset)
+      .some(other => sent[this.getKey(entitlement.username, entitlement.pine_id, other)]?.expiration === expiration);
+    if (sentTighter) return null;
+
+    return {
+      username: entitlement.username,
+      pine_id: entitlement.pine_id,
+      expiration,
+      offset_days: offset,
+      days_left: Math.ceil(msLeft / DAY_MS)
+    };
+  }
+
+  async deliver(reminder) {
+    const channels = [];
+
+    if (await webhookService.notifySubscriptionExpiringSoon(reminder)) {
+      channels.push('webhook');
+    }
+
+    if (this.emailTo && await alertService.sendExpirationReminder(reminder, this.emailTo)) {
+      channels.push('email');
+    }
+
+    return channels;
+  }
+
+  async markSent(reminder, channels) {
+    await this.store.update((state) => {
+      state.sent[this.getKey(reminder.username, reminder.pine_id, reminder.offset_days)] = {
+        username: reminder.username,
+        pine_id: reminder.pine_id,
+        offset_days: reminder.offset_days,
+        expiration: reminder.expiration,
+        channels,
+        sent_at: new Date().toISOString()
+      };
+    });
+  }
+
+  // Olvidar recordatorios de suscripciones ya vencidas
+  async pruneSent() {
+    await this.store.update((state) => {
+      const now = Date.now();
+      state.sent = Object.fromEntries(Object.entries(state.sent).filter(([, reminder]) =>
+        new Date(reminder.expiration).getTime() > now
+      ));
+    });
+  }
+
+  async listSent(filters = {}) {
+    const state = await this.store.read();
+
+    return Object.values(state.sent)
+      .filter(reminder => {
+        if (filters.username && reminder.username.toLowerCase() !== filters.username.toLowerCase()) return false;
+        if (filters.pineId && reminder.pine_id !== filters.pineId) return false;
+        return true;
+      })
+      .sort((a, b) => new Date(b.sent_at) - new Date(a.sent_at));
+  }
+
+  getKey(username, pineId, offset) {
+    return `${pineId}::${String(username).toLowerCase()}::${offset}`;
+  }
+}
+
+module.exports = new ReminderService();
@@ -0,0 +1,186 @@
+/**
+ * Session Monitor Service
+ * Valida periódicamente las sesiones de TradingView en uso y, si una expira,
+ * pausa el request batcher mientras re-loguea con backoff exponencial.
+ * Los cambios de estado (valid, expired, relogin_failed) se notifican por
+ * alertService y webhookService.
+ */
+
+const config = require('../../config');
+const { authLogger } = require('../utils/logger');
+const sessionStorage = require('../utils/sessionStorage');
+const tradingViewService = require('./tradingViewService');
+const accountService = require('./accountService');
+const alertService = require('./alertService');
+const webhookService = require('./webhookService');
+
+// Reintentar no sirve: hace falta intervención manual
+const PERMANENT_LOGIN_ERRORS = ['INVALID_CREDENTIALS', 'CAPTCHA_REQUIRED', 'TWO_FACTOR_REQUIRED'];
+
+// Si las sesiones estaban bien, otro 401 en este margen no vuelve a pausar la cola
+const AUTH_ERROR_RECHECK_MS = 30000;
+
+class SessionMonitorService {
+  constructor() {
+    this.enabled = config.sessionMonitor.enabled;
+    this.intervalMs = config.sessionMonitor.intervalSeconds * 1000;
+    this.reloginAttempts = config.sessionMonitor.reloginAttempts;
+    this.reloginBackoffMs = config.sessionMonitor.reloginBackoffMs;
+    this.reloginMaxBackoffMs = config.sessionMonitor.reloginMaxBackoffMs;
+    this.batcher = tradingViewService.requestBatcher;
+
+    this.states = new Map();         // accountId -> { status, code, message, checked_at, changed_at }
+    this.reauthenticating = new Map(); // accountId -> promise del re-login en curso
+    this.checking = null;
+    this.lastAuthCheckAt = 0;
+
+    if (this.enabled) {
+      authLogger.info({ intervalSeconds: config.sessionMonitor.intervalSeconds }, 'Session monitor initialized');
+
+      // Un 401 a mitad de un bulk no espera al siguiente intervalo
+      this.batcher.on('authError', () => this.handleAuthError());
+
+      setInterval(() => {
+        this.check();
+      }, this.intervalMs).unref();
+    } else {
+      authLogger.warn('Session monitor disabled');
+    }
+  }
+
+  /**
+   * Validate every session in use; concurrent calls share the same run
+   */
+  async check() {
+    if (!this.checking) {
+      this.checking = this.runCheck().finally(() => {
+        this.checking = null;
+      });
+    }
+    return this.checking;
+  }
+
+  async runCheck() {
+    for (const [accountId, sessionId] of [...tradingViewService.sessions]) {
+      if (this.reauthenticating.has(accountId)) continue;
+
+      try {
+        if (await tradingViewService.validateSession(sessionId)) {
+          await sessionStorage.markSessionValidated(accountId);
+          this.setStatus(accountId, 'valid');
+        } else {
+          await this.reauthenticate(accountId);
+        }
+      } catch (error) {
+        authLogger.error({ accountId, error: error.message }, 'Session check failed');
+      }
+    }
+
+    return this.getStatus();
+  }
+
+  // El batcher ya pausó la cola por este 401: se revisan las sesiones ya
+  handleAuthError() {
+    if (this.reauthenticating.size > 0 || Date.now() - this.lastAuthCheckAt < AUTH_ERROR_RECHECK_MS) return;
+
+    this.lastAuthCheckAt = Date.now();
+    this.batcher.pause('session_check');
+    this.check().finally(() => {
+      if (this.reauthenticating.size === 0) this.batcher.resume();
+    });
+  }
+
+  /**
+   * Re-login an expired account with the batcher paused
+   * Concurrent calls for the same account share a single attempt
+   */
+  async reauthenticate(accountId) {
+    if (!this.reauthenticating.has(accountId)) {
+      this.batcher.pause('reauthenticating');
+      this.setStatus(accountId, 'expired');
+
+      const pending = this.reloginWithBackoff(accountId).finally(() => {
+        this.reauthenticating.delete(accountId);
+        if (this.reauthenticating.size === 0) this.batcher.resume();
+      });
+      this.reauthenticating.set(accountId, pending);
+    }
+
+    return this.reauthenticating.get(accountId);
+  }
+
+  async reloginWithBackoff(accountId) {
+    const account = await accountService.getAccount(accountId);
+    if (!account) {
+      // La cuenta se borró mientras tenía sesión
+      tradingViewService.sessions.delete(accountId);
+      this.states.delete(accountId);
+      return false;
+    }
+
+    let lastError = null;
+    for (let attempt = 1; attempt <= this.reloginAttempts; attempt++) {
+      try {
+        await tradingViewService.refreshSession(account);
+        authLogger.info({ accountId, attempt }, 'Session re-established');
+        this.setStatus(accountId, 'valid');
+        return true;
+      } catch (error) {
+        lastError = error;
+        authLogger.warn({ accountId, attempt, code: error.code, error: error.message }, 'Re-login attempt failed');
+
+        if (PERMANENT_LOGIN_ERRORS.includes(error.code) || attempt === this.reloginAttempts) break;
+        await new Promise(resolve => setTimeout(resolve, this.getBackoff(attempt)));
+      }
+    }
+
+    // Sin sesión: la cola se reanuda y las operaciones fallan en vez de quedar colgadas
+    tradingViewService.sessions.delete(accountId);
+    this.setStatus(accountId, 'relogin_failed', lastError);
+    return false;
+  }
+
+  getBackoff(attempt) {
+    return Math.min(this.reloginBackoffMs * Math.pow(2, attempt - 1), this.reloginMaxBackoffMs);
+  }
+
+  setStatus(accountId, status, error = null) {
+    const now = new Date().toISOString();
+    const previous = this.states.get(accountId);
+
+    this.states.set(accountId, {
+      status,
+      code: error?.code || null,
+      message: error?.message || null,
+      checked_at: now,
+      changed_at: previous?.status === status ? previous.changed_at : now
+    });
+
+    // La primera sesión válida no es un cambio de estado que notificar
+    if (previous?.status === status || (!previous && status === 'valid')) return;
+
+    authLogger.info({ accountId, status, previous: previous?.status || null }, 'Session status changed');
+    const details = { accountId, previous: previous?.status || null, code: error?.code, message: error?.message };
+
+    Promise.all([
+      alertService.alertSessionStatus(status, details),
+      webhookService.notifySessionStatus(status, details)
+    ]).catch(notifyError => {
+      authLogger.error({ error: notifyError.message }, 'Session status notification failed');
+    });
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      interval_seconds: this.intervalMs / 1000,
+      batcher_paused: this.batcher.paused,
+      accounts: Object.fromEntries(this.states)
+    };
+  }
+}
+
+// Singleton instance
+const sessionMonitorService = new SessionMonitorService();
+
+module.exports = sessionMonitorService;
@@ -5,6 +5,7 @@
  */
 
 const axios = require('axios');
+const crypto = require('crypto');
 const FormData = require('form-data');
 const os = require('os');
 const https = require('https');
@@ -12,9 +13,14 @@ const http = require('http');
 const { urls } = require('../../config/urls');
 const config = require('../../config');
 const sessionStorage = require('../utils/sessionStorage');
-const { getAccessExtension, parseDuration, getCurrentUTCDate } = require('../utils/dateHelper');
+const { getAccessExtension, parseDuration, normalizeExpiration, getCurrentUTCDate } = require('../utils/dateHelper');
 const { authLogger, apiLogger, bulkLogger } = require('../utils/logger');
+const { generateTotp } = require('../utils/totp');
+const { classifyError, isRetryable, countByErrorClass } = require('../utils/errorClassifier');
 const RequestBatcher = require('../utils/requestBatcher');
+const ledgerService = require('./ledgerService');
+const accountService = require('./accountService');
+const { DEFAULT_ACCOUNT_ID } = accountService;
 
 /**
  * 🚀 HTTP/1.1 Connection Pooling Configuration (Optimized)
@@ -74,7 +80,10 @@ setInterval(() => {
 
 class TradingViewService {
   constructor() {
-    this.sessionId = null;
+    // One session per TradingView account (accountId -> sessionid)
+    this.sessions = new Map();
+    this.pendingSessions = new Map();
+    this.authStatus = new Map();      // accountId -> last login result
     this.initialized = false;
 
     // Initialize intelligent request batcher (OPTIMIZED for performance)
@@ -85,12 +94,29 @@ class TradingViewService {
       maxDelay: 15000,     // REDUCIDO: Max 15s delay for backoff
       backoffMultiplier: 1.5, // Menos agresivo backoff
       circuitBreakerThreshold: 3, // BALANCEADO: Open circuit after 3 failures
-      circuitBreakerTimeout: 30000 // REDUCIDO: 30s circuit open
+      circuitBreakerTimeout: 30000, // REDUCIDO: 30s circuit open
+      isPermanentError: error => !isRetryable(classifyError(error))
     });
   }
 
   /**
-   * Initialize service - check/load session
+   * Session of the TV_USERNAME/TV_PASSWORD account
+   */
+  get sessionId() {
+    return this.sessions.get(DEFAULT_ACCOUNT_ID) || null;
+  }
+
+  set sessionId(sessionId) {
+    if (sessionId) {
+      this.sessions.set(DEFAULT_ACCOUNT_ID, sessionId);
+    } else {
+      this.sessions.delete(DEFAULT_ACCOUNT_ID);
+    }
+  }
+
+  /**
+   * Initialize service - check/load session of the default account
+   * Other accounts log in on first use (see getSessionFor)
    */
   async init() {
     if (this.initialized) return;
@@ -98,26 +124,11 @@ class TradingViewService {
     try {
       authLogger.info('Initializing TradingView service...');
 
-      // Load session from storage
-      this.sessionId = await sessionStorage.getSessionId();
-      authLogger.debug({ hasSession: !!this.sessionId }, 'Session loaded from storage');
-
-      // Validate session
-      if (this.sessionId) {
-        const isValid = await this.validateSession();
-        if (!isValid) {
-          authLogger.warn('Stored session is invalid, logging in again...');
-          await this.login();
-        } else {
-          authLogger.info('Session is valid');
-        }
-      } else {
-        authLogger.info('No stored session, logging in...');
-        await this.login();
-      }
+      const account = await accountService.resolveAccount(null);
+      await this.ensureSession(account);
 
       this.initialized = true;
-      authLogger.info('TradingView service initialized successfully');
+      authLogger.info({ accountId: account.id }, 'TradingView service initialized successfully');
     } catch (error) {
       authLogger.error({ error: error.message }, 'Failed to initialize TradingView service');
       throw error;
@@ -125,12 +136,122 @@ class TradingViewService {
   }
 
   /**
-   * Validate current session
+   * Session of the account that owns a pine ID
+   */
+  async getSessionFor(pineId) {
+    const account = await accountService.resolveAccount(pineId);
+    return this.ensureSession(account);
+  }
+
+  async ensureSession(account) {
+    if (this.sessions.has(account.id)) {
+      return this.sessions.get(account.id);
+    }
+
+    // Concurrent requests for the same account share a single login
+    if (!this.pendingSessions.has(account.id)) {
+      const pending = this.loadSession(account)
+        .finally(() => this.pendingSessions.delete(account.id));
+      this.pendingSessions.set(account.id, pending);
+    }
+
+    return this.pendingSessions.get(account.id);
+  }
+
+  /**
+   * Load the stored session of an account, logging in again if it is invalid
+   */
+  async loadSession(account) {
+    let sessionId = await sessionStorage.getSessionId(account.id);
+    authLogger.debug({ accountId: account.id, hasSession: !!sessionId }, 'Session loaded from storage');
+
+    if (sessionId) {
+      const isValid = await this.validateSession(sessionId);
+      if (!isValid) {
+        authLogger.warn({ accountId: account.id }, 'Stored session is invalid, logging in again...');
+        sessionId = await this.login(account);
+      } else {
+        authLogger.info({ accountId: account.id }, 'Session is valid');
+        await sessionStorage.markSessionValidated(account.id);
+      }
+    } else {
+      authLogger.info({ accountId: account.id }, 'No stored session, logging in...');
+      sessionId = await this.login(account);
+    }
+
+    this.sessions.set(account.id, sessionId);
+    return sessionId;
+  }
+
+  /**
+   * Reload the session of an account from storage, logging in if it is no longer valid
+   * @param {string} staleSessionId - session that was rejected; if another request
+   *   already replaced it, the current session is returned without reloading
    */
-  async validateSession() {
+  async refreshSession(account, staleSessionId = null) {
+    const current = this.sessions.get(account.id);
+    if (staleSessionId && current && current !== staleSessionId) {
+      return current;
+    }
+
+    this.sessions.delete(account.id);
+    return this.ensureSession(account);
+  }
+
+  /**
+   * Run a TradingView request with the session of the account that owns the pine ID
+   * If the session was rejected, logs in again once and retries the request
+   * @param {function} request - (sessionId) => Promise
+   */
+  async withSession(pineId, request) {
+    const account = await accountService.resolveAccount(pineId);
+    const sessionId = await this.ensureSession(account);
+
+    try {
+      return await request(sessionId);
+    } catch (error) {
+      if (classifyError(error) !== 'session_expired') throw error;
+
+      authLogger.warn({ accountId: account.id, pineId, status: error.response?.status }, 'Session rejected, logging in again');
+
+      let renewedSessionId;
+      try {
+        renewedSessionId = await this.refreshSession(account, sessionId);
+      } catch (loginError) {
+        loginError.errorClass = 'session_expired';
+        throw loginError;
+      }
+
+      try {
+        return await request(renewedSessionId);
+      } catch (retryError) {
+        // Con una sesión recién validada, un 403 ya no es de sesión: la cuenta no gestiona el script
+        if (retryError.response?.status === 403) {
+          retryError.errorClass = 'script_not_owned';
+        }
+        throw retryError;
+      }
+    }
+  }
+
+  /**
+   * Drop the session of an account (credentials changed or account removed)
+   */
+  async forgetAccount(accountId) {
+    this.sessions.delete(accountId);
+    if (accountId === DEFAULT_ACCOUNT_ID) {
+      this.initialized = false;
+    }
+    await sessionStorage.deleteSessionId(accountId);
+  }
+
+  /**
+   * Validate a session (defaults to the default account session)
+   */
+  async validateSession(sessionId = this.sessionId) {
     try {
       const response = await axios.get(urls.tvcoins, {
-        headers: { cookie: `sessionid=${this.sessionId}` },
+        headers: { cookie: `sessionid=${sessionId}` },
         timeout: 10000
       });
 
@@ -143,71 +264,257 @@ class TradingViewService {
 
   /**
    * Login to TradingView
+   * @param {object} account - { id, username, password } (defaults to the saved or TV_USERNAME/TV_PASSWORD credentials)
+   * @returns {string} session ID
    */
-  async login() {
+  async login(account) {
+    account = account || await accountService.getEnvAccount();
+
     try {
-      const payload = {
-        username: config.tvUsername,
-        password: config.tvPassword,
-        remember: 'on'
-      };
+      const { sessionId } = await this.signIn(account.username, account.password, account.totp_secret);
 
-      const formData = new FormData();
-      Object.entries(payload).forEach(([key, value]) => {
-        formData.append(key, value);
+      this.sessions.set(account.id, sessionId);
+      await sessionStorage.setSessionId(sessionId, account.id);
+      this.authStatus.set(account.id, { ok: true, code: null, message: null, at: new Date().toISOString() });
+      authLogger.info({ accountId: account.id }, 'Login successful, session saved');
+      return sessionId;
+    } catch (error) {
+      authLogger.error({ error: error.message, code: error.code, accountId: account.id }, 'Login failed');
+      this.authStatus.set(account.id, {
+        ok: false,
+        code: error.code || null,
+        message: error.message,
+        at: new Date().toISOString()
       });
+      const loginError = new Error(`Login failed: ${error.message}`);
+      loginError.code = error.code;
+      throw loginError;
+    }
+  }
 
-      const userAgent = `TWAPI/3.0 (${os.type()}; ${os.release()}; ${os.arch()})`;
-
-      const response = await axios.post(urls.signin, formData, {
-        headers: {
-          ...formData.getHeaders(),
-          'origin': 'https://www.tradingview.com',
-          'User-Agent': userAgent,
-          'referer': 'https://www.tradingview.com'
-        },
-        timeout: 15000,
-        maxRedirects: 5,
-        validateStatus: function (status) {
-          return status >= 200 && status < 500; // Accept any status to see what happens
-        }
-      });
+  /**
+   * Last login result of an account: { ok, code, message, at } or null
+   */
+  getAuthStatus(accountId = DEFAULT_ACCOUNT_ID) {
+    return this.authStatus.get(accountId) || null;
+  }
 
-      // Check for CAPTCHA or login errors
-      if (response.data && typeof response.data === 'object') {
-        if (response.data.error || response.data.code === 'recaptcha_required') {
-          authLogger.error({ 
-            error: response.data.error, 
-            code: response.data.code 
-          }, 'Login failed - CAPTCHA or error detected');
-          throw new Error(`Login failed: ${response.data.error || 'CAPTCHA required'}`);
-        }
+  /**
+   * Sign in against urls.signin without storing the session anywhere
+   * With a TOTP secret, the 2FA step is completed with a locally generated code
+   * Errors carry a code: INVALID_CREDENTIALS, CAPTCHA_REQUIRED or TWO_FACTOR_REQUIRED
+   * @returns {object} { sessionId, user }
+   */
+  async signIn(username, password, totpSecret = null) {
+    const payload = {
+      username,
+      password,
+      remember: 'on'
+    };
+
+    const formData = new FormData();
+    Object.entries(payload).forEach(([key, value]) => {
+      formData.append(key, value);
+    });
+
+    const userAgent = `TWAPI/3.0 (${os.type()}; ${os.release()}; ${os.arch()})`;
+
+    const response = await axios.post(urls.signin, formData, {
+      headers: {
+        ...formData.getHeaders(),
+        'origin': 'https://www.tradingview.com',
+        'User-Agent': userAgent,
+        'referer': 'https://www.tradingview.com'
+      },
+      timeout: 15000,
+      maxRedirects: 5,
+      validateStatus: function (status) {
+        return status >= 200 && status < 500; // Accept any status to see what happens
       }
+    });
 
-      authLogger.info({ 
-        status: response.status,
-        hasSetCookie: !!response.headers['set-cookie'],
-        dataType: typeof response.data,
-        dataLength: JSON.stringify(response.data).length
-      }, 'Login response received');
-
-      // Extract session ID from cookies
-      const cookies = response.headers['set-cookie'];
-      if (cookies) {
-        const sessionCookie = cookies.find(cookie => cookie.includes('sessionid='));
-        if (sessionCookie) {
-          this.sessionId = sessionCookie.split('sessionid=')[1].split(';')[0];
-          await sessionStorage.setSessionId(this.sessionId);
-          authLogger.info('Login successful, session saved');
-          return;
-        }
+    // Check for CAPTCHA, 2FA or login errors
+    const data = response.data && typeof response.data === 'object' ? response.data : {};
+    if (data.code === 'recaptcha_required') {
+      authLogger.error({ error: data.error, code: data.code }, 'Login failed - CAPTCHA detected');
+      throw this.authError(data.error || 'CAPTCHA required', 'CAPTCHA_REQUIRED');
+    }
+    if (data.code === '2FA_required' || data.two_factor_types) {
+      if (!totpSecret) {
+        authLogger.error({ code: data.code }, 'Login failed - two-factor authentication required');
+        throw this.authError('Two-factor authentication required: configure a TOTP secret', 'TWO_FACTOR_REQUIRED');
       }
+      return this.completeTwoFactor(response.headers['set-cookie'], totpSecret, userAgent);
+    }
+    if (data.error) {
+      authLogger.error({ error: data.error, code: data.code }, 'Login failed - error detected');
+      throw this.authError(data.error, 'INVALID_CREDENTIALS');
+    }
+
+    authLogger.info({ 
+      status: response.status,
+      hasSetCookie: !!response.headers['set-cookie'],
+      dataType: typeof response.data,
+      dataLength: JSON.stringify(response.data).length
+    }, 'Login response received');
+
+    return {
+      sessionId: this.extractSessionId(response.headers['set-cookie']),
+      user: data.user || null
+    };
+  }
+
+  /**
+   * Second sign-in step: post the TOTP code with the cookies of the first step
+   */
+  async completeTwoFactor(setCookies = [], totpSecret, userAgent) {
+    const cookie = setCookies.map(setCookie => setCookie.split(';')[0]).join('; ');
+
+    const formData = new FormData();
+    formData.append('code', generateTotp(totpSecret));
+
+    const response = await axios.post(urls.two_factor_signin, formData, {
+      headers: {
+        ...formData.getHeaders(),
+        cookie,
+        'origin': 'https://www.tradingview.com',
+        'User-Agent': userAgent,
+        'referer': 'https://www.tradingview.com'
+      },
+      timeout: 15000,
+      validateStatus: status => status >= 200 && status < 500
+    });
+
+    const data = response.data && typeof response.data === 'object' ? response.data : {};
+    if (data.error || response.status >= 400) {
+      // Un código rechazado con reloj en hora = secreto TOTP incorrecto
+      authLogger.error({ error: data.error, code: data.code, status: response.status }, 'Login failed - two-factor code rejected');
+      throw this.authError(`Two-factor code rejected: ${data.error || `HTTP ${response.status}`}`, 'INVALID_CREDENTIALS');
+    }
 
+    authLogger.info('Two-factor authentication completed');
+    return {
+      sessionId: this.extractSessionId(response.headers['set-cookie']),
+      user: data.user || null
+    };
+  }
+
+  extractSessionId(cookies) {
+    const sessionCookie = cookies && cookies.find(cookie => cookie.includes('sessionid='));
+    if (!sessionCookie) {
       throw new Error('Session ID not found in response');
-    } catch (error) {
-      authLogger.error({ error: error.message }, 'Login failed');
-      throw new Error(`Login failed: ${error.message}`);
     }
+    return sessionCookie.split('sessionid=')[1].split(';')[0];
+  }
+
+  authError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Verify credentials with an isolated login; live sessions are untouched
+   * @param {object} options - { pineIds, totpSecret } scripts to check management rights on, 2FA secret
+   * @returns {object} { sessionId, user, scripts: [{ pine_id, manageable, users, error }] }
+   */
+  async verifyCredentials(username, password, options = {}) {
+    const { pineIds = [], totpSecret = null } = options;
+    const { sessionId, user } = await this.signIn(username, password, totpSecret);
+
+    if (!(await this.validateSession(sessionId))) {
+      throw new Error('Session returned by TradingView is not valid');
+    }
+
+    // Sequential and outside the request batcher: a 403 here is an expected
+    // answer, it must not be retried nor count towards the circuit breaker
+    const scripts = [];
+    for (const pineId of pineIds) {
+      try {
+        const response = await axios.post(
+          `${urls.list_users}?limit=1&order_by=-created`,
+          { pine_id: pineId },
+          {
+            headers: {
+              'origin': 'https://www.tradingview.com',
+              'Content-Type': 'application/x-www-form-urlencoded',
+              'Cookie': `sessionid=${sessionId}`
+            },
+            timeout: 10000
+          }
+        );
+
+        const page = response.data || {};
+        scripts.push({
+          pine_id: pineId,
+          manageable: true,
+          users: page.count ?? (page.results || []).length
+        });
+      } catch (error) {
+        scripts.push({
+          pine_id: pineId,
+          manageable: false,
+          error: error.response ? `HTTP ${error.response.status}` : error.message
+        });
+      }
+    }
+
+    authLogger.info({
+      username,
+      checkedScripts: scripts.length,
+      manageableScripts: scripts.filter(script => script.manageable).length
+    }, 'TradingView credentials verified');
+
+    return { sessionId, user, scripts };
+  }
+
+  /**
+   * Use an already verified session for an account
+   */
+  async setAccountSession(accountId, sessionId, source = 'login') {
+    this.sessions.set(accountId, sessionId);
+    await sessionStorage.setSessionId(sessionId, accountId, source);
+  }
+
+  /**
+   * Adopt a sessionid cookie copied from a browser (CAPTCHA fallback)
+   * @param {string} cookie - raw value or a "sessionid=...; ..." cookie string
+   * @returns {object} session status, see getSessionStatus
+   */
+  async importSession(accountId, cookie) {
+    const match = String(cookie).match(/(?:^|;\s*)sessionid=([^;\s]+)/);
+    const sessionId = (match ? match[1] : String(cookie)).trim();
+
+    if (!sessionId || /[\s;=]/.test(sessionId)) {
+      throw this.authError('Malformed sessionid cookie', 'INVALID_SESSION');
+    }
+    if (!(await this.validateSession(sessionId))) {
+      authLogger.warn({ accountId }, 'Imported session rejected by TradingView');
+      throw this.authError('TradingView rejected the session cookie (expired or logged out)', 'INVALID_SESSION');
+    }
+
+    await this.setAccountSession(accountId, sessionId, 'import');
+    this.authStatus.set(accountId, { ok: true, code: null, message: null, at: new Date().toISOString() });
+    authLogger.info({ accountId }, 'Session imported from browser cookie');
+
+    return this.getSessionStatus(accountId);
+  }
+
+  /**
+   * Session age and last successful validation of an account
+   */
+  async getSessionStatus(accountId = DEFAULT_ACCOUNT_ID) {
+    const info = await sessionStorage.getSessionInfo(accountId);
+
+    return {
+      active: this.sessions.has(accountId),
+      source: info?.source || null,
+      obtainedAt: info?.obtained_at || null,
+      ageSeconds: info?.obtained_at
+        ? Math.round((Date.now() - new Date(info.obtained_at).getTime()) / 1000)
+        : null,
+      lastValidatedAt: info?.last_validated_at || null
+    };
   }
 
   /**
@@ -241,18 +548,18 @@ class TradingViewService {
     try {
       const payload = { pine_id: pineId, username };
 
-      const response = await axios.post(
+      const response = await this.withSession(pineId, sessionId => axios.post(
         `${urls.list_users}?limit=10&order_by=-created`,
         payload,
         {
           headers: {
             'origin': 'https://www.tradingview.com',
             'Content-Type': 'application/x-www-form-urlencoded',
-            'Cookie': `sessionid=${this.sessionId}`
+            'Cookie': `sessionid=${sessionId}`
           },
           timeout: 10000
         }
-      );
+      ));
 
       const userResponse = response.data;
       const users = userResponse.results || [];
@@ -281,8 +588,10 @@ class TradingViewService {
 
       return accessDetails;
     } catch (error) {
+      error.errorClass = classifyError(error);
       apiLogger.error({
         error: error.message,
+        errorClass: error.errorClass,
         username,
         pineId
       }, 'Failed to get access details');
@@ -290,10 +599,72 @@ class TradingViewService {
     }
   }
 
+  /**
+   * List every user with access to a pine ID
+   * Follows list_users `next` links until the listing is exhausted
+   * @param {object} options - { pageSize, maxPages }
+   * @returns {Array} [{ username, expiration, noExpiration, created }]
+   */
+  async listAllUsers(pineId, options = {}) {
+    const { pageSize = 100, maxPages = 1000 } = options;
+
+    await this.init();
+
+    const users = [];
+    let nextUrl = `${urls.list_users}?limit=${pageSize}&order_by=-created`;
+    let pages = 0;
+
+    while (nextUrl) {
+      if (pages >= maxPages) {
+        throw new Error(`list_users pagination exceeded ${maxPages} pages for ${pineId}`);
+      }
+
+      const url = nextUrl;
+      // Cada página con withSession: una sesión vencida a mitad del listado se renueva y reintenta
+      const response = await this.requestBatcher.add(() => this.withSession(pineId, sessionId => axios.post(
+        url,
+        { pine_id: pineId },
+        {
+          headers: {
+            'origin': 'https://www.tradingview.com',
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Cookie': `sessionid=${sessionId}`
+          },
+          timeout: 15000
+        }
+      )));
+
+      const page = response.data || {};
+      for (const user of page.results || []) {
+        users.push({
+          username: user.username,
+          expiration: user.expiration || null,
+          noExpiration: !user.expiration,
+          created: user.created || null
+        });
+      }
+
+      pages++;
+      // `next` may come back relative to the TradingView host
+      nextUrl = page.next ? new URL(page.next, urls.list_users) : null;
+
+      // El request lleva la cookie de sesión: nunca seguir un `next` hacia otro host
+      if (nextUrl && nextUrl.origin !== new URL(urls.list_users).origin) {
+        throw new Error(`list_users returned a next link to another origin: ${nextUrl.origin}`);
+      }
+      nextUrl = nextUrl?.toString() || null;
+    }
+
+    apiLogger.info({ pineId, users: users.length, pages }, 'Listed all users for pine ID');
+
+    return users;
+  }
+
   /**
    * Add/modify access for a user
+   * @param {object} options - { expiration } sets an absolute expiration instead of extending
    */
-  async addAccess(accessDetails, extensionType, extensionLength) {
+  async addAccess(accessDetails, extensionType, extensionLength, options = {}) {
     try {
       const noExpiration = accessDetails.noExpiration;
       accessDetails.expiration = accessDetails.currentExpiration;
@@ -306,7 +677,10 @@ class TradingViewService {
         };
 
         // Calculate new expiration
-        if (extensionType !== 'L') {
+        if (options.expiration) {
+          payload.expiration = options.expiration;
+          accessDetails.expiration = options.expiration;
+        } else if (extensionType !== 'L') {
           const newExpiration = getAccessExtension(
             accessDetails.currentExpiration,
             extensionType,
@@ -318,20 +692,23 @@ class TradingViewService {
           accessDetails.noExpiration = true;
         }
 
-        const formData = new FormData();
-        Object.entries(payload).forEach(([key, value]) => {
-          formData.append(key, value);
-        });
-
         const endpoint = accessDetails.hasAccess ? urls.modify_access : urls.add_access;
 
-        const response = await axios.post(endpoint, formData, {
-          headers: {
-            ...formData.getHeaders(),
-            'origin': 'https://www.tradingview.com',
-            'cookie': `sessionid=${this.sessionId}`
-          },
-          timeout: 15000
+        const response = await this.withSession(accessDetails.pine_id, sessionId => {
+          // FormData es un stream: uno nuevo por intento
+          const formData = new FormData();
+          Object.entries(payload).forEach(([key, value]) => {
+            formData.append(key, value);
+          });
+
+          return axios.post(endpoint, formData, {
+            headers: {
+              ...formData.getHeaders(),
+              'origin': 'https://www.tradingview.com',
+              'cookie': `sessionid=${sessionId}`
+            },
+            timeout: 15000
+          });
         });
 
         accessDetails.status = (response.status === 200 || response.status === 201)
@@ -341,73 +718,129 @@ class TradingViewService {
 
       return accessDetails;
     } catch (error) {
+      accessDetails.status = 'Failure';
+      accessDetails.error = error.message;
+      accessDetails.errorClass = classifyError(error);
       apiLogger.error({
         error: error.message,
+        errorClass: accessDetails.errorClass,
         username: accessDetails.username,
         pineId: accessDetails.pine_id
       }, 'Failed to add/modify access');
-      accessDetails.status = 'Failure';
       return accessDetails;
     }
   }
 
   /**
    * Remove access for a user
+   * @param {object} options - { source, operationId } recorded in the ledger
    */
-  async removeAccess(accessDetails) {
+  async removeAccess(accessDetails, options = {}) {
+    await this.applyRemoveAccess(accessDetails);
+
+    await ledgerService.recordRemoval(accessDetails, {
+      source: options.source || 'single_remove',
+      operationId: options.operationId
+    });
+
+    return accessDetails;
+  }
+
+  async applyRemoveAccess(accessDetails) {
     try {
       const payload = {
         pine_id: accessDetails.pine_id,
         username_recip: accessDetails.username
       };
 
-      const formData = new FormData();
-      Object.entries(payload).forEach(([key, value]) => {
-        formData.append(key, value);
-      });
+      const response = await this.withSession(accessDetails.pine_id, sessionId => {
+        const formData = new FormData();
+        Object.entries(payload).forEach(([key, value]) => {
+          formData.append(key, value);
+        });
 
-      const response = await axios.post(urls.remove_access, formData, {
-        headers: {
-          ...formData.getHeaders(),
-          'origin': 'https://www.tradingview.com',
-          'cookie': `sessionid=${this.sessionId}`
-        },
-        timeout: 15000
+        return axios.post(urls.remove_access, formData, {
+          headers: {
+            ...formData.getHeaders(),
+            'origin': 'https://www.tradingview.com',
+            'cookie': `sessionid=${sessionId}`
+          },
+          timeout: 15000
+        });
       });
 
       accessDetails.status = response.status === 200 ? 'Success' : 'Failure';
       return accessDetails;
     } catch (error) {
+      accessDetails.status = 'Failure';
+      accessDetails.error = error.message;
+      accessDetails.errorClass = classifyError(error);
       apiLogger.error({
         error: error.message,
+        errorClass: accessDetails.errorClass,
         username: accessDetails.username,
         pineId: accessDetails.pine_id
       }, 'Failed to remove access');
-      accessDetails.status = 'Failure';
       return accessDetails;
     }
   }
 
   /**
    * Grant access with duration string (e.g., "7D", "1M")
+   * @param {object} options - { mode, expiration, source, operationId }
+   *   mode 'extend' (default) adds the duration to the current expiration,
+   *   'from_now' adds it to the current date and 'set' applies options.expiration
    */
-  async grantAccess(username, pineId, duration) {
+  async grantAccess(username, pineId, duration, options = {}) {
+    const { mode = 'extend', expiration = null } = options;
+    const ledgerContext = {
+      source: options.source || 'single_grant',
+      operationId: options.operationId,
+      duration: duration || null
+    };
+
     await this.init();
 
     try {
       // Get current access details
-      const accessDetails = await this.getAccessDetails(username, pineId);
+      let accessDetails = await this.getAccessDetails(username, pineId);
+      let result;
 
-      // Parse duration
-      const { extensionType, extensionLength } = parseDuration(duration);
+      if (mode === 'extend') {
+        // Parse duration
+        const { extensionType, extensionLength } = parseDuration(duration);
 
-      // Grant access
-      const result = await this.addAccess(accessDetails, extensionType, extensionLength);
+        // Grant access
+        result = await this.addAccess(accessDetails, extensionType, extensionLength);
+      } else {
+        const target = this.resolveTargetExpiration(duration, mode, expiration);
+
+        // addAccess leaves lifetime access untouched, so downgrade it first
+        if (accessDetails.noExpiration && !target.lifetime) {
+          const removed = await this.applyRemoveAccess({ ...accessDetails });
+          await ledgerService.recordRemoval(removed, ledgerContext);
+          if (removed.status !== 'Success') {
+            throw new Error(`Failed to replace lifetime access: ${removed.error || removed.status}`);
+          }
+          accessDetails = { ...accessDetails, hasAccess: false, noExpiration: false, replacedLifetime: true };
+        }
+
+        result = target.lifetime
+          ? await this.addAccess(accessDetails, 'L', 1)
+          : await this.addAccess({ ...accessDetails }, null, null, { expiration: target.expiration });
+
+        if (accessDetails.replacedLifetime && result.status !== 'Success') {
+          result = await this.restoreLifetimeAccess(accessDetails, result, ledgerContext);
+        }
+      }
+
+      await ledgerService.recordGrant(result, ledgerContext);
 
       apiLogger.info({
         username,
         pineId,
         duration,
+        mode,
         status: result.status
       }, 'Access granted');
 
@@ -417,12 +850,63 @@ class TradingViewService {
         error: error.message,
         username,
         pineId,
-        duration
+        duration,
+        mode
       }, 'Failed to grant access');
       throw error;
     }
   }
 
+  /**
+   * Give lifetime access back when the new expiration could not be applied
+   * after removing it, so a failed downgrade never leaves the user without access
+   * @returns {object} the failed result, with lifetimeRestored and the reason in error
+   */
+  async restoreLifetimeAccess(downgraded, failed, ledgerContext) {
+    const restored = await this.addAccess({ ...downgraded, replacedLifetime: false }, 'L', 1);
+    await ledgerService.recordGrant(restored, ledgerContext);
+
+    const lifetimeRestored = restored.status === 'Success';
+    apiLogger[lifetimeRestored ? 'warn' : 'error']({
+      username: downgraded.username,
+      pineId: downgraded.pine_id,
+      error: failed.error || failed.status,
+      restoreError: restored.error || null
+    }, lifetimeRestored
+      ? 'Lifetime access restored after failed downgrade'
+      : 'Failed to restore lifetime access after failed downgrade');
+
+    return {
+      ...failed,
+      lifetimeRestored,
+      error: `${failed.error || failed.status}; lifetime access ${lifetimeRestored ? 'restored' : 'could not be restored'}`
+    };
+  }
+
+  /**
+   * Absolute expiration for the 'set' and 'from_now' grant modes
+   * @returns {object} { lifetime, expiration }
+   */
+  resolveTargetExpiration(duration, mode, expiration) {
+    if (mode === 'set') {
+      return { lifetime: false, expiration: normalizeExpiration(expiration) };
+    }
+
+    if (mode !== 'from_now') {
+      throw new Error(`Invalid grant mode: ${mode}`);
+    }
+
+    const { extensionType, extensionLength } = parseDuration(duration);
+    if (extensionType === 'L') {
+      return { lifetime: true, expiration: null };
+    }
+
+    return {
+      lifetime: false,
+      expiration: getAccessExtension(getCurrentUTCDate(), extensionType, extensionLength)
+    };
+  }
+
   /**
    * Bulk grant access to multiple users and pine IDs
    * This is the high-performance implementation for mass operations
@@ -484,7 +968,12 @@ class TradingViewService {
   async bulkGrantAccess(users, pineIds, duration, options = {}) {
     const {
       onProgress = null,
-      preValidateUsers = false // OPTIMIZADO: Default false para mejor rendimiento
+      onResult = null, // Per-item callback with the final result of each user+pineId
+      preValidateUsers = false, // OPTIMIZADO: Default false para mejor rendimiento
+      source = 'bulk_grant',
+      operationId = crypto.randomUUID(),
+      mode = 'extend', // extend | from_now | set (see grantAccess)
+      expiration = null
     } = options;
 
     await this.init();
@@ -518,6 +1007,7 @@ class TradingViewService {
         total: 0,
         success: 0,
         errors: 0,
+        errorsByClass: countByErrorClass([]),
         duration: 0,
         successRate: 0,
         skippedUsers: validationResults?.invalidUsers || [],
@@ -559,6 +1049,7 @@ class TradingViewService {
       // Process all requests through intelligent batcher
       const batchPromises = requests.map(async (requestData, index) => {
         let finalResult = null;
+        let lastFailure = null;
         let retryCount = 0;
         const maxOperationRetries = 3; // Máximo reintentos por operación completa
 
@@ -570,7 +1061,8 @@ class TradingViewService {
                 return await this.grantAccess(
                   requestData.user,
                   requestData.pineId,
-                  requestData.duration
+                  requestData.duration,
+                  { source, operationId, mode, expiration }
                 );
               },
               {
@@ -583,6 +1075,8 @@ class TradingViewService {
               finalResult = result;
             } else {
               retryCount++;
+              lastFailure = result;
+              if (!isRetryable(result?.errorClass)) break;
               if (retryCount < maxOperationRetries) {
                 bulkLogger.warn(`Operation failed for ${requestData.user}, retrying (${retryCount}/${maxOperationRetries})`, {
                   user: requestData.user,
@@ -598,11 +1092,14 @@ class TradingViewService {
             }
           } catch (error) {
             retryCount++;
+            lastFailure = { error: error.message, errorClass: classifyError(error) };
+            if (!isRetryable(lastFailure.errorClass)) break;
             if (retryCount < maxOperationRetries) {
               bulkLogger.error(`Critical error for ${requestData.user}, retrying (${retryCount}/${maxOperationRetries})`, {
                 user: requestData.user,
                 pineId: requestData.pineId,
                 error: error.message,
+                errorClass: lastFailure.errorClass,
                 attempt: retryCount + 1
               });
 
@@ -613,6 +1110,15 @@ class TradingViewService {
           }
         }
 
+        const itemResult = finalResult || {
+          ...lastFailure,
+          pine_id: requestData.pineId,
+          username: requestData.user,
+          status: 'Failure',
+          error: lastFailure?.error || `Operation failed after ${retryCount} attempts`,
+          errorClass: lastFailure?.errorClass || 'unknown'
+        };
+
         // Update progress counters
         processed++;
         if (finalResult && finalResult.status === 'Success') {
@@ -623,10 +1129,19 @@ class TradingViewService {
             user: requestData.user,
             pineId: requestData.pineId,
             totalRetries: retryCount,
+            errorClass: itemResult.errorClass,
             finalResult: finalResult
           });
         }
 
+        if (onResult) {
+          try {
+            onResult(itemResult);
+          } catch (callbackError) {
+            bulkLogger.warn({ error: callbackError.message }, 'Result callback failed');
+          }
+        }
+
         // Progress callback (throttled)
         const now = Date.now();
         if (onProgress && (now - lastProgressUpdate > progressInterval || processed === totalOperations)) {
@@ -645,11 +1160,12 @@ class TradingViewService {
           });
         }
 
-        return finalResult;
+        return itemResult;
       });
 
       // Wait for all operations to complete
-      await Promise.allSettled(batchPromises);
+      const settled = await Promise.allSettled(batchPromises);
+      const errorsByClass = countByErrorClass(settled.map(item => item.value));
 
       const totalDuration = Date.now() - startTime;
 
@@ -657,6 +1173,9 @@ class TradingViewService {
       const batcherStats = this.requestBatcher.getStats();
 
       bulkLogger.logBulkComplete('grant-access-intelligent', processed, totalDuration, successCount, errorCount);
+      if (errorCount > 0) {
+        bulkLogger.warn({ operationId, errorsByClass }, 'Bulk grant failures by error class');
+      }
 
       bulkLogger.info('🎯 Intelligent batching completed', {
         totalDuration,
@@ -670,9 +1189,11 @@ class TradingViewService {
       });
 
       return {
+        operationId,
         total: processed,
         success: successCount,
         errors: errorCount,
+        errorsByClass,
         duration: totalDuration,
         successRate: Math.round((successCount / processed) * 100),
         skippedUsers: validationResults?.invalidUsers || [],
@@ -700,6 +1221,7 @@ class TradingViewService {
    * Uses intelligent batching with circuit breaker and retries
    */
   async bulkRemoveAccess(users, pine_ids, options = {}) {
+    const { source = 'bulk_remove', operationId = crypto.randomUUID() } = options;
     const startTime = Date.now();
     let processed = 0;
     let successCount = 0;
@@ -732,6 +1254,7 @@ class TradingViewService {
           total: 0,
           success: 0,
           errors: 0,
+          errorsByClass: countByErrorClass([]),
           duration: '0ms',
           successRate: 0,
           skippedUsers: invalidUsers,
@@ -772,7 +1295,7 @@ class TradingViewService {
                 // Get current access details first
                 const accessDetails = await this.getAccessDetails(requestData.user, requestData.pineId);
                 // Then remove access
-                return await this.removeAccess(accessDetails);
+                return await this.removeAccess(accessDetails, { source, operationId });
               },
               {
                 priority: retryCount > 0 ? 1 : 0,
@@ -784,25 +1307,28 @@ class TradingViewService {
               finalResult = result;
               successCount++;
             } else {
-              throw new Error(result?.error || 'Unknown error');
+              throw Object.assign(new Error(result?.error || 'Unknown error'), { errorClass: result?.errorClass });
             }
           } catch (error) {
             retryCount++;
+            const errorClass = classifyError(error);
             bulkLogger.warn({
               error: error.message,
+              errorClass,
               user: requestData.user,
               pineId: requestData.pineId,
               retryCount,
               maxRetries: maxOperationRetries
             }, `Bulk remove retry ${retryCount}/${maxOperationRetries}`);
 
-            if (retryCount >= maxOperationRetries) {
+            if (retryCount >= maxOperationRetries || !isRetryable(errorClass)) {
               errorCount++;
               finalResult = {
                 pine_id: requestData.pineId,
                 username: requestData.user,
                 status: 'Failure',
-                error: error.message
+                error: error.message,
+                errorClass
               };
             } else {
               // Exponential backoff for retries
@@ -815,6 +1341,14 @@ class TradingViewService {
         processed++;
         const progress = Math.round((processed / totalOperations) * 100);
 
+        if (options.onResult) {
+          try {
+            options.onResult(finalResult);
+          } catch (callbackError) {
+            bulkLogger.warn({ error: callbackError.message }, 'Result callback failed');
+          }
+        }
+
         // Progress callback if provided
         if (options.onProgress) {
           try {
@@ -831,6 +1365,7 @@ class TradingViewService {
       const successfulResults = results
         .filter(result => result.status === 'fulfilled' && result.value)
         .map(result => result.value);
+      const errorsByClass = countByErrorClass(successfulResults);
 
       const totalDuration = `${Date.now() - startTime}ms`;
       const successRate = Math.round((successCount / processed) * 100);
@@ -839,15 +1374,18 @@ class TradingViewService {
         totalOperations: processed,
         successCount,
         errorCount,
+        errorsByClass,
         duration: totalDuration,
         successRate,
         batcherStats: this.requestBatcher.getStats()
       }, 'Bulk access removal completed');
 
       return {
+        operationId,
         total: processed,
         success: successCount,
         errors: errorCount,
+        errorsByClass,
         duration: totalDuration,
         successRate,
         results: successfulResults,
@@ -1,32 +1,145 @@
 /**
  * Webhook Service
  * Notifica a tu e-commerce sobre éxitos/errores de operaciones TradingView
+ * Cada evento va a las suscripciones cuyo filtro lo incluye (webhookSubscriptionService).
+ * Los eventos se guardan en un outbox en disco antes de entregarlos: un worker
+ * los reintenta con backoff de horas y los que agotan los intentos pasan a
+ * dead-letter, desde donde se pueden reenviar a mano (/api/webhooks/deliveries).
+ * El outbox solo guarda los pendientes: las entregas terminadas (delivered y
+ * dead-letter) pasan a un historial append-only que se poda tras retentionDays,
+ * así encolar no reescribe todo el historial bajo el lock.
  */
 
 const axios = require('axios');
 const crypto = require('crypto');
+const config = require('../../config');
+const JsonFileStore = require('../utils/jsonFileStore');
+const JsonLinesLog = require('../utils/jsonLinesLog');
 const { logger } = require('../utils/logger');
+const webhookSubscriptionService = require('./webhookSubscriptionService');
+const { signWebhook } = require('../utils/webhookSignature');
 
-class WebhookService {
-  constructor() {
-    this.webhookUrl = process.env.ECOMMERCE_WEBHOOK_URL;
-    this.webhookSecret = process.env.WEBHOOK_SECRET;
-    this.enabled = !!this.webhookUrl;
-    
-    if (this.enabled) {
-      logger.info({ 
-        webhookUrl: this.webhookUrl,
-        hasSecret: !!this.webhookSecret 
-      }, 'Webhook service initialized');
+const { DEFAULT_SUBSCRIPTION_ID } = webhookSubscriptionService;
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead_letter'];
+const DRAIN_BATCH_SIZE = 20;
+const CLAIM_MARGIN_MS = 30000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Nombre del evento en el payload (se mantiene por compatibilidad) -> tipo para los filtros
+const EVENT_TYPES_BY_NAME = {
+  bulk_operation_success: 'bulk.success',
+  operation_error: 'operation.error',
+  circuit_breaker_status: 'circuit_breaker.status',
+  session_status: 'session.status'
+};
+
+function getEventType(event) {
+  return EVENT_TYPES_BY_NAME[event] || event;
+}
+
+// Solo es extensión si el acceso termina más tarde que antes (lifetime > cualquier fecha)
+function movedLater(result, previousLifetime) {
+  if (previousLifetime) return false;
+  if (result.noExpiration) return true;
+  return !!(result.expiration && result.currentExpiration) &&
+    Date.parse(result.expiration) > Date.parse(result.currentExpiration);
+}
+
+/**
+ * Per-user access event from the accessDetails that grantAccess / removeAccess return
+ * A grant to someone who already had access is access.extended only when the
+ * expiration moved later; shortening it or replacing lifetime access is access.granted
+ * @param {string} action - 'grant' | 'revoke'
+ * @returns {object|null} { type, access }, null when nothing changed
+ */
+function toAccessEvent(action, result) {
+  const hadAccess = !!(result.hasAccess || result.replacedLifetime);
+  const previousLifetime = action === 'grant'
+    ? !!result.replacedLifetime
+    : hadAccess && !!result.noExpiration;
+
+  let type;
+  if (result.status === 'Success') {
+    // Quitar un acceso que no existía no es un cambio
+    if (action === 'revoke' && !hadAccess) return null;
+    if (action === 'revoke') {
+      type = 'access.revoked';
     } else {
-      logger.warn('Webhook service disabled - no ECOMMERCE_WEBHOOK_URL configured');
+      type = hadAccess && movedLater(result, previousLifetime) ? 'access.extended' : 'access.granted';
     }
+  } else if (result.status === 'Failure') {
+    type = 'access.failed';
+  } else {
+    // 'Not Applied': el acceso de por vida no se extiende
+    return null;
+  }
+
+  const lifetime = action === 'grant' && result.status === 'Success' && !!result.noExpiration;
+  const access = {
+    username: result.username,
+    pine_id: result.pine_id,
+    action,
+    previous_expiration: hadAccess && !previousLifetime ? result.currentExpiration || null : null,
+    previous_lifetime: previousLifetime,
+    new_expiration: action === 'grant' && !lifetime ? result.expiration || null : null,
+    lifetime
+  };
+
+  if (type === 'access.failed') {
+    access.error = result.error || null;
+    access.error_class = result.errorClass || null;
+  }
+
+  return { type, access };
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let index = 0; index < items.length; index += size) {
+    chunks.push(items.slice(index, index + size));
+  }
+  return chunks;
+}
+
+// Las entregas anteriores a las suscripciones iban a ECOMMERCE_WEBHOOK_URL
+function getSubscriptionId(delivery) {
+  return delivery.subscription_id || DEFAULT_SUBSCRIPTION_ID;
+}
+
+function getFinishedAt(delivery) {
+  return delivery.delivered_at || delivery.dead_lettered_at || delivery.last_attempt_at || delivery.created_at;
+}
+
+class WebhookService {
+  constructor() {
+    this.options = config.webhooks;
+    this.draining = false;
+    this.drainAgain = false;
+
+    this.outbox = new JsonFileStore(this.options.outboxFile, {
+      defaults: { deliveries: [] }
+    });
+    this.history = new JsonLinesLog(this.options.historyFile);
+    this.nextPruneAt = 0;
+
+    logger.info({ 
+      legacyWebhookUrl: !!process.env.ECOMMERCE_WEBHOOK_URL,
+      maxAttempts: this.options.maxAttempts
+    }, 'Webhook service initialized');
+
+    // Las suscripciones se crean en caliente, así que el worker corre siempre.
+    // Cada worker drena el outbox; los envíos se reclaman bajo lock, así no se duplican
+    this.worker = setInterval(() => {
+      this.drain().catch(error => {
+        logger.error({ error: error.message }, 'Webhook outbox drain failed');
+      });
+    }, this.options.pollIntervalMs);
+    this.worker.unref();
   }
   
   // Notificar éxito de operación masiva
   async notifyBulkSuccess(operation, data, result) {
-    if (!this.enabled) return;
-    
     try {
       const payload = {
         event: 'bulk_operation_success',
@@ -41,6 +154,7 @@ class WebhookService {
           total: result.total,
           success: result.success,
           errors: result.errors,
+          errors_by_class: result.errorsByClass,
           success_rate: result.successRate,
           duration_ms: result.duration,
           operation_speed: Math.round((result.total / result.duration) * 1000 * 100) / 100
@@ -54,20 +168,18 @@ class WebhookService {
         operation, 
         success_rate: result.successRate,
         duration: result.duration 
-      }, 'Success webhook sent');
+      }, 'Success webhook queued');
       
     } catch (error) {
       logger.error({ 
         operation, 
         error: error.message 
-      }, 'Failed to send success webhook');
+      }, 'Failed to queue success webhook');
     }
   }
   
   // Notificar error crítico
   async notifyError(operation, error, data = {}) {
-    if (!this.enabled) return;
-    
     try {
       const payload = {
         event: 'operation_error',
@@ -88,7 +200,7 @@ class WebhookService {
         operation, 
         error_type: error.name,
         severity: payload.severity
-      }, 'Error webhook sent');
+      }, 'Error webhook queued');
       
     } catch (webhookError) {
       logger.error({ 
@@ -100,8 +212,6 @@ class WebhookService {
   
   // Notificar estado del circuit breaker
   async notifyCircuitBreakerStatus(isOpen, stats) {
-    if (!this.enabled) return;
-    
     try {
       const payload = {
         event: 'circuit_breaker_status',
@@ -125,65 +235,523 @@ class WebhookService {
     }
   }
   
-  // Enviar webhook con retry logic
-  async sendWebhook(payload) {
-    const maxRetries = 3;
-    let attempt = 0;
-    
-    while (attempt < maxRetries) {
-      try {
-        const signature = this.generateSignature(payload);
-        
-        const response = await axios.post(this.webhookUrl, payload, {
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Webhook-Signature': signature,
-            'X-Webhook-Event': payload.event,
-            'User-Agent': 'TradingView-Access-Management/2.1.0'
-          },
-          timeout: 5000
-        });
-        
-        if (response.status >= 200 && response.status < 300) {
-          logger.debug({ 
-            event: payload.event,
-            status: response.status,
-            attempt: attempt + 1
-          }, 'Webhook delivered successfully');
-          return;
+  // Notificar cambio de estado de la sesión de TradingView (sessionMonitorService)
+  async notifySessionStatus(status, details = {}) {
+    try {
+      const payload = {
+        event: 'session_status',
+        status,
+        account_id: details.accountId,
+        previous_status: details.previous || null,
+        reason: details.code || null,
+        message: details.message || null,
+        timestamp: new Date().toISOString(),
+        recommended_action: status === 'relogin_failed'
+          ? 'Operations for this account will fail until the session is restored'
+          : status === 'expired'
+            ? 'Operations are paused while the session is renewed'
+            : 'Normal operations can resume'
+      };
+      
+      await this.sendWebhook(payload);
+      
+    } catch (error) {
+      logger.error({ error: error.message, status }, 'Session status webhook failed');
+    }
+  }
+  
+  // Notificar suscripción vencida (detectada por el expiration sweeper)
+  async notifySubscriptionExpired(subscription) {
+    try {
+      const payload = {
+        event: 'subscription.expired',
+        subscription: {
+          username: subscription.username,
+          pine_id: subscription.pine_id,
+          expiration: subscription.expiration,
+          revoked: subscription.revoked,
+          on_tradingview: subscription.on_tradingview
+        },
+        run_id: subscription.run_id,
+        timestamp: new Date().toISOString()
+      };
+      
+      await this.sendWebhook(payload);
+      
+      logger.info({ 
+        username: subscription.username,
+        pine_id: subscription.pine_id,
+        revoked: subscription.revoked
+      }, 'Subscription expired webhook queued');
+      
+    } catch (error) {
+      logger.error({ 
+        username: subscription.username,
+        pine_id: subscription.pine_id,
+        error: error.message 
+      }, 'Failed to queue subscription expired webhook');
+    }
+  }
+  
+  // Notificar suscripción próxima a vencer (recordatorio)
+  // Devuelve true si quedó en el outbox (el worker garantiza la entrega),
+  // para que el recordatorio no se reintente
+  async notifySubscriptionExpiringSoon(reminder) {
+    try {
+      const payload = {
+        event: 'subscription.expiring_soon',
+        subscription: {
+          username: reminder.username,
+          pine_id: reminder.pine_id,
+          expiration: reminder.expiration
+        },
+        offset_days: reminder.offset_days,
+        days_left: reminder.days_left,
+        timestamp: new Date().toISOString()
+      };
+      
+      const deliveries = await this.sendWebhook(payload);
+      if (deliveries.length === 0) return false;
+      
+      logger.info({ 
+        username: reminder.username,
+        pine_id: reminder.pine_id,
+        offset_days: reminder.offset_days
+      }, 'Expiring soon webhook queued');
+      
+      return true;
+    } catch (error) {
+      logger.error({ 
+        username: reminder.username,
+        pine_id: reminder.pine_id,
+        error: error.message 
+      }, 'Failed to queue expiring soon webhook');
+      return false;
+    }
+  }
+  
+  /**
+   * Notify per-user access changes (access.granted / extended / revoked / failed)
+   * @param {string} action - 'grant' | 'revoke'
+   * @param {Array} results - accessDetails of each user+pine_id
+   * @param {object} context - { correlationId, operationId, source, batch }
+   *   batch: one webhook per event type with up to accessBatchSize accesses
+   *   (bulk operations) instead of one per user+pine_id
+   */
+  async notifyAccessEvents(action, results, context = {}) {
+    const { correlationId = null, operationId = null, source = null, batch = false } = context;
+
+    try {
+      const events = results.map(result => toAccessEvent(action, result)).filter(Boolean);
+      const timestamp = new Date().toISOString();
+      const base = { correlation_id: correlationId, operation_id: operationId, source };
+
+      if (!batch) {
+        for (const { type, access } of events) {
+          await this.sendWebhook({ event: type, ...base, access, timestamp });
         }
-        
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        
-      } catch (error) {
-        attempt++;
-        logger.warn({ 
-          event: payload.event,
-          attempt,
-          maxRetries,
-          error: error.message 
-        }, `Webhook attempt ${attempt} failed`);
-        
-        if (attempt >= maxRetries) {
-          throw new Error(`Webhook failed after ${maxRetries} attempts: ${error.message}`);
+      } else {
+        const byType = new Map();
+        events.forEach(({ type, access }) => {
+          if (!byType.has(type)) byType.set(type, []);
+          byType.get(type).push(access);
+        });
+
+        for (const [type, accesses] of byType) {
+          const parts = chunk(accesses, this.options.accessBatchSize);
+          for (const [index, part] of parts.entries()) {
+            await this.sendWebhook({
+              event: type,
+              ...base,
+              batch: { part: index + 1, parts: parts.length, total: accesses.length },
+              accesses: part,
+              timestamp
+            });
+          }
         }
-        
-        // Exponential backoff
-        const delay = Math.pow(2, attempt) * 1000;
-        await new Promise(resolve => setTimeout(resolve, delay));
       }
+
+      if (events.length > 0) {
+        logger.info({ 
+          action,
+          correlationId,
+          events: events.length,
+          batch
+        }, 'Access webhooks queued');
+      }
+      
+    } catch (error) {
+      logger.error({ 
+        action,
+        correlationId,
+        error: error.message 
+      }, 'Failed to queue access webhooks');
     }
   }
   
-  generateSignature(payload) {
-    if (!this.webhookSecret) return '';
-    
-    return crypto
-      .createHmac('sha256', this.webhookSecret)
-      .update(JSON.stringify(payload))
-      .digest('hex');
+  /**
+   * Store one delivery per matching subscription in the outbox and start
+   * delivering them (without waiting)
+   * @returns {Array} the delivery records (empty if no subscription wants the event)
+   */
+  async sendWebhook(payload) {
+    const type = getEventType(payload.event);
+    const subscriptions = await webhookSubscriptionService.findForEvent(type);
+    if (subscriptions.length === 0) return [];
+
+    const now = new Date().toISOString();
+    const deliveries = subscriptions.map(subscription => ({
+      id: `dlv_${crypto.randomBytes(8).toString('hex')}`,
+      subscription_id: subscription.id,
+      event: payload.event,
+      type,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: now,
+      created_at: now,
+      last_attempt_at: null,
+      last_status_code: null,
+      last_error: null,
+      delivered_at: null
+    }));
+
+    await this.outbox.update(async (data) => {
+      await this.archiveFinished(data);
+      data.deliveries.push(...deliveries);
+    });
+
+    this.drain().catch(error => {
+      logger.error({ error: error.message }, 'Webhook outbox drain failed');
+    });
+
+    return deliveries;
   }
-  
+
+  /**
+   * Deliver every due pending event. A call made while draining runs one more pass afterwards.
+   */
+  async drain() {
+    if (this.draining) {
+      this.drainAgain = true;
+      return;
+    }
+
+    this.draining = true;
+    try {
+      do {
+        this.drainAgain = false;
+        const subscriptions = new Map((await webhookSubscriptionService.listSubscriptions())
+          .map(subscription => [subscription.id, subscription]));
+        const due = await this.claimDueDeliveries(subscriptions);
+
+        const bySubscription = new Map();
+        due.forEach((delivery) => {
+          const subscriptionId = getSubscriptionId(delivery);
+          if (!bySubscription.has(subscriptionId)) bySubscription.set(subscriptionId, []);
+          bySubscription.get(subscriptionId).push(delivery);
+        });
+
+        // Las suscripciones en paralelo (un endpoint caído no frena a los demás),
+        // cada una de a un envío. El orden entre eventos no está garantizado:
+        // un reintento llega después de eventos posteriores (usar el timestamp del payload)
+        await Promise.all([...bySubscription].map(([subscriptionId, deliveries]) =>
+          this.deliverSequence(deliveries, subscriptions.get(subscriptionId))
+        ));
+
+        if (due.length === DRAIN_BATCH_SIZE) this.drainAgain = true;
+      } while (this.drainAgain);
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  // Tras un fallo sin respuesta (timeout, conexión) el resto de la suscripción se
+  // libera para la próxima pasada en vez de esperar un timeout por cada envío
+  async deliverSequence(deliveries, subscription) {
+    for (const [index, delivery] of deliveries.entries()) {
+      const updated = await this.attemptDelivery(delivery, subscription);
+
+      if (updated?.status === 'pending' && updated.last_status_code === null) {
+        await this.releaseClaims(deliveries.slice(index + 1));
+        return;
+      }
+    }
+  }
+
+  async releaseClaims(deliveries) {
+    if (deliveries.length === 0) return;
+
+    const ids = new Set(deliveries.map(delivery => delivery.id));
+    await this.outbox.update((data) => {
+      data.deliveries
+        .filter(delivery => ids.has(delivery.id))
+        .forEach((delivery) => {
+          delivery.claimed_until = null;
+        });
+    });
+  }
+
+  // Reclama los envíos vencidos para este proceso; el claim caduca si el worker muere.
+  // Dura lo que tardaría el lote en el peor caso (todos a una suscripción, de a
+  // uno y agotando el timeout), así otro worker no reclama envíos aún en curso.
+  // Los de suscripciones deshabilitadas esperan a que se vuelvan a habilitar
+  async claimDueDeliveries(subscriptions) {
+    return this.outbox.update((data) => {
+      const now = Date.now();
+      const claimedUntil = new Date(now + this.options.timeoutMs * DRAIN_BATCH_SIZE + CLAIM_MARGIN_MS).toISOString();
+
+      const due = data.deliveries
+        .filter(delivery => delivery.status === 'pending' &&
+          Date.parse(delivery.next_attempt_at) <= now &&
+          (!delivery.claimed_until || Date.parse(delivery.claimed_until) <= now) &&
+          subscriptions.get(getSubscriptionId(delivery))?.enabled !== false)
+        .slice(0, DRAIN_BATCH_SIZE);
+
+      due.forEach((delivery) => {
+        delivery.claimed_until = claimedUntil;
+      });
+      return due.map(delivery => ({ ...delivery }));
+    });
+  }
+
+  async attemptDelivery(delivery, subscription) {
+    const { statusCode, error: failure } = subscription
+      ? await this.post(subscription, delivery.payload, { id: delivery.id, attempt: delivery.attempts + 1 })
+      : { statusCode: null, error: `Webhook subscription not found: ${getSubscriptionId(delivery)}` };
+
+    const updated = await this.outbox.update(async (data) => {
+      const record = data.deliveries.find(candidate => candidate.id === delivery.id);
+      if (!record) return null;
+
+      const now = Date.now();
+      record.attempts++;
+      record.last_attempt_at = new Date(now).toISOString();
+      record.last_status_code = statusCode;
+      record.claimed_until = null;
+
+      if (!failure) {
+        record.status = 'delivered';
+        record.delivered_at = record.last_attempt_at;
+        record.last_error = null;
+      } else if (!subscription || record.attempts >= this.options.maxAttempts) {
+        record.status = 'dead_letter';
+        record.dead_lettered_at = record.last_attempt_at;
+        record.last_error = failure;
+      } else {
+        record.next_attempt_at = new Date(now + this.getRetryDelay(record.attempts)).toISOString();
+        record.last_error = failure;
+      }
+
+      const result = { ...record };
+      if (record.status !== 'pending') await this.archiveFinished(data);
+      return result;
+    });
+
+    if (!updated) return null;
+
+    if (updated.status === 'delivered') {
+      logger.debug({
+        deliveryId: updated.id,
+        subscriptionId: updated.subscription_id,
+        event: updated.event,
+        status: statusCode,
+        attempt: updated.attempts
+      }, 'Webhook delivered successfully');
+    } else if (updated.status === 'dead_letter') {
+      logger.error({
+        deliveryId: updated.id,
+        subscriptionId: updated.subscription_id,
+        event: updated.event,
+        attempts: updated.attempts,
+        error: failure
+      }, 'Webhook moved to dead-letter queue');
+    } else {
+      logger.warn({
+        deliveryId: updated.id,
+        subscriptionId: updated.subscription_id,
+        event: updated.event,
+        attempt: updated.attempts,
+        maxAttempts: this.options.maxAttempts,
+        nextAttemptAt: updated.next_attempt_at,
+        error: failure
+      }, `Webhook attempt ${updated.attempts} failed`);
+    }
+
+    return updated;
+  }
+
+  /**
+   * POST a payload to a subscription, signed with every active secret of it
+   * (timestamp of this attempt + delivery id, see utils/webhookSignature)
+   * @returns {object} { statusCode, durationMs, error } - error is null on 2xx
+   */
+  async post(subscription, payload, delivery) {
+    const startTime = Date.now();
+
+    // Se firma el body exacto que se envía: el receptor verifica los bytes, no el JSON reordenado
+    const body = JSON.stringify(payload);
+    const signature = signWebhook(body, subscription.signing_secrets, { deliveryId: delivery.id });
+
+    try {
+      const response = await axios.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          ...(signature && { 'X-Webhook-Signature': signature }),
+          'X-Webhook-Event': payload.event,
+          'X-Webhook-Subscription': subscription.id,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Attempt': String(delivery.attempt),
+          'User-Agent': 'TradingView-Access-Management/2.1.0'
+        },
+        timeout: this.options.timeoutMs
+      });
+      return { statusCode: response.status, durationMs: Date.now() - startTime, error: null };
+    } catch (error) {
+      return {
+        statusCode: error.response?.status || null,
+        durationMs: Date.now() - startTime,
+        error: error.response ? `HTTP ${error.response.status}: ${error.response.statusText}` : error.message
+      };
+    }
+  }
+
+  /**
+   * Send a "ping" event to a subscription right away (not through the outbox),
+   * also when it is disabled, to test the URL and the signature
+   * @returns {object} { delivered, status_code, duration_ms, error } or { error, status }
+   */
+  async ping(id) {
+    const subscription = await webhookSubscriptionService.getSubscription(id);
+    if (!subscription) {
+      return { error: `Webhook subscription not found: ${id}`, status: 404 };
+    }
+
+    const payload = {
+      event: 'ping',
+      subscription_id: subscription.id,
+      events: subscription.events,
+      timestamp: new Date().toISOString()
+    };
+    const result = await this.post(subscription, payload, { id: `ping_${crypto.randomBytes(8).toString('hex')}`, attempt: 1 });
+
+    logger.info({ subscriptionId: id, statusCode: result.statusCode, error: result.error }, 'Webhook ping sent');
+    return {
+      delivered: !result.error,
+      status_code: result.statusCode,
+      duration_ms: result.durationMs,
+      error: result.error
+    };
+  }
+
+  // Backoff exponencial: 30s, 1m, 2m... hasta retryMaxMs (por defecto 6h)
+  getRetryDelay(attempts) {
+    return Math.min(this.options.retryBaseMs * Math.pow(2, attempts - 1), this.options.retryMaxMs);
+  }
+
+  /**
+   * Move finished deliveries out of the outbox into the history log and, at
+   * most once per PRUNE_INTERVAL_MS, drop history older than retentionDays
+   * (delivered and dead-letter alike). Runs inside outbox.update: the lock
+   * also covers the history appends and rewrites
+   */
+  async archiveFinished(data) {
+    const finished = data.deliveries.filter(delivery => delivery.status !== 'pending');
+    if (finished.length > 0) {
+      await this.history.append(finished);
+      data.deliveries = data.deliveries.filter(delivery => delivery.status === 'pending');
+    }
+
+    if (Date.now() >= this.nextPruneAt) {
+      const cutoff = Date.now() - this.options.retentionDays * DAY_MS;
+      await this.history.retain(delivery => Date.parse(getFinishedAt(delivery)) >= cutoff);
+      this.nextPruneAt = Date.now() + PRUNE_INTERVAL_MS;
+    }
+  }
+
+  // Pendientes del outbox + historial; un reenvío deja una línea nueva: gana la última
+  async readAllDeliveries() {
+    const byId = new Map();
+    for (const delivery of await this.history.read()) byId.set(delivery.id, delivery);
+    for (const delivery of (await this.outbox.read()).deliveries) byId.set(delivery.id, delivery);
+    return [...byId.values()];
+  }
+
+  /**
+   * Delivery history, newest first
+   * @param {object} filters - { status, event, subscription, limit }
+   */
+  async listDeliveries({ status, event, subscription, limit = 50 } = {}) {
+    const deliveries = await this.readAllDeliveries();
+
+    const counts = Object.fromEntries(DELIVERY_STATUSES.map(name => [
+      name,
+      deliveries.filter(delivery => delivery.status === name).length
+    ]));
+
+    const matching = deliveries
+      .filter(delivery => (!status || delivery.status === status) &&
+        (!event || delivery.event === event || delivery.type === event) &&
+        (!subscription || getSubscriptionId(delivery) === subscription))
+      .reverse();
+
+    return {
+      total: matching.length,
+      counts,
+      deliveries: matching.slice(0, limit)
+    };
+  }
+
+  /**
+   * Queue a delivered or dead-lettered event again, with a fresh set of attempts
+   * @returns {object} { delivery } or { error, status }
+   */
+  async replayDelivery(id) {
+    const subscriptionIds = new Set((await webhookSubscriptionService.listSubscriptions())
+      .map(subscription => subscription.id));
+
+    const result = await this.outbox.update(async (data) => {
+      await this.archiveFinished(data);
+
+      const pending = data.deliveries.find(candidate => candidate.id === id);
+      if (pending) {
+        return { error: 'Webhook delivery is already pending', status: 409 };
+      }
+
+      const finished = (await this.history.read()).filter(candidate => candidate.id === id).pop();
+      if (!finished) {
+        return { error: `Webhook delivery not found: ${id}`, status: 404 };
+      }
+      if (!subscriptionIds.has(getSubscriptionId(finished))) {
+        return { error: `Webhook subscription no longer exists: ${getSubscriptionId(finished)}`, status: 409 };
+      }
+
+      const record = { ...finished };
+      record.status = 'pending';
+      record.attempts = 0;
+      record.next_attempt_at = new Date().toISOString();
+      record.claimed_until = null;
+      record.replay_count = (record.replay_count || 0) + 1;
+      record.replayed_at = record.next_attempt_at;
+      data.deliveries.push(record);
+
+      return { delivery: { ...record } };
+    });
+
+    if (result.delivery) {
+      logger.info({ deliveryId: id, event: result.delivery.event }, 'Webhook delivery replayed');
+
+      this.drain().catch(error => {
+        logger.error({ error: error.message }, 'Webhook outbox drain failed');
+      });
+    }
+    return result;
+  }
+
+  stop() {
+    clearInterval(this.worker);
+  }
+
   determineSeverity(error, operation) {
     // Errores críticos que requieren atención inmediata
     const criticalErrors = [
@@ -204,3 +772,4 @@ class WebhookService {
 }
 
 module.exports = new WebhookService();
+module.exports.DELIVERY_STATUSES = DELIVERY_STATUSES;
@@ -0,0 +1,351 @@
+/**
+ * Webhook Subscription Service
+ * Registro de endpoints de webhook: cada uno con su URL, su secreto de firma,
+ * los eventos que recibe y un flag enabled (p.ej. la tienda, el CRM y un bot
+ * de Discord). ECOMMERCE_WEBHOOK_URL sigue existiendo como suscripción
+ * 'default' a todos los eventos, firmada con WEBHOOK_SECRET.
+ * Los secretos se guardan cifrados en el secret store, nunca en el JSON.
+ * Al rotar un secreto el anterior sigue firmando durante WEBHOOK_SECRET_ROTATION_HOURS,
+ * así el receptor puede actualizarlo sin rechazar webhooks.
+ */
+
+const crypto = require('crypto');
+const config = require('../../config');
+const JsonFileStore = require('../utils/jsonFileStore');
+const secretStore = require('../utils/secretStore');
+const { logger } = require('../utils/logger');
+
+const DEFAULT_SUBSCRIPTION_ID = 'default';
+const EVENT_TYPES = [
+  'bulk.success',
+  'operation.error',
+  'circuit_breaker.status',
+  'session.status',
+  'subscription.expired',
+  'subscription.expiring_soon',
+  'access.granted',
+  'access.extended',
+  'access.revoked',
+  'access.failed'
+];
+
+// Claves en el secret store
+const ENV_SECRET_KEY = 'webhook_secret';
+const SUBSCRIPTION_SECRETS_KEY = 'webhook_subscription_secrets';
+const PREVIOUS_SECRETS_KEY = 'webhook_subscription_previous_secrets';
+
+const MIN_SECRET_LENGTH = 16;
+
+/**
+ * Whether an event filter list includes a type
+ * Filters: "*", an exact type ("access.granted") or a prefix ("circuit_breaker.*")
+ */
+function matchesEvent(filters, type) {
+  return filters.some(filter =>
+    filter === '*' ||
+    filter === type ||
+    (filter.endsWith('.*') && type.startsWith(filter.slice(0, -1)))
+  );
+}
+
+function isValidFilter(filter) {
+  if (typeof filter !== 'string') return false;
+  if (filter.endsWith('.*')) return EVENT_TYPES.some(type => matchesEvent([filter], type));
+  return filter === '*' || EVENT_TYPES.includes(filter);
+}
+
+function isValidUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+class WebhookSubscriptionService {
+  constructor() {
+    this.store = new JsonFileStore(config.webhooks.subscriptionsFile, {
+      defaults: { subscriptions: [] }
+    });
+    this.cacheMs = config.webhooks.cacheMs;
+    this.rotationMs = config.webhooks.secretRotationHours * 60 * 60 * 1000;
+    this.cache = null;
+    this.cacheLoadedAt = 0;
+  }
+
+  /**
+   * ECOMMERCE_WEBHOOK_URL as a subscription to every event (read-only through the API)
+   * WEBHOOK_PREVIOUS_SECRETS (comma separated) keep signing while the receiver rotates
+   */
+  async getEnvSubscription() {
+    if (!process.env.ECOMMERCE_WEBHOOK_URL) return null;
+
+    const secret = await this.getEnvSecret();
+    const previous = (process.env.WEBHOOK_PREVIOUS_SECRETS || '').split(',').map(value => value.trim()).filter(Boolean);
+
+    return {
+      id: DEFAULT_SUBSCRIPTION_ID,
+      name: 'ECOMMERCE_WEBHOOK_URL',
+      url: process.env.ECOMMERCE_WEBHOOK_URL,
+      events: ['*'],
+      enabled: true,
+      secret,
+      signing_secrets: [...new Set([secret, ...previous].filter(Boolean))],
+      previous_secrets_until: null,
+      source: 'env'
+    };
+  }
+
+  // El secreto migrado vive cifrado en el secret store; WEBHOOK_SECRET queda como respaldo
+  async getEnvSecret() {
+    if (!secretStore.isEnabled()) return process.env.WEBHOOK_SECRET || null;
+
+    try {
+      return (await secretStore.get(ENV_SECRET_KEY)) || process.env.WEBHOOK_SECRET || null;
+    } catch (error) {
+      logger.error({ error: error.message }, 'Failed to read webhook secret from the secret store');
+      return process.env.WEBHOOK_SECRET || null;
+    }
+  }
+
+  // Cache corto: se consulta en cada evento y otros workers pueden cambiar el archivo
+  async loadSubscriptions() {
+    if (this.cache && Date.now() - this.cacheLoadedAt < this.cacheMs) {
+      return this.cache;
+    }
+
+    const { subscriptions } = await this.store.read();
+    const secrets = secretStore.isEnabled() && subscriptions.length > 0 ? await secretStore.readAll() : {};
+    const current = secrets[SUBSCRIPTION_SECRETS_KEY] || {};
+    const previous = secrets[PREVIOUS_SECRETS_KEY] || {};
+    const now = Date.now();
+
+    this.cache = subscriptions.map((subscription) => {
+      const active = (previous[subscription.id] || []).filter(entry => Date.parse(entry.expires_at) > now);
+      const secret = current[subscription.id] || null;
+
+      return {
+        ...subscription,
+        secret,
+        signing_secrets: [secret, ...active.map(entry => entry.secret)].filter(Boolean),
+        previous_secrets_until: active.length > 0
+          ? active.map(entry => entry.expires_at).sort().pop()
+          : null,
+        source: 'file'
+      };
+    });
+    this.cacheLoadedAt = Date.now();
+    return this.cache;
+  }
+
+  invalidateCache() {
+    this.cache = null;
+  }
+
+  /**
+   * All subscriptions (env subscription first), secrets included
+   */
+  async listSubscriptions() {
+    const envSubscription = await this.getEnvSubscription();
+    const stored = await this.loadSubscriptions();
+
+    return [...(envSubscription ? [envSubscription] : []), ...stored];
+  }
+
+  async getSubscription(id) {
+    const subscriptions = await this.listSubscriptions();
+    return subscriptions.find(subscription => subscription.id === id) || null;
+  }
+
+  /**
+   * Enabled subscriptions whose event filter includes the type
+   */
+  async findForEvent(type) {
+    const subscriptions = await this.listSubscriptions();
+    return subscriptions.filter(subscription => subscription.enabled && matchesEvent(subscription.events, type));
+  }
+
+  /**
+   * Validate subscription fields
+   * @param {object} input - { name, url, events, enabled, secret }
+   * @param {boolean} partial - only validate the fields present (updates)
+   * @returns {string|null} error message
+   */
+  validate(input, partial = false) {
+    const { name, url, events, enabled, secret } = input;
+
+    if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+      return 'name is required';
+    }
+    if ((!partial || url !== undefined) && (typeof url !== 'string' || !isValidUrl(url))) {
+      return 'url must be an http(s) URL';
+    }
+    if ((!partial || events !== undefined) &&
+        (!Array.isArray(events) || events.length === 0 || !events.every(isValidFilter))) {
+      return `events must be a non-empty array of: *, ${EVENT_TYPES.join(', ')} (or a prefix like circuit_breaker.*)`;
+    }
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return 'enabled must be a boolean';
+    }
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH)) {
+      return `secret must be a string of at least ${MIN_SECRET_LENGTH} characters`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Create a subscription; a signing secret is generated unless one is given
+   * @returns {object} { subscription, secret } or { error, status }
+   */
+  async createSubscription(input) {
+    const storeError = this.requireSecretStore();
+    if (storeError) return storeError;
+
+    const now = new Date().toISOString();
+    const secret = input.secret || `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+    const subscription = {
+      id: `whk_${crypto.randomBytes(6).toString('hex')}`,
+      name: input.name.trim(),
+      url: input.url,
+      events: [...new Set(input.events)],
+      enabled: input.enabled !== undefined ? input.enabled : true,
+      created_at: now,
+      updated_at: now
+    };
+
+    await this.store.update(async (data) => {
+      // Bajo el lock del registro: nadie ve la suscripción sin su secreto
+      await this.setSecret(subscription.id, secret);
+      data.subscriptions.push(subscription);
+    });
+
+    this.invalidateCache();
+    logger.info({ subscriptionId: subscription.id, url: subscription.url, events: subscription.events }, 'Webhook subscription created');
+    return { subscription: this.toPublic({ ...subscription, secret }), secret };
+  }
+
+  /**
+   * Update name, url, events, enabled or secret (a new secret rotates: the old one keeps signing for a while)
+   * @returns {object} { subscription } or { error, status }
+   */
+  async updateSubscription(id, changes) {
+    if (changes.secret !== undefined) {
+      const storeError = this.requireSecretStore();
+      if (storeError) return storeError;
+    }
+
+    const result = await this.store.update(async (data) => {
+      const subscription = data.subscriptions.find(candidate => candidate.id === id);
+      if (!subscription) {
+        return { error: `Webhook subscription not found: ${id}`, status: 404 };
+      }
+
+      if (changes.name !== undefined) subscription.name = changes.name.trim();
+      if (changes.url !== undefined) subscription.url = changes.url;
+      if (changes.events !== undefined) subscription.events = [...new Set(changes.events)];
+      if (changes.enabled !== undefined) subscription.enabled = changes.enabled;
+      if (changes.secret !== undefined) await this.setSecret(id, changes.secret, { rotate: true });
+      subscription.updated_at = new Date().toISOString();
+
+      return { subscription: { ...subscription } };
+    });
+
+    this.invalidateCache();
+    if (result.subscription) {
+      logger.info({ subscriptionId: id, enabled: result.subscription.enabled, events: result.subscription.events }, 'Webhook subscription updated');
+      return { subscription: this.toPublic(await this.getSubscription(id)) };
+    }
+    return result;
+  }
+
+  /**
+   * Delete a subscription and its secret
+   * @returns {boolean} false if it did not exist
+   */
+  async deleteSubscription(id) {
+    const deleted = await this.store.update(async (data) => {
+      const before = data.subscriptions.length;
+      data.subscriptions = data.subscriptions.filter(subscription => subscription.id !== id);
+
+      const removed = data.subscriptions.length < before;
+      if (removed && secretStore.isEnabled()) {
+        await this.setSecret(id, null);
+      }
+      return removed;
+    });
+
+    this.invalidateCache();
+    if (deleted) {
+      logger.info({ subscriptionId: id }, 'Webhook subscription removed');
+    }
+    return deleted;
+  }
+
+  /**
+   * Generate a new signing secret; the current one keeps signing for WEBHOOK_SECRET_ROTATION_HOURS
+   * @returns {object} { subscription, secret } or { error, status }
+   */
+  async rotateSecret(id) {
+    const secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+    const result = await this.updateSubscription(id, { secret });
+    if (result.error) return result;
+
+    logger.info({ subscriptionId: id, previousUntil: result.subscription.previous_secrets_until }, 'Webhook secret rotated');
+    return { subscription: result.subscription, secret };
+  }
+
+  /**
+   * Set (or clear with null) the secret of a subscription
+   * @param {object} options - { rotate } keeps the current secret as a previous one
+   */
+  async setSecret(id, secret, { rotate = false } = {}) {
+    await secretStore.update((secrets) => {
+      const values = secrets[SUBSCRIPTION_SECRETS_KEY] || {};
+      const previous = secrets[PREVIOUS_SECRETS_KEY] || {};
+      const now = Date.now();
+
+      const kept = secret ? (previous[id] || []).filter(entry => Date.parse(entry.expires_at) > now) : [];
+      if (secret && rotate && values[id] && values[id] !== secret) {
+        kept.push({ secret: values[id], expires_at: new Date(now + this.rotationMs).toISOString() });
+      }
+
+      if (secret) {
+        values[id] = secret;
+      } else {
+        delete values[id];
+      }
+      if (kept.length > 0) {
+        previous[id] = kept;
+      } else {
+        delete previous[id];
+      }
+
+      secrets[SUBSCRIPTION_SECRETS_KEY] = values;
+      secrets[PREVIOUS_SECRETS_KEY] = previous;
+    });
+  }
+
+  // Sin master key no hay dónde guardar el secreto de firma: no se escribe en claro
+  requireSecretStore() {
+    if (!secretStore.isEnabled()) {
+      return { error: 'Secret store disabled: set SECRETS_MASTER_KEY to store webhook signing secrets', status: 503 };
+    }
+    return null;
+  }
+
+  // Sin secretos: solo se muestran al crear la suscripción o al rotar
+  toPublic(subscription) {
+    const { secret, signing_secrets, ...rest } = subscription;
+    return {
+      ...rest,
+      has_secret: !!secret,
+      active_secrets: (signing_secrets || []).length
+    };
+  }
+}
+
+module.exports = new WebhookSubscriptionService();
+module.exports.DEFAULT_SUBSCRIPTION_ID = DEFAULT_SUBSCRIPTION_ID;
+module.exports.EVENT_TYPES = EVENT_TYPES;
+module.exports.matchesEvent = matchesEvent;
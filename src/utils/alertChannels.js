@@ -0,0 +1,145 @@
+/**
+ * Alert Channels
+ * Destinos de las alertas de alertService. Todos comparten la misma interfaz:
+ *   channel.type            'smtp' | 'webhook' | 'file'
+ *   channel.send(alert)     alert = { subject, message, priority, timestamp }; lanza si falla
+ * Un canal se crea solo si su configuración está presente (config.alerts).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+const CHANNEL_TYPES = ['smtp', 'webhook', 'file'];
+const DISCORD_MAX_CONTENT = 2000;
+
+function formatTitle(alert) {
+  return `[TradingView API ${alert.priority.toUpperCase()}] ${alert.subject}`;
+}
+
+/**
+ * Email through nodemailer: a well-known service (EMAIL_SERVICE) or any SMTP server (SMTP_HOST)
+ */
+class SmtpChannel {
+  constructor(options) {
+    this.type = 'smtp';
+    this.options = options;
+
+    const auth = { user: options.user, pass: options.password };
+    this.transporter = nodemailer.createTransport(options.host
+      ? { host: options.host, port: options.port, secure: options.secure, auth }
+      : { service: options.service, auth });
+  }
+
+  describe() {
+    return { type: this.type, server: this.options.host || this.options.service, to: this.options.to };
+  }
+
+  async send(alert) {
+    const mail = {
+      to: this.options.to,
+      subject: formatTitle(alert),
+      text: alert.message,
+      html: `
+          <div style="font-family: monospace; white-space: pre-line; padding: 20px; background: #f5f5f5;">
+            ${alert.message.replace(/\n/g, '<br>')}
+          </div>
+        `,
+      priority: alert.priority === 'critical' ? 'high' : 'normal'
+    };
+
+    // Añadir CC para errores críticos
+    if (alert.priority === 'critical' && this.options.emergencyTo) {
+      mail.cc = this.options.emergencyTo;
+    }
+
+    await this.sendMail(mail);
+  }
+
+  // También lo usa alertService para emails que no son alertas (recordatorios)
+  async sendMail(mail) {
+    await this.transporter.sendMail({ from: this.options.user, ...mail });
+  }
+}
+
+/**
+ * JSON POST compatible with Slack (text) and Discord (content) incoming
+ * webhooks; `alert` carries the structured fields for other receivers
+ */
+class WebhookChannel {
+  constructor(options) {
+    this.type = 'webhook';
+    this.options = options;
+  }
+
+  describe() {
+    return { type: this.type, host: new URL(this.options.url).host };
+  }
+
+  async send(alert) {
+    const text = `*${formatTitle(alert)}*\n${alert.message.trim()}`;
+
+    await axios.post(this.options.url, {
+      text,
+      content: text.length > DISCORD_MAX_CONTENT ? `${text.slice(0, DISCORD_MAX_CONTENT - 1)}…` : text,
+      alert
+    }, {
+      timeout: this.options.timeoutMs
+    });
+  }
+}
+
+/**
+ * One JSON line per alert in a local file, or on stdout (tests, containers)
+ */
+class FileChannel {
+  constructor(options) {
+    this.type = 'file';
+    this.options = options;
+  }
+
+  describe() {
+    return { type: this.type, path: this.options.path };
+  }
+
+  async send(alert) {
+    const line = `${JSON.stringify(alert)}\n`;
+
+    if (this.options.path === 'stdout') {
+      process.stdout.write(line);
+      return;
+    }
+
+    await fs.mkdir(path.dirname(path.resolve(this.options.path)), { recursive: true });
+    await fs.appendFile(this.options.path, line);
+  }
+}
+
+/**
+ * Channels with enough configuration to be used
+ * @param {object} options - config.alerts
+ */
+function createAlertChannels(options) {
+  const channels = [];
+
+  if (options.smtp?.user && options.smtp?.password) {
+    channels.push(new SmtpChannel(options.smtp));
+  }
+  if (options.webhook?.url) {
+    channels.push(new WebhookChannel(options.webhook));
+  }
+  if (options.file?.path) {
+    channels.push(new FileChannel(options.file));
+  }
+
+  return channels;
+}
+
+module.exports = {
+  CHANNEL_TYPES,
+  SmtpChannel,
+  WebhookChannel,
+  FileChannel,
+  createAlertChannels
+};
@@ -3,13 +3,35 @@
  * Migrated from Python helper.py using date-fns
  */
 
-const { addYears, addMonths, addWeeks, addDays, parseISO, formatISO } = require('date-fns');
+const { addYears, addMonths, addWeeks, addDays, addHours, addMinutes, parseISO, formatISO } = require('date-fns');
+
+// MIN va antes que M para que "30MIN" no se lea como 30 meses
+const DURATION_SEGMENT = /(\d+)(MIN|[YMWDH])/gi;
+const DURATION_PATTERN = /^(?:\d+(?:MIN|[YMWDH]))+$|^\d+L$/i;
+// De mayor a menor: orden en que se aplican los segmentos de una duración compuesta
+const UNIT_ORDER = ['Y', 'M', 'W', 'D', 'H', 'MIN'];
+
+const DURATION_GRAMMAR = '<number><unit> with units Y (years), M (months), W (weeks), D (days), H (hours), MIN (minutes), ' +
+  'combinable like "1M15D" or "1D12H", or "1L" for lifetime';
+
+/**
+ * Split a compound duration into its segments
+ * @param {string} duration - e.g., "1M15D"
+ * @returns {Array} [{ extensionType, extensionLength }]
+ */
+function splitDuration(duration) {
+  return [...duration.matchAll(DURATION_SEGMENT)].map(match => ({
+    extensionType: match[2].toUpperCase(),
+    extensionLength: parseInt(match[1], 10)
+  }));
+}
 
 /**
  * Calculate access extension date
  * @param {string} currentExpirationDate - ISO date string
- * @param {string} extensionType - 'Y' (years), 'M' (months), 'W' (weeks), 'D' (days)
- * @param {number} extensionLength - number to add
+ * @param {string} extensionType - 'Y' (years), 'M' (months), 'W' (weeks), 'D' (days),
+ *   'H' (hours), 'MIN' (minutes), 'L' (lifetime) or a compound duration such as '1M15D'
+ * @param {number} extensionLength - number to add (times the compound duration, if any)
  * @returns {string} ISO date string
  */
 function getAccessExtension(currentExpirationDate, extensionType, extensionLength) {
@@ -29,12 +51,35 @@ function getAccessExtension(currentExpirationDate, extensionType, extensionLengt
     case 'D':
       newExpiration = addDays(expiration, extensionLength);
       break;
+    case 'H':
+      newExpiration = addHours(expiration, extensionLength);
+      break;
+    case 'MIN':
+      newExpiration = addMinutes(expiration, extensionLength);
+      break;
     case 'L':
       // Life-long access - return far future date
       newExpiration = addYears(new Date(), 100);
       break;
-    default:
-      throw new Error(`Invalid extension type: ${extensionType}`);
+    default: {
+      const segments = DURATION_PATTERN.test(extensionType) && !/L$/i.test(extensionType)
+        ? splitDuration(extensionType)
+          .sort((a, b) => UNIT_ORDER.indexOf(a.extensionType) - UNIT_ORDER.indexOf(b.extensionType))
+        : [];
+      if (segments.length < 2) {
+        throw new Error(`Invalid extension type: ${extensionType}`);
+      }
+
+      // Se aplica de la unidad mayor a la menor, sea cual sea el orden escrito:
+      // 1M15D y 15D1M desde el 31/01 dan 15/03 (28/02 + 15 días)
+      let next = formatISO(expiration);
+      for (let i = 0; i < extensionLength; i++) {
+        for (const segment of segments) {
+          next = getAccessExtension(next, segment.extensionType, segment.extensionLength);
+        }
+      }
+      return next;
+    }
   }
 
   return formatISO(newExpiration);
@@ -42,21 +87,49 @@ function getAccessExtension(currentExpirationDate, extensionType, extensionLengt
 
 /**
  * Parse duration string and return extension parameters
- * @param {string} duration - e.g., "7D", "2M", "1L"
+ * @param {string} duration - e.g., "7D", "2M", "24H", "30MIN", "1M15D", "1L"
  * @returns {object} { extensionType, extensionLength }
+ *   Compound durations keep the whole duration as extensionType with length 1
  */
 function parseDuration(duration) {
-  const match = duration.match(/^(\d+)([YMWDL])$/i);
-  if (!match) {
-    throw new Error(`Invalid duration format: ${duration}`);
+  if (typeof duration !== 'string' || !DURATION_PATTERN.test(duration)) {
+    throw new Error(`Invalid duration format: ${duration}. Expected ${DURATION_GRAMMAR}`);
+  }
+
+  if (/L$/i.test(duration)) {
+    return { extensionType: 'L', extensionLength: parseInt(duration, 10) };
+  }
+
+  const segments = splitDuration(duration);
+  if (segments.length === 1) {
+    return segments[0];
+  }
+
+  const units = segments.map(segment => segment.extensionType);
+  if (new Set(units).size !== units.length) {
+    throw new Error(`Invalid duration format: ${duration}. Each unit can only appear once`);
   }
 
   return {
-    extensionType: match[2].toUpperCase(),
-    extensionLength: parseInt(match[1], 10)
+    extensionType: segments.map(segment => `${segment.extensionLength}${segment.extensionType}`).join(''),
+    extensionLength: 1
   };
 }
 
+/**
+ * Validate an absolute expiration and normalize it to ISO format
+ * @param {string} dateString - e.g., "2027-01-31T23:59:59Z" or "2027-01-31"
+ * @returns {string} ISO date string
+ */
+function normalizeExpiration(dateString) {
+  const date = typeof dateString === 'string' ? parseISO(dateString) : new Date(NaN);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid expiration date: ${dateString}`);
+  }
+
+  return formatISO(date);
+}
+
 /**
  * Check if date is expired
  * @param {string} dateString - ISO date string
@@ -76,8 +149,10 @@ function getCurrentUTCDate() {
 }
 
 module.exports = {
+  DURATION_GRAMMAR,
   getAccessExtension,
   parseDuration,
+  normalizeExpiration,
   isExpired,
   getCurrentUTCDate
 };
@@ -0,0 +1,80 @@
+/**
+ * Error Classifier
+ * Clasifica los errores de TradingView para que cada resultado de un bulk diga
+ * por qué falló y se sepa si tiene sentido reintentarlo
+ */
+
+const ERROR_CLASSES = [
+  'session_expired',
+  'rate_limited',
+  'user_not_found',
+  'script_not_owned',
+  'network',
+  'unknown'
+];
+
+// Reintentar no cambia el resultado
+const PERMANENT_ERROR_CLASSES = ['user_not_found', 'script_not_owned'];
+
+// Fallos de login al renovar la sesión (ver tradingViewService.signIn)
+const LOGIN_ERROR_CODES = ['INVALID_CREDENTIALS', 'CAPTCHA_REQUIRED', 'TWO_FACTOR_REQUIRED'];
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ERR_SOCKET_CONNECTION_TIMEOUT'];
+
+const USER_NOT_FOUND_PATTERN = /user(name)?\b.*\b(not found|does not exist|doesn't exist|invalid)|no such user/i;
+const NOT_OWNED_PATTERN = /not (the )?(owner|author)|do(es)? not own/i;
+
+function responseText(data) {
+  if (!data) return '';
+  if (typeof data === 'string') return data;
+  return [data.detail, data.error, data.message].filter(Boolean).join(' ');
+}
+
+/**
+ * @param {Error} error - axios error or an error already classified (error.errorClass)
+ * @returns {string} one of ERROR_CLASSES
+ */
+function classifyError(error) {
+  if (!error) return 'unknown';
+  if (ERROR_CLASSES.includes(error.errorClass)) return error.errorClass;
+  if (LOGIN_ERROR_CODES.includes(error.code)) return 'session_expired';
+
+  const status = error.response?.status;
+  const text = responseText(error.response?.data);
+
+  if (status === 429) return 'rate_limited';
+  if (status === 401) return 'session_expired';
+  if (status === 403) {
+    // Un 403 genérico también puede ser una sesión caducada: se decide al reintentar con sesión nueva
+    return NOT_OWNED_PATTERN.test(text) ? 'script_not_owned' : 'session_expired';
+  }
+  if ([400, 404, 422].includes(status) && USER_NOT_FOUND_PATTERN.test(text)) {
+    return 'user_not_found';
+  }
+
+  if (!error.response && (NETWORK_ERROR_CODES.includes(error.code) || error.request)) return 'network';
+
+  return 'unknown';
+}
+
+function isRetryable(errorClass) {
+  return !PERMANENT_ERROR_CLASSES.includes(errorClass);
+}
+
+/**
+ * Count failed results by error class
+ * @param {Array} results - per-item results with status and errorClass
+ * @returns {object} { session_expired: 0, rate_limited: 2, ... }
+ */
+function countByErrorClass(results) {
+  const counts = Object.fromEntries(ERROR_CLASSES.map(errorClass => [errorClass, 0]));
+
+  for (const result of results) {
+    if (result && result.status !== 'Success') {
+      counts[result.errorClass || 'unknown']++;
+    }
+  }
+  return counts;
+}
+
+module.exports = { ERROR_CLASSES, classifyError, isRetryable, countByErrorClass };
@@ -0,0 +1,116 @@
+/**
+ * JSON File Store
+ * Persistent JSON document with atomic writes and a lock file, so several
+ * processes (e.g. workers started by src/cluster.js) can share the same data
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('./logger');
+
+class JsonFileStore {
+  constructor(filePath, options = {}) {
+    this.filePath = path.resolve(filePath);
+    this.lockPath = `${this.filePath}.lock`;
+    this.defaults = options.defaults || {};
+    this.lockTimeout = options.lockTimeout || 5000; // Max wait for the lock (ms)
+    this.staleLockMs = options.staleLockMs || 10000; // Locks older than this are considered abandoned
+
+    // Serialize updates inside this process before competing for the file lock
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Read the current document from disk (defaults if it does not exist yet)
+   */
+  async read() {
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      return { ...this.createDefaults(), ...JSON.parse(content) };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return this.createDefaults();
+      }
+
+      logger.error({ error: error.message, filePath: this.filePath }, 'Error reading JSON store');
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the whole document (atomic rename)
+   */
+  async write(data) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    const tmpPath = `${this.filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+    await fs.rename(tmpPath, this.filePath);
+  }
+
+  /**
+   * Read-modify-write under lock. The mutator receives the document, may
+   * change it in place and its return value is returned to the caller.
+   */
+  async update(mutator) {
+    const run = this.pending.then(async () => {
+      const release = await this.acquireLock();
+
+      try {
+        const data = await this.read();
+        const result = await mutator(data);
+        await this.write(data);
+        return result;
+      } finally {
+        await release();
+      }
+    });
+
+    // Keep the chain alive even if this update fails
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  async acquireLock() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const startTime = Date.now();
+
+    while (true) {
+      try {
+        const handle = await fs.open(this.lockPath, 'wx');
+        await handle.close();
+        return () => fs.unlink(this.lockPath).catch(() => {});
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      if (await this.removeStaleLock()) continue;
+
+      if (Date.now() - startTime > this.lockTimeout) {
+        throw new Error(`Timeout acquiring lock for ${this.filePath}`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 20 + Math.random() * 30));
+    }
+  }
+
+  async removeStaleLock() {
+    try {
+      const stats = await fs.stat(this.lockPath);
+      if (Date.now() - stats.mtimeMs < this.staleLockMs) return false;
+
+      logger.warn({ lockPath: this.lockPath }, 'Removing stale JSON store lock');
+      await fs.unlink(this.lockPath);
+      return true;
+    } catch (error) {
+      // Lock released between our attempts
+      return error.code === 'ENOENT';
+    }
+  }
+
+  createDefaults() {
+    return JSON.parse(JSON.stringify(this.defaults));
+  }
+}
+
+module.exports = JsonFileStore;
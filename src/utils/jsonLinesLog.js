@@ -0,0 +1,63 @@
+/**
+ * JSON Lines Log
+ * Append-only history, one JSON record per line: appending does not depend on
+ * how much history there is. Pruning rewrites the file (atomic rename), so it
+ * must run under the same lock as the appends (e.g. inside a JsonFileStore.update)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+class JsonLinesLog {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+  }
+
+  async append(records) {
+    if (records.length === 0) return;
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(this.filePath, records.map(record => `${JSON.stringify(record)}\n`).join(''));
+  }
+
+  /**
+   * Every record, oldest first ([] if the log does not exist yet)
+   */
+  async read() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const records = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // Línea a medias de un proceso que murió escribiendo
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Keep only the records that match, rewriting the file if any was dropped
+   * @returns {number} records removed
+   */
+  async retain(predicate) {
+    const records = await this.read();
+    const kept = records.filter(predicate);
+    if (kept.length === records.length) return 0;
+
+    const tmpPath = `${this.filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmpPath, kept.map(record => `${JSON.stringify(record)}\n`).join(''));
+    await fs.rename(tmpPath, this.filePath);
+    return records.length - kept.length;
+  }
+}
+
+module.exports = JsonLinesLog;
@@ -0,0 +1,126 @@
+/**
+ * Shared Rate Limit Store
+ * Store de express-rate-limit sobre JsonFileStore: los contadores viven en un
+ * archivo con lock, así todos los workers de src/cluster.js comparten el
+ * mismo límite por API key en vez de tener uno cada uno
+ *
+ * Costo: cada request con API key hace un read-modify-write del archivo bajo
+ * el lock compartido (el archivo solo guarda las ventanas activas: keys en uso
+ * × limiters, unos pocos KB). Las peticiones sin key válida (límite por IP,
+ * health checks, tráfico anónimo) se cuentan en memoria de cada worker para
+ * no pagar disco ni lock: su límite efectivo es por worker.
+ */
+
+const JsonFileStore = require('./jsonFileStore');
+
+// Un JsonFileStore por archivo: los limiters del proceso se encolan en el mismo
+// `pending` en vez de pelear por el lock
+const fileStores = new Map();
+
+function getFileStore(filePath) {
+  if (!fileStores.has(filePath)) {
+    fileStores.set(filePath, new JsonFileStore(filePath, { defaults: { counters: {} } }));
+  }
+  return fileStores.get(filePath);
+}
+
+// Solo los contadores de API keys se comparten entre workers
+const isSharedKey = key => key.startsWith('key:');
+
+function pruneCounters(counters, now) {
+  return Object.fromEntries(Object.entries(counters).filter(([, counter]) => counter.reset_at > now));
+}
+
+class SharedRateLimitStore {
+  /**
+   * @param {string} filePath - shared by every limiter
+   * @param {string} prefix - unique per limiter (counters of each limiter are separate)
+   */
+  constructor(filePath, prefix) {
+    this.store = getFileStore(filePath);
+    this.prefix = `${prefix}:`;
+    this.localKeys = false;
+    this.windowMs = 60000;
+    this.memory = new Map();
+    this.nextPruneAt = 0;
+  }
+
+  incrementInMemory(key) {
+    const now = Date.now();
+    if (now >= this.nextPruneAt) {
+      this.memory = new Map([...this.memory].filter(([, counter]) => counter.reset_at > now));
+      this.nextPruneAt = now + this.windowMs;
+    }
+
+    let counter = this.memory.get(key);
+    if (!counter || counter.reset_at <= now) {
+      counter = { hits: 0, reset_at: now + this.windowMs };
+      this.memory.set(key, counter);
+    }
+    counter.hits++;
+
+    return { totalHits: counter.hits, resetTime: new Date(counter.reset_at) };
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async get(key) {
+    const counter = isSharedKey(key)
+      ? (await this.store.read()).counters[this.prefix + key]
+      : this.memory.get(key);
+    if (!counter || counter.reset_at <= Date.now()) return undefined;
+
+    return { totalHits: counter.hits, resetTime: new Date(counter.reset_at) };
+  }
+
+  async increment(key) {
+    if (!isSharedKey(key)) return this.incrementInMemory(key);
+
+    return this.store.update((data) => {
+      const now = Date.now();
+      data.counters = pruneCounters(data.counters, now);
+
+      const counter = data.counters[this.prefix + key] || { hits: 0, reset_at: now + this.windowMs };
+      counter.hits++;
+      data.counters[this.prefix + key] = counter;
+
+      return { totalHits: counter.hits, resetTime: new Date(counter.reset_at) };
+    });
+  }
+
+  async decrement(key) {
+    if (!isSharedKey(key)) {
+      const counter = this.memory.get(key);
+      if (counter && counter.hits > 0) counter.hits--;
+      return;
+    }
+
+    await this.store.update((data) => {
+      const counter = data.counters[this.prefix + key];
+      if (counter && counter.hits > 0) counter.hits--;
+    });
+  }
+
+  async resetKey(key) {
+    if (!isSharedKey(key)) {
+      this.memory.delete(key);
+      return;
+    }
+
+    await this.store.update((data) => {
+      delete data.counters[this.prefix + key];
+    });
+  }
+
+  async resetAll() {
+    this.memory.clear();
+    await this.store.update((data) => {
+      data.counters = Object.fromEntries(Object.entries(data.counters)
+        .filter(([counterKey]) => !counterKey.startsWith(this.prefix)));
+    });
+  }
+}
+
+module.exports = SharedRateLimitStore;
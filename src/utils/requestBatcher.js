@@ -8,12 +8,26 @@
  * - Exponential backoff
  * - Parallel execution with limits
  * - Request deduplication
+ *
+ * Events:
+ * - 'circuitOpen'  (stats) when the circuit breaker opens
+ * - 'circuitClose' (stats) when it closes again after the timeout
+ * - 'authError'    (error) when a request fails with HTTP 401 (session expired)
+ * - 'paused' (reason) / 'resumed' () around a re-authentication
+ *
+ * options.isPermanentError(error) marks failures that retrying cannot fix
+ * (e.g. unknown user): they are rejected at once and do not count towards
+ * the circuit breaker
  */
 
+const EventEmitter = require('events');
 const { bulkLogger } = require('./logger');
 
-class RequestBatcher {
+class RequestBatcher extends EventEmitter {
   constructor(options = {}) {
+    super();
+    this.setMaxListeners(0); // One listener per running job/stream
+
     this.maxConcurrent = options.maxConcurrent || 5; // Max parallel requests
     this.batchSize = options.batchSize || 10; // Requests per batch
     this.minDelay = options.minDelay || 200; // Min delay between batches (ms)
@@ -21,6 +35,7 @@ class RequestBatcher {
     this.backoffMultiplier = options.backoffMultiplier || 2; // Exponential backoff
     this.circuitBreakerThreshold = options.circuitBreakerThreshold || 5; // Failures to trigger circuit
     this.circuitBreakerTimeout = options.circuitBreakerTimeout || 30000; // Circuit open time (ms)
+    this.isPermanentError = options.isPermanentError || (() => false);
 
     // Internal state
     this.queue = [];
@@ -29,6 +44,8 @@ class RequestBatcher {
     this.consecutiveFailures = 0;
     this.circuitOpen = false;
     this.circuitOpenUntil = 0;
+    this.paused = false;
+    this.pauseReason = null;
     this.processingStats = {
       totalProcessed: 0,
       successful: 0,
@@ -83,6 +100,12 @@ class RequestBatcher {
   async process() {
     if (this.processing || this.queue.length === 0) return;
 
+    // Paused while the session is re-authenticated: items wait in the queue
+    if (this.paused) {
+      bulkLogger.debug(`Batcher paused (${this.pauseReason}), ${this.queue.length} requests waiting`);
+      return;
+    }
+
     // Check circuit breaker
     if (this.isCircuitOpen()) {
       bulkLogger.warn('Circuit breaker is OPEN, delaying processing', {
@@ -167,23 +190,32 @@ class RequestBatcher {
         } catch (error) {
           const duration = Date.now() - startTime;
 
-          // Retry logic
-          if (item.retries < item.maxRetries) {
+          if (this.isAuthError(error)) {
+            this.emit('authError', error);
+          }
+
+          // A listener paused the queue to re-authenticate: the request was not
+          // the problem, so it waits for the new session without using a retry
+          if (this.paused) {
+            this.queue.unshift(item);
+          } else if (item.retries < item.maxRetries && !this.isPermanentError(error)) {
             item.retries++;
             bulkLogger.warn(`Request failed, retrying (${item.retries}/${item.maxRetries})`, {
               error: error.message,
               duration
             });
 
-            // Re-queue with backoff
+            // Re-queue with backoff (the queue may have drained meanwhile)
             setTimeout(() => {
               this.queue.unshift(item);
+              this.process();
             }, this.currentDelay * item.retries);
 
           } else {
             item.reject(error);
             results.push({
               success: false,
+              permanent: this.isPermanentError(error),
               duration,
               item,
               error
@@ -212,6 +244,12 @@ class RequestBatcher {
    * Analyze batch results and adjust behavior
    */
   analyzeBatchResults(results, batchDuration) {
+    // Permanent failures say nothing about TradingView's health
+    results = results.filter(r => !r.permanent);
+
+    // Every request went back to a paused queue: nothing to measure
+    if (results.length === 0) return;
+
     const successful = results.filter(r => r.success).length;
     const failed = results.filter(r => !r.success).length;
     const successRate = successful / (successful + failed);
@@ -291,6 +329,8 @@ class RequestBatcher {
       circuitOpenUntil: new Date(this.circuitOpenUntil).toISOString(),
       timeoutMs: this.circuitBreakerTimeout
     });
+
+    this.emit('circuitOpen', this.getStats());
   }
 
   /**
@@ -303,12 +343,39 @@ class RequestBatcher {
       this.consecutiveFailures = 0;
 
       bulkLogger.info('🔄 CIRCUIT BREAKER CLOSED - attempting recovery');
+      this.emit('circuitClose', this.getStats());
       return false;
     }
 
     return this.circuitOpen;
   }
 
+  isAuthError(error) {
+    return error?.response?.status === 401;
+  }
+
+  /**
+   * Hold the queue (in-flight requests finish, new batches wait)
+   */
+  pause(reason = 'paused') {
+    if (this.paused) return;
+
+    this.paused = true;
+    this.pauseReason = reason;
+    bulkLogger.warn('⏸️ Request batcher paused', { reason, queueSize: this.queue.length });
+    this.emit('paused', reason);
+  }
+
+  resume() {
+    if (!this.paused) return;
+
+    this.paused = false;
+    this.pauseReason = null;
+    bulkLogger.info('▶️ Request batcher resumed', { queueSize: this.queue.length });
+    this.emit('resumed');
+    this.process();
+  }
+
   /**
    * Get current stats
    */
@@ -319,6 +386,8 @@ class RequestBatcher {
       currentDelay: this.currentDelay,
       consecutiveFailures: this.consecutiveFailures,
       circuitOpen: this.circuitOpen,
+      paused: this.paused,
+      pauseReason: this.pauseReason,
       circuitOpenUntil: this.circuitOpenUntil ? new Date(this.circuitOpenUntil).toISOString() : null,
       successRate: this.processingStats.totalProcessed > 0
         ? Math.round((this.processingStats.successful / this.processingStats.totalProcessed) * 100 * 100) / 100
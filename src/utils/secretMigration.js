@@ -0,0 +1,80 @@
+/**
+ * Secret Migration
+ * Al arrancar con SECRETS_MASTER_KEY, mueve al secret store los secretos que
+ * siguen en texto plano: sesiones (session_db.json), contraseñas de
+ * accounts.json y TV_USERNAME/TV_PASSWORD/TV_TOTP_SECRET/WEBHOOK_SECRET del .env
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('./logger');
+const secretStore = require('./secretStore');
+const sessionStorage = require('./sessionStorage');
+const accountService = require('../services/accountService');
+
+// Variable del .env -> cómo se guarda en el secret store
+const ENV_SECRETS = {
+  TV_USERNAME: (secrets, value) => { secrets.tradingview = { ...secrets.tradingview, username: value }; },
+  TV_PASSWORD: (secrets, value) => { secrets.tradingview = { ...secrets.tradingview, password: value }; },
+  TV_TOTP_SECRET: (secrets, value) => { secrets.tradingview = { ...secrets.tradingview, totp_secret: value }; },
+  WEBHOOK_SECRET: (secrets, value) => { secrets.webhook_secret = value; }
+};
+
+/**
+ * Mueve los secretos de un .env al secret store y deja las líneas comentadas
+ * @returns {string[]} variables migradas
+ */
+async function migrateEnvFile(envPath = path.join(process.cwd(), '.env'), store = secretStore) {
+  let content;
+  try {
+    content = await fs.readFile(envPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const found = {};
+  const lines = content.split('\n').map(line => {
+    const match = line.match(/^\s*([A-Z_]+)\s*=\s*(.*)$/);
+    if (!match || !ENV_SECRETS[match[1]]) return line;
+
+    const value = match[2].trim().replace(/^(['"])(.*)\1$/, '$2');
+    if (!value) return line;
+
+    found[match[1]] = value;
+    return `# ${match[1]} migrated to the encrypted secret store (${store.filePath})`;
+  });
+
+  // Solo se migra el usuario si acompaña a la contraseña
+  if (!found.TV_PASSWORD && !found.TV_TOTP_SECRET && !found.WEBHOOK_SECRET) return [];
+
+  await store.update((secrets) => {
+    Object.entries(found).forEach(([name, value]) => ENV_SECRETS[name](secrets, value));
+  });
+  await fs.writeFile(envPath, lines.join('\n'));
+
+  return Object.keys(found);
+}
+
+async function migratePlaintextSecrets() {
+  if (!secretStore.isEnabled()) {
+    logger.warn('Secret store disabled - set SECRETS_MASTER_KEY to encrypt credentials and sessions');
+    return;
+  }
+
+  try {
+    await sessionStorage.init();
+    accountService.invalidateCache();
+    await accountService.loadAccounts();
+
+    const migrated = await migrateEnvFile();
+    if (migrated.length > 0) {
+      accountService.invalidateCache();
+      logger.info({ variables: migrated }, 'Plaintext .env secrets migrated to the secret store');
+    }
+  } catch (error) {
+    logger.error({ error: error.message }, 'Secret migration failed');
+  }
+}
+
+module.exports = { migratePlaintextSecrets, migrateEnvFile };
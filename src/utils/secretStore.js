@@ -0,0 +1,159 @@
+/**
+ * Secret Store
+ * Encrypted JSON document (AES-256-GCM) for credentials, session cookies and
+ * the webhook secret. The key is derived with scrypt from SECRETS_MASTER_KEY;
+ * the file lives in a JsonFileStore so every cluster worker shares it.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const config = require('../../config');
+const JsonFileStore = require('./jsonFileStore');
+const { logger } = require('./logger');
+
+const scrypt = promisify(crypto.scrypt);
+
+const FORMAT_VERSION = 1;
+const ALGORITHM = 'aes-256-gcm';
+
+class SecretStore {
+  constructor(filePath = config.secrets.file, masterKey = config.secrets.masterKey) {
+    this.store = new JsonFileStore(filePath);
+    this.filePath = this.store.filePath;
+    this.masterKey = masterKey;
+
+    // Derived keys per salt: scrypt is deliberately slow
+    this.derivedKeys = new Map();
+  }
+
+  isEnabled() {
+    return !!this.masterKey;
+  }
+
+  assertEnabled() {
+    if (!this.isEnabled()) {
+      throw new Error('Secret store disabled: set SECRETS_MASTER_KEY');
+    }
+  }
+
+  async deriveKey(masterKey, salt) {
+    const cacheKey = `${masterKey}::${salt}`;
+    if (!this.derivedKeys.has(cacheKey)) {
+      this.derivedKeys.set(cacheKey, await scrypt(masterKey, Buffer.from(salt, 'base64'), 32));
+    }
+    return this.derivedKeys.get(cacheKey);
+  }
+
+  async decrypt(envelope, masterKey = this.masterKey) {
+    if (!envelope.ciphertext) return {};
+
+    if (envelope.version !== FORMAT_VERSION) {
+      throw new Error(`Unsupported secret store version: ${envelope.version}`);
+    }
+
+    const key = await this.deriveKey(masterKey, envelope.salt);
+
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+      const plaintext = Buffer.concat([
+        decipher.update(Buffer.from(envelope.ciphertext, 'base64')),
+        decipher.final()
+      ]);
+      return JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+      throw new Error(`Unable to decrypt secret store ${this.filePath} (wrong SECRETS_MASTER_KEY?)`);
+    }
+  }
+
+  async encrypt(secrets, masterKey = this.masterKey, salt = null) {
+    const envelopeSalt = salt || crypto.randomBytes(16).toString('base64');
+    const key = await this.deriveKey(masterKey, envelopeSalt);
+    const iv = crypto.randomBytes(12);
+
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+
+    return {
+      version: FORMAT_VERSION,
+      algorithm: ALGORITHM,
+      kdf: 'scrypt',
+      salt: envelopeSalt,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64'),
+      updated_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Decrypted secrets ({} if the store does not exist yet)
+   */
+  async readAll() {
+    this.assertEnabled();
+    return this.decrypt(await this.store.read());
+  }
+
+  async get(key) {
+    const secrets = await this.readAll();
+    return secrets[key];
+  }
+
+  /**
+   * Read-modify-write of the decrypted secrets under the file lock
+   */
+  async update(mutator) {
+    this.assertEnabled();
+
+    return this.store.update(async (envelope) => {
+      const secrets = await this.decrypt(envelope);
+      const result = await mutator(secrets);
+
+      Object.assign(envelope, await this.encrypt(secrets, this.masterKey, envelope.salt));
+      return result;
+    });
+  }
+
+  async set(key, value) {
+    await this.update((secrets) => {
+      secrets[key] = value;
+    });
+  }
+
+  async delete(key) {
+    await this.update((secrets) => {
+      delete secrets[key];
+    });
+  }
+
+  /**
+   * Re-encrypt everything with a new master key (new salt)
+   * Processes still running with the old key must be restarted afterwards
+   */
+  async rotate(newMasterKey) {
+    this.assertEnabled();
+    if (!newMasterKey || newMasterKey === this.masterKey) {
+      throw new Error('New master key must be set and differ from the current one');
+    }
+
+    const count = await this.store.update(async (envelope) => {
+      const secrets = await this.decrypt(envelope);
+      const rotated = await this.encrypt(secrets, newMasterKey);
+
+      Object.keys(envelope).forEach(key => delete envelope[key]);
+      Object.assign(envelope, rotated);
+      return Object.keys(secrets).length;
+    });
+
+    this.masterKey = newMasterKey;
+    logger.info({ filePath: this.filePath, secrets: count }, 'Secret store master key rotated');
+
+    return count;
+  }
+}
+
+// Singleton instance
+const secretStore = new SecretStore();
+
+module.exports = secretStore;
+module.exports.SecretStore = SecretStore;
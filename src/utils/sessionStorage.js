@@ -1,16 +1,24 @@
 /**
  * Session Storage System
  * Replaces Python's SimpleDB with async file operations
+ * With SECRETS_MASTER_KEY set, sessions are kept encrypted in the secret store
+ * and a leftover plaintext file is imported and deleted on first load.
+ * The secret store is shared by every cluster worker, so in that mode reads go
+ * to the store and writes only touch the changed keys under its lock.
  */
 
 const fs = require('fs').promises;
 const path = require('path');
 const { logger } = require('./logger');
 const config = require('../../config');
+const secretStore = require('./secretStore');
+
+const SECRET_KEY = 'sessions';
 
 class SessionStorage {
-  constructor(filePath = config.sessionFile) {
+  constructor(filePath = config.sessionFile, store = secretStore) {
     this.filePath = path.resolve(filePath);
+    this.store = store;
     this.data = {};
     this.initialized = false;
   }
@@ -18,6 +26,13 @@ class SessionStorage {
   async init() {
     if (this.initialized) return;
 
+    if (this.store.isEnabled()) {
+      this.data = (await this.store.get(SECRET_KEY)) || {};
+      await this.migratePlaintextFile();
+      this.initialized = true;
+      return;
+    }
+
     try {
       await fs.access(this.filePath);
       const content = await fs.readFile(this.filePath, 'utf8');
@@ -39,35 +54,66 @@ class SessionStorage {
   }
 
   async get(key) {
-    await this.init();
+    await this.refresh();
     return this.data[key];
   }
 
   async set(key, value) {
     await this.init();
-    this.data[key] = value;
-    await this.save();
+    await this.modify((sessions) => {
+      sessions[key] = value;
+    });
     logger.debug({ key, hasValue: !!value }, 'Session data updated');
   }
 
   async delete(key) {
     await this.init();
-    delete this.data[key];
-    await this.save();
+    await this.modify((sessions) => {
+      delete sessions[key];
+    });
     logger.debug({ key }, 'Session data deleted');
   }
 
   async clear() {
-    this.data = {};
-    await this.save();
+    await this.modify((sessions) => {
+      for (const key of Object.keys(sessions)) delete sessions[key];
+    });
     logger.info('Session storage cleared');
   }
 
   async keys() {
-    await this.init();
+    await this.refresh();
     return Object.keys(this.data);
   }
 
+  // Otro worker puede haber renovado o borrado sesiones desde que las leímos
+  async refresh() {
+    await this.init();
+    if (this.store.isEnabled()) {
+      this.data = (await this.store.get(SECRET_KEY)) || {};
+    }
+  }
+
+  /**
+   * Apply a change to the sessions and persist it. With the secret store the
+   * mutator runs on the current stored sessions inside secretStore.update, so
+   * a worker never writes back keys it read before another worker changed them
+   */
+  async modify(mutator) {
+    if (this.store.isEnabled()) {
+      this.data = await this.store.update((secrets) => {
+        const sessions = secrets[SECRET_KEY] || {};
+        mutator(sessions);
+        secrets[SECRET_KEY] = sessions;
+        return sessions;
+      });
+      return;
+    }
+
+    mutator(this.data);
+    await this.save();
+  }
+
   async save() {
     try {
       await fs.writeFile(this.filePath, JSON.stringify(this.data, null, 2));
@@ -77,13 +123,78 @@ class SessionStorage {
     }
   }
 
+  /**
+   * Move sessions from the legacy plaintext file into the secret store
+   */
+  async migratePlaintextFile() {
+    let plaintext;
+    try {
+      plaintext = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    // Lo ya cifrado tiene prioridad sobre el archivo viejo
+    await this.modify((sessions) => {
+      for (const [key, value] of Object.entries(plaintext)) {
+        if (!(key in sessions)) sessions[key] = value;
+      }
+    });
+    await fs.unlink(this.filePath);
+
+    logger.info({ filePath: this.filePath, keys: Object.keys(plaintext).length },
+      'Plaintext session file migrated to the secret store');
+  }
+
   // Convenience methods
-  async getSessionId() {
-    return await this.get('sessionid');
+  // La cuenta 'default' conserva la clave original 'sessionid'
+  sessionKey(accountId = 'default') {
+    return accountId === 'default' ? 'sessionid' : `sessionid:${accountId}`;
+  }
+
+  // Metadatos de la sesión (origen, cuándo se obtuvo, última validación)
+  infoKey(accountId = 'default') {
+    return accountId === 'default' ? 'sessioninfo' : `sessioninfo:${accountId}`;
+  }
+
+  async getSessionId(accountId) {
+    return await this.get(this.sessionKey(accountId));
   }
 
-  async setSessionId(sessionId) {
-    await this.set('sessionid', sessionId);
+  /**
+   * @param {string} source - 'login' or 'import' (cookie pasted by an operator)
+   */
+  async setSessionId(sessionId, accountId, source = 'login') {
+    await this.init();
+    const now = new Date().toISOString();
+
+    await this.modify((sessions) => {
+      sessions[this.sessionKey(accountId)] = sessionId;
+      sessions[this.infoKey(accountId)] = { source, obtained_at: now, last_validated_at: now };
+    });
+    logger.debug({ accountId, source }, 'Session data updated');
+  }
+
+  async deleteSessionId(accountId) {
+    await this.init();
+    await this.modify((sessions) => {
+      delete sessions[this.sessionKey(accountId)];
+      delete sessions[this.infoKey(accountId)];
+    });
+    logger.debug({ accountId }, 'Session data deleted');
+  }
+
+  async getSessionInfo(accountId) {
+    return (await this.get(this.infoKey(accountId))) || null;
+  }
+
+  async markSessionValidated(accountId) {
+    await this.init();
+    const key = this.infoKey(accountId);
+    await this.modify((sessions) => {
+      sessions[key] = { ...sessions[key], last_validated_at: new Date().toISOString() };
+    });
   }
 }
 
@@ -91,3 +202,4 @@ class SessionStorage {
 const sessionStorage = new SessionStorage();
 
 module.exports = sessionStorage;
+module.exports.SessionStorage = SessionStorage;
@@ -0,0 +1,69 @@
+/**
+ * TOTP (RFC 6238)
+ * Genera localmente los códigos de 2FA de TradingView a partir del secreto
+ * base32 que muestra la app al activar el autenticador
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+function base32Decode(secret) {
+  const clean = String(secret).toUpperCase().replace(/[\s-]/g, '').replace(/=+$/, '');
+  let bits = '';
+
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Invalid TOTP secret: expected a base32 string');
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+function isValidSecret(secret) {
+  try {
+    return typeof secret === 'string' && base32Decode(secret).length >= 10;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Code for a time (defaults to now)
+ * @param {string} secret - base32 secret
+ * @param {number} timestamp - milliseconds
+ * @returns {string} 6-digit code
+ */
+function generateTotp(secret, timestamp = Date.now()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(timestamp / 1000 / STEP_SECONDS)));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code allowing `window` steps of clock drift each way
+ */
+function verifyTotp(code, secret, timestamp = Date.now(), window = 1) {
+  for (let drift = -window; drift <= window; drift++) {
+    if (generateTotp(secret, timestamp + drift * STEP_SECONDS * 1000) === String(code)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+module.exports = { generateTotp, verifyTotp, isValidSecret, base32Decode };
@@ -0,0 +1,106 @@
+/**
+ * Webhook Signature
+ * Firma de webhooks con timestamp e id de entrega, resistente a replays:
+ *   X-Webhook-Signature: t=1760000000,id=dlv_3f9a1c2b4d5e6f70,v1=<hex>[,v1=<hex>]
+ * v1 = HMAC-SHA256(secret, "<t>.<id>.<body en crudo>"); durante una rotación
+ * hay un v1 por cada secreto activo. Solo depende de crypto: el backend del
+ * e-commerce puede importar (o copiar) este archivo para usar verifyWebhook.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_VERSION = 'v1';
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+function toList(secrets) {
+  return (Array.isArray(secrets) ? secrets : [secrets]).filter(Boolean);
+}
+
+function computeSignature(rawBody, secret, timestamp, deliveryId) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${deliveryId}.`)
+    .update(Buffer.isBuffer(rawBody) ? rawBody : String(rawBody))
+    .digest('hex');
+}
+
+/**
+ * Build the signature header for a raw body
+ * @param {string|Buffer} rawBody - exactly the bytes that are sent
+ * @param {string|string[]} secrets - every active secret (one v1 each)
+ * @param {object} options - { deliveryId, timestamp (unix seconds, default now) }
+ * @returns {string|null} header value, null without secrets
+ */
+function signWebhook(rawBody, secrets, { deliveryId, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  const activeSecrets = toList(secrets);
+  if (activeSecrets.length === 0) return null;
+
+  const signatures = activeSecrets.map(secret =>
+    `${SIGNATURE_VERSION}=${computeSignature(rawBody, secret, timestamp, deliveryId)}`
+  );
+  return [`t=${timestamp}`, `id=${deliveryId}`, ...signatures].join(',');
+}
+
+function parseHeader(header) {
+  const parsed = { timestamp: null, deliveryId: null, signatures: [] };
+
+  String(header || '').split(',').forEach((part) => {
+    const separator = part.indexOf('=');
+    if (separator === -1) return;
+
+    const key = part.slice(0, separator).trim();
+    const value = part.slice(separator + 1).trim();
+    if (key === 't') parsed.timestamp = Number(value);
+    if (key === 'id') parsed.deliveryId = value;
+    if (key === SIGNATURE_VERSION) parsed.signatures.push(value);
+  });
+
+  return parsed;
+}
+
+function safeEqualHex(a, b) {
+  const left = Buffer.from(a, 'hex');
+  const right = Buffer.from(b, 'hex');
+  return left.length === right.length && left.length > 0 && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Verify a webhook received from this service
+ * @param {string|Buffer} rawBody - request body before JSON.parse (e.g. express.raw())
+ * @param {string} header - X-Webhook-Signature
+ * @param {string|string[]} secrets - accepted secrets (several while rotating)
+ * @param {number} tolerance - max age / clock skew in seconds (default 300)
+ * @returns {object} { valid: true, timestamp, deliveryId } or { valid: false, reason }
+ *   reason: missing_header | malformed_header | timestamp_outside_tolerance | no_secrets | signature_mismatch
+ */
+function verifyWebhook(rawBody, header, secrets, tolerance = DEFAULT_TOLERANCE_SECONDS) {
+  if (!header) return { valid: false, reason: 'missing_header' };
+
+  const { timestamp, deliveryId, signatures } = parseHeader(header);
+  if (!Number.isInteger(timestamp) || !deliveryId || signatures.length === 0) {
+    return { valid: false, reason: 'malformed_header' };
+  }
+
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > tolerance) {
+    return { valid: false, reason: 'timestamp_outside_tolerance' };
+  }
+
+  const acceptedSecrets = toList(secrets);
+  if (acceptedSecrets.length === 0) return { valid: false, reason: 'no_secrets' };
+
+  const valid = acceptedSecrets.some((secret) => {
+    const expected = computeSignature(rawBody, secret, timestamp, deliveryId);
+    return signatures.some(signature => safeEqualHex(signature, expected));
+  });
+
+  return valid
+    ? { valid: true, timestamp, deliveryId }
+    : { valid: false, reason: 'signature_mismatch' };
+}
+
+module.exports = {
+  SIGNATURE_VERSION,
+  DEFAULT_TOLERANCE_SECONDS,
+  signWebhook,
+  verifyWebhook
+};
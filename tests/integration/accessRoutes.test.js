@@ -0,0 +1,148 @@
+/**
+ * 🧪 Access Routes Tests
+ *
+ * Runs the /api/access bulk routes against a mocked TradingView service
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const jobsFile = path.join(os.tmpdir(), `access-routes-jobs-${process.pid}-${Date.now()}.json`);
+const apiKeysFile = path.join(os.tmpdir(), `access-routes-keys-${process.pid}-${Date.now()}.json`);
+process.env.JOBS_FILE = jobsFile;
+process.env.API_KEYS_FILE = apiKeysFile;
+process.env.ECOMMERCE_API_KEY = 'access-routes-key';
+
+jest.mock('../../src/services/tradingViewService', () => ({
+  bulkRemoveAccess: jest.fn(),
+  requestBatcher: { on: jest.fn(), off: jest.fn() }
+}));
+jest.mock('../../src/services/webhookService', () => ({
+  notifyAccessEvents: jest.fn().mockResolvedValue(),
+  notifyBulkSuccess: jest.fn().mockResolvedValue(),
+  notifyError: jest.fn().mockResolvedValue()
+}));
+jest.mock('../../src/services/alertService', () => ({
+  alertLowSuccessRate: jest.fn().mockResolvedValue(),
+  alertSystemError: jest.fn().mockResolvedValue()
+}));
+jest.mock('../../src/services/backupService', () => ({
+  backupCriticalOperation: jest.fn().mockResolvedValue()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const tradingViewService = require('../../src/services/tradingViewService');
+const webhookService = require('../../src/services/webhookService');
+const jobService = require('../../src/services/jobService');
+const apiKeyService = require('../../src/services/apiKeyService');
+const accessRoutes = require('../../src/routes/access');
+
+describe('🔑 Access Routes', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/access', accessRoutes);
+  });
+
+  afterAll(() => {
+    fs.rmSync(jobsFile, { force: true });
+    fs.rmSync(apiKeysFile, { force: true });
+  });
+
+  test('should remove access in bulk', async () => {
+    const removed = { username: 'alice', pine_id: 'PUB;1', hasAccess: true, noExpiration: false, currentExpiration: '2026-11-01T00:00:00.000Z', status: 'Success' };
+    tradingViewService.bulkRemoveAccess.mockImplementation(async (users, pineIds, options) => {
+      options.onResult(removed);
+      return { operationId: 'op-1', total: 1, success: 1, errors: 0, successRate: 100 };
+    });
+
+    const response = await request(app)
+      .post('/api/access/bulk-remove')
+      .set('X-API-Key', 'access-routes-key')
+      .send({ users: ['alice'], pine_ids: ['PUB;1'], options: { preValidateUsers: false } })
+      .expect(200);
+
+    expect(response.body).toMatchObject({ operationId: 'op-1', success: 1 });
+    expect(tradingViewService.bulkRemoveAccess).toHaveBeenCalledWith(['alice'], ['PUB;1'], expect.objectContaining({ preValidateUsers: false }));
+    expect(webhookService.notifyAccessEvents).toHaveBeenCalledWith('revoke', [removed], expect.objectContaining({ operationId: 'op-1', batch: true }));
+  });
+
+  test('should require users and pine_ids for bulk removal', async () => {
+    await request(app)
+      .post('/api/access/bulk-remove')
+      .set('X-API-Key', 'access-routes-key')
+      .send({ pine_ids: ['PUB;1'] })
+      .expect(400);
+  });
+
+  test('should let read-only keys follow jobs but not start them', async () => {
+    const { secret } = await apiKeyService.createKey({ name: 'monitor', scopes: ['access:read'] });
+    const jobsApp = express();
+    jobsApp.use('/api/jobs', require('../../src/routes/jobs'));
+
+    await request(app).get('/api/access/bulk/unknown-job/events').set('X-API-Key', secret).expect(404);
+    await request(jobsApp).get('/api/jobs').set('X-API-Key', secret).expect(200);
+    await request(jobsApp).get('/api/jobs/unknown-job').set('X-API-Key', secret).expect(404);
+
+    await request(app)
+      .post('/api/access/bulk-remove')
+      .set('X-API-Key', secret)
+      .send({ users: ['alice'], pine_ids: ['PUB;1'] })
+      .expect(403);
+  });
+
+  test('should replay results and executor events of a job running in another worker', async () => {
+    const now = new Date().toISOString();
+    const remoteJob = {
+      id: 'remote-job',
+      type: 'bulk_grant',
+      status: 'running',
+      params: {},
+      progress: { processed: 0, total: 2, success: 0, errors: 0, percent: 0, phase: null },
+      results: [],
+      events: [],
+      result: null,
+      error: null,
+      worker_pid: process.pid,
+      created_at: now,
+      updated_at: now
+    };
+    await jobService.recovery;
+    await jobService.store.update((data) => { data.jobs[remoteJob.id] = remoteJob; });
+
+    // The other worker finishes the job while the stream is open
+    setTimeout(() => jobService.store.update((data) => {
+      data.jobs[remoteJob.id] = {
+        ...remoteJob,
+        status: 'completed',
+        progress: { ...remoteJob.progress, processed: 2, success: 2, percent: 100 },
+        results: [
+          { username: 'alice', pine_id: 'PUB;1', status: 'Success' },
+          { username: 'bob', pine_id: 'PUB;1', status: 'Success' }
+        ],
+        events: [{ event: 'circuit_open', data: { consecutiveFailures: 3 }, at: now }],
+        result: { total: 2, success: 2, errors: 0, successRate: 100 },
+        updated_at: new Date().toISOString()
+      };
+    }), 100);
+
+    const response = await request(app)
+      .get('/api/access/bulk/remote-job/events')
+      .set('X-API-Key', 'access-routes-key')
+      .expect(200);
+
+    const events = response.text.split('\n\n').filter(Boolean).map((block) => {
+      const [, event] = block.match(/^event: (.+)$/m);
+      const [, data] = block.match(/^data: (.+)$/m);
+      return { event, data: JSON.parse(data) };
+    });
+
+    expect(events.map(e => e.event)).toEqual(['snapshot', 'circuit_open', 'result', 'result', 'progress', 'completed']);
+    expect(events[3].data.username).toBe('bob');
+    expect(events[5].data.result.successRate).toBe(100);
+  });
+});
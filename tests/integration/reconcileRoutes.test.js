@@ -0,0 +1,114 @@
+/**
+ * 🧪 Reconcile Routes Tests
+ *
+ * Runs POST /api/reconcile against a mocked TradingView service and checks
+ * that apply mode counts against the daily operation quota
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const apiKeysFile = path.join(os.tmpdir(), `api-keys-reconcile-test-${process.pid}-${Date.now()}.json`);
+process.env.API_KEYS_FILE = apiKeysFile;
+
+jest.mock('../../src/services/tradingViewService', () => ({
+  init: jest.fn().mockResolvedValue(),
+  listAllUsers: jest.fn(),
+  getAccessDetails: jest.fn(),
+  grantAccess: jest.fn(),
+  removeAccess: jest.fn(),
+  requestBatcher: { add: jest.fn(request => request()) }
+}));
+
+const express = require('express');
+const request = require('supertest');
+const tradingViewService = require('../../src/services/tradingViewService');
+const apiKeyService = require('../../src/services/apiKeyService');
+const quotaService = require('../../src/services/quotaService');
+const reconcileRoutes = require('../../src/routes/reconcile');
+
+describe('🔄 Reconcile Routes', () => {
+  const PINE_ID = 'PUB;reconroute';
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/reconcile', reconcileRoutes);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    tradingViewService.listAllUsers.mockResolvedValue([
+      { username: 'refunded1', expiration: '2030-01-01T00:00:00+00:00', noExpiration: false },
+      { username: 'refunded2', expiration: '2030-01-01T00:00:00+00:00', noExpiration: false }
+    ]);
+    tradingViewService.grantAccess.mockImplementation(async (username, pineId) => ({ username, pine_id: pineId, status: 'Success' }));
+    tradingViewService.getAccessDetails.mockImplementation(async (username, pineId) => ({ username, pine_id: pineId, hasAccess: true }));
+    tradingViewService.removeAccess.mockImplementation(async (details) => ({ ...details, status: 'Success' }));
+  });
+
+  afterAll(() => {
+    fs.rmSync(apiKeysFile, { force: true });
+  });
+
+  const createKey = async (dailyQuota) => {
+    const { key, secret } = await apiKeyService.createKey({ name: 'shop', scopes: ['bulk:write'], daily_quota: dailyQuota });
+    return { id: key.id, secret };
+  };
+
+  const entitlements = [
+    { username: 'alice', pine_id: PINE_ID, expiration: '2030-06-01' },
+    { username: 'bob', pine_id: PINE_ID, expiration: 'lifetime' },
+    { username: 'lapsed', pine_id: PINE_ID, expiration: '2020-01-01' }
+  ];
+
+  test('should count the rows to apply against the daily quota', async () => {
+    const { id, secret } = await createKey(3);
+
+    const response = await request(app)
+      .post('/api/reconcile')
+      .set('X-API-Key', secret)
+      .send({ entitlements, apply: true })
+      .expect(200);
+
+    expect(response.headers['x-quota-remaining']).toBe('1');
+    expect(response.body.applied).toMatchObject({ total: 2, fixed: 2 });
+    expect((await quotaService.getUsage(`key:${id}`)).operations).toBe(2);
+
+    await request(app)
+      .post('/api/reconcile')
+      .set('X-API-Key', secret)
+      .send({ entitlements, apply: true })
+      .expect(429);
+    expect(tradingViewService.grantAccess).toHaveBeenCalledTimes(2);
+  });
+
+  test('should skip extra removals that do not fit in the quota', async () => {
+    const { id, secret } = await createKey(3);
+
+    const response = await request(app)
+      .post('/api/reconcile')
+      .set('X-API-Key', secret)
+      .send({ entitlements, apply: true, remove_extra: true })
+      .expect(200);
+
+    expect(response.body.applied).toMatchObject({ total: 2, extra_skipped: 2 });
+    expect(tradingViewService.removeAccess).not.toHaveBeenCalled();
+    expect((await quotaService.getUsage(`key:${id}`)).operations).toBe(2);
+  });
+
+  test('should not count dry runs', async () => {
+    const { id, secret } = await createKey(1);
+
+    await request(app)
+      .post('/api/reconcile')
+      .set('X-API-Key', secret)
+      .send({ entitlements })
+      .expect(200);
+
+    expect((await quotaService.getUsage(`key:${id}`)).operations).toBe(0);
+  });
+});
@@ -0,0 +1,250 @@
+/**
+ * 🧪 TradingView Mock Server Integration Tests
+ *
+ * Runs the real TradingView service over HTTP against the local mock server
+ */
+
+jest.mock('../../src/utils/sessionStorage', () => ({
+  getSessionId: jest.fn().mockResolvedValue(null),
+  setSessionId: jest.fn().mockResolvedValue(),
+  getSessionInfo: jest.fn().mockResolvedValue(null),
+  markSessionValidated: jest.fn().mockResolvedValue()
+}));
+jest.mock('../../src/services/ledgerService', () => ({
+  recordGrant: jest.fn().mockResolvedValue(),
+  recordRemoval: jest.fn().mockResolvedValue()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const accountsFile = path.join(os.tmpdir(), `accounts-mock-test-${process.pid}-${Date.now()}.json`);
+const secretsFile = path.join(os.tmpdir(), `secrets-mock-test-${process.pid}-${Date.now()}.json`);
+process.env.ACCOUNTS_FILE = accountsFile;
+process.env.SECRETS_FILE = secretsFile;
+process.env.SECRETS_MASTER_KEY = 'test-master-key';
+process.env.TV_USERNAME = 'mockuser';
+process.env.TV_PASSWORD = 'mockpass';
+
+const { createTradingViewMock } = require('../../src/mock/tradingViewMock');
+const accountService = require('../../src/services/accountService');
+
+describe('🧪 TradingView Mock Server', () => {
+  const PINE_ID = 'PUB;mock123';
+  let mock;
+  let server;
+  let tradingViewService;
+
+  beforeAll(async () => {
+    mock = createTradingViewMock({
+      credentials: [
+        { username: 'mockuser', password: 'mockpass' },
+        { username: 'studio_owner', password: 'studiopass' }
+      ],
+      scripts: {
+        [PINE_ID]: [
+          { username: 'lifer', expiration: null },
+          { username: 'monthly', expiration: '2030-01-01T00:00:00+00:00' }
+        ]
+      }
+    });
+    server = await mock.listen(0);
+    process.env.TV_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+
+    tradingViewService = require('../../src/services/tradingViewService');
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(accountsFile, { force: true });
+    fs.rmSync(secretsFile, { force: true });
+  });
+
+  beforeEach(() => {
+    mock.reset();
+    Object.assign(mock.options, { captcha: false, twoFactor: false, totpSecret: null, sessionTtlMs: 0, scriptOwners: {}, knownUsers: null });
+    fs.rmSync(accountsFile, { force: true });
+    fs.rmSync(secretsFile, { force: true });
+    accountService.invalidateCache();
+    tradingViewService.initialized = false;
+    tradingViewService.sessions.clear();
+    tradingViewService.authStatus.clear();
+  });
+
+  test('should log in and grant, extend and remove access', async () => {
+    await tradingViewService.init();
+    expect(tradingViewService.sessionId).toEqual(expect.any(String));
+
+    const granted = await tradingViewService.grantAccess('newuser', PINE_ID, '7D');
+    expect(granted.status).toBe('Success');
+
+    const details = await tradingViewService.getAccessDetails('newuser', PINE_ID);
+    expect(details.hasAccess).toBe(true);
+    expect(details.currentExpiration).toBe(granted.expiration);
+
+    const extended = await tradingViewService.grantAccess('monthly', PINE_ID, '1M');
+    expect(extended.expiration).toMatch(/^2030-02-01|^2030-01-31/);
+
+    const removed = await tradingViewService.removeAccess(details);
+    expect(removed.status).toBe('Success');
+    expect((await tradingViewService.getAccessDetails('newuser', PINE_ID)).hasAccess).toBe(false);
+  });
+
+  test('should page through list_users', async () => {
+    await tradingViewService.init();
+    for (let i = 0; i < 5; i++) {
+      await tradingViewService.grantAccess(`user${i}`, PINE_ID, '7D');
+    }
+
+    const users = await tradingViewService.listAllUsers(PINE_ID, { pageSize: 2 });
+
+    expect(users).toHaveLength(7);
+    expect(users.find(user => user.username === 'lifer')).toMatchObject({ noExpiration: true });
+  });
+
+  test('should route each pine ID to the session of its owning account', async () => {
+    const STUDIO_PINE_ID = 'PUB;studio123';
+    mock.options.scriptOwners = { [STUDIO_PINE_ID]: 'studio_owner', [PINE_ID]: 'mockuser' };
+    await accountService.createAccount({
+      id: 'studio',
+      username: 'studio_owner',
+      password: 'studiopass',
+      pine_ids: [STUDIO_PINE_ID]
+    });
+
+    const studioGrant = await tradingViewService.grantAccess('buyer', STUDIO_PINE_ID, '7D');
+    const defaultGrant = await tradingViewService.grantAccess('buyer', PINE_ID, '7D');
+
+    expect(studioGrant.status).toBe('Success');
+    expect(defaultGrant.status).toBe('Success');
+    expect(tradingViewService.sessions.get('studio')).not.toBe(tradingViewService.sessionId);
+  });
+
+  test('should report CAPTCHA on login', async () => {
+    mock.options.captcha = true;
+
+    await expect(tradingViewService.init()).rejects.toThrow('Login failed');
+  });
+
+  test('should verify credentials without replacing the live session', async () => {
+    const STUDIO_PINE_ID = 'PUB;studio123';
+    mock.options.scriptOwners = { [STUDIO_PINE_ID]: 'studio_owner', [PINE_ID]: 'mockuser' };
+    await tradingViewService.init();
+    const liveSession = tradingViewService.sessionId;
+
+    const verification = await tradingViewService.verifyCredentials('studio_owner', 'studiopass', {
+      pineIds: [STUDIO_PINE_ID, PINE_ID]
+    });
+
+    expect(verification.user).toMatchObject({ username: 'studio_owner' });
+    expect(verification.scripts).toEqual([
+      { pine_id: STUDIO_PINE_ID, manageable: true, users: 0 },
+      { pine_id: PINE_ID, manageable: false, error: 'HTTP 403' }
+    ]);
+    expect(tradingViewService.sessionId).toBe(liveSession);
+  });
+
+  test.each([
+    [{ captcha: true }, 'mockuser', 'mockpass', 'CAPTCHA_REQUIRED'],
+    [{ twoFactor: ['mockuser'] }, 'mockuser', 'mockpass', 'TWO_FACTOR_REQUIRED'],
+    [{}, 'mockuser', 'wrong', 'INVALID_CREDENTIALS']
+  ])('should classify failed logins (%o)', async (options, username, password, code) => {
+    Object.assign(mock.options, options);
+
+    await expect(tradingViewService.verifyCredentials(username, password)).rejects.toMatchObject({ code });
+  });
+
+  test('should complete two-factor login with a locally generated TOTP code', async () => {
+    const TOTP_SECRET = 'JBSWY3DPEHPK3PXP';
+    Object.assign(mock.options, { twoFactor: ['studio_owner'], totpSecret: TOTP_SECRET });
+    mock.options.scriptOwners = { 'PUB;studio123': 'studio_owner' };
+    await accountService.createAccount({
+      id: 'studio',
+      username: 'studio_owner',
+      password: 'studiopass',
+      totp_secret: TOTP_SECRET,
+      pine_ids: ['PUB;studio123']
+    });
+
+    const granted = await tradingViewService.grantAccess('buyer', 'PUB;studio123', '7D');
+
+    expect(granted.status).toBe('Success');
+    expect(tradingViewService.getAuthStatus('studio')).toMatchObject({ ok: true });
+  });
+
+  test('should reject a wrong TOTP secret as invalid credentials', async () => {
+    Object.assign(mock.options, { twoFactor: true, totpSecret: 'JBSWY3DPEHPK3PXP' });
+
+    await expect(tradingViewService.verifyCredentials('mockuser', 'mockpass', { totpSecret: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ' }))
+      .rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+  });
+
+  test('should record the classified error of the last login', async () => {
+    mock.options.twoFactor = true;
+
+    await expect(tradingViewService.init()).rejects.toMatchObject({ code: 'TWO_FACTOR_REQUIRED' });
+    expect(tradingViewService.getAuthStatus()).toMatchObject({ ok: false, code: 'TWO_FACTOR_REQUIRED' });
+  });
+
+  test('should import a browser session cookie only after validating it', async () => {
+    const sessionStorage = require('../../src/utils/sessionStorage');
+    mock.options.captcha = true;
+    const browserSession = mock.createSession('mockuser');
+
+    await expect(tradingViewService.importSession('default', 'sessionid=expired; Path=/'))
+      .rejects.toMatchObject({ code: 'INVALID_SESSION' });
+
+    await tradingViewService.importSession('default', `sessionid=${browserSession}; sessionid_sign=v2:abc`);
+
+    expect(sessionStorage.setSessionId).toHaveBeenLastCalledWith(browserSession, 'default', 'import');
+    expect(tradingViewService.sessionId).toBe(browserSession);
+    expect((await tradingViewService.getAccessDetails('lifer', PINE_ID)).hasAccess).toBe(true);
+  });
+
+  test('should invalidate expired sessions', async () => {
+    await tradingViewService.init();
+    expect(await tradingViewService.validateSession()).toBe(true);
+
+    mock.expireSessions();
+
+    expect(await tradingViewService.validateSession()).toBe(false);
+  });
+
+  test('should respond 429 when rate limiting is forced', async () => {
+    await tradingViewService.init();
+    mock.forceRateLimit(1);
+
+    await expect(tradingViewService.getAccessDetails('lifer', PINE_ID))
+      .rejects.toMatchObject({ response: { status: 429 } });
+    expect((await tradingViewService.getAccessDetails('lifer', PINE_ID)).noExpiration).toBe(true);
+  });
+
+  test('should log in again and retry when the session expires mid-operation', async () => {
+    await tradingViewService.init();
+    const expiredSession = tradingViewService.sessionId;
+    const details = await tradingViewService.getAccessDetails('newuser', PINE_ID);
+
+    mock.expireSessions();
+    const result = await tradingViewService.addAccess(details, 'D', 7);
+
+    expect(result.status).toBe('Success');
+    expect(result.errorClass).toBeUndefined();
+    expect(tradingViewService.sessionId).not.toBe(expiredSession);
+  });
+
+  test('should classify bulk failures and aggregate them by class', async () => {
+    const FOREIGN_PINE_ID = 'PUB;foreign123';
+    Object.assign(mock.options, { knownUsers: ['buyer'], scriptOwners: { [FOREIGN_PINE_ID]: 'someone_else' } });
+    const results = [];
+
+    const summary = await tradingViewService.bulkGrantAccess(['buyer', 'ghost_user'], [PINE_ID, FOREIGN_PINE_ID], '7D', {
+      onResult: result => results.push(result)
+    });
+
+    expect(summary).toMatchObject({ success: 1, errors: 3 });
+    expect(summary.errorsByClass).toMatchObject({ user_not_found: 1, script_not_owned: 2, session_expired: 0 });
+    expect(results.find(result => result.username === 'ghost_user' && result.pine_id === PINE_ID))
+      .toMatchObject({ status: 'Failure', errorClass: 'user_not_found' });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * 🧪 API Key Authentication Tests
+ *
+ * Tests scoped keys, expiry, IP allowlists and the /api/admin/keys routes
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+const apiKeysFile = path.join(os.tmpdir(), `api-keys-test-${process.pid}-${Date.now()}.json`);
+process.env.API_KEYS_FILE = apiKeysFile;
+process.env.ECOMMERCE_API_KEY = 'legacy-key';
+
+const apiKeyService = require('../../src/services/apiKeyService');
+const { requireScope } = require('../../src/middleware/apiAuth');
+const adminRoutes = require('../../src/routes/admin');
+
+describe('🔑 API Key Authentication', () => {
+  let app;
+
+  beforeEach(() => {
+    fs.rmSync(apiKeysFile, { force: true });
+    apiKeyService.invalidateCache();
+
+    app = express();
+    app.use(express.json());
+    app.get('/read', requireScope('access:read'), (req, res) => res.json({ key: req.apiKey.id }));
+    app.post('/write', requireScope('access:write'), (req, res) => res.json({ key: req.apiKey.id }));
+    app.use('/api/admin', adminRoutes);
+  });
+
+  afterAll(() => {
+    fs.rmSync(apiKeysFile, { force: true });
+  });
+
+  const createKey = (input) => apiKeyService.createKey({ name: 'shop', scopes: ['access:read'], ...input });
+
+  test('should reject requests without a key', async () => {
+    const response = await request(app).get('/read').expect(401);
+
+    expect(response.body.error).toBe('Invalid API key');
+  });
+
+  test('should accept ECOMMERCE_API_KEY with every scope', async () => {
+    const response = await request(app).post('/write').set('X-API-Key', 'legacy-key').expect(200);
+
+    expect(response.body.key).toBe('env');
+  });
+
+  test('should enforce the scopes of a key', async () => {
+    const { key, secret } = await createKey();
+
+    expect((await request(app).get('/read').set('X-API-Key', secret).expect(200)).body.key).toBe(key.id);
+
+    const denied = await request(app).post('/write').set('X-API-Key', secret).expect(403);
+    expect(denied.body).toMatchObject({ error: 'Insufficient scope', required: 'access:write' });
+  });
+
+  test('should store only the hash of the key', async () => {
+    const { secret } = await createKey();
+
+    expect(fs.readFileSync(apiKeysFile, 'utf8')).not.toContain(secret);
+  });
+
+  test('should reject expired keys', async () => {
+    const { key, secret } = await createKey({ expires_at: new Date(Date.now() + 60000).toISOString() });
+    await request(app).get('/read').set('X-API-Key', secret).expect(200);
+
+    const data = JSON.parse(fs.readFileSync(apiKeysFile, 'utf8'));
+    data.keys.find(stored => stored.id === key.id).expires_at = new Date(Date.now() - 1000).toISOString();
+    fs.writeFileSync(apiKeysFile, JSON.stringify(data));
+    apiKeyService.invalidateCache();
+
+    const response = await request(app).get('/read').set('X-API-Key', secret).expect(401);
+    expect(response.body.error).toBe('API key expired');
+  });
+
+  test('should restrict a key to its allowed IPs', async () => {
+    const { secret } = await createKey({ allowed_ips: ['203.0.113.7'] });
+
+    const response = await request(app).get('/read').set('X-API-Key', secret).expect(403);
+
+    expect(response.body.error).toBe('IP not allowed for this API key');
+  });
+
+  test('should create, list and revoke keys through the admin routes', async () => {
+    const { secret: adminKey } = await createKey({ name: 'admin', scopes: ['config:admin'] });
+
+    const created = await request(app)
+      .post('/api/admin/keys')
+      .set('X-API-Key', adminKey)
+      .send({ name: 'dashboard', scopes: ['metrics:read'] })
+      .expect(201);
+    expect(created.body.secret).toMatch(/^tvk_/);
+    expect(created.body).not.toHaveProperty('key_hash');
+
+    const listed = await request(app).get('/api/admin/keys').set('X-API-Key', adminKey).expect(200);
+    expect(listed.body.keys.map(key => key.name)).toEqual(['admin', 'dashboard']);
+
+    await request(app)
+      .post('/api/admin/keys')
+      .set('X-API-Key', adminKey)
+      .send({ name: 'bad', scopes: ['everything'] })
+      .expect(400);
+
+    await request(app).delete(`/api/admin/keys/${created.body.id}`).set('X-API-Key', adminKey).expect(200);
+    await request(app).get('/read').set('X-API-Key', created.body.secret).expect(401);
+  });
+
+  test('should not let keys without config:admin manage keys', async () => {
+    const { secret } = await createKey({ scopes: ['access:read', 'access:write', 'bulk:write', 'metrics:read'] });
+
+    await request(app).get('/api/admin/keys').set('X-API-Key', secret).expect(403);
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * 🧪 Correlation ID Middleware Tests
+ *
+ * Tests the X-Correlation-ID header is kept or generated and echoed back
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { correlationId } = require('../../src/middleware/correlationId');
+
+describe('🔗 Correlation ID Middleware', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(correlationId);
+    app.get('/', (req, res) => res.json({ correlationId: req.correlationId }));
+  });
+
+  test('should keep the correlation ID sent by the client', async () => {
+    const response = await request(app).get('/').set('X-Correlation-ID', 'order-1042').expect(200);
+
+    expect(response.body.correlationId).toBe('order-1042');
+    expect(response.headers['x-correlation-id']).toBe('order-1042');
+  });
+
+  test('should generate one when it is missing or invalid', async () => {
+    const missing = await request(app).get('/').expect(200);
+    const invalid = await request(app).get('/').set('X-Correlation-ID', 'bad id <script>').expect(200);
+
+    expect(missing.body.correlationId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(invalid.body.correlationId).not.toBe('bad id <script>');
+    expect(invalid.headers['x-correlation-id']).toBe(invalid.body.correlationId);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * 🧪 Idempotency Middleware Tests
+ *
+ * Tests replay, body conflicts and in-flight duplicates with a file-backed store
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+const idempotencyFile = path.join(os.tmpdir(), `idempotency-test-${process.pid}-${Date.now()}.json`);
+process.env.IDEMPOTENCY_FILE = idempotencyFile;
+
+const { idempotency } = require('../../src/middleware/idempotency');
+
+describe('🔁 Idempotency Middleware', () => {
+  let app;
+  let handler;
+
+  beforeEach(() => {
+    fs.rmSync(idempotencyFile, { force: true });
+
+    handler = jest.fn(async (req, res) => {
+      res.json({ granted: req.body.pine_ids, call: handler.mock.calls.length });
+    });
+
+    app = express();
+    app.use(express.json());
+    // requireScope deja la API key autenticada en req.apiKey
+    app.use((req, res, next) => {
+      req.apiKey = { id: req.get('X-Test-Client') || 'shop' };
+      next();
+    });
+    app.post('/api/access/:username', idempotency, (req, res) => handler(req, res));
+  });
+
+  afterAll(() => {
+    fs.rmSync(idempotencyFile, { force: true });
+  });
+
+  const grant = (key, body = { pine_ids: ['PUB;1'], duration: '7D' }) => {
+    const req = request(app).post('/api/access/trendoscope').send(body);
+    return key ? req.set('Idempotency-Key', key) : req;
+  };
+
+  test('should process requests without a key normally', async () => {
+    await grant();
+    await grant();
+
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  test('should replay the first response for duplicates', async () => {
+    const first = await grant('order-1001');
+    const second = await grant('order-1001');
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(second.status).toBe(200);
+    expect(second.body).toEqual(first.body);
+    expect(second.headers['idempotent-replayed']).toBe('true');
+  });
+
+  test('should treat reordered body keys as the same request', async () => {
+    await grant('order-1002', { pine_ids: ['PUB;1'], duration: '7D' });
+    const second = await grant('order-1002', { duration: '7D', pine_ids: ['PUB;1'] });
+
+    expect(second.status).toBe(200);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reject a reused key with a different body', async () => {
+    await grant('order-1003');
+    const conflict = await grant('order-1003', { pine_ids: ['PUB;1'], duration: '30D' });
+
+    expect(conflict.status).toBe(422);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reject duplicates while the first request is in flight', async () => {
+    let finish;
+    handler.mockImplementationOnce((req, res) => new Promise(resolve => {
+      finish = () => resolve(res.json({ ok: true }));
+    }));
+
+    const first = grant('order-1004');
+    first.then(() => {});
+    await global.testUtils.wait(100);
+
+    const duplicate = await grant('order-1004');
+    finish();
+    await first;
+
+    expect(duplicate.status).toBe(409);
+  });
+
+  test('should not store server errors so the client can retry', async () => {
+    handler.mockImplementationOnce(async (req, res) => {
+      res.status(500).json({ errorMessage: 'Access grant failed' });
+    });
+
+    const failed = await grant('order-1005');
+    const retried = await grant('order-1005');
+
+    expect(failed.status).toBe(500);
+    expect(retried.status).toBe(200);
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  test('should keep the same key of different API keys apart', async () => {
+    const first = await grant('order-1007');
+    const other = await grant('order-1007', { pine_ids: ['PUB;2'], duration: '7D' })
+      .set('X-Test-Client', 'other-shop')
+      .expect(200);
+
+    expect(other.body).toEqual({ granted: ['PUB;2'], call: 2 });
+    expect(first.body.granted).toEqual(['PUB;1']);
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  test('should persist completed responses in the shared store file', async () => {
+    await grant('order-1006');
+
+    const stored = JSON.parse(fs.readFileSync(idempotencyFile, 'utf8'));
+    const record = Object.values(stored.keys)[0];
+
+    expect(record).toMatchObject({ status: 'completed', status_code: 200 });
+  });
+});
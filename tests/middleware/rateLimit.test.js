@@ -0,0 +1,129 @@
+/**
+ * 🧪 Rate Limit & Quota Tests
+ *
+ * Tests per-key limits, X-RateLimit headers and daily operation quotas
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+const apiKeysFile = path.join(os.tmpdir(), `api-keys-rate-test-${process.pid}-${Date.now()}.json`);
+process.env.API_KEYS_FILE = apiKeysFile;
+
+const apiKeyService = require('../../src/services/apiKeyService');
+const quotaService = require('../../src/services/quotaService');
+const { tradingViewLimiter, operationQuota } = require('../../src/middleware/rateLimit');
+
+describe('🚦 Rate Limits & Quotas', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.get('/validate', tradingViewLimiter, (req, res) => res.json({ ok: true }));
+    app.post('/bulk', operationQuota(req => req.body.users.length * req.body.pine_ids.length), (req, res) => {
+      if (req.body.fail) return res.status(400).json({ error: 'invalid' });
+      res.json({ ok: true });
+    });
+  });
+
+  afterAll(() => {
+    fs.rmSync(apiKeysFile, { force: true });
+  });
+
+  const createKey = async (input) => {
+    const { key, secret } = await apiKeyService.createKey({ name: 'shop', scopes: ['bulk:write'], ...input });
+    return { id: key.id, secret };
+  };
+
+  const waitForUsage = async (clientId, operations) => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      if ((await quotaService.getUsage(clientId)).operations === operations) return;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`usage of ${clientId} never reached ${operations}`);
+  };
+
+  test('should count each API key in its own bucket with its own limit', async () => {
+    const limited = await createKey({ limits: { tradingview: 2 } });
+    const other = await createKey();
+
+    const first = await request(app).get('/validate').set('X-API-Key', limited.secret).expect(200);
+    expect(first.headers['x-ratelimit-limit']).toBe('2');
+    expect(first.headers['x-ratelimit-remaining']).toBe('1');
+
+    await request(app).get('/validate').set('X-API-Key', limited.secret).expect(200);
+    const blocked = await request(app).get('/validate').set('X-API-Key', limited.secret).expect(429);
+    expect(blocked.body.error).toMatch(/TradingView API rate limit/);
+
+    // Misma IP, otra key: no le afecta el límite de la primera
+    const unaffected = await request(app).get('/validate').set('X-API-Key', other.secret).expect(200);
+    expect(unaffected.headers['x-ratelimit-limit']).toBe('30');
+  });
+
+  test('should limit requests with an unknown key by IP', async () => {
+    const first = await request(app).get('/validate').set('X-API-Key', 'not-a-key').expect(200);
+    const second = await request(app).get('/validate').expect(200);
+
+    expect(Number(second.headers['x-ratelimit-remaining'])).toBe(Number(first.headers['x-ratelimit-remaining']) - 1);
+  });
+
+  test('should keep IP counters in memory and only share API key counters on disk', async () => {
+    const { id, secret } = await createKey();
+
+    await request(app).get('/validate').expect(200);
+    await request(app).get('/validate').set('X-API-Key', secret).expect(200);
+
+    const { counters } = JSON.parse(fs.readFileSync(process.env.RATE_LIMIT_FILE, 'utf8'));
+    expect(Object.keys(counters)).toContain(`tradingview:key:${id}`);
+    expect(Object.keys(counters).some(counter => counter.includes(':ip:'))).toBe(false);
+  });
+
+  test('should count user×pine_id operations against the daily quota', async () => {
+    const { id, secret } = await createKey({ daily_quota: 5 });
+    const body = { users: ['alice', 'bob'], pine_ids: ['PUB;1', 'PUB;2'] };
+
+    const allowed = await request(app).post('/bulk').set('X-API-Key', secret).send(body).expect(200);
+    expect(allowed.headers['x-quota-limit']).toBe('5');
+    expect(allowed.headers['x-quota-remaining']).toBe('1');
+
+    const exceeded = await request(app).post('/bulk').set('X-API-Key', secret).send(body).expect(429);
+    expect(exceeded.body).toMatchObject({ error: 'Daily operation quota exceeded', operations: 4, used: 4, limit: 5 });
+
+    expect((await quotaService.getUsage(`key:${id}`)).operations).toBe(4);
+  });
+
+  test('should give back the operations of rejected requests', async () => {
+    const { id, secret } = await createKey({ daily_quota: 10 });
+
+    await request(app)
+      .post('/bulk')
+      .set('X-API-Key', secret)
+      .send({ users: ['alice'], pine_ids: ['PUB;1', 'PUB;2', 'PUB;3'], fail: true })
+      .expect(400);
+
+    await waitForUsage(`key:${id}`, 0);
+  });
+
+  test('should not apply a quota when the key has none', async () => {
+    const { secret } = await createKey({ daily_quota: 0 });
+
+    const response = await request(app)
+      .post('/bulk')
+      .set('X-API-Key', secret)
+      .send({ users: ['alice'], pine_ids: ['PUB;1'] })
+      .expect(200);
+
+    expect(response.headers['x-quota-limit']).toBeUndefined();
+  });
+
+  test('should validate limits and daily_quota', () => {
+    expect(apiKeyService.validate({ name: 'x', scopes: ['bulk:write'], limits: { bulk: 0 } })).toMatch(/positive integers/);
+    expect(apiKeyService.validate({ name: 'x', scopes: ['bulk:write'], limits: { other: 1 } })).toMatch(/limits must be/);
+    expect(apiKeyService.validate({ name: 'x', scopes: ['bulk:write'], daily_quota: -1 })).toMatch(/daily_quota/);
+    expect(apiKeyService.validate({ name: 'x', scopes: ['bulk:write'], limits: { api: 500 }, daily_quota: 1000 })).toBeNull();
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * 🧪 Account Service Unit Tests
+ *
+ * Tests the TradingView account registry and pine ID routing
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const accountsFile = path.join(os.tmpdir(), `accounts-test-${process.pid}-${Date.now()}.json`);
+const secretsFile = path.join(os.tmpdir(), `secrets-accounts-test-${process.pid}-${Date.now()}.json`);
+process.env.ACCOUNTS_FILE = accountsFile;
+process.env.SECRETS_FILE = secretsFile;
+process.env.SECRETS_MASTER_KEY = 'test-master-key';
+process.env.TV_USERNAME = 'envowner';
+process.env.TV_PASSWORD = 'envpass';
+
+const accountService = require('../../src/services/accountService');
+
+describe('👥 Account Service', () => {
+  const account = (overrides = {}) => ({
+    id: 'studio',
+    username: 'studio_owner',
+    password: 'secret',
+    pine_ids: ['PUB;studio1'],
+    ...overrides
+  });
+
+  beforeEach(() => {
+    fs.rmSync(accountsFile, { force: true });
+    fs.rmSync(secretsFile, { force: true });
+    accountService.invalidateCache();
+  });
+
+  afterAll(() => {
+    fs.rmSync(accountsFile, { force: true });
+    fs.rmSync(secretsFile, { force: true });
+  });
+
+  test('should expose the env credentials as the default account', async () => {
+    const accounts = await accountService.listAccounts();
+
+    expect(accounts).toEqual([
+      expect.objectContaining({ id: 'default', username: 'envowner', is_default: true, source: 'env' })
+    ]);
+  });
+
+  test('should route pine IDs to their owning account and fall back to the default', async () => {
+    await accountService.createAccount(account());
+
+    expect((await accountService.resolveAccount('PUB;studio1')).id).toBe('studio');
+    expect((await accountService.resolveAccount('PUB;other')).id).toBe('default');
+  });
+
+  test('should let a stored account replace the env account as default', async () => {
+    await accountService.createAccount(account({ is_default: true }));
+
+    expect((await accountService.resolveAccount('PUB;other')).id).toBe('studio');
+    expect((await accountService.getAccount('default')).is_default).toBe(false);
+  });
+
+  test('should reject duplicate ids and pine IDs owned by another account', async () => {
+    await accountService.createAccount(account());
+
+    expect(await accountService.createAccount(account())).toMatchObject({ status: 409 });
+    expect(await accountService.createAccount(account({ id: 'other' }))).toMatchObject({
+      status: 409,
+      error: expect.stringContaining('already belongs to account studio')
+    });
+  });
+
+  test('should validate input', () => {
+    expect(accountService.validate(account({ id: 'default' }))).toMatch(/reserved/);
+    expect(accountService.validate(account({ pine_ids: 'PUB;1' }))).toMatch(/pine_ids/);
+    expect(accountService.validate({ password: 'new' }, true)).toBeNull();
+  });
+
+  test('should flag credential changes and hide passwords', async () => {
+    await accountService.createAccount(account());
+
+    const renamed = await accountService.updateAccount('studio', { pine_ids: ['PUB;studio2'] });
+    const rotated = await accountService.updateAccount('studio', { password: 'rotated' });
+
+    expect(renamed.credentialsChanged).toBe(false);
+    expect(rotated.credentialsChanged).toBe(true);
+    expect(accountService.toPublic(rotated.account)).not.toHaveProperty('password');
+    expect(await accountService.updateAccount('missing', {})).toMatchObject({ status: 404 });
+  });
+
+  test('should return pine IDs to the default account when deleted', async () => {
+    await accountService.createAccount(account());
+
+    expect(await accountService.deleteAccount('studio')).toBe(true);
+    expect((await accountService.resolveAccount('PUB;studio1')).id).toBe('default');
+  });
+
+  test('should keep passwords out of accounts.json', async () => {
+    await accountService.createAccount(account());
+
+    expect(fs.readFileSync(accountsFile, 'utf8')).not.toContain('secret');
+    expect((await accountService.getAccount('studio')).password).toBe('secret');
+  });
+
+  test('should migrate plaintext passwords left in accounts.json', async () => {
+    fs.writeFileSync(accountsFile, JSON.stringify({ accounts: [{ ...account(), password: 'legacy' }] }));
+
+    expect((await accountService.getAccount('studio')).password).toBe('legacy');
+    expect(JSON.parse(fs.readFileSync(accountsFile, 'utf8')).accounts[0]).not.toHaveProperty('password');
+  });
+
+  test('should prefer credentials saved from the API over the env account', async () => {
+    await accountService.saveCredentials('saved_owner', 'savedpass');
+
+    expect(await accountService.getAccount('default')).toMatchObject({
+      username: 'saved_owner',
+      password: 'savedpass',
+      source: 'secret_store'
+    });
+  });
+});
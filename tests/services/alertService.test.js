@@ -0,0 +1,110 @@
+/**
+ * 🧪 Alert Service Tests
+ *
+ * Tests fan-out to the SMTP, webhook and file channels, per-priority routing
+ * and that a failing channel does not stop the others
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+const alertFile = path.join(os.tmpdir(), `alerts-${process.pid}-${Date.now()}.jsonl`);
+process.env.ALERT_FILE = alertFile;
+process.env.ALERT_EMAIL = 'alerts@example.com';
+process.env.ALERT_EMAIL_PASSWORD = 'app-password';
+process.env.ADMIN_EMAIL = 'admin@example.com';
+process.env.EMERGENCY_EMAIL = 'oncall@example.com';
+process.env.ALERT_CHANNELS_INFO = 'file';
+delete process.env.SMTP_HOST;
+
+const mockSendMail = jest.fn().mockResolvedValue({});
+jest.mock('nodemailer', () => ({
+  createTransport: jest.fn(() => ({ sendMail: mockSendMail }))
+}));
+
+const nodemailer = require('nodemailer');
+
+describe('🚨 Alert Service', () => {
+  let receiver;
+  let received;
+  let failing;
+  let alertService;
+
+  beforeAll(async () => {
+    const receiverApp = express();
+    receiverApp.use(express.json());
+    receiverApp.post('/hook', (req, res) => {
+      received.push(req.body);
+      res.sendStatus(failing ? 500 : 204);
+    });
+
+    receiver = await new Promise(resolve => {
+      const server = receiverApp.listen(0, () => resolve(server));
+    });
+    process.env.ALERT_WEBHOOK_URL = `http://127.0.0.1:${receiver.address().port}/hook`;
+
+    alertService = require('../../src/services/alertService');
+  });
+
+  beforeEach(() => {
+    received = [];
+    failing = false;
+    mockSendMail.mockClear();
+    fs.rmSync(alertFile, { force: true });
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => receiver.close(resolve));
+    fs.rmSync(alertFile, { force: true });
+  });
+
+  const readAlertFile = () => fs.readFileSync(alertFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+  test('should create the SMTP transport with nodemailer.createTransport', () => {
+    expect(nodemailer.createTransport).toHaveBeenCalledWith({
+      service: 'gmail',
+      auth: { user: 'alerts@example.com', pass: 'app-password' }
+    });
+    expect(alertService.channels.map(channel => channel.type)).toEqual(['smtp', 'webhook', 'file']);
+  });
+
+  test('should fan out critical alerts to every channel', async () => {
+    await alertService.alertSystemError(new Error('TradingView session lost'), { operation: 'bulk_grant' });
+
+    expect(mockSendMail).toHaveBeenCalledWith(expect.objectContaining({
+      from: 'alerts@example.com',
+      to: 'admin@example.com',
+      cc: 'oncall@example.com',
+      subject: expect.stringContaining('[TradingView API CRITICAL]')
+    }));
+
+    expect(received).toHaveLength(1);
+    expect(received[0].text).toContain('TradingView session lost');
+    expect(received[0].content.length).toBeLessThanOrEqual(2000);
+    expect(received[0].alert).toMatchObject({ priority: 'critical' });
+
+    const [line] = readAlertFile();
+    expect(line).toMatchObject({ priority: 'critical', subject: expect.stringContaining('ERROR CRÍTICO') });
+    expect(line.message).toContain('CPU Load');
+  });
+
+  test('should route each priority to its configured channels', async () => {
+    await alertService.alertSystemRecovery('circuit breaker', { successRate: 98, totalProcessed: 10 });
+
+    expect(mockSendMail).not.toHaveBeenCalled();
+    expect(received).toHaveLength(0);
+    expect(readAlertFile()).toEqual([expect.objectContaining({ priority: 'info' })]);
+  });
+
+  test('should keep delivering to the other channels when one fails', async () => {
+    failing = true;
+
+    const result = await alertService.sendAlert('Prueba', 'mensaje', 'warning');
+
+    expect(result).toEqual({ sent: ['smtp', 'file'], failed: ['webhook'] });
+    expect(mockSendMail).toHaveBeenCalledTimes(1);
+    expect(readAlertFile()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * 🧪 Expiration Sweeper Unit Tests
+ *
+ * Tests lapsed detection, dry-run mode and revocation against a mocked TradingView
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ledgerFile = path.join(os.tmpdir(), `sweeper-ledger-${process.pid}-${Date.now()}.json`);
+const stateFile = path.join(os.tmpdir(), `sweeper-state-${process.pid}-${Date.now()}.json`);
+process.env.LEDGER_FILE = ledgerFile;
+process.env.SWEEPER_STATE_FILE = stateFile;
+
+jest.mock('../../src/services/tradingViewService', () => ({
+  init: jest.fn().mockResolvedValue(),
+  getAccessDetails: jest.fn(),
+  removeAccess: jest.fn(),
+  requestBatcher: { add: jest.fn(request => request()) }
+}));
+jest.mock('../../src/services/webhookService', () => ({
+  notifySubscriptionExpired: jest.fn().mockResolvedValue()
+}));
+
+const tradingViewService = require('../../src/services/tradingViewService');
+const webhookService = require('../../src/services/webhookService');
+const ledgerService = require('../../src/services/ledgerService');
+const expirationSweeperService = require('../../src/services/expirationSweeperService');
+
+describe('🧹 Expiration Sweeper Service', () => {
+  const PINE_ID = 'PUB;sweep123';
+
+  const seedGrant = (username, expiration) => ledgerService.recordGrant({
+    pine_id: PINE_ID,
+    username,
+    noExpiration: false,
+    expiration,
+    status: 'Success'
+  });
+
+  const mockTradingView = (users) => {
+    tradingViewService.getAccessDetails.mockImplementation(async (username, pineId) => ({
+      pine_id: pineId,
+      username,
+      hasAccess: !!users[username],
+      noExpiration: false,
+      currentExpiration: users[username] || new Date().toISOString()
+    }));
+  };
+
+  beforeEach(async () => {
+    fs.rmSync(ledgerFile, { force: true });
+    fs.rmSync(stateFile, { force: true });
+    jest.clearAllMocks();
+
+    await seedGrant('lapsed', '2020-01-01T00:00:00Z');
+    await seedGrant('current', '2099-01-01T00:00:00Z');
+  });
+
+  afterAll(() => {
+    fs.rmSync(ledgerFile, { force: true });
+    fs.rmSync(stateFile, { force: true });
+  });
+
+  test('should only report lapsed subscriptions in dry-run mode', async () => {
+    mockTradingView({ lapsed: '2020-01-01T00:00:00Z', current: '2099-01-01T00:00:00Z' });
+
+    const report = await expirationSweeperService.sweep({ dryRun: true, revoke: true });
+
+    expect(report.checked).toBe(2);
+    expect(report.lapsed).toEqual([
+      expect.objectContaining({ username: 'lapsed', on_tradingview: true, action: 'would_revoke' })
+    ]);
+    expect(tradingViewService.removeAccess).not.toHaveBeenCalled();
+    expect(webhookService.notifySubscriptionExpired).not.toHaveBeenCalled();
+    expect((await ledgerService.getEntitlement('lapsed', PINE_ID)).expired_at).toBeUndefined();
+  });
+
+  test('should revoke lapsed access and fire subscription.expired', async () => {
+    mockTradingView({ lapsed: '2020-01-01T00:00:00Z', current: '2099-01-01T00:00:00Z' });
+    tradingViewService.removeAccess.mockImplementation(async (accessDetails) => {
+      await ledgerService.recordRemoval({ ...accessDetails, status: 'Success' });
+      return { ...accessDetails, status: 'Success' };
+    });
+
+    const report = await expirationSweeperService.sweep({ dryRun: false, revoke: true });
+
+    expect(report.lapsed[0].action).toBe('revoked');
+    expect(tradingViewService.removeAccess).toHaveBeenCalledWith(
+      expect.objectContaining({ username: 'lapsed', pine_id: PINE_ID }),
+      { source: 'expiration_sweeper', operationId: report.run_id }
+    );
+    expect(webhookService.notifySubscriptionExpired).toHaveBeenCalledWith(
+      expect.objectContaining({ username: 'lapsed', revoked: true, run_id: report.run_id })
+    );
+    expect((await ledgerService.getEntitlement('lapsed', PINE_ID)).status).toBe('revoked');
+  });
+
+  test('should mark expired without revoking and notify only once', async () => {
+    mockTradingView({ current: '2099-01-01T00:00:00Z' });
+
+    const first = await expirationSweeperService.sweep({ dryRun: false, revoke: false });
+    const second = await expirationSweeperService.sweep({ dryRun: false, revoke: false });
+
+    expect(first.lapsed).toEqual([
+      expect.objectContaining({ username: 'lapsed', on_tradingview: false, action: 'marked_expired' })
+    ]);
+    expect(second.checked).toBe(1);
+    expect(webhookService.notifySubscriptionExpired).toHaveBeenCalledTimes(1);
+    expect((await ledgerService.getEntitlement('lapsed', PINE_ID)).status).toBe('expired');
+  });
+
+  test('should skip subscriptions extended on TradingView', async () => {
+    mockTradingView({ lapsed: '2099-06-01T00:00:00Z', current: '2099-01-01T00:00:00Z' });
+
+    const report = await expirationSweeperService.sweep({ dryRun: false, revoke: true });
+
+    expect(report.lapsed).toHaveLength(0);
+    expect(tradingViewService.removeAccess).not.toHaveBeenCalled();
+  });
+
+  test('should let only one worker claim a scheduled run per interval', async () => {
+    expect(await expirationSweeperService.claimScheduledRun()).toBe(true);
+    expect(await expirationSweeperService.claimScheduledRun()).toBe(false);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * 🧪 Job Service Unit Tests
+ *
+ * Tests background execution, progress tracking and restart recovery
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const jobsFile = path.join(os.tmpdir(), `jobs-test-${process.pid}-${Date.now()}.json`);
+process.env.JOBS_FILE = jobsFile;
+process.env.JOBS_FLUSH_INTERVAL_MS = '10';
+
+describe('🧵 Job Service', () => {
+  let jobService;
+
+  beforeEach(() => {
+    fs.rmSync(jobsFile, { force: true });
+    jest.isolateModules(() => {
+      jobService = require('../../src/services/jobService');
+    });
+  });
+
+  afterAll(() => {
+    fs.rmSync(jobsFile, { force: true });
+  });
+
+  const waitForStatus = async (id, statuses) => {
+    for (let i = 0; i < 100; i++) {
+      const job = await jobService.getJob(id);
+      if (statuses.includes(job.status)) return job;
+      await global.testUtils.wait(10);
+    }
+    throw new Error(`Job ${id} never reached ${statuses.join('/')}`);
+  };
+
+  test('should return a queued job immediately and complete it in background', async () => {
+    const job = await jobService.startJob('bulk_grant', { users: ['a', 'b'], pine_ids: ['PUB;1'], total: 2 },
+      async ({ onProgress, onResult }) => {
+        onResult({ username: 'a', pine_id: 'PUB;1', status: 'Success', expiration: '2030-01-01T00:00:00Z' });
+        onResult({ username: 'b', pine_id: 'PUB;1', status: 'Failure', error: 'boom' });
+        onProgress(2, 2, 1, 1);
+        return { total: 2, success: 1, errors: 1, successRate: 50 };
+      });
+
+    expect(job.status).toBe('queued');
+    expect(job.progress.total).toBe(2);
+
+    const finished = await waitForStatus(job.id, ['completed']);
+
+    expect(finished.progress).toMatchObject({ processed: 2, success: 1, errors: 1, percent: 100 });
+    expect(finished.results).toHaveLength(2);
+    expect(finished.results[1]).toMatchObject({ username: 'b', status: 'Failure', error: 'boom' });
+    expect(finished.result.successRate).toBe(50);
+  });
+
+  test('should record executor errors as failed jobs', async () => {
+    const job = await jobService.startJob('bulk_remove', { users: ['a'], pine_ids: ['PUB;1'], total: 1 },
+      async () => { throw new Error('Session expired'); });
+
+    const finished = await waitForStatus(job.id, ['failed']);
+
+    expect(finished.error.message).toBe('Session expired');
+  });
+
+  test('should persist jobs to disk and list them without results', async () => {
+    const job = await jobService.startJob('bulk_grant', { users: ['a'], pine_ids: ['PUB;1'], total: 1 },
+      async ({ onResult }) => {
+        onResult({ username: 'a', pine_id: 'PUB;1', status: 'Success' });
+        return { total: 1, success: 1, errors: 0, successRate: 100 };
+      });
+    await waitForStatus(job.id, ['completed']);
+    await global.testUtils.wait(50);
+
+    const stored = JSON.parse(fs.readFileSync(jobsFile, 'utf8'));
+    expect(stored.jobs[job.id].status).toBe('completed');
+
+    const list = await jobService.listJobs({ type: 'bulk_grant' });
+    expect(list[0]).toMatchObject({ id: job.id, results_count: 1 });
+    expect(list[0].results).toBeUndefined();
+  });
+
+  test('should emit live events for progress, results and custom executor events', async () => {
+    const events = [];
+    jobService.on('job-event', ({ event, data }) => events.push({ event, data }));
+
+    const job = await jobService.startJob('bulk_grant', { users: ['a'], pine_ids: ['PUB;1'], total: 1 },
+      async ({ onProgress, onResult, emit }) => {
+        emit('circuit_open', { consecutiveFailures: 3 });
+        onResult({ username: 'a', pine_id: 'PUB;1', status: 'Success' });
+        onProgress(1, 1, 1, 0);
+        return { total: 1, success: 1, errors: 0, successRate: 100 };
+      });
+    await waitForStatus(job.id, ['completed']);
+
+    expect(events.map(e => e.event)).toEqual(['status', 'circuit_open', 'result', 'progress', 'completed']);
+    expect(events[4].data.result.successRate).toBe(100);
+  });
+
+  test('should mark jobs of dead processes as interrupted on startup', async () => {
+    fs.writeFileSync(jobsFile, JSON.stringify({
+      jobs: {
+        stale: {
+          id: 'stale',
+          type: 'bulk_grant',
+          status: 'running',
+          worker_pid: 999999,
+          progress: { processed: 3, total: 10 },
+          results: [],
+          created_at: new Date().toISOString()
+        }
+      }
+    }));
+
+    jest.isolateModules(() => {
+      jobService = require('../../src/services/jobService');
+    });
+    await jobService.recovery;
+
+    const job = await jobService.getJob('stale');
+
+    expect(job.status).toBe('interrupted');
+    expect(job.progress.processed).toBe(3);
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * 🧪 Ledger Service Unit Tests
+ *
+ * Tests the persistent subscription ledger against a temporary file
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ledgerFile = path.join(os.tmpdir(), `ledger-test-${process.pid}-${Date.now()}.json`);
+const operationsFile = ledgerFile.replace(/\.json$/, '.operations.jsonl');
+process.env.LEDGER_FILE = ledgerFile;
+process.env.AVERAGE_OPERATION_VALUE = '10';
+
+const ledgerService = require('../../src/services/ledgerService');
+
+describe('📒 Ledger Service', () => {
+  beforeEach(() => {
+    fs.rmSync(ledgerFile, { force: true });
+    fs.rmSync(operationsFile, { force: true });
+  });
+
+  afterAll(() => {
+    fs.rmSync(ledgerFile, { force: true });
+    fs.rmSync(operationsFile, { force: true });
+  });
+
+  const grantResult = (overrides = {}) => ({
+    pine_id: 'PUB;test123',
+    username: 'Trendoscope',
+    hasAccess: false,
+    noExpiration: false,
+    currentExpiration: '2030-01-01T10:00:00+00:00',
+    expiration: '2030-01-08T10:00:00+00:00',
+    status: 'Success',
+    ...overrides
+  });
+
+  describe('➕ Grants', () => {
+    test('should record an active entitlement with its source operation', async () => {
+      await ledgerService.recordGrant(grantResult(), { source: 'bulk_grant', operationId: 'op-1', duration: '7D' });
+
+      const entitlement = await ledgerService.getEntitlement('trendoscope', 'PUB;test123');
+
+      expect(entitlement).toMatchObject({
+        username: 'Trendoscope',
+        pine_id: 'PUB;test123',
+        status: 'active',
+        expiration: '2030-01-08T10:00:00+00:00',
+        no_expiration: false,
+        source_operation: 'bulk_grant',
+        operation_id: 'op-1'
+      });
+    });
+
+    test('should record lifetime access without expiration', async () => {
+      await ledgerService.recordGrant(grantResult({ noExpiration: true }));
+
+      const entitlement = await ledgerService.getEntitlement('trendoscope', 'PUB;test123');
+
+      expect(entitlement.no_expiration).toBe(true);
+      expect(entitlement.expiration).toBeNull();
+    });
+
+    test('should keep previous entitlement when a grant fails', async () => {
+      await ledgerService.recordGrant(grantResult());
+      await ledgerService.recordGrant(grantResult({ status: 'Failure', error: 'API Error' }));
+
+      const entitlement = await ledgerService.getEntitlement('trendoscope', 'PUB;test123');
+
+      expect(entitlement.status).toBe('active');
+      expect(entitlement.last_error).toBe('API Error');
+    });
+
+    test('should report past expirations as expired', async () => {
+      await ledgerService.recordGrant(grantResult({ expiration: '2020-01-01T10:00:00+00:00' }));
+
+      const expired = await ledgerService.listEntitlements({ status: 'expired' });
+
+      expect(expired).toHaveLength(1);
+    });
+  });
+
+  describe('🗑️ Removals', () => {
+    test('should mark entitlement as revoked', async () => {
+      await ledgerService.recordGrant(grantResult());
+      await ledgerService.recordRemoval({ pine_id: 'PUB;test123', username: 'trendoscope', status: 'Success' });
+
+      const entitlement = await ledgerService.getEntitlement('trendoscope', 'PUB;test123');
+
+      expect(entitlement.status).toBe('revoked');
+      expect(entitlement.revoked_at).toBeDefined();
+    });
+
+    test('should not create entitlements for failed removals', async () => {
+      await ledgerService.recordRemoval({ pine_id: 'PUB;test123', username: 'ghost', status: 'Failure' });
+
+      expect(await ledgerService.getEntitlement('ghost', 'PUB;test123')).toBeNull();
+      expect(await ledgerService.getOperations({ type: 'remove' })).toHaveLength(1);
+    });
+  });
+
+  describe('📊 Daily summary', () => {
+    test('should compute business metrics from today operations', async () => {
+      await ledgerService.recordGrant(grantResult());
+      await ledgerService.recordGrant(grantResult({ username: 'user2' }));
+      await ledgerService.recordGrant(grantResult({ username: 'user3', pine_id: 'PUB;other' }));
+      await ledgerService.recordGrant(grantResult({ username: 'user4', status: 'Failure' }));
+
+      const summary = await ledgerService.getDailySummary();
+
+      expect(summary.operations).toBe(4);
+      expect(summary.failedOperations).toBe(1);
+      expect(summary.customersActivated).toBe(3);
+      expect(summary.revenue).toBe(30);
+      expect(summary.averageOperationValue).toBe(10);
+      expect(summary.topIndicators[0]).toEqual({ pine_id: 'PUB;test123', grants: 2 });
+    });
+
+    test('should append operations to their own log instead of the ledger file', async () => {
+      await ledgerService.recordGrant(grantResult());
+      await ledgerService.recordRemoval({ pine_id: 'PUB;test123', username: 'trendoscope', status: 'Success' });
+
+      expect(JSON.parse(fs.readFileSync(ledgerFile, 'utf8')).operations).toBeUndefined();
+      expect(fs.readFileSync(operationsFile, 'utf8').trim().split('\n')).toHaveLength(2);
+      expect((await ledgerService.getOperations()).map(operation => operation.type)).toEqual(['remove', 'grant']);
+    });
+
+    test('should move operations of older ledgers to the log on the next write', async () => {
+      const legacy = { id: 'legacy', type: 'grant', username: 'old', pine_id: 'PUB;test123', status: 'Success', timestamp: new Date().toISOString() };
+      fs.writeFileSync(ledgerFile, JSON.stringify({ entitlements: {}, operations: [legacy] }));
+
+      expect(await ledgerService.getOperations()).toEqual([legacy]);
+
+      await ledgerService.recordGrant(grantResult());
+
+      expect(JSON.parse(fs.readFileSync(ledgerFile, 'utf8')).operations).toBeUndefined();
+      expect((await ledgerService.getOperations()).map(operation => operation.id)).toEqual([expect.any(String), 'legacy']);
+    });
+
+    test('should handle concurrent writes without losing operations', async () => {
+      await Promise.all(Array.from({ length: 20 }, (_, i) =>
+        ledgerService.recordGrant(grantResult({ username: `user${i}` }))
+      ));
+
+      const entitlements = await ledgerService.listEntitlements({ pineId: 'PUB;test123' });
+
+      expect(entitlements).toHaveLength(20);
+      expect(await ledgerService.getOperations()).toHaveLength(20);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * 🧪 Reconcile Service Unit Tests
+ *
+ * Tests CSV parsing, diffing against TradingView state and drift fixes
+ */
+
+jest.mock('../../src/services/tradingViewService', () => ({
+  init: jest.fn().mockResolvedValue(),
+  listAllUsers: jest.fn(),
+  getAccessDetails: jest.fn(),
+  grantAccess: jest.fn(),
+  removeAccess: jest.fn(),
+  requestBatcher: { add: jest.fn(request => request()) }
+}));
+
+const tradingViewService = require('../../src/services/tradingViewService');
+const reconcileService = require('../../src/services/reconcileService');
+
+describe('🔄 Reconcile Service', () => {
+  const PINE_ID = 'PUB;recon123';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    tradingViewService.listAllUsers.mockResolvedValue([
+      { username: 'InSync', expiration: '2030-01-01T00:00:00+00:00', noExpiration: false },
+      { username: 'wrongdate', expiration: '2030-01-01T00:00:00+00:00', noExpiration: false },
+      { username: 'lifer', expiration: null, noExpiration: true },
+      { username: 'refunded', expiration: '2030-01-01T00:00:00+00:00', noExpiration: false }
+    ]);
+    tradingViewService.getAccessDetails.mockImplementation(async (username, pineId) => ({
+      username,
+      pine_id: pineId,
+      hasAccess: username !== 'paid',
+      noExpiration: username === 'lifer',
+      currentExpiration: '2030-01-01T00:00:00+00:00'
+    }));
+    tradingViewService.grantAccess.mockImplementation(async (username, pineId, duration, options = {}) => ({
+      username,
+      pine_id: pineId,
+      expiration: options.expiration,
+      status: 'Success'
+    }));
+    tradingViewService.removeAccess.mockImplementation(async (details) => ({ ...details, status: 'Success' }));
+  });
+
+  const expectedRows = () => reconcileService.normalizeExpected(reconcileService.parseCsv([
+    'username,pine_id,expiration',
+    `insync,${PINE_ID},2030-01-01T00:20:00Z`,
+    `wrongdate,${PINE_ID},2030-02-01`,
+    `lifer,${PINE_ID},2030-03-01`,
+    `paid,${PINE_ID},lifetime`
+  ].join('\n'))).entitlements;
+
+  describe('📄 Input parsing', () => {
+    test('should parse CSV rows and treat lifetime as no expiration', () => {
+      const rows = expectedRows();
+
+      expect(rows).toHaveLength(4);
+      expect(rows[3]).toEqual({ username: 'paid', pine_id: PINE_ID, expiration: null });
+    });
+
+    test('should report invalid rows', () => {
+      const { errors } = reconcileService.normalizeExpected([
+        { username: 'user1', pine_id: PINE_ID, expiration: 'not-a-date' },
+        { username: '', pine_id: PINE_ID }
+      ]);
+
+      expect(errors.map(error => error.row)).toEqual([1, 2]);
+    });
+
+    test('should parse quoted fields with commas, quotes and line breaks', () => {
+      const rows = reconcileService.parseCsv([
+        'customer,username,pine_id,expiration',
+        `"Doe, John",john_doe,${PINE_ID},2030-01-01`,
+        `"Ana ""La Trader""\nMadrid", ana ,"${PINE_ID}",`
+      ].join('\r\n'));
+
+      expect(rows).toEqual([
+        { customer: 'Doe, John', username: 'john_doe', pine_id: PINE_ID, expiration: '2030-01-01' },
+        { customer: 'Ana "La Trader"\nMadrid', username: 'ana', pine_id: PINE_ID, expiration: '' }
+      ]);
+      expect(() => reconcileService.parseCsv('username,pine_id\n"open,PUB;1')).toThrow('Unterminated quoted field');
+    });
+
+    test('should flag rows whose expiration already passed as lapsed', () => {
+      const { entitlements, errors } = reconcileService.normalizeExpected([
+        { username: 'expired', pine_id: PINE_ID, expiration: '2020-01-01' },
+        { username: 'current', pine_id: PINE_ID, expiration: '2030-01-01' }
+      ]);
+
+      expect(errors).toEqual([]);
+      expect(entitlements[0]).toMatchObject({ username: 'expired', lapsed: true });
+      expect(entitlements[1].lapsed).toBeUndefined();
+    });
+
+    test('should require username and pine_id columns', () => {
+      expect(() => reconcileService.parseCsv('user,pine\nx,y')).toThrow('CSV header must include username');
+    });
+  });
+
+  describe('🔍 Diff', () => {
+    test('should classify missing, extra and wrong-expiration entries', async () => {
+      const report = await reconcileService.reconcile(expectedRows());
+
+      expect(report.summary).toMatchObject({ expected: 4, actual: 4, in_sync: 1, missing: 1, extra: 1, wrong_expiration: 2 });
+      expect(report.missing[0]).toMatchObject({ username: 'paid', expected_expiration: null });
+      expect(report.extra[0]).toMatchObject({ username: 'refunded' });
+      expect(report.wrong_expiration.map(item => item.username).sort()).toEqual(['lifer', 'wrongdate']);
+      expect(report.applied).toBeNull();
+      expect(tradingViewService.grantAccess).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('🛠️ Apply', () => {
+    test('should fix drift through the request batcher', async () => {
+      const report = await reconcileService.reconcile(expectedRows(), { apply: true, removeExtra: true });
+
+      expect(report.applied).toMatchObject({ total: 4, fixed: 4, failed: 0 });
+      expect(tradingViewService.requestBatcher.add).toHaveBeenCalledTimes(4);
+
+      expect(tradingViewService.grantAccess).toHaveBeenCalledWith('lifer', PINE_ID, null, {
+        source: 'reconcile',
+        operationId: report.operation_id,
+        mode: 'set',
+        expiration: expect.stringContaining('2030-03-01')
+      });
+      expect(tradingViewService.grantAccess).toHaveBeenCalledWith('paid', PINE_ID, '1L', expect.any(Object));
+      expect(tradingViewService.removeAccess).toHaveBeenCalledWith(
+        expect.objectContaining({ username: 'refunded' }), expect.any(Object)
+      );
+    });
+
+    test('should never re-grant lapsed orders and treat their access as extra', async () => {
+      const { entitlements } = reconcileService.normalizeExpected([
+        { username: 'wrongdate', pine_id: PINE_ID, expiration: '2020-01-01' },
+        { username: 'churned', pine_id: PINE_ID, expiration: '2020-01-01' },
+        { username: 'insync', pine_id: PINE_ID, expiration: '2030-01-01T00:00:00Z' }
+      ]);
+
+      const report = await reconcileService.reconcile(entitlements, { apply: true });
+
+      expect(report.summary).toMatchObject({ lapsed: 2, missing: 0, wrong_expiration: 0, in_sync: 1 });
+      expect(report.lapsed).toEqual([
+        expect.objectContaining({ username: 'wrongdate', has_access: true }),
+        expect.objectContaining({ username: 'churned', has_access: false })
+      ]);
+      expect(report.extra.map(item => item.username)).toContain('wrongdate');
+      expect(tradingViewService.grantAccess).not.toHaveBeenCalled();
+      expect(tradingViewService.removeAccess).not.toHaveBeenCalled();
+    });
+
+    test('should keep extra users unless remove_extra is enabled', async () => {
+      const report = await reconcileService.reconcile(expectedRows(), { apply: true });
+
+      expect(report.applied.total).toBe(3);
+      expect(tradingViewService.removeAccess).not.toHaveBeenCalledWith(
+        expect.objectContaining({ username: 'refunded' }), expect.any(Object)
+      );
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * 🧪 Reminder Service Unit Tests
+ *
+ * Tests offset selection, single delivery per offset and restart-safe tracking
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ledgerFile = path.join(os.tmpdir(), `reminder-ledger-${process.pid}-${Date.now()}.json`);
+const remindersFile = path.join(os.tmpdir(), `reminders-${process.pid}-${Date.now()}.json`);
+process.env.LEDGER_FILE = ledgerFile;
+process.env.REMINDERS_FILE = remindersFile;
+process.env.REMINDER_OFFSETS_DAYS = '7,3,1';
+
+jest.mock('../../src/services/tradingViewService', () => ({
+  init: jest.fn().mockResolvedValue(),
+  getAccessDetails: jest.fn(),
+  requestBatcher: { add: jest.fn(request => request()) }
+}));
+jest.mock('../../src/services/webhookService', () => ({
+  notifySubscriptionExpiringSoon: jest.fn().mockResolvedValue(true)
+}));
+jest.mock('../../src/services/alertService', () => ({
+  sendExpirationReminder: jest.fn().mockResolvedValue(true)
+}));
+
+const tradingViewService = require('../../src/services/tradingViewService');
+const webhookService = require('../../src/services/webhookService');
+const ledgerService = require('../../src/services/ledgerService');
+
+describe('⏰ Reminder Service', () => {
+  const PINE_ID = 'PUB;remind123';
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  let reminderService;
+
+  const inDays = (days) => new Date(Date.now() + days * DAY_MS).toISOString();
+
+  const setExpiration = async (expiration) => {
+    await ledgerService.recordGrant({ pine_id: PINE_ID, username: 'customer', expiration, status: 'Success' });
+    tradingViewService.getAccessDetails.mockResolvedValue({
+      pine_id: PINE_ID,
+      username: 'customer',
+      hasAccess: true,
+      noExpiration: false,
+      currentExpiration: expiration
+    });
+  };
+
+  const loadService = () => {
+    jest.isolateModules(() => {
+      reminderService = require('../../src/services/reminderService');
+    });
+  };
+
+  beforeEach(() => {
+    fs.rmSync(ledgerFile, { force: true });
+    fs.rmSync(remindersFile, { force: true });
+    jest.clearAllMocks();
+    loadService();
+  });
+
+  afterAll(() => {
+    fs.rmSync(ledgerFile, { force: true });
+    fs.rmSync(remindersFile, { force: true });
+  });
+
+  test('should send the 7-day reminder once', async () => {
+    await setExpiration(inDays(6.5));
+
+    const first = await reminderService.run();
+    const second = await reminderService.run();
+
+    expect(first.sent).toEqual([
+      expect.objectContaining({ username: 'customer', offset_days: 7, days_left: 7, channels: ['webhook'] })
+    ]);
+    expect(second.sent).toHaveLength(0);
+    expect(webhookService.notifySubscriptionExpiringSoon).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not resend after a restart', async () => {
+    await setExpiration(inDays(2.5));
+    await reminderService.run();
+
+    loadService();
+    const afterRestart = await reminderService.run();
+
+    expect(afterRestart.sent).toHaveLength(0);
+    expect(webhookService.notifySubscriptionExpiringSoon).toHaveBeenCalledTimes(1);
+  });
+
+  test('should only send the tightest reached offset', async () => {
+    await setExpiration(inDays(0.5));
+
+    const report = await reminderService.run();
+
+    expect(report.sent.map(reminder => reminder.offset_days)).toEqual([1]);
+  });
+
+  test('should start a new reminder cycle after renewal', async () => {
+    await setExpiration(inDays(2.5));
+    await reminderService.run();
+
+    await setExpiration(inDays(2.8));
+    const report = await reminderService.run();
+
+    expect(report.sent).toHaveLength(1);
+    expect(webhookService.notifySubscriptionExpiringSoon).toHaveBeenCalledTimes(2);
+  });
+
+  test('should keep reminders pending when no channel delivered', async () => {
+    webhookService.notifySubscriptionExpiringSoon.mockResolvedValueOnce(false);
+    await setExpiration(inDays(2.5));
+
+    const failed = await reminderService.run();
+    const retried = await reminderService.run();
+
+    expect(failed.skipped).toBe(1);
+    expect(retried.sent).toHaveLength(1);
+  });
+
+  test('should ignore subscriptions outside the reminder window', async () => {
+    await setExpiration(inDays(30));
+
+    const report = await reminderService.run();
+
+    expect(report.checked).toBe(0);
+    expect(tradingViewService.getAccessDetails).not.toHaveBeenCalled();
+  });
+});
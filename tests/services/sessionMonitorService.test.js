@@ -0,0 +1,111 @@
+/**
+ * 🧪 Session Monitor Unit Tests
+ *
+ * Tests periodic validation, re-login with backoff and batcher pausing
+ */
+
+process.env.SESSION_RELOGIN_ATTEMPTS = '3';
+process.env.SESSION_RELOGIN_BACKOFF_MS = '1';
+
+jest.mock('../../src/services/tradingViewService', () => {
+  const RequestBatcher = require('../../src/utils/requestBatcher');
+  return {
+    sessions: new Map(),
+    validateSession: jest.fn(),
+    refreshSession: jest.fn(),
+    requestBatcher: new RequestBatcher({ minDelay: 1 })
+  };
+});
+jest.mock('../../src/services/accountService', () => ({
+  getAccount: jest.fn(async id => ({ id, username: `${id}_owner`, password: 'secret' }))
+}));
+jest.mock('../../src/utils/sessionStorage', () => ({
+  markSessionValidated: jest.fn().mockResolvedValue()
+}));
+jest.mock('../../src/services/alertService', () => ({
+  alertSessionStatus: jest.fn().mockResolvedValue()
+}));
+jest.mock('../../src/services/webhookService', () => ({
+  notifySessionStatus: jest.fn().mockResolvedValue()
+}));
+
+const tradingViewService = require('../../src/services/tradingViewService');
+const alertService = require('../../src/services/alertService');
+const webhookService = require('../../src/services/webhookService');
+const sessionMonitorService = require('../../src/services/sessionMonitorService');
+
+describe('🩺 Session Monitor Service', () => {
+  const batcher = tradingViewService.requestBatcher;
+
+  const loginError = (code) => Object.assign(new Error(`Login failed: ${code}`), { code });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tradingViewService.sessions.clear();
+    tradingViewService.sessions.set('default', 'session-1');
+    sessionMonitorService.states.clear();
+    sessionMonitorService.lastAuthCheckAt = 0;
+    batcher.resume();
+  });
+
+  test('should record a valid session without notifying', async () => {
+    tradingViewService.validateSession.mockResolvedValue(true);
+
+    const status = await sessionMonitorService.check();
+
+    expect(status.accounts.default).toMatchObject({ status: 'valid' });
+    expect(webhookService.notifySessionStatus).not.toHaveBeenCalled();
+  });
+
+  test('should pause the batcher while re-logging in with backoff', async () => {
+    tradingViewService.validateSession.mockResolvedValue(false);
+    let pausedDuringLogin = null;
+    tradingViewService.refreshSession
+      .mockRejectedValueOnce(new Error('socket hang up'))
+      .mockImplementationOnce(async () => {
+        pausedDuringLogin = batcher.paused;
+        return 'session-2';
+      });
+
+    await sessionMonitorService.check();
+
+    expect(tradingViewService.refreshSession).toHaveBeenCalledTimes(2);
+    expect(pausedDuringLogin).toBe(true);
+    expect(batcher.paused).toBe(false);
+    expect(webhookService.notifySessionStatus.mock.calls.map(([status]) => status)).toEqual(['expired', 'valid']);
+  });
+
+  test('should give up on permanent login errors and resume the queue', async () => {
+    tradingViewService.validateSession.mockResolvedValue(false);
+    tradingViewService.refreshSession.mockRejectedValue(loginError('CAPTCHA_REQUIRED'));
+
+    const status = await sessionMonitorService.check();
+
+    expect(tradingViewService.refreshSession).toHaveBeenCalledTimes(1);
+    expect(status.accounts.default).toMatchObject({ status: 'relogin_failed', code: 'CAPTCHA_REQUIRED' });
+    expect(alertService.alertSessionStatus).toHaveBeenLastCalledWith('relogin_failed', expect.objectContaining({
+      accountId: 'default',
+      code: 'CAPTCHA_REQUIRED'
+    }));
+    expect(tradingViewService.sessions.has('default')).toBe(false);
+    expect(batcher.paused).toBe(false);
+  });
+
+  test('should hold queued requests on a 401 instead of failing them', async () => {
+    tradingViewService.validateSession.mockResolvedValue(false);
+    tradingViewService.refreshSession.mockImplementation(async () => {
+      tradingViewService.sessions.set('default', 'session-2');
+      return 'session-2';
+    });
+
+    const request = jest.fn(async () => {
+      if (tradingViewService.sessions.get('default') !== 'session-2') {
+        throw Object.assign(new Error('Request failed with status code 401'), { response: { status: 401 } });
+      }
+      return 'ok';
+    });
+
+    await expect(batcher.add(request, { maxRetries: 0 })).resolves.toBe('ok');
+    expect(tradingViewService.refreshSession).toHaveBeenCalledTimes(1);
+  });
+});
@@ -177,6 +177,66 @@ describe('💼 TradingView Service', () => {
       expect(result.hasAccess).toBe(true);
       expect(result.noExpiration).toBe(true);
     });
+
+    test('should page through list_users until exhausted', async () => {
+      axios.post
+        .mockResolvedValueOnce({
+          data: {
+            results: [{ username: 'user1', expiration: '2030-01-01T00:00:00+00:00', created: '2025-01-02T00:00:00+00:00' }],
+            next: '/pine_perm/list_users/?cursor=abc&limit=100'
+          }
+        })
+        .mockResolvedValueOnce({
+          data: {
+            results: [{ username: 'user2', expiration: null }],
+            next: null
+          }
+        });
+
+      const users = await tradingViewService.listAllUsers('PUB;test123');
+
+      expect(axios.post).toHaveBeenCalledTimes(2);
+      expect(axios.post.mock.calls[1][0]).toBe('https://www.tradingview.com/pine_perm/list_users/?cursor=abc&limit=100');
+      expect(users).toEqual([
+        { username: 'user1', expiration: '2030-01-01T00:00:00+00:00', noExpiration: false, created: '2025-01-02T00:00:00+00:00' },
+        { username: 'user2', expiration: null, noExpiration: true, created: null }
+      ]);
+    });
+
+    test('should renew the session when it expires in the middle of a listing', async () => {
+      const refreshSession = jest.spyOn(tradingViewService, 'refreshSession').mockResolvedValue('renewed_session_id');
+      const expired = Object.assign(new Error('Request failed with status code 401'), { response: { status: 401 } });
+
+      axios.post
+        .mockResolvedValueOnce({
+          data: { results: [{ username: 'user1', expiration: null }], next: '/pine_perm/list_users/?cursor=abc&limit=100' }
+        })
+        .mockRejectedValueOnce(expired)
+        .mockResolvedValueOnce({
+          data: { results: [{ username: 'user2', expiration: null }], next: null }
+        });
+
+      const users = await tradingViewService.listAllUsers('PUB;test123');
+
+      expect(users.map(user => user.username)).toEqual(['user1', 'user2']);
+      expect(refreshSession).toHaveBeenCalledTimes(1);
+      expect(axios.post.mock.calls[2][0]).toContain('cursor=abc');
+      expect(axios.post.mock.calls[2][2].headers.Cookie).toBe('sessionid=renewed_session_id');
+
+      refreshSession.mockRestore();
+    });
+
+    test('should not follow list_users next links to another origin', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: {
+          results: [{ username: 'user1', expiration: null }],
+          next: 'https://attacker.example/steal?cursor=abc'
+        }
+      });
+
+      await expect(tradingViewService.listAllUsers('PUB;test123')).rejects.toThrow('another origin');
+      expect(axios.post).toHaveBeenCalledTimes(1);
+    });
   });
 
   describe('➕ Access Granting', () => {
@@ -257,6 +317,76 @@ describe('💼 TradingView Service', () => {
       expect(result.status).toBe('Failure');
       expect(result.error).toBeDefined();
     });
+
+    test('should set an absolute expiration with mode set', async () => {
+      const { normalizeExpiration, getAccessExtension } = require('../../src/utils/dateHelper');
+      normalizeExpiration.mockReturnValue('2027-01-31T23:59:59+00:00');
+
+      axios.post
+        .mockResolvedValueOnce({
+          data: { results: [{ username: 'trendoscope', expiration: '2026-05-01T00:00:00+00:00' }] }
+        })
+        .mockResolvedValueOnce({ status: 200 });
+
+      const result = await tradingViewService.grantAccess('trendoscope', 'PUB;test123', null, {
+        mode: 'set',
+        expiration: '2027-01-31T23:59:59Z'
+      });
+
+      expect(result.status).toBe('Success');
+      expect(result.expiration).toBe('2027-01-31T23:59:59+00:00');
+      expect(axios.post.mock.calls[1][0]).toContain('modify_user_expiration');
+      expect(getAccessExtension).not.toHaveBeenCalled();
+    });
+
+    test('should replace lifetime access when granting from now', async () => {
+      const { parseDuration, getAccessExtension } = require('../../src/utils/dateHelper');
+      parseDuration.mockReturnValue({ extensionType: 'M', extensionLength: 1 });
+      getAccessExtension.mockReturnValue('2026-11-19T00:00:00+00:00');
+
+      axios.post
+        .mockResolvedValueOnce({
+          data: { results: [{ username: 'trendoscope', expiration: null }] }
+        })
+        .mockResolvedValueOnce({ status: 200 })
+        .mockResolvedValueOnce({ status: 200 });
+
+      const result = await tradingViewService.grantAccess('trendoscope', 'PUB;test123', '1M', { mode: 'from_now' });
+
+      expect(axios.post.mock.calls[1][0]).toContain('pine_perm/remove');
+      expect(axios.post.mock.calls[2][0]).toContain('pine_perm/add');
+      expect(result.status).toBe('Success');
+      expect(result.expiration).toBe('2026-11-19T00:00:00+00:00');
+    });
+
+    test('should restore lifetime access when the new expiration fails after the downgrade', async () => {
+      const ledgerService = require('../../src/services/ledgerService');
+      const recordRemoval = jest.spyOn(ledgerService, 'recordRemoval').mockResolvedValue(null);
+      const recordGrant = jest.spyOn(ledgerService, 'recordGrant').mockResolvedValue(null);
+      const { parseDuration, getAccessExtension } = require('../../src/utils/dateHelper');
+      parseDuration.mockReturnValue({ extensionType: 'M', extensionLength: 1 });
+      getAccessExtension.mockReturnValue('2026-11-19T00:00:00+00:00');
+
+      axios.post
+        .mockResolvedValueOnce({
+          data: { results: [{ username: 'trendoscope', expiration: null }] }
+        })
+        .mockResolvedValueOnce({ status: 200 })
+        .mockRejectedValueOnce(new Error('Request failed with status code 429'))
+        .mockResolvedValueOnce({ status: 200 });
+
+      const result = await tradingViewService.grantAccess('trendoscope', 'PUB;test123', '1M', { mode: 'from_now' });
+
+      expect(axios.post.mock.calls[3][0]).toContain('pine_perm/add');
+      expect(axios.post.mock.calls[3][1].getBuffer().toString()).not.toContain('expiration');
+      expect(result).toMatchObject({ status: 'Failure', lifetimeRestored: true });
+      expect(result.error).toMatch(/429.*lifetime access restored/);
+      expect(recordRemoval).toHaveBeenCalledWith(expect.objectContaining({ status: 'Success' }), expect.any(Object));
+      expect(recordGrant).toHaveBeenCalledWith(expect.objectContaining({ status: 'Success', noExpiration: true }), expect.any(Object));
+
+      recordRemoval.mockRestore();
+      recordGrant.mockRestore();
+    });
   });
 
   describe('🗑️ Access Removal', () => {
@@ -0,0 +1,421 @@
+/**
+ * 🧪 Webhook Subscription & Outbox Tests
+ *
+ * Tests subscriptions with event filters, durable delivery, retries into the
+ * dead-letter queue and manual replay against a local receiver
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-test-'));
+const outboxFile = path.join(testDir, 'outbox.json');
+const historyFile = path.join(testDir, 'outbox.history.jsonl');
+process.env.WEBHOOK_OUTBOX_FILE = outboxFile;
+process.env.WEBHOOK_SUBSCRIPTIONS_FILE = path.join(testDir, 'subscriptions.json');
+process.env.SECRETS_FILE = path.join(testDir, 'secrets.enc.json');
+process.env.SECRETS_MASTER_KEY = 'webhook-test-master-key';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_RETRY_BASE_MS = '10';
+process.env.WEBHOOK_ACCESS_BATCH_SIZE = '2';
+process.env.ECOMMERCE_API_KEY = 'admin-key';
+delete process.env.ECOMMERCE_WEBHOOK_URL;
+
+const webhookService = require('../../src/services/webhookService');
+const webhookSubscriptionService = require('../../src/services/webhookSubscriptionService');
+const webhookRoutes = require('../../src/routes/webhooks');
+const { verifyWebhook } = require('../../src/utils/webhookSignature');
+
+describe('📡 Webhook Subscriptions & Outbox', () => {
+  let receiver;
+  let received;
+  let failing;
+  let app;
+  let hookUrl;
+
+  beforeAll(async () => {
+    const receiverApp = express();
+    receiverApp.use(express.json({ verify: (req, res, buffer) => { req.rawBody = buffer; } }));
+    receiverApp.post('/:endpoint', (req, res) => {
+      received.push({ endpoint: req.params.endpoint, headers: req.headers, body: req.body, rawBody: req.rawBody });
+      res.sendStatus(failing ? 500 : 200);
+    });
+
+    receiver = await new Promise(resolve => {
+      const server = receiverApp.listen(0, () => resolve(server));
+    });
+    hookUrl = endpoint => `http://127.0.0.1:${receiver.address().port}/${endpoint}`;
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/webhooks', webhookRoutes);
+  });
+
+  beforeEach(async () => {
+    received = [];
+    failing = false;
+    await waitFor(async () => !webhookService.draining);
+    fs.rmSync(outboxFile, { force: true });
+    fs.rmSync(historyFile, { force: true });
+    fs.rmSync(process.env.WEBHOOK_SUBSCRIPTIONS_FILE, { force: true });
+    webhookSubscriptionService.invalidateCache();
+  });
+
+  afterAll(async () => {
+    webhookService.stop();
+    await new Promise(resolve => receiver.close(resolve));
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  const subscribe = async (input = {}) => {
+    const { subscription, secret } = await webhookSubscriptionService.createSubscription({
+      name: 'store',
+      url: hookUrl('store'),
+      events: ['*'],
+      ...input
+    });
+    return { ...subscription, secret };
+  };
+
+  const waitFor = async (predicate) => {
+    for (let attempt = 0; attempt < 100; attempt++) {
+      if (await predicate()) return;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('condition not met');
+  };
+
+  const verify = (item, secrets) => verifyWebhook(item.rawBody, item.headers['x-webhook-signature'], secrets);
+
+  const findDelivery = async (id) => {
+    const { deliveries } = await webhookService.listDeliveries({ limit: 500 });
+    return deliveries.find(delivery => delivery.id === id);
+  };
+
+  const waitForStatus = (id, status) => waitFor(async () => {
+    await webhookService.drain();
+    return (await findDelivery(id))?.status === status;
+  });
+
+  const waitForAllDelivered = () => waitFor(async () => {
+    await webhookService.drain();
+    const { counts } = await webhookService.listDeliveries();
+    return counts.pending === 0;
+  });
+
+  // accessDetails tal como los devuelven grantAccess / removeAccess
+  const granted = { username: 'alice', pine_id: 'PUB;1', hasAccess: false, noExpiration: false, currentExpiration: '2026-10-19T00:00:00.000Z', expiration: '2026-11-18T00:00:00.000Z', status: 'Success' };
+  const extended = { username: 'bob', pine_id: 'PUB;1', hasAccess: true, noExpiration: false, currentExpiration: '2026-10-25T00:00:00.000Z', expiration: '2026-11-24T00:00:00.000Z', status: 'Success' };
+  const lifetime = { username: 'carol', pine_id: 'PUB;1', hasAccess: true, noExpiration: true, currentExpiration: '2026-10-19T00:00:00.000Z', expiration: '2026-10-19T00:00:00.000Z', status: 'Not Applied' };
+  const failed = { username: 'dave', pine_id: 'PUB;1', status: 'Failure', error: 'Request failed with status code 500', errorClass: 'server_error' };
+
+  test('should persist the event and deliver it signed with the subscription secret', async () => {
+    const subscription = await subscribe();
+
+    const [delivery] = await webhookService.sendWebhook({ event: 'subscription.expired', username: 'alice' });
+    expect(JSON.parse(fs.readFileSync(outboxFile, 'utf8')).deliveries[0].id).toBe(delivery.id);
+
+    await waitForStatus(delivery.id, 'delivered');
+
+    expect(received).toHaveLength(1);
+    expect(received[0].body).toEqual({ event: 'subscription.expired', username: 'alice' });
+    expect(received[0].headers['x-webhook-delivery']).toBe(delivery.id);
+    expect(received[0].headers['x-webhook-subscription']).toBe(subscription.id);
+    expect(verify(received[0], subscription.secret)).toEqual({
+      valid: true,
+      timestamp: expect.any(Number),
+      deliveryId: delivery.id
+    });
+  });
+
+  test('should only deliver the events each subscription asked for', async () => {
+    await subscribe({ name: 'crm', url: hookUrl('crm'), events: ['access.*', 'bulk.success'] });
+    await subscribe({ name: 'discord', url: hookUrl('discord'), events: ['circuit_breaker.*', 'operation.error'] });
+    await subscribe({ name: 'muted', url: hookUrl('muted'), events: ['*'], enabled: false });
+
+    const bulk = await webhookService.sendWebhook({ event: 'bulk_operation_success' });
+    const breaker = await webhookService.sendWebhook({ event: 'circuit_breaker_status' });
+    const granted = await webhookService.sendWebhook({ event: 'access.granted' });
+    expect(await webhookService.sendWebhook({ event: 'session_status' })).toEqual([]);
+
+    for (const delivery of [...bulk, ...breaker, ...granted]) {
+      await waitForStatus(delivery.id, 'delivered');
+    }
+
+    const byEndpoint = endpoint => received.filter(item => item.endpoint === endpoint).map(item => item.body.event);
+    expect(byEndpoint('crm').sort()).toEqual(['access.granted', 'bulk_operation_success']);
+    expect(byEndpoint('discord')).toEqual(['circuit_breaker_status']);
+    expect(byEndpoint('muted')).toEqual([]);
+  });
+
+  test('should retry failed deliveries and move them to the dead-letter queue', async () => {
+    await subscribe();
+    failing = true;
+    const [delivery] = await webhookService.sendWebhook({ event: 'operation_error' });
+
+    await waitForStatus(delivery.id, 'dead_letter');
+
+    const stored = await findDelivery(delivery.id);
+    expect(stored.attempts).toBe(3);
+    expect(stored.last_status_code).toBe(500);
+    expect(received).toHaveLength(3);
+
+    const { counts } = await webhookService.listDeliveries({ status: 'dead_letter' });
+    expect(counts.dead_letter).toBe(1);
+  });
+
+  test('should move finished deliveries to the history log and expire old dead letters', async () => {
+    const subscription = await subscribe();
+    const old = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+    fs.writeFileSync(historyFile, `${JSON.stringify({ id: 'dlv_old', subscription_id: subscription.id, status: 'dead_letter', dead_lettered_at: old })}\n`);
+    webhookService.nextPruneAt = 0;
+
+    const [delivery] = await webhookService.sendWebhook({ event: 'operation_error' });
+    await waitForStatus(delivery.id, 'delivered');
+
+    expect(JSON.parse(fs.readFileSync(outboxFile, 'utf8')).deliveries).toEqual([]);
+    const history = fs.readFileSync(historyFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(history.map(item => item.id)).toEqual([delivery.id]);
+    expect(await findDelivery('dlv_old')).toBeUndefined();
+  });
+
+  test('should keep delivering to other subscriptions while one endpoint is down', async () => {
+    const down = await subscribe({ name: 'down', url: 'http://127.0.0.1:1/hooks' });
+    await subscribe();
+
+    const first = await webhookService.sendWebhook({ event: 'operation_error' });
+    const second = await webhookService.sendWebhook({ event: 'bulk_operation_success' });
+    const delivered = [...first, ...second].filter(delivery => delivery.subscription_id !== down.id);
+
+    for (const delivery of delivered) {
+      await waitForStatus(delivery.id, 'delivered');
+    }
+    expect(received.map(item => item.body.event).sort()).toEqual(['bulk_operation_success', 'operation_error']);
+
+    const { deliveries } = await webhookService.listDeliveries({ subscription: down.id });
+    expect(deliveries.every(delivery => delivery.status !== 'delivered')).toBe(true);
+  });
+
+  test('should claim deliveries for as long as the whole batch may take', async () => {
+    const subscription = await subscribe();
+    await webhookService.outbox.update((data) => {
+      data.deliveries.push({
+        id: 'dlv_claim',
+        subscription_id: subscription.id,
+        event: 'operation_error',
+        payload: {},
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date(Date.now() - 1000).toISOString()
+      });
+    });
+
+    const [claimed] = await webhookService.claimDueDeliveries(new Map([[subscription.id, subscription]]));
+    const { timeoutMs } = webhookService.options;
+    expect(Date.parse(claimed.claimed_until) - Date.now()).toBeGreaterThan(timeoutMs * 20);
+
+    // Otro worker no lo vuelve a reclamar mientras dura el envío
+    expect(await webhookService.claimDueDeliveries(new Map([[subscription.id, subscription]]))).toEqual([]);
+    await webhookService.outbox.update((data) => {
+      data.deliveries = [];
+    });
+  });
+
+  test('should list and replay deliveries through the routes', async () => {
+    await subscribe();
+    failing = true;
+    const [delivery] = await webhookService.sendWebhook({ event: 'bulk_operation_success' });
+    await waitForStatus(delivery.id, 'dead_letter');
+
+    const listed = await request(app)
+      .get('/api/webhooks/deliveries?status=dead_letter')
+      .set('X-API-Key', 'admin-key')
+      .expect(200);
+    expect(listed.body.deliveries.map(item => item.id)).toEqual([delivery.id]);
+
+    failing = false;
+    const replayed = await request(app)
+      .post(`/api/webhooks/deliveries/${delivery.id}/replay`)
+      .set('X-API-Key', 'admin-key')
+      .expect(202);
+    expect(replayed.body).toMatchObject({ status: 'pending', attempts: 0, replay_count: 1 });
+
+    await waitForStatus(delivery.id, 'delivered');
+    expect(received[received.length - 1].body.event).toBe('bulk_operation_success');
+  });
+
+  test('should reject replays of unknown or pending deliveries', async () => {
+    await request(app)
+      .post('/api/webhooks/deliveries/dlv_missing/replay')
+      .set('X-API-Key', 'admin-key')
+      .expect(404);
+
+    const subscription = await subscribe();
+    await webhookService.outbox.update((data) => {
+      data.deliveries.push({
+        id: 'dlv_pending',
+        subscription_id: subscription.id,
+        event: 'operation_error',
+        payload: {},
+        status: 'pending',
+        attempts: 1,
+        next_attempt_at: new Date(Date.now() + 60000).toISOString()
+      });
+    });
+
+    await request(app)
+      .post('/api/webhooks/deliveries/dlv_pending/replay')
+      .set('X-API-Key', 'admin-key')
+      .expect(409);
+
+    await request(app)
+      .get('/api/webhooks/deliveries?status=lost')
+      .set('X-API-Key', 'admin-key')
+      .expect(400);
+  });
+
+  test('should manage subscriptions and ping them through the routes', async () => {
+    const created = await request(app)
+      .post('/api/webhooks')
+      .set('X-API-Key', 'admin-key')
+      .send({ name: 'discord', url: hookUrl('discord'), events: ['circuit_breaker.*'] })
+      .expect(201);
+    expect(created.body.secret).toMatch(/^whsec_/);
+    expect(created.body).toMatchObject({ enabled: true, has_secret: true });
+    expect(fs.readFileSync(process.env.WEBHOOK_SUBSCRIPTIONS_FILE, 'utf8')).not.toContain(created.body.secret);
+
+    await request(app)
+      .post('/api/webhooks')
+      .set('X-API-Key', 'admin-key')
+      .send({ name: 'bad', url: hookUrl('bad'), events: ['access.deleted'] })
+      .expect(400);
+
+    const updated = await request(app)
+      .patch(`/api/webhooks/${created.body.id}`)
+      .set('X-API-Key', 'admin-key')
+      .send({ enabled: false })
+      .expect(200);
+    expect(updated.body).not.toHaveProperty('secret');
+
+    // El ping se envía aunque la suscripción esté deshabilitada
+    const ping = await request(app)
+      .post(`/api/webhooks/${created.body.id}/ping`)
+      .set('X-API-Key', 'admin-key')
+      .expect(200);
+    expect(ping.body).toMatchObject({ delivered: true, status_code: 200 });
+    expect(received[0].body.event).toBe('ping');
+    expect(verify(received[0], created.body.secret).valid).toBe(true);
+
+    await request(app).delete(`/api/webhooks/${created.body.id}`).set('X-API-Key', 'admin-key').expect(200);
+    await request(app).post(`/api/webhooks/${created.body.id}/ping`).set('X-API-Key', 'admin-key').expect(404);
+  });
+
+  test('should keep ECOMMERCE_WEBHOOK_URL as the read-only default subscription', async () => {
+    process.env.ECOMMERCE_WEBHOOK_URL = hookUrl('legacy');
+    process.env.WEBHOOK_SECRET = 'legacy-webhook-secret';
+
+    try {
+      const [delivery] = await webhookService.sendWebhook({ event: 'session_status' });
+      expect(delivery.subscription_id).toBe('default');
+      await waitForStatus(delivery.id, 'delivered');
+
+      expect(verify(received[0], 'legacy-webhook-secret').valid).toBe(true);
+
+      await request(app)
+        .patch('/api/webhooks/default')
+        .set('X-API-Key', 'admin-key')
+        .send({ enabled: false })
+        .expect(400);
+    } finally {
+      delete process.env.ECOMMERCE_WEBHOOK_URL;
+      delete process.env.WEBHOOK_SECRET;
+    }
+  });
+
+  test('should emit one access event per user+pine_id with the correlation ID', async () => {
+    await subscribe({ events: ['access.*'] });
+
+    await webhookService.notifyAccessEvents('grant', [granted, extended, lifetime, failed], {
+      correlationId: 'order-1042',
+      source: 'single_grant'
+    });
+    await webhookService.notifyAccessEvents('revoke', [{ ...extended, status: 'Success' }], { correlationId: 'order-1043' });
+    await waitForAllDelivered();
+
+    const events = received.map(item => item.body);
+    expect(events.map(event => event.event)).toEqual(['access.granted', 'access.extended', 'access.failed', 'access.revoked']);
+    expect(events[0]).toMatchObject({
+      correlation_id: 'order-1042',
+      source: 'single_grant',
+      access: { username: 'alice', pine_id: 'PUB;1', action: 'grant', previous_expiration: null, new_expiration: '2026-11-18T00:00:00.000Z', lifetime: false }
+    });
+    expect(events[1].access).toMatchObject({ previous_expiration: '2026-10-25T00:00:00.000Z', new_expiration: '2026-11-24T00:00:00.000Z' });
+    expect(events[2].access).toMatchObject({ username: 'dave', error: 'Request failed with status code 500', error_class: 'server_error' });
+    expect(events[3]).toMatchObject({
+      correlation_id: 'order-1043',
+      access: { username: 'bob', action: 'revoke', previous_expiration: '2026-10-25T00:00:00.000Z', new_expiration: null }
+    });
+  });
+
+  test('should only label grants that move the expiration later as access.extended', async () => {
+    await subscribe({ events: ['access.*'] });
+    const shortened = { ...extended, username: 'erin', expiration: '2026-10-20T00:00:00.000Z' };
+    const downgraded = { ...granted, username: 'frank', replacedLifetime: true };
+    const upgraded = { ...extended, username: 'gina', noExpiration: true };
+
+    await webhookService.notifyAccessEvents('grant', [shortened, downgraded, upgraded], { correlationId: 'order-1044' });
+    await waitForAllDelivered();
+
+    expect(received.map(item => [item.body.access.username, item.body.event])).toEqual([
+      ['erin', 'access.granted'],
+      ['frank', 'access.granted'],
+      ['gina', 'access.extended']
+    ]);
+    expect(received[1].body.access).toMatchObject({ previous_lifetime: true, new_expiration: '2026-11-18T00:00:00.000Z' });
+  });
+
+  test('should batch the access events of a bulk operation by type', async () => {
+    await subscribe({ events: ['access.*'] });
+    const users = ['u1', 'u2', 'u3'].map(username => ({ ...granted, username }));
+
+    await webhookService.notifyAccessEvents('grant', [...users, failed], {
+      correlationId: 'bulk-7',
+      operationId: 'op-7',
+      source: 'bulk_grant',
+      batch: true
+    });
+    await waitForAllDelivered();
+
+    const events = received.map(item => item.body);
+    expect(events.map(event => [event.event, event.accesses.length])).toEqual([
+      ['access.granted', 2],
+      ['access.granted', 1],
+      ['access.failed', 1]
+    ]);
+    expect(events[0]).toMatchObject({ correlation_id: 'bulk-7', operation_id: 'op-7', batch: { part: 1, parts: 2, total: 3 } });
+    expect(events.flatMap(event => event.accesses.map(access => access.username))).toEqual(['u1', 'u2', 'u3', 'dave']);
+  });
+
+  test('should sign with the old and the new secret while rotating', async () => {
+    const subscription = await subscribe();
+
+    const rotated = await request(app)
+      .post(`/api/webhooks/${subscription.id}/rotate-secret`)
+      .set('X-API-Key', 'admin-key')
+      .expect(200);
+    expect(rotated.body.secret).not.toBe(subscription.secret);
+    expect(rotated.body).toMatchObject({ active_secrets: 2, previous_secrets_until: expect.any(String) });
+
+    const [delivery] = await webhookService.sendWebhook({ event: 'access.granted' });
+    await waitForStatus(delivery.id, 'delivered');
+
+    // El receptor aún con el secreto viejo y el ya actualizado aceptan la misma firma
+    expect(received[0].headers['x-webhook-signature'].match(/v1=/g)).toHaveLength(2);
+    expect(verify(received[0], subscription.secret).valid).toBe(true);
+    expect(verify(received[0], rotated.body.secret).valid).toBe(true);
+    expect(verify(received[0], 'whsec_unrelated_secret_value').reason).toBe('signature_mismatch');
+  });
+});
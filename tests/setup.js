@@ -11,6 +11,19 @@ dotenv.config({ path: '.env.test' || '.env' });
 // Set test environment
 process.env.NODE_ENV = 'test';
 
+// Rate limit counters and quotas are persisted: give each test file its own
+// files so suites (and consecutive runs) do not share limits
+const os = require('os');
+const path = require('path');
+const testRunId = `${process.pid}-${Date.now()}`;
+const testStoreFiles = {
+  RATE_LIMIT_FILE: path.join(os.tmpdir(), `rate-limits-${testRunId}.json`),
+  QUOTA_FILE: path.join(os.tmpdir(), `quotas-${testRunId}.json`)
+};
+Object.entries(testStoreFiles).forEach(([name, file]) => {
+  process.env[name] = process.env[name] || file;
+});
+
 // Global test utilities
 global.testUtils = {
   // Generate random test data
@@ -72,6 +85,8 @@ afterAll(() => {
   // Restore console methods
   console.error = originalConsoleError;
   console.warn = originalConsoleWarn;
+
+  Object.values(testStoreFiles).forEach(file => require('fs').rmSync(file, { force: true }));
 });
 
 // Global cleanup
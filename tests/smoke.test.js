@@ -8,6 +8,9 @@
 const request = require('supertest');
 const app = require('../src/server');
 
+const API_KEY = 'smoke-test-key';
+process.env.ECOMMERCE_API_KEY = API_KEY;
+
 describe('🚀 Smoke Tests - Core Functionality', () => {
   test('✅ Server starts and responds to health check', async () => {
     const response = await request(app)
@@ -39,7 +42,7 @@ describe('🚀 Smoke Tests - Core Functionality', () => {
   test('✅ Rate limiting is active', async () => {
     // Make several requests quickly
     const promises = Array(10).fill().map(() =>
-      request(app).get('/api/validate/testuser')
+      request(app).get('/api/validate/testuser').set('X-API-Key', API_KEY)
     );
 
     const results = await Promise.allSettled(promises);
@@ -54,6 +57,7 @@ describe('🚀 Smoke Tests - Core Functionality', () => {
   test('✅ Bulk endpoint accepts proper payload structure', async () => {
     const response = await request(app)
       .post('/api/access/bulk')
+      .set('X-API-Key', API_KEY)
       .send({
         users: ['test'],
         pine_ids: ['PUB;test'],
@@ -68,6 +72,7 @@ describe('🚀 Smoke Tests - Core Functionality', () => {
   test('✅ Bulk endpoint rejects invalid payload', async () => {
     const response = await request(app)
       .post('/api/access/bulk')
+      .set('X-API-Key', API_KEY)
       .send({})
       .expect(400);
 
@@ -18,6 +18,10 @@ const axios = require('axios');
 const app = require('../src/server');
 const tradingViewService = require('../src/services/tradingViewService');
 
+// Every /api route requires a key with the right scope; the legacy key has them all
+const API_KEY = 'test-api-key';
+process.env.ECOMMERCE_API_KEY = API_KEY;
+
 // Mock external dependencies
 jest.mock('axios');
 jest.mock('../src/services/tradingViewService');
@@ -101,6 +105,7 @@ describe('🚀 TradingView Access Management API v2.0', () => {
 
         const response = await request(app)
           .get(`/api/validate/${TEST_USERS.valid}`)
+          .set('X-API-Key', API_KEY)
           .expect(200);
 
         expect(response.body).toEqual({
@@ -118,6 +123,7 @@ describe('🚀 TradingView Access Management API v2.0', () => {
 
         const response = await request(app)
           .get(`/api/validate/${username}`)
+          .set('X-API-Key', API_KEY)
           .expect(200);
 
         expect(response.body.validuser).toBe(true);
@@ -134,6 +140,7 @@ describe('🚀 TradingView Access Management API v2.0', () => {
 
         const response = await request(app)
           .get(`/api/validate/${TEST_USERS.invalid}`)
+          .set('X-API-Key', API_KEY)
           .expect(200);
 
         expect(response.body).toEqual({
@@ -147,6 +154,7 @@ describe('🚀 TradingView Access Management API v2.0', () => {
 
         const response = await request(app)
           .get(`/api/validate/${TEST_USERS.valid}`)
+          .set('X-API-Key', API_KEY)
           .expect(500);
 
         expect(response.body).toHaveProperty('errorMessage');
@@ -163,6 +171,7 @@ describe('🚀 TradingView Access Management API v2.0', () => {
 
         const response = await request(app)
           .get(`/api/validate/${encodeURIComponent(TEST_USERS.withSpecialChars)}`)
+          .set('X-API-Key', API_KEY)
           .expect(200);
 
         expect(response.body.validuser).toBe(true);
@@ -171,6 +180,7 @@ describe('🚀 TradingView Access Management API v2.0', () => {
       test.concurrent('should handle empty username parameter', async () => {
         const response = await request(app)
           .get('/api/validate/')
+          .set('X-API-Key', API_KEY)
           .expect(404); // Express routing will handle this
       });
     });
@@ -191,6 +201,7 @@ describe('🚀 TradingView Access Management API v2.0', () => {
 
         const response = await request(app)
           .get(`/api/access/${TEST_USERS.valid}`)
+          .set('X-API-Key', API_KEY)
           .send({ pine_ids: [TEST_PINE_IDS.valid] })
           .expect(200);
 
@@ -220,6 +231,7 @@ describe('🚀 TradingView Access Management API v2.0', () => {
 
         const response = await request(app)
           .get(`/api/access/${TEST_USERS.valid}`)
+          .set('X-API-Key', API_KEY)
           .send({ pine_ids: pineIds })
           .expect(200);
 
@@ -233,6 +245,7 @@ describe('🚀 TradingView Access Management API v2.0', () => {
       test('should return 400 for missing pine_ids', async () => {
         const response = await request(app)
           .get(`/api/access/${TEST_USERS.valid}`)
+          .set('X-API-Key', API_KEY)
           .send({})
           .expect(400);
 
@@ -242,6 +255,7 @@ describe('🚀 TradingView Access Management API v2.0', () => {
       test('should return 400 for empty pine_ids array', async () => {
         const response = await request(app)
           .get(`/api/access/${TEST_USERS.valid}`)
+          .set('X-API-Key', API_KEY)
           .send({ pine_ids: [] })
           .expect(400);
 
@@ -255,6 +269,7 @@ describe('🚀 TradingView Access Management API v2.0', () => {
 
         const response = await request(app)
           .get(`/api/access/${TEST_USERS.valid}`)
+          .set('X-API-Key', API_KEY)
           .send({ pine_ids: [TEST_PINE_IDS.valid] })
           .expect(200); // API returns array with error entries
 
@@ -280,6 +295,7 @@ describe('🚀 TradingView Access Management API v2.0', () => {
 
         const response = await request(app)
           .post(`/api/access/${TEST_USERS.valid}`)
+          .set('X-API-Key', API_KEY)
           .send({
             pine_ids: [TEST_PINE_IDS.valid],
             duration: '7D'
@@ -298,6 +314,7 @@ describe('🚀 TradingView Access Management API v2.0', () => {
 
         const response = await request(app)
           .post(`/api/access/${TEST_USERS.valid}`)
+          .set('X-API-Key', API_KEY)
           .send({
             pine_ids: [TEST_PINE_IDS.valid],
             duration
@@ -312,6 +329,7 @@ describe('🚀 TradingView Access Management API v2.0', () => {
       test.each(TEST_DURATIONS.invalid)('should reject invalid duration format: %s', async (duration) => {
         const response = await request(app)
           .post(`/api/access/${TEST_USERS.valid}`)
+          .set('X-API-Key', API_KEY)
           .send({
             pine_ids: [TEST_PINE_IDS.valid],
             duration
@@ -324,6 +342,7 @@ describe('🚀 TradingView Access Management API v2.0', () => {
       test('should return 400 for missing duration', async () => {
         const response = await request(app)
           .post(`/api/access/${TEST_USERS.valid}`)
+          .set('X-API-Key', API_KEY)
           .send({
             pine_ids: [TEST_PINE_IDS.valid]
             // duration missing
@@ -338,6 +357,7 @@ describe('🚀 TradingView Access Management API v2.0', () => {
 
         const response = await request(app)
           .post(`/api/access/${TEST_USERS.valid}`)
+          .set('X-API-Key', API_KEY)
           .send({
             pine_ids: [TEST_PINE_IDS.valid],
             duration: '7D'
@@ -371,6 +391,7 @@ describe('🚀 TradingView Access Management API v2.0', () => {
 
       const response = await request(app)
         .delete(`/api/access/${TEST_USERS.valid}`)
+        .set('X-API-Key', API_KEY)
         .send({ pine_ids: [TEST_PINE_IDS.valid] })
         .expect(200);
 
@@ -389,6 +410,7 @@ describe('🚀 TradingView Access Management API v2.0', () => {
 
       const response = await request(app)
         .delete(`/api/access/${TEST_USERS.valid}`)
+        .set('X-API-Key', API_KEY)
         .send({ pine_ids: [TEST_PINE_IDS.valid] })
         .expect(200);
 
@@ -412,6 +434,7 @@ describe('🚀 TradingView Access Management API v2.0', () => {
 
       const response = await request(app)
         .post('/api/access/bulk')
+        .set('X-API-Key', API_KEY)
         .send({
           users,
           pine_ids: pineIds,
@@ -430,6 +453,7 @@ describe('🚀 TradingView Access Management API v2.0', () => {
     test('should validate bulk request parameters', async () => {
       const response = await request(app)
         .post('/api/access/bulk')
+        .set('X-API-Key', API_KEY)
         .send({
           users: [],
           pine_ids: [],
@@ -445,7 +469,7 @@ describe('🚀 TradingView Access Management API v2.0', () => {
     test('should enforce rate limits for API endpoints', async () => {
       // Make multiple requests quickly
       const requests = Array(150).fill().map(() =>
-        request(app).get(`/api/validate/${TEST_USERS.valid}`)
+        request(app).get(`/api/validate/${TEST_USERS.valid}`).set('X-API-Key', API_KEY)
       );
 
       const results = await Promise.allSettled(requests);
@@ -462,6 +486,7 @@ describe('🚀 TradingView Access Management API v2.0', () => {
     test('should return 404 for unknown endpoints', async () => {
       const response = await request(app)
         .get('/api/nonexistent')
+        .set('X-API-Key', API_KEY)
         .expect(404);
 
       expect(response.body).toHaveProperty('error', 'Endpoint not found');
@@ -470,6 +495,7 @@ describe('🚀 TradingView Access Management API v2.0', () => {
     test('should handle malformed JSON', async () => {
       const response = await request(app)
         .post(`/api/access/${TEST_USERS.valid}`)
+        .set('X-API-Key', API_KEY)
         .set('Content-Type', 'application/json')
         .send('{invalid json}')
         .expect(400);
@@ -480,6 +506,7 @@ describe('🚀 TradingView Access Management API v2.0', () => {
 
       const response = await request(app)
         .get(`/api/validate/${longUsername}`)
+        .set('X-API-Key', API_KEY)
         .expect(200);
 
       // Should handle gracefully regardless of API response
@@ -493,6 +520,7 @@ describe('🚀 TradingView Access Management API v2.0', () => {
 
       await request(app)
         .get(`/api/validate/${TEST_USERS.valid}`)
+        .set('X-API-Key', API_KEY)
         .expect(200);
 
       const duration = Date.now() - startTime;
@@ -504,7 +532,7 @@ describe('🚀 TradingView Access Management API v2.0', () => {
       const startTime = Date.now();
 
       const requests = Array(concurrentRequests).fill().map(() =>
-        request(app).get(`/api/validate/${TEST_USERS.valid}`)
+        request(app).get(`/api/validate/${TEST_USERS.valid}`).set('X-API-Key', API_KEY)
       );
 
       await Promise.all(requests);
@@ -4,7 +4,7 @@
  * Tests date manipulation functions used throughout the application
  */
 
-const { getAccessExtension, parseDuration, isExpired, getCurrentUTCDate } = require('../../src/utils/dateHelper');
+const { getAccessExtension, parseDuration, normalizeExpiration, isExpired, getCurrentUTCDate } = require('../../src/utils/dateHelper');
 
 describe('📅 Date Helper Utilities', () => {
   describe('getAccessExtension', () => {
@@ -54,6 +54,41 @@ describe('📅 Date Helper Utilities', () => {
       expect(result).toContain('10:00:00');
     });
 
+    test('should extend date by hours correctly', () => {
+      const baseDate = '2025-01-01T10:00:00+00:00';
+
+      const result = getAccessExtension(baseDate, 'H', 48);
+
+      expect(new Date(result).toISOString()).toBe('2025-01-03T10:00:00.000Z');
+    });
+
+    test('should extend date by minutes correctly', () => {
+      const baseDate = '2025-01-01T10:00:00+00:00';
+
+      const result = getAccessExtension(baseDate, 'MIN', 90);
+
+      expect(new Date(result).toISOString()).toBe('2025-01-01T11:30:00.000Z');
+    });
+
+    test('should apply compound durations from the largest unit down', () => {
+      const baseDate = '2025-01-31T10:00:00+00:00';
+
+      const result = getAccessExtension(baseDate, '1M15D', 1);
+
+      // 31/01 + 1 mes = 28/02, + 15 días = 15/03
+      expect(result).toMatch(/^2025-03-15T\d{2}:\d{2}:\d{2}/);
+      expect(result).toContain('10:00:00');
+    });
+
+    test('should apply compound durations largest-first whatever the written order', () => {
+      const baseDate = '2025-01-30T10:00:00+00:00';
+
+      // 30/01 + 1 mes = 28/02, + 1 día = 01/03 (en el orden escrito daría 31/01 + 1 mes = 28/02)
+      expect(getAccessExtension(baseDate, '1D1M', 1)).toBe(getAccessExtension(baseDate, '1M1D', 1));
+      expect(getAccessExtension(baseDate, '1D1M', 1)).toMatch(/^2025-03-01T/);
+      expect(getAccessExtension(baseDate, '12H1D', 1)).toBe(getAccessExtension(baseDate, '1D12H', 1));
+    });
+
     test('should handle lifetime access (100 years)', () => {
       const baseDate = '2025-01-01T10:00:00+00:00';
 
@@ -77,7 +112,12 @@ describe('📅 Date Helper Utilities', () => {
       ['1M', { extensionType: 'M', extensionLength: 1 }],
       ['3Y', { extensionType: 'Y', extensionLength: 3 }],
       ['2W', { extensionType: 'W', extensionLength: 2 }],
-      ['1L', { extensionType: 'L', extensionLength: 1 }]
+      ['1L', { extensionType: 'L', extensionLength: 1 }],
+      ['24H', { extensionType: 'H', extensionLength: 24 }],
+      ['30MIN', { extensionType: 'MIN', extensionLength: 30 }],
+      ['30min', { extensionType: 'MIN', extensionLength: 30 }],
+      ['1M15D', { extensionType: '1M15D', extensionLength: 1 }],
+      ['1d12h', { extensionType: '1D12H', extensionLength: 1 }]
     ])('should parse valid duration %s correctly', (input, expected) => {
       const result = parseDuration(input);
       expect(result).toEqual(expected);
@@ -90,11 +130,39 @@ describe('📅 Date Helper Utilities', () => {
       'invalid',
       '7DD',
       'M1',
-      ''
+      '',
+      '30MINS',
+      '1L2D',
+      '2D1L'
     ])('should throw error for invalid duration format: %s', (invalidDuration) => {
       expect(() => parseDuration(invalidDuration))
         .toThrow(/Invalid duration format/);
     });
+
+    test('should reject compound durations that repeat a unit', () => {
+      expect(() => parseDuration('1D2D')).toThrow('Each unit can only appear once');
+    });
+
+    test('should list the accepted grammar in the error', () => {
+      expect(() => parseDuration('7X')).toThrow(/H \(hours\), MIN \(minutes\)/);
+    });
+  });
+
+  describe('normalizeExpiration', () => {
+    test('should normalize absolute dates to ISO format', () => {
+      const result = normalizeExpiration('2027-01-31T23:59:59Z');
+
+      expect(new Date(result).toISOString()).toBe('2027-01-31T23:59:59.000Z');
+    });
+
+    test('should accept date-only values', () => {
+      expect(normalizeExpiration('2027-01-31')).toMatch(/^2027-01-31T00:00:00/);
+    });
+
+    test('should throw error for invalid dates', () => {
+      expect(() => normalizeExpiration('31/01/2027')).toThrow('Invalid expiration date');
+      expect(() => normalizeExpiration(null)).toThrow('Invalid expiration date');
+    });
   });
 
   describe('isExpired', () => {
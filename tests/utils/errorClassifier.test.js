@@ -0,0 +1,60 @@
+/**
+ * 🧪 Error Classifier Utility Tests
+ *
+ * Tests the classification of TradingView failures used in bulk results
+ */
+
+const { classifyError, isRetryable, countByErrorClass } = require('../../src/utils/errorClassifier');
+
+describe('🏷️ Error Classifier', () => {
+  const httpError = (status, data = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, data }
+  });
+
+  test.each([
+    [httpError(401), 'session_expired'],
+    [httpError(403, { detail: 'You do not have permission to perform this action.' }), 'session_expired'],
+    [httpError(403, { detail: 'You are not the author of this script' }), 'script_not_owned'],
+    [httpError(429, { detail: 'Request was throttled.' }), 'rate_limited'],
+    [httpError(422, { detail: 'Username does not exist' }), 'user_not_found'],
+    [httpError(404, { detail: 'User has no access to this script' }), 'unknown'],
+    [Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }), 'network'],
+    [Object.assign(new Error('timeout of 15000ms exceeded'), { code: 'ECONNABORTED', request: {} }), 'network'],
+    [Object.assign(new Error('Login failed: captcha'), { code: 'CAPTCHA_REQUIRED' }), 'session_expired'],
+    [new Error('API Error'), 'unknown']
+  ])('should classify %s', (error, errorClass) => {
+    expect(classifyError(error)).toBe(errorClass);
+  });
+
+  test('should keep a class assigned upstream', () => {
+    const error = Object.assign(httpError(403), { errorClass: 'script_not_owned' });
+
+    expect(classifyError(error)).toBe('script_not_owned');
+  });
+
+  test('should not retry permanent failures', () => {
+    expect(isRetryable('user_not_found')).toBe(false);
+    expect(isRetryable('script_not_owned')).toBe(false);
+    expect(isRetryable('rate_limited')).toBe(true);
+    expect(isRetryable(undefined)).toBe(true);
+  });
+
+  test('should count failed results by class', () => {
+    const counts = countByErrorClass([
+      { status: 'Success' },
+      { status: 'Failure', errorClass: 'rate_limited' },
+      { status: 'Failure', errorClass: 'rate_limited' },
+      { status: 'Failure' },
+      null
+    ]);
+
+    expect(counts).toEqual({
+      session_expired: 0,
+      rate_limited: 2,
+      user_not_found: 0,
+      script_not_owned: 0,
+      network: 0,
+      unknown: 1
+    });
+  });
+});
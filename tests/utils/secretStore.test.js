@@ -0,0 +1,106 @@
+/**
+ * 🧪 Secret Store Utility Tests
+ *
+ * Tests the encrypted secret store, key rotation and plaintext migrations
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SecretStore } = require('../../src/utils/secretStore');
+const { SessionStorage } = require('../../src/utils/sessionStorage');
+const { migrateEnvFile } = require('../../src/utils/secretMigration');
+
+describe('🔐 Secret Store', () => {
+  let dir;
+  let secretsFile;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'secret-store-test-'));
+    secretsFile = path.join(dir, 'secrets.enc.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should round-trip secrets without writing them in plaintext', async () => {
+    const store = new SecretStore(secretsFile, 'master-key');
+
+    await store.set('tradingview', { username: 'owner', password: 'hunter2' });
+
+    expect(await store.get('tradingview')).toEqual({ username: 'owner', password: 'hunter2' });
+    const raw = fs.readFileSync(secretsFile, 'utf8');
+    expect(raw).not.toContain('hunter2');
+    expect(JSON.parse(raw)).toMatchObject({ version: 1, algorithm: 'aes-256-gcm', kdf: 'scrypt' });
+  });
+
+  test('should refuse to decrypt with the wrong master key', async () => {
+    await new SecretStore(secretsFile, 'master-key').set('webhook_secret', 'whsec');
+
+    await expect(new SecretStore(secretsFile, 'other-key').readAll()).rejects.toThrow(/wrong SECRETS_MASTER_KEY/);
+  });
+
+  test('should be disabled without a master key', async () => {
+    const store = new SecretStore(secretsFile, undefined);
+
+    expect(store.isEnabled()).toBe(false);
+    await expect(store.set('webhook_secret', 'whsec')).rejects.toThrow(/SECRETS_MASTER_KEY/);
+  });
+
+  test('should rotate the master key', async () => {
+    const store = new SecretStore(secretsFile, 'old-key');
+    await store.set('webhook_secret', 'whsec');
+
+    expect(await store.rotate('new-key')).toBe(1);
+
+    expect(await new SecretStore(secretsFile, 'new-key').get('webhook_secret')).toBe('whsec');
+    await expect(new SecretStore(secretsFile, 'old-key').readAll()).rejects.toThrow();
+  });
+
+  test('should import and delete a plaintext session file', async () => {
+    const sessionFile = path.join(dir, 'session_db.json');
+    fs.writeFileSync(sessionFile, JSON.stringify({ sessionid: 'abc123' }));
+    const store = new SecretStore(secretsFile, 'master-key');
+
+    const storage = new SessionStorage(sessionFile, store);
+
+    expect(await storage.getSessionId()).toBe('abc123');
+    expect(fs.existsSync(sessionFile)).toBe(false);
+    expect(await store.get('sessions')).toEqual({ sessionid: 'abc123' });
+  });
+
+  test('should not overwrite sessions saved by another worker', async () => {
+    const store = new SecretStore(secretsFile, 'master-key');
+    const first = new SessionStorage(path.join(dir, 'none.json'), store);
+    const second = new SessionStorage(path.join(dir, 'none.json'), store);
+
+    await first.setSessionId('first-session', 'default');
+    await second.setSessionId('second-session', 'backup');
+    await first.markSessionValidated('default');
+    await first.deleteSessionId('missing');
+
+    expect(await first.getSessionId('backup')).toBe('second-session');
+    expect(await second.getSessionId('default')).toBe('first-session');
+    expect(Object.keys(await store.get('sessions')).sort())
+      .toEqual(['sessionid', 'sessionid:backup', 'sessioninfo', 'sessioninfo:backup']);
+  });
+
+  test('should move .env secrets into the store', async () => {
+    const envFile = path.join(dir, '.env');
+    fs.writeFileSync(envFile, 'PORT=5000\nTV_USERNAME=owner\nTV_PASSWORD="hunter2"\nWEBHOOK_SECRET=whsec\n');
+    const store = new SecretStore(secretsFile, 'master-key');
+
+    const migrated = await migrateEnvFile(envFile, store);
+
+    expect(migrated).toEqual(['TV_USERNAME', 'TV_PASSWORD', 'WEBHOOK_SECRET']);
+    expect(await store.readAll()).toEqual({
+      tradingview: { username: 'owner', password: 'hunter2' },
+      webhook_secret: 'whsec'
+    });
+    const env = fs.readFileSync(envFile, 'utf8');
+    expect(env).toContain('PORT=5000');
+    expect(env).not.toMatch(/hunter2|whsec/);
+  });
+});
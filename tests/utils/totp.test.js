@@ -0,0 +1,35 @@
+/**
+ * 🧪 TOTP Utility Tests
+ *
+ * Tests two-factor code generation against the RFC 6238 vectors
+ */
+
+const { generateTotp, verifyTotp, isValidSecret } = require('../../src/utils/totp');
+
+describe('🔑 TOTP', () => {
+  // RFC 6238 (SHA1) seed "12345678901234567890" in base32
+  const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+  test.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1234567890, '005924'],
+    [2000000000, '279037']
+  ])('should match the RFC 6238 vector at T=%i', (seconds, code) => {
+    expect(generateTotp(RFC_SECRET, seconds * 1000)).toBe(code);
+  });
+
+  test('should accept one step of clock drift', () => {
+    const now = Date.now();
+    const previous = generateTotp(RFC_SECRET, now - 30000);
+
+    expect(verifyTotp(previous, RFC_SECRET, now)).toBe(true);
+    expect(verifyTotp(generateTotp(RFC_SECRET, now - 90000), RFC_SECRET, now)).toBe(false);
+  });
+
+  test('should validate base32 secrets', () => {
+    expect(isValidSecret('jbsw y3dp ehpk 3pxp')).toBe(true);
+    expect(isValidSecret('not-base32!')).toBe(false);
+    expect(isValidSecret('ABC')).toBe(false);
+  });
+});
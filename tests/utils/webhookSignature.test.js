@@ -0,0 +1,55 @@
+/**
+ * 🧪 Webhook Signature Utility Tests
+ *
+ * Tests t=,id=,v1= signing and verifyWebhook (tolerance, rotation, tampering)
+ */
+
+const { signWebhook, verifyWebhook } = require('../../src/utils/webhookSignature');
+
+describe('✍️ Webhook Signature', () => {
+  const body = JSON.stringify({ event: 'access.granted', username: 'alice', pine_id: 'PUB;1' });
+  const now = () => Math.floor(Date.now() / 1000);
+
+  test('should sign the timestamp, the delivery id and the raw body', () => {
+    const header = signWebhook(body, 'secret-one', { deliveryId: 'dlv_1', timestamp: 1760000000 });
+
+    expect(header).toMatch(/^t=1760000000,id=dlv_1,v1=[0-9a-f]{64}$/);
+    expect(signWebhook(body, [], { deliveryId: 'dlv_1' })).toBeNull();
+  });
+
+  test('should verify a fresh signature from a string or a Buffer', () => {
+    const header = signWebhook(body, 'secret-one', { deliveryId: 'dlv_1' });
+
+    expect(verifyWebhook(body, header, 'secret-one')).toEqual({ valid: true, timestamp: expect.any(Number), deliveryId: 'dlv_1' });
+    expect(verifyWebhook(Buffer.from(body), header, ['other-secret', 'secret-one']).valid).toBe(true);
+  });
+
+  test('should reject a tampered body, delivery id or wrong secret', () => {
+    const header = signWebhook(body, 'secret-one', { deliveryId: 'dlv_1' });
+
+    expect(verifyWebhook(body.replace('alice', 'mallory'), header, 'secret-one').reason).toBe('signature_mismatch');
+    expect(verifyWebhook(body, header.replace('id=dlv_1', 'id=dlv_2'), 'secret-one').reason).toBe('signature_mismatch');
+    expect(verifyWebhook(body, header, 'secret-two').reason).toBe('signature_mismatch');
+  });
+
+  test('should reject replays outside the tolerance', () => {
+    const old = signWebhook(body, 'secret-one', { deliveryId: 'dlv_1', timestamp: now() - 600 });
+
+    expect(verifyWebhook(body, old, 'secret-one').reason).toBe('timestamp_outside_tolerance');
+    expect(verifyWebhook(body, old, 'secret-one', 900).valid).toBe(true);
+  });
+
+  test('should accept any of the secrets signed during a rotation', () => {
+    const header = signWebhook(body, ['new-secret', 'old-secret'], { deliveryId: 'dlv_1' });
+
+    expect(header.match(/v1=/g)).toHaveLength(2);
+    expect(verifyWebhook(body, header, 'old-secret').valid).toBe(true);
+    expect(verifyWebhook(body, header, 'new-secret').valid).toBe(true);
+  });
+
+  test('should report missing or malformed headers', () => {
+    expect(verifyWebhook(body, undefined, 'secret-one').reason).toBe('missing_header');
+    expect(verifyWebhook(body, 'sha256=abc', 'secret-one').reason).toBe('malformed_header');
+    expect(verifyWebhook(body, `t=${now()},id=dlv_1,v1=abc`, []).reason).toBe('no_secrets');
+  });
+});